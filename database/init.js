@@ -2,11 +2,134 @@ const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
 
+// Columns added to tables after they were first released. CREATE TABLE IF NOT
+// EXISTS leaves an existing table as it is, so older databases get these
+// added before the schema runs. Definitions match
+// schema.sql, except that end_date allows NULL until it is filled in
+const ADDED_COLUMNS = [
+    { table: 'rsvps', column: 'waitlist_position', definition: 'INTEGER DEFAULT NULL' },
+    { table: 'events', column: 'series_id', definition: 'INTEGER DEFAULT NULL REFERENCES event_series(id) ON DELETE SET NULL' },
+    { table: 'events', column: 'visibility', definition: "VARCHAR(20) DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'invite_only'))" },
+    { table: 'events', column: 'max_guests_per_rsvp', definition: 'INTEGER DEFAULT 0' },
+    { table: 'rsvps', column: 'guest_count', definition: 'INTEGER DEFAULT 0' },
+    { table: 'rsvps', column: 'guest_names', definition: 'TEXT' },
+    { table: 'rsvps', column: 'checked_in_at', definition: 'TIMESTAMP DEFAULT NULL' },
+    { table: 'rsvps', column: 'checked_in_by', definition: 'INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL' },
+    { table: 'events', column: 'cancellation_reason', definition: 'TEXT' },
+    { table: 'events', column: 'cancelled_at', definition: 'TIMESTAMP' },
+    { table: 'events', column: 'cancelled_by', definition: 'INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL' },
+    { table: 'events', column: 'deleted_at', definition: 'TIMESTAMP DEFAULT NULL' },
+    { table: 'events', column: 'deleted_by', definition: 'INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL' },
+    { table: 'users', column: 'status', definition: "VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'disabled', 'banned'))" },
+    { table: 'users', column: 'status_reason', definition: 'TEXT' },
+    { table: 'users', column: 'status_changed_at', definition: 'TIMESTAMP' },
+    { table: 'users', column: 'email_verified_at', definition: 'TIMESTAMP' },
+    { table: 'users', column: 'locked_until', definition: 'TIMESTAMP' },
+    { table: 'users', column: 'totp_secret', definition: 'TEXT' },
+    { table: 'users', column: 'totp_pending_secret', definition: 'TEXT' },
+    { table: 'users', column: 'totp_enabled_at', definition: 'TIMESTAMP' },
+    { table: 'users', column: 'totp_last_counter', definition: 'INTEGER' },
+    { table: 'events', column: 'category_id', definition: 'INTEGER DEFAULT NULL REFERENCES categories(id) ON DELETE SET NULL' },
+    {
+        table: 'events',
+        column: 'end_date',
+        definition: 'DATETIME',
+        backfill: "UPDATE events SET end_date = strftime('%Y-%m-%dT%H:%M:%fZ', event_date, '+60 minutes') WHERE end_date IS NULL"
+    },
+    { table: 'events', column: 'timezone', definition: "VARCHAR(64) NOT NULL DEFAULT 'UTC'" },
+    { table: 'event_series', column: 'timezone', definition: "VARCHAR(64) NOT NULL DEFAULT 'UTC'" },
+    { table: 'events', column: 'rsvp_opens_at', definition: 'DATETIME DEFAULT NULL' },
+    { table: 'events', column: 'rsvp_deadline', definition: 'DATETIME DEFAULT NULL' },
+    { table: 'events', column: 'rsvp_locked', definition: 'INTEGER DEFAULT 0' },
+    { table: 'events', column: 'rsvp_requires_approval', definition: 'INTEGER DEFAULT 0' }
+];
+
+// Statuses the rsvps table has to accept; older tables are rebuilt to allow them
+const RSVP_STATUSES = ['attending', 'maybe', 'not_attending', 'waitlisted', 'pending', 'declined'];
+
+/**
+ * Run SQL statements one after another, stopping at the first error
+ */
+function runStatements(db, statements, callback) {
+    if (statements.length === 0) return callback(null);
+    
+    db.run(statements[0], (err) => {
+        if (err) return callback(err);
+        runStatements(db, statements.slice(1), callback);
+    });
+}
+
+/**
+ * Add any of ADDED_COLUMNS that existing tables are missing
+ * Safe to run again; tables that do not exist yet are left to schema.sql
+ */
+function addMissingColumns(db, callback) {
+    db.all(`
+        SELECT m.name as table_name, p.name as column_name
+        FROM sqlite_master m, pragma_table_info(m.name) p
+        WHERE m.type = 'table'
+    `, (err, rows) => {
+        if (err) return callback(err);
+        
+        const tables = new Set(rows.map(row => row.table_name));
+        const columns = new Set(rows.map(row => `${row.table_name}.${row.column_name}`));
+        const statements = [];
+        
+        ADDED_COLUMNS.forEach(({ table, column, definition, backfill }) => {
+            if (!tables.has(table) || columns.has(`${table}.${column}`)) return;
+            
+            console.log(`➕ Adding ${table}.${column}`);
+            statements.push(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            if (backfill) statements.push(backfill);
+        });
+        
+        runStatements(db, statements, callback);
+    });
+}
+
+/**
+ * Rebuild the rsvps table if its status check predates any of RSVP_STATUSES
+ * SQLite cannot change a CHECK constraint in place, so the rows are copied
+ * into a new table made from schema.sql, whose indexes the schema then recreates
+ */
+function upgradeRsvpStatuses(db, schema, callback) {
+    db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'rsvps'", (err, table) => {
+        if (err || !table || RSVP_STATUSES.every(status => table.sql.includes(`'${status}'`))) {
+            return callback(err || null);
+        }
+        
+        const definition = /CREATE TABLE IF NOT EXISTS rsvps \([\s\S]*?\n\);/.exec(schema)[0]
+            .replace('rsvps (', 'rsvps_upgraded (');
+        
+        db.all('PRAGMA table_info(rsvps)', (err, columns) => {
+            if (err) return callback(err);
+            
+            const names = columns.map(column => column.name).join(', ');
+            console.log('🔁 Rebuilding rsvps to allow the new RSVP statuses');
+            
+            // With foreign keys off, dropping the old table leaves the rows that point at it alone
+            runStatements(db, [
+                'PRAGMA foreign_keys = OFF',
+                'BEGIN TRANSACTION',
+                definition,
+                `INSERT INTO rsvps_upgraded (${names}) SELECT ${names} FROM rsvps`,
+                'DROP TABLE rsvps',
+                'ALTER TABLE rsvps_upgraded RENAME TO rsvps',
+                'COMMIT'
+            ], (err) => {
+                if (err) return db.run('ROLLBACK', () => callback(err));
+                callback(null);
+            });
+        });
+    });
+}
+
 /**
  * Initialize the SQLite database with schema
+ * Existing databases are brought up to date, keeping their data
  */
 function initializeDatabase() {
-    const dbPath = path.join(__dirname, 'events.db');
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'events.db');
     
     // Create database connection
     const db = new sqlite3.Database(dbPath, (err) => {
@@ -21,35 +144,45 @@ function initializeDatabase() {
     const schemaPath = path.join(__dirname, 'schema.sql');
     const schema = fs.readFileSync(schemaPath, 'utf8');
     
-    // Split and execute SQL statements
-    const statements = schema.split(';').filter(stmt => stmt.trim().length > 0);
+    // Existing tables first, as the schema indexes some of the added columns
+    addMissingColumns(db, (err) => {
+        if (!err) return upgradeRsvpStatuses(db, schema, runSchema);
+        runSchema(err);
+    });
     
-    db.serialize(() => {
-        statements.forEach((statement, index) => {
-            db.run(statement, (err) => {
+    function runSchema(err) {
+        if (err) {
+            console.error('Error upgrading existing tables:', err.message);
+            process.exitCode = 1;
+            return db.close();
+        }
+        
+        db.serialize(() => {
+            // Run the whole script at once; splitting on ';' would break trigger bodies
+            db.exec(schema, (err) => {
                 if (err) {
-                    console.error(`Error executing statement ${index + 1}:`, err.message);
-                    console.error('Statement:', statement.trim());
+                    console.error('Error executing schema:', err.message);
+                    process.exitCode = 1;
                 } else {
-                    console.log(`✅ Executed statement ${index + 1}`);
+                    console.log('✅ Executed schema.sql');
+                }
+            });
+            
+            console.log('🎉 Database initialization completed!');
+            console.log('');
+            console.log('Next steps:');
+            console.log('1. Run: npm run seed (to add sample data)');
+            console.log('2. Run: npm run dev (to start the server)');
+            
+            db.close((err) => {
+                if (err) {
+                    console.error('Error closing database:', err.message);
+                } else {
+                    console.log('🔒 Database connection closed.');
                 }
             });
         });
-        
-        console.log('🎉 Database initialization completed!');
-        console.log('');
-        console.log('Next steps:');
-        console.log('1. Run: npm run seed (to add sample data)');
-        console.log('2. Run: npm run dev (to start the server)');
-        
-        db.close((err) => {
-            if (err) {
-                console.error('Error closing database:', err.message);
-            } else {
-                console.log('🔒 Database connection closed.');
-            }
-        });
-    });
+    }
 }
 
 // Run initialization if called directly
@@ -8,25 +8,80 @@ CREATE TABLE IF NOT EXISTS users (
     email VARCHAR(100) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'disabled', 'banned')),
+    status_reason TEXT, -- shown to the user when an admin disables or bans the account
+    status_changed_at TIMESTAMP,
+    email_verified_at TIMESTAMP, -- NULL until the user follows the link sent to their email
+    locked_until TIMESTAMP, -- set after too many failed logins
+    totp_secret TEXT, -- encrypted; set once two-factor authentication is confirmed
+    totp_pending_secret TEXT, -- encrypted; waiting for the first code during setup
+    totp_enabled_at TIMESTAMP,
+    totp_last_counter INTEGER, -- time step of the last code used, so codes cannot be replayed
     first_name VARCHAR(50),
     last_name VARCHAR(50),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Event series table for recurring events (occurrences are rows in events)
+CREATE TABLE IF NOT EXISTS event_series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1,
+    by_weekday VARCHAR(30), -- comma-separated, e.g. 'MO,WE,FR'
+    until DATETIME,
+    count INTEGER,
+    exclusions TEXT, -- JSON array of excluded dates (YYYY-MM-DD)
+    start_date DATETIME NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- occurrences repeat at the same local time
+    created_by INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Event categories, managed by admins
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(50) UNIQUE NOT NULL COLLATE NOCASE,
+    slug VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Events table for event management
 CREATE TABLE IF NOT EXISTS events (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title VARCHAR(200) NOT NULL,
     description TEXT,
-    event_date DATETIME NOT NULL,
+    event_date DATETIME NOT NULL, -- start, UTC ISO 8601
+    end_date DATETIME NOT NULL, -- UTC ISO 8601
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA name, e.g. 'Europe/Berlin'
     location VARCHAR(255),
     max_attendees INTEGER DEFAULT NULL,
+    max_guests_per_rsvp INTEGER DEFAULT 0, -- plus-ones allowed on each RSVP
+    rsvp_opens_at DATETIME DEFAULT NULL, -- UTC; RSVPs are open straight away if NULL
+    rsvp_deadline DATETIME DEFAULT NULL, -- UTC; RSVPs close when the event starts if NULL
+    rsvp_locked INTEGER DEFAULT 0, -- RSVPs cannot be changed once the deadline has passed
+    rsvp_requires_approval INTEGER DEFAULT 0, -- attending RSVPs wait for an organizer to approve them
     created_by INTEGER NOT NULL,
+    series_id INTEGER DEFAULT NULL,
+    visibility VARCHAR(20) DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'invite_only')),
+    category_id INTEGER DEFAULT NULL,
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'cancelled', 'completed')),
+    cancellation_reason TEXT,
+    cancelled_at TIMESTAMP,
+    cancelled_by INTEGER DEFAULT NULL,
+    deleted_at TIMESTAMP DEFAULT NULL, -- set while the event is in the trash
+    deleted_by INTEGER DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (series_id) REFERENCES event_series(id) ON DELETE SET NULL,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
+    FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- RSVPs table (link table between users and events)
@@ -34,20 +89,285 @@ CREATE TABLE IF NOT EXISTS rsvps (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     event_id INTEGER NOT NULL,
-    status VARCHAR(20) DEFAULT 'attending' CHECK (status IN ('attending', 'maybe', 'not_attending')),
+    status VARCHAR(20) DEFAULT 'attending' CHECK (status IN ('attending', 'maybe', 'not_attending', 'waitlisted', 'pending', 'declined')),
+    waitlist_position INTEGER DEFAULT NULL, -- 1-based queue position while status is 'waitlisted'
+    guest_count INTEGER DEFAULT 0, -- people coming along besides the user
+    guest_names TEXT, -- JSON array of guest names (optional)
     rsvp_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     notes TEXT,
+    checked_in_at TIMESTAMP DEFAULT NULL, -- set when the attendee arrives at the event
+    checked_in_by INTEGER DEFAULT NULL,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (checked_in_by) REFERENCES users(id) ON DELETE SET NULL,
     UNIQUE(user_id, event_id)
 );
 
+-- Event questions table (custom RSVP questionnaire per event)
+CREATE TABLE IF NOT EXISTS event_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    key VARCHAR(50) NOT NULL, -- stable identifier used in answers, e.g. 'meal'
+    type VARCHAR(20) NOT NULL CHECK (type IN ('short_text', 'single_choice', 'multiple_choice', 'number', 'yes_no')),
+    label VARCHAR(200) NOT NULL,
+    options TEXT, -- JSON array of choices for single/multiple choice
+    required INTEGER DEFAULT 0,
+    position INTEGER DEFAULT 0,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    UNIQUE(event_id, key)
+);
+
+-- RSVP answers table (one row per answered question)
+CREATE TABLE IF NOT EXISTS rsvp_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rsvp_id INTEGER NOT NULL,
+    question_id INTEGER NOT NULL,
+    value TEXT NOT NULL, -- JSON encoded answer
+    FOREIGN KEY (rsvp_id) REFERENCES rsvps(id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES event_questions(id) ON DELETE CASCADE,
+    UNIQUE(rsvp_id, question_id)
+);
+
+-- Invitations table (direct invites to a user or email, or shareable invite links)
+CREATE TABLE IF NOT EXISTS invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    email VARCHAR(100),
+    user_id INTEGER,
+    token VARCHAR(64) UNIQUE,
+    max_uses INTEGER DEFAULT NULL, -- NULL means unlimited (links only)
+    use_count INTEGER DEFAULT 0,
+    revoked INTEGER DEFAULT 0,
+    created_by INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP DEFAULT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Event members table (people with a role on an event besides its owner, events.created_by)
+CREATE TABLE IF NOT EXISTS event_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('co_organizer', 'check_in_staff')),
+    added_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(event_id, user_id)
+);
+
+-- Free-form tags on events, stored normalized (see utils/tags.js)
+CREATE TABLE IF NOT EXISTS event_tags (
+    event_id INTEGER NOT NULL,
+    tag VARCHAR(30) NOT NULL,
+    PRIMARY KEY (event_id, tag),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+);
+
+-- Tags users follow, for recommended events
+CREATE TABLE IF NOT EXISTS tag_follows (
+    user_id INTEGER NOT NULL,
+    tag VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, tag),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Calendar feeds table (one revocable subscription token per user, stored hashed)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id INTEGER PRIMARY KEY,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Notification outbox (messages waiting to be sent, with retry state)
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    type VARCHAR(30) NOT NULL,
+    recipient VARCHAR(100) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(10) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Per-user notification preferences (types without a row are enabled)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    PRIMARY KEY (user_id, type),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Single-use tokens for email verification and password resets (stored hashed)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    email VARCHAR(100) NOT NULL, -- address the token was sent to
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Two-factor recovery codes (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(user_id, code_hash)
+);
+
+-- Login sessions (express-session store; data is the session as JSON)
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, -- shown to users; the sid stays secret
+    sid VARCHAR(64) UNIQUE NOT NULL,
+    user_id INTEGER, -- NULL until someone signs in
+    data TEXT NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Personal API tokens for scripted access (stored hashed)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_prefix VARCHAR(20) NOT NULL, -- start of the token, so owners can tell tokens apart
+    scopes TEXT NOT NULL, -- JSON array, e.g. ["events:read", "rsvps"]
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Settings admins can change at runtime (JSON values; missing keys use defaults)
+CREATE TABLE IF NOT EXISTS settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_by INTEGER,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Recent failed logins, for throttling and lockout (pruned once they stop counting)
+CREATE TABLE IF NOT EXISTS login_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    identifier VARCHAR(100) NOT NULL, -- lowercase username or email as typed
+    user_id INTEGER, -- NULL when no account matched
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Background jobs run by the in-process scheduler (survive restarts)
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(50) PRIMARY KEY,
+    interval_seconds INTEGER NOT NULL,
+    next_run_at TIMESTAMP NOT NULL,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(10) CHECK (last_status IN ('success', 'error')),
+    last_error TEXT,
+    last_result TEXT -- JSON summary of the last run
+);
+
+-- Reminders already sent, so each one goes out once per recipient
+CREATE TABLE IF NOT EXISTS sent_reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    recipient VARCHAR(100) NOT NULL, -- lowercase email address
+    kind VARCHAR(30) NOT NULL, -- e.g. reminder_24h, rsvp_nudge
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    UNIQUE(event_id, recipient, kind)
+);
+
+-- Append-only log of changes made through the API
+-- No foreign keys, so entries outlive the users and events they mention
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER, -- NULL for system changes
+    actor_username VARCHAR(50),
+    action VARCHAR(50) NOT NULL, -- e.g. event.update, rsvp.create
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id INTEGER,
+    event_id INTEGER, -- event the change belongs to, for per-event history
+    changes TEXT, -- JSON { field: { from, to } }
+    metadata TEXT, -- JSON with extra context, e.g. scope or reason
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full-text index over event text for search (see utils/search.js)
+-- External content table: rows are read from events and kept in sync by triggers below
+CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+    title,
+    description,
+    location,
+    content = 'events',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
 -- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_users_status ON users(status);
 CREATE INDEX IF NOT EXISTS idx_events_date ON events(event_date);
+CREATE INDEX IF NOT EXISTS idx_events_status ON events(status, event_date);
 CREATE INDEX IF NOT EXISTS idx_events_creator ON events(created_by);
+CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id, event_date);
+CREATE INDEX IF NOT EXISTS idx_events_visibility ON events(visibility);
+CREATE INDEX IF NOT EXISTS idx_events_category ON events(category_id);
+CREATE INDEX IF NOT EXISTS idx_event_tags_tag ON event_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_tag_follows_tag ON tag_follows(tag);
+CREATE INDEX IF NOT EXISTS idx_events_deleted ON events(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_invitations_event ON invitations(event_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_user ON invitations(user_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
+CREATE INDEX IF NOT EXISTS idx_event_members_user ON event_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_answers_question ON rsvp_answers(question_id);
 CREATE INDEX IF NOT EXISTS idx_rsvps_user ON rsvps(user_id);
 CREATE INDEX IF NOT EXISTS idx_rsvps_event ON rsvps(event_id);
 CREATE INDEX IF NOT EXISTS idx_rsvps_status ON rsvps(status);
+CREATE INDEX IF NOT EXISTS idx_rsvps_waitlist ON rsvps(event_id, waitlist_position);
+CREATE INDEX IF NOT EXISTS idx_outbox_pending ON notification_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_failures_identifier ON login_failures(identifier, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_failures_user ON login_failures(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_failures_ip ON login_failures(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_event ON audit_log(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
 
 -- Create triggers for updated_at timestamps
 CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
@@ -60,4 +380,44 @@ CREATE TRIGGER IF NOT EXISTS update_events_timestamp
     AFTER UPDATE ON events
     BEGIN
         UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-    END;
\ No newline at end of file
+    END;
+
+-- Keep the audit log append-only
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+    BEFORE UPDATE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+    BEFORE DELETE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
+-- Keep the event search index in sync with events
+CREATE TRIGGER IF NOT EXISTS events_fts_insert
+    AFTER INSERT ON events
+    BEGIN
+        INSERT INTO events_fts (rowid, title, description, location)
+        VALUES (NEW.id, NEW.title, NEW.description, NEW.location);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS events_fts_delete
+    AFTER DELETE ON events
+    BEGIN
+        INSERT INTO events_fts (events_fts, rowid, title, description, location)
+        VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.location);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS events_fts_update
+    AFTER UPDATE OF title, description, location ON events
+    BEGIN
+        INSERT INTO events_fts (events_fts, rowid, title, description, location)
+        VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.location);
+        INSERT INTO events_fts (rowid, title, description, location)
+        VALUES (NEW.id, NEW.title, NEW.description, NEW.location);
+    END;
+
+-- Index events saved before the search index existed; safe to run again
+INSERT INTO events_fts (events_fts) VALUES ('rebuild');
@@ -6,7 +6,7 @@ const path = require('path');
  * Seed the database with sample data
  */
 async function seedDatabase() {
-    const dbPath = path.join(__dirname, 'events.db');
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'events.db');
     
     const db = new sqlite3.Database(dbPath, (err) => {
         if (err) {
@@ -15,25 +15,27 @@ async function seedDatabase() {
         }
         console.log('📁 Connected to database for seeding...');
     });
-
+    
     try {
         // Hash passwords
         const adminPassword = await bcrypt.hash('admin123', 10);
         const userPassword = await bcrypt.hash('user123', 10);
         const demoPassword = await bcrypt.hash('demo123', 10);
-
+        
         db.serialize(() => {
             // Clear existing data (in reverse order of foreign keys)
             console.log('🧹 Clearing existing data...');
             db.run('DELETE FROM rsvps');
+            db.run('DELETE FROM event_tags');
             db.run('DELETE FROM events');
+            db.run('DELETE FROM categories');
             db.run('DELETE FROM users');
-
+            
             // Insert sample users
             console.log('👥 Creating sample users...');
             const userStmt = db.prepare(`
-                INSERT INTO users (username, email, password_hash, role, first_name, last_name)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO users (username, email, password_hash, role, first_name, last_name, email_verified_at)
+                VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
             `);
             
             userStmt.run('admin', 'admin@eventplanner.com', adminPassword, 'admin', 'Admin', 'User');
@@ -42,12 +44,24 @@ async function seedDatabase() {
             userStmt.run('bob_wilson', 'bob@example.com', userPassword, 'user', 'Bob', 'Wilson');
             userStmt.run('demo', 'demo@eventplanner.com', demoPassword, 'user', 'Demo', 'User');
             userStmt.finalize();
-
+            
+            // Insert sample categories
+            console.log('🗂️ Creating sample categories...');
+            const categoryStmt = db.prepare(`
+                INSERT INTO categories (name, slug, description)
+                VALUES (?, ?, ?)
+            `);
+            
+            categoryStmt.run('Conferences', 'conferences', 'Talks, keynotes, and expos');
+            categoryStmt.run('Workshops', 'workshops', 'Hands-on sessions and training');
+            categoryStmt.run('Social', 'social', 'Parties, meetups, and celebrations');
+            categoryStmt.finalize();
+            
             // Insert sample events
             console.log('🎉 Creating sample events...');
             const eventStmt = db.prepare(`
-                INSERT INTO events (title, description, event_date, location, max_attendees, created_by, status)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO events (title, description, event_date, end_date, timezone, location, max_attendees, created_by, status, category_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
             
             // Future events
@@ -55,49 +69,72 @@ async function seedDatabase() {
             const futureDate2 = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(); // 2 weeks from now
             const futureDate3 = new Date(Date.now() + 21 * 24 * 60 * 60 * 1000).toISOString(); // 3 weeks from now
             const futureDate4 = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(); // 1 month from now
+            const hoursAfter = (date, hours) => new Date(new Date(date).getTime() + hours * 60 * 60 * 1000).toISOString();
             
             eventStmt.run(
                 'Tech Conference 2024',
                 'Annual technology conference featuring the latest trends in AI, blockchain, and web development. Join industry experts for keynotes, workshops, and networking.',
                 futureDate1,
+                hoursAfter(futureDate1, 8),
+                'America/New_York',
                 'Convention Center, Downtown',
                 100,
                 1, // admin user
-                'active'
+                'active',
+                1 // Conferences
             );
             
             eventStmt.run(
                 'Team Building Workshop',
                 'Interactive team building activities designed to improve collaboration and communication. Includes lunch and group exercises.',
                 futureDate2,
+                hoursAfter(futureDate2, 4),
+                'America/New_York',
                 'Corporate Training Center',
                 25,
                 1, // admin user
-                'active'
+                'active',
+                2 // Workshops
             );
             
             eventStmt.run(
                 'Holiday Party',
                 'Annual company holiday celebration with dinner, entertainment, and awards ceremony. Dress code: business casual.',
                 futureDate3,
+                hoursAfter(futureDate3, 5),
+                'America/Chicago',
                 'Grand Ballroom Hotel',
                 75,
                 2, // john_doe
-                'active'
+                'active',
+                3 // Social
             );
             
             eventStmt.run(
                 'Coding Bootcamp Graduation',
                 'Celebration ceremony for our latest cohort of coding bootcamp graduates. Family and friends welcome!',
                 futureDate4,
+                hoursAfter(futureDate4, 2),
+                'America/Los_Angeles',
                 'University Auditorium',
                 150,
                 2, // john_doe
-                'active'
+                'active',
+                3 // Social
             );
-
+            
             eventStmt.finalize();
-
+            
+            // Tag the sample events
+            const tagStmt = db.prepare('INSERT INTO event_tags (event_id, tag) VALUES (?, ?)');
+            [
+                [1, 'ai'], [1, 'web-development'], [1, 'networking'],
+                [2, 'teamwork'], [2, 'networking'],
+                [3, 'party'], [3, 'food'],
+                [4, 'coding'], [4, 'party']
+            ].forEach(([eventId, tag]) => tagStmt.run(eventId, tag));
+            tagStmt.finalize();
+            
             // Insert sample RSVPs
             console.log('✉️ Creating sample RSVPs...');
             const rsvpStmt = db.prepare(`
@@ -127,7 +164,7 @@ async function seedDatabase() {
             rsvpStmt.run(3, 4, 'attending', 'Will bring family members');
             
             rsvpStmt.finalize();
-
+            
             console.log('');
             console.log('🎉 Database seeding completed successfully!');
             console.log('');
@@ -143,7 +180,7 @@ async function seedDatabase() {
             console.log('');
             console.log('Ready to run: npm run dev');
         });
-
+    
     } catch (error) {
         console.error('Error seeding database:', error);
     } finally {
@@ -1,8 +1,193 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { getSetting } = require('../utils/settings');
+const { bearerToken, hasScope, findApiToken, liveTokenHash } = require('../utils/apiTokens');
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+/**
+ * Error body for an account that is not allowed to sign in
+ * Returns null for active accounts
+ */
+function accountStatusError(user) {
+    if (user.status === 'active') return null;
+    
+    return {
+        error: user.status === 'banned' ? 'Account banned' : 'Account disabled',
+        message: user.status_reason || `This account has been ${user.status} by an administrator`
+    };
+}
+
+// Scope an API token needs for each part of the API; parts not listed
+// (account, notification, and token management) only accept sessions
+const TOKEN_SCOPES = {
+    '/api/events': (req) => req.method === 'GET' ? 'events:read' : 'events:write',
+    '/api/invitations': (req) => {
+        if (/^\/token\/[^/]+\/accept$/.test(req.path)) return 'rsvps';
+        return req.method === 'GET' ? 'events:read' : 'events:write';
+    },
+    '/api/rsvps': () => 'rsvps',
+    '/api/categories': (req) => req.method === 'GET' ? 'events:read' : 'admin',
+    '/api/tags': (req) => req.method === 'GET' ? 'events:read' : 'events:write',
+    '/api/admin': () => 'admin'
+};
+
+/**
+ * Whether a request carries an API token for a part of the API that accepts them
+ * Used before routing, so it matches on the full path
+ */
+function isApiTokenRequest(req) {
+    return !!bearerToken(req) && Object.keys(TOKEN_SCOPES).some(area => req.path === area || req.path.startsWith(`${area}/`));
+}
+
+/**
+ * Note the hash of a live API token on req.apiTokenHash, for rate limiting
+ * Requests whose token is unknown, expired, or revoked are left without one,
+ * so they count against their IP like any other request
+ */
+function identifyApiToken(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) return next();
+    
+    const db = getDb();
+    
+    liveTokenHash(db, token, (err, tokenHash) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        req.apiTokenHash = tokenHash;
+        next();
+    });
+}
+
+/**
+ * Sign a request in from its API token
+ * The token's user is put on req.session (a plain object for token requests,
+ * see server.js) so routes treat them like a signed-in user, and the token
+ * on req.apiToken. Calls back with { status, body } to refuse with, or null
+ */
+function authenticateApiToken(req, callback) {
+    const scopeFor = TOKEN_SCOPES[req.baseUrl];
+    if (!scopeFor) {
+        return callback(null, {
+            status: 403,
+            body: { error: 'Session required', message: 'This endpoint cannot be used with an API token' }
+        });
+    }
+    
+    const db = getDb();
+    
+    findApiToken(db, bearerToken(req), req.ip, (err, token) => {
+        db.close();
+        
+        if (err) return callback(err);
+        
+        if (!token) {
+            return callback(null, {
+                status: 401,
+                body: { error: 'Invalid token', message: 'This API token is invalid, expired, or revoked' }
+            });
+        }
+        
+        const statusError = accountStatusError(token);
+        if (statusError) {
+            return callback(null, { status: 403, body: statusError });
+        }
+        
+        const required = scopeFor(req);
+        if (!hasScope(token.scopes, required)) {
+            return callback(null, {
+                status: 403,
+                body: { error: 'Insufficient scope', message: `This API token needs the "${required}" scope` }
+            });
+        }
+        
+        req.apiToken = { id: token.token_id, scopes: token.scopes };
+        req.session.user = {
+            id: token.id,
+            username: token.username,
+            email: token.email,
+            role: token.role,
+            firstName: token.first_name,
+            lastName: token.last_name,
+            emailVerified: !!token.email_verified_at,
+            twoFactorEnabled: !!token.totp_enabled_at
+        };
+        callback(null, null);
+    });
+}
+
+/**
+ * Reload the session user's details and status from the database
+ * Role and profile changes take effect straight away, and disabled or banned
+ * users are signed out of existing sessions. Calls back with the error body for a
+ * session that is no longer valid, or null
+ */
+function refreshSessionUser(req, callback) {
+    const db = getDb();
+    
+    db.get(
+        'SELECT email, role, status, status_reason, first_name, last_name, email_verified_at, totp_enabled_at FROM users WHERE id = ?',
+        [req.session.user.id],
+        (err, user) => {
+            db.close();
+            
+            if (err) return callback(err);
+            
+            const invalid = !user
+                ? { error: 'Invalid session', message: 'This account no longer exists' }
+                : accountStatusError(user);
+            
+            if (invalid) {
+                return req.session.destroy(() => callback(null, invalid));
+            }
+            
+            Object.assign(req.session.user, {
+                email: user.email,
+                role: user.role,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                emailVerified: !!user.email_verified_at,
+                twoFactorEnabled: !!user.totp_enabled_at
+            });
+            callback(null, null);
+        }
+    );
+}
+
 /**
  * Authentication middleware
  * Checks if user is logged in and session is valid
  */
 function authMiddleware(req, res, next) {
+    // Scripts sign in with an API token instead of a session
+    if (bearerToken(req)) {
+        return authenticateApiToken(req, (err, refusal) => {
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (refusal) {
+                return res.status(refusal.status).json(refusal.body);
+            }
+            next();
+        });
+    }
+    
     // Check if user session exists
     if (!req.session || !req.session.user) {
         return res.status(401).json({ 
@@ -19,13 +204,27 @@ function authMiddleware(req, res, next) {
         });
     }
     
-    // User is authenticated, proceed to next middleware
-    next();
+    // Check the account is still allowed in
+    refreshSessionUser(req, (err, invalid) => {
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (invalid) {
+            return res.status(invalid.error === 'Invalid session' ? 401 : 403).json(invalid);
+        }
+        
+        // User is authenticated, proceed to next middleware
+        next();
+    });
 }
 
 /**
  * Admin authentication middleware
- * Checks if user is logged in AND has admin role
+ * Checks if user is logged in AND has admin role, and has two-factor
+ * authentication set up when the require_admin_2fa setting is on
+ * API tokens also need the admin scope
  */
 function adminMiddleware(req, res, next) {
     // First check basic authentication
@@ -40,21 +239,73 @@ function adminMiddleware(req, res, next) {
             });
         }
         
-        // User is admin, proceed
-        next();
+        if (req.apiToken && !hasScope(req.apiToken.scopes, 'admin')) {
+            return res.status(403).json({
+                error: 'Insufficient scope',
+                message: 'This API token needs the "admin" scope'
+            });
+        }
+        
+        if (req.session.user.twoFactorEnabled) {
+            return next();
+        }
+        
+        const db = getDb();
+        
+        getSetting(db, 'require_admin_2fa', (err, required) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (required) {
+                return res.status(403).json({
+                    error: 'Two-factor authentication required',
+                    message: 'Set up two-factor authentication to use admin features'
+                });
+            }
+            
+            // User is admin, proceed
+            next();
+        });
     });
 }
 
 /**
  * Optional authentication middleware
  * Adds user info if logged in, but doesn't require authentication
+ * A bad API token is still refused rather than treated as signed out
  */
 function optionalAuthMiddleware(req, res, next) {
-    // Add user info if available, but don't block if not authenticated
-    req.currentUser = req.session && req.session.user ? req.session.user : null;
-    next();
+    if (bearerToken(req)) {
+        return authMiddleware(req, res, () => {
+            req.currentUser = req.session.user;
+            next();
+        });
+    }
+    
+    if (!req.session || !req.session.user) {
+        req.currentUser = null;
+        return next();
+    }
+    
+    // Sessions of disabled accounts are treated as signed out
+    refreshSessionUser(req, (err, invalid) => {
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        req.currentUser = invalid ? null : req.session.user;
+        next();
+    });
 }
 
 module.exports = authMiddleware;
 module.exports.admin = adminMiddleware;
-module.exports.optional = optionalAuthMiddleware;
\ No newline at end of file
+module.exports.optional = optionalAuthMiddleware;
+module.exports.accountStatusError = accountStatusError;
+module.exports.isApiTokenRequest = isApiTokenRequest;
+module.exports.identifyApiToken = identifyApiToken;
@@ -0,0 +1,783 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { HEADCOUNT } = require('../utils/guests');
+const { runInSequence } = require('../utils/async');
+const { validatePagination, getPagination, paginationMeta } = require('../utils/pagination');
+const { notify, notifyAttendees, notifyAccount } = require('../utils/notifications');
+const { cancelOccurrences } = require('../utils/series');
+const { audit, formatAuditEntry } = require('../utils/audit');
+const { unlockAccount, unblockIp, listLockouts } = require('../utils/lockout');
+const { disableTwoFactor } = require('../utils/totp');
+const { SETTING_KEYS, getSettings, saveSetting } = require('../utils/settings');
+const { destroyUserSessions } = require('../utils/sessionStore');
+const { transferOwnership } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+const ROLES = ['user', 'admin'];
+const USER_STATUSES = ['active', 'disabled', 'banned'];
+
+// Columns returned for users (never the password hash)
+const USER_COLUMNS = `
+    u.id, u.username, u.email, u.role, u.status, u.status_reason, u.status_changed_at, u.locked_until,
+    u.first_name, u.last_name, u.created_at, u.totp_enabled_at IS NOT NULL as two_factor_enabled,
+    (SELECT COUNT(*) FROM events e WHERE e.created_by = u.id AND e.deleted_at IS NULL) as event_count,
+    (SELECT COUNT(*) FROM rsvps r WHERE r.user_id = u.id) as rsvp_count
+`;
+
+// Validation middleware
+const validateUserSearch = [
+    query('role')
+        .optional()
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    query('status')
+        .optional()
+        .isIn(USER_STATUSES)
+        .withMessage(`Status must be one of: ${USER_STATUSES.join(', ')}`)
+];
+
+const validateRole = [
+    body('role')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const validateStatus = [
+    body('status')
+        .isIn(USER_STATUSES)
+        .withMessage(`Status must be one of: ${USER_STATUSES.join(', ')}`),
+    body('reason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters')
+];
+
+const validateForceCancel = [
+    body('scope')
+        .optional()
+        .isIn(['this', 'following', 'series'])
+        .withMessage('Scope must be this, following, or series'),
+    body('reason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Cancellation reason must be less than 500 characters')
+];
+
+const validateTransfer = [
+    body('userId')
+        .isInt({ min: 1 })
+        .withMessage('Valid user ID is required')
+];
+
+const validateSettings = [
+    body('require_admin_2fa')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('require_admin_2fa must be true or false')
+];
+
+const validateAuditSearch = [
+    query(['userId', 'entityId', 'eventId'])
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('IDs must be positive numbers'),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be valid ISO 8601 dates')
+];
+
+/**
+ * Load a user another admin is about to change
+ * Admins cannot change their own role or status, so there is always an admin left
+ * Sends the error response itself and calls back only on success
+ */
+function withOtherUser(db, userId, admin, res, callback) {
+    if (Number(userId) === admin.id) {
+        db.close();
+        return res.status(400).json({ error: 'You cannot change your own account from the admin API' });
+    }
+    
+    db.get('SELECT id, username, role, status, status_reason FROM users WHERE id = ?', [userId], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!user) {
+            db.close();
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        callback(user);
+    });
+}
+
+/**
+ * Send a user's current details as the response
+ */
+function sendUser(db, userId, res, message) {
+    db.get(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [userId], (err, user) => {
+        db.close();
+        
+        if (err) {
+            console.error('User fetch error:', err);
+            return res.status(500).json({ error: 'User updated but fetch failed' });
+        }
+        
+        res.json({ message, user });
+    });
+}
+
+// List users with search, filters, and pagination (admin only)
+router.get('/users', authMiddleware.admin, validatePagination, validateUserSearch, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const pagination = getPagination(req);
+    const conditions = [];
+    const params = [];
+    
+    if (req.query.search) {
+        conditions.push('(u.username LIKE ? OR u.email LIKE ? OR u.first_name LIKE ? OR u.last_name LIKE ?)');
+        const searchTerm = `%${req.query.search}%`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+    
+    if (req.query.role) {
+        conditions.push('u.role = ?');
+        params.push(req.query.role);
+    }
+    
+    if (req.query.status) {
+        conditions.push('u.status = ?');
+        params.push(req.query.status);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = getDb();
+    
+    db.get(`SELECT COUNT(*) as total FROM users u ${where}`, params, (err, count) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        db.all(
+            `SELECT ${USER_COLUMNS} FROM users u ${where}
+             ORDER BY u.created_at DESC, u.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pagination.limit, pagination.offset],
+            (err, users) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                res.json({
+                    users,
+                    pagination: paginationMeta(pagination, count.total)
+                });
+            }
+        );
+    });
+});
+
+// Get a single user (admin only)
+router.get('/users/:id', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    db.get(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [req.params.id], (err, user) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ user });
+    });
+});
+
+// Promote or demote a user (admin only)
+router.put('/users/:id/role', authMiddleware.admin, validateRole, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    withOtherUser(db, req.params.id, req.session.user, res, (user) => {
+        db.run(
+            'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [req.body.role, user.id],
+            (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to update role' });
+                }
+                
+                audit(req, {
+                    action: 'user.role_change',
+                    entityType: 'user',
+                    entityId: user.id,
+                    before: { role: user.role },
+                    after: { role: req.body.role }
+                });
+                
+                if (user.role === req.body.role) {
+                    return sendUser(db, user.id, res, 'Role updated successfully');
+                }
+                
+                // The user signs in again to pick up their new permissions
+                destroyUserSessions(db, user.id, null, (err) => {
+                    if (err) {
+                        console.error('Session revoke error:', err);
+                    }
+                    sendUser(db, user.id, res, 'Role updated successfully');
+                });
+            }
+        );
+    });
+});
+
+// Disable, ban, or reactivate an account (admin only)
+router.put('/users/:id/status', authMiddleware.admin, validateStatus, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const { status } = req.body;
+    const reason = status === 'active' ? null : (req.body.reason || null);
+    const db = getDb();
+    
+    withOtherUser(db, req.params.id, req.session.user, res, (user) => {
+        if (user.role === 'admin' && status !== 'active') {
+            db.close();
+            return res.status(400).json({ error: 'Demote administrators before disabling their account' });
+        }
+        
+        // Existing sessions are rejected by authMiddleware on their next request
+        db.run(
+            `UPDATE users
+             SET status = ?, status_reason = ?, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [status, reason, user.id],
+            (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to update account status' });
+                }
+                
+                audit(req, {
+                    action: 'user.status_change',
+                    entityType: 'user',
+                    entityId: user.id,
+                    before: { status: user.status, status_reason: user.status_reason },
+                    after: { status, status_reason: reason }
+                });
+                
+                sendUser(db, user.id, res, 'Account status updated successfully');
+            }
+        );
+    });
+});
+
+// Turn off a user's two-factor authentication, e.g. after losing their device (admin only)
+router.delete('/users/:id/2fa', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    withOtherUser(db, req.params.id, req.session.user, res, (user) => {
+        db.get('SELECT id, username, email, first_name, totp_enabled_at FROM users WHERE id = ?', [user.id], (err, details) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!details.totp_enabled_at) {
+                db.close();
+                return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+            }
+            
+            disableTwoFactor(db, user.id, (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+                }
+                
+                notifyAccount(details, 'two_factor_disabled', {});
+                audit(req, { action: 'user.2fa_reset', entityType: 'user', entityId: user.id });
+                
+                sendUser(db, user.id, res, 'Two-factor authentication reset successfully');
+            });
+        });
+    });
+});
+
+// Locked accounts and IPs with many recent failed logins (admin only)
+router.get('/lockouts', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    listLockouts(db, (err, lockouts) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json(lockouts);
+    });
+});
+
+// Lift a lockout from failed logins (admin only)
+router.post('/users/:id/unlock', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    db.get('SELECT id, username, email, locked_until FROM users WHERE id = ?', [req.params.id], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!user) {
+            db.close();
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        unlockAccount(db, user, (err) => {
+            if (err) {
+                db.close();
+                console.error('Update error:', err);
+                return res.status(500).json({ error: 'Failed to unlock account' });
+            }
+            
+            audit(req, {
+                action: 'user.unlock',
+                entityType: 'user',
+                entityId: user.id,
+                before: { locked_until: user.locked_until },
+                after: { locked_until: null }
+            });
+            
+            sendUser(db, user.id, res, 'Account unlocked successfully');
+        });
+    });
+});
+
+// Clear an IP's failed logins, unblocking it (admin only)
+router.delete('/lockouts/ips/:ip', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    unblockIp(db, req.params.ip, (err, cleared) => {
+        db.close();
+        
+        if (err) {
+            console.error('Delete error:', err);
+            return res.status(500).json({ error: 'Failed to unblock IP address' });
+        }
+        
+        if (cleared === 0) {
+            return res.status(404).json({ error: 'No recent failed logins from this IP address' });
+        }
+        
+        audit(req, { action: 'auth.ip_unblock', entityType: 'ip_address', metadata: { ip: req.params.ip, cleared } });
+        
+        res.json({ message: 'IP address unblocked successfully', cleared });
+    });
+});
+
+// Cancel any user's event (admin only)
+router.post('/events/:id/cancel', authMiddleware.admin, validateForceCancel, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const scope = req.body.scope || 'this';
+    const reason = req.body.reason || null;
+    const db = getDb();
+    
+    db.get(
+        `SELECT id, title, location, created_by, series_id, event_date, timezone, status
+         FROM events WHERE id = ? AND deleted_at IS NULL`,
+        [req.params.id],
+        (err, event) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!event) {
+                db.close();
+                return res.status(404).json({ error: 'Event not found' });
+            }
+            
+            if (event.status !== 'active') {
+                db.close();
+                return res.status(400).json({ error: 'Only active events can be cancelled' });
+            }
+            
+            cancelOccurrences(db, event, scope, { reason, userId: req.session.user.id }, (err, cancelledIds) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Cancel error:', err);
+                    return res.status(500).json({ error: 'Failed to cancel event' });
+                }
+                
+                // The organizer hears about it as well as the attendees
+                const data = { event, reason, occurrenceCount: cancelledIds.length };
+                notifyAttendees(cancelledIds, 'event_cancelled', data);
+                notify([event.created_by], 'event_cancelled', data);
+                audit(req, cancelledIds.map(id => ({
+                    action: 'event.cancel',
+                    entityType: 'event',
+                    entityId: id,
+                    eventId: id,
+                    before: { status: 'active' },
+                    after: { status: 'cancelled', cancellation_reason: reason },
+                    metadata: { scope, forced: true }
+                })));
+                
+                res.json({
+                    message: 'Event cancelled successfully',
+                    cancelled_count: cancelledIds.length,
+                    cancellation_reason: reason
+                });
+            });
+        }
+    );
+});
+
+// Transfer an event, or a whole series, to another user (admin only)
+router.put('/events/:id/owner', authMiddleware.admin, validateTransfer, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const newOwnerId = req.body.userId;
+    const db = getDb();
+    
+    db.get(
+        'SELECT id, created_by, series_id FROM events WHERE id = ? AND deleted_at IS NULL',
+        [req.params.id],
+        (err, event) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!event) {
+                db.close();
+                return res.status(404).json({ error: 'Event not found' });
+            }
+            
+            db.get('SELECT id, status FROM users WHERE id = ?', [newOwnerId], (err, owner) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                if (!owner || owner.status !== 'active') {
+                    db.close();
+                    return res.status(400).json({ error: 'New owner must be an active user' });
+                }
+                
+                // Occurrences of a series always share an owner
+                transferOwnership(db, event, owner.id, null, (err, transferred) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Transfer error:', err);
+                        return res.status(500).json({ error: 'Failed to transfer event' });
+                    }
+                    
+                    audit(req, {
+                        action: 'event.transfer',
+                        entityType: 'event',
+                        entityId: event.id,
+                        eventId: event.id,
+                        before: { created_by: event.created_by },
+                        after: { created_by: owner.id },
+                        metadata: { series_id: event.series_id, transferred_count: transferred }
+                    });
+                    
+                    res.json({
+                        message: 'Event ownership transferred successfully',
+                        previous_owner_id: event.created_by,
+                        owner_id: owner.id,
+                        transferred_count: transferred
+                    });
+                });
+            });
+        }
+    );
+});
+
+// Search the audit log, newest first (admin only)
+router.get('/audit', authMiddleware.admin, validatePagination, validateAuditSearch, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const pagination = getPagination(req);
+    const conditions = [];
+    const params = [];
+    
+    // Exact-match filters, keyed by query parameter
+    const filters = {
+        userId: 'a.actor_id = ?',
+        entityType: 'a.entity_type = ?',
+        entityId: 'a.entity_id = ?',
+        eventId: 'a.event_id = ?',
+        action: 'a.action = ?'
+    };
+    
+    Object.keys(filters).forEach(key => {
+        if (req.query[key]) {
+            conditions.push(filters[key]);
+            params.push(req.query[key]);
+        }
+    });
+    
+    if (req.query.from) {
+        conditions.push('datetime(a.created_at) >= datetime(?)');
+        params.push(req.query.from);
+    }
+    
+    if (req.query.to) {
+        conditions.push('datetime(a.created_at) <= datetime(?)');
+        params.push(req.query.to);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = getDb();
+    
+    db.get(`SELECT COUNT(*) as total FROM audit_log a ${where}`, params, (err, count) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        db.all(
+            `SELECT a.* FROM audit_log a ${where}
+             ORDER BY a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pagination.limit, pagination.offset],
+            (err, rows) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                res.json({
+                    entries: rows.map(formatAuditEntry),
+                    pagination: paginationMeta(pagination, count.total)
+                });
+            }
+        );
+    });
+});
+
+// Get runtime settings (admin only)
+router.get('/settings', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    getSettings(db, (err, settings) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ settings });
+    });
+});
+
+// Change runtime settings (admin only)
+router.put('/settings', authMiddleware.admin, validateSettings, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const changes = {};
+    SETTING_KEYS.forEach(key => {
+        if (req.body[key] !== undefined) changes[key] = req.body[key];
+    });
+    
+    // Requiring 2FA without it would lock the admin out of this very API
+    if (changes.require_admin_2fa && !req.session.user.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Set up two-factor authentication on your own account before requiring it for admins' });
+    }
+    
+    const db = getDb();
+    
+    getSettings(db, (err, before) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        runInSequence(Object.keys(changes).map(key => (done) => {
+            saveSetting(db, key, changes[key], req.session.user.id, done);
+        }), (err) => {
+            if (err) {
+                db.close();
+                console.error('Update error:', err);
+                return res.status(500).json({ error: 'Failed to update settings' });
+            }
+            
+            getSettings(db, (err, settings) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Settings updated but fetch failed' });
+                }
+                
+                audit(req, { action: 'settings.update', entityType: 'settings', before, after: settings });
+                
+                res.json({ message: 'Settings updated successfully', settings });
+            });
+        });
+    });
+});
+
+// System-wide statistics (admin only)
+router.get('/stats', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    const stats = {};
+    
+    // Each query fills in one section of the response
+    const section = (key, sql, shape) => (done) => db.all(sql, [], (err, rows) => {
+        if (!err) stats[key] = shape(rows);
+        done(err);
+    });
+    
+    // Turn [{ key, count }] rows into { key: count }
+    const countsBy = (rows) => rows.reduce((counts, row) => ({ ...counts, [row.key]: row.count }), {});
+    
+    runInSequence([
+        section('users', `
+            SELECT COUNT(*) as total,
+                   TOTAL(role = 'admin') as admins,
+                   TOTAL(status = 'active') as active,
+                   TOTAL(status = 'disabled') as disabled,
+                   TOTAL(status = 'banned') as banned,
+                   TOTAL(datetime(created_at) >= datetime('now', '-30 days')) as new_last_30_days
+            FROM users
+        `, rows => rows[0]),
+        section('events', `
+            SELECT COUNT(*) as total,
+                   TOTAL(status = 'active') as active,
+                   TOTAL(status = 'cancelled') as cancelled,
+                   TOTAL(status = 'completed') as completed,
+                   TOTAL(status = 'active' AND datetime(event_date) > datetime('now')) as upcoming,
+                   TOTAL(datetime(created_at) >= datetime('now', '-30 days')) as new_last_30_days
+            FROM events WHERE deleted_at IS NULL
+        `, rows => rows[0]),
+        section('trash', `
+            SELECT COUNT(*) as events FROM events WHERE deleted_at IS NOT NULL
+        `, rows => rows[0]),
+        section('rsvps', `
+            SELECT r.status as key, COUNT(*) as count FROM rsvps r GROUP BY r.status
+        `, countsBy),
+        section('attendance', `
+            SELECT COALESCE(SUM(${HEADCOUNT}), 0) as expected_headcount,
+                   COALESCE(SUM(CASE WHEN r.checked_in_at IS NOT NULL THEN ${HEADCOUNT} END), 0) as checked_in_headcount
+            FROM rsvps r WHERE r.status = 'attending'
+        `, rows => rows[0]),
+        section('invitations', `
+            SELECT COUNT(*) as total,
+                   TOTAL(revoked = 1) as revoked,
+                   TOTAL(accepted_at IS NOT NULL) as accepted
+            FROM invitations
+        `, rows => rows[0]),
+        section('notifications', `
+            SELECT status as key, COUNT(*) as count FROM notification_outbox GROUP BY status
+        `, countsBy),
+        section('jobs', `
+            SELECT name, last_run_at, last_status, last_error, next_run_at FROM scheduled_jobs ORDER BY name
+        `, rows => rows)
+    ], (err) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ stats });
+    });
+});
+
+module.exports = router;
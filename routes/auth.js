@@ -3,11 +3,21 @@ const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { snapshot, audit } = require('../utils/audit');
+const { notify, notifyAccount, notifyForEvent } = require('../utils/notifications');
+const { CLOSED_ACCOUNT_REASON, tokenLifetimeHours, revokeTokens, issueToken, consumeToken, deleteAccount } = require('../utils/account');
+const { checkLoginAllowed, recordLoginFailure, unlockAccount } = require('../utils/lockout');
+const { generateSecret, encryptSecret, decryptSecret, verifyCode, provisioning, replaceRecoveryCodes, verifySecondFactor, disableTwoFactor } = require('../utils/totp');
+const { getSetting } = require('../utils/settings');
+const { revokeAllApiTokens } = require('../utils/apiTokens');
+const { runInSequence } = require('../utils/async');
+const { recordClient, listUserSessions, destroyUserSession, destroyUserSessions } = require('../utils/sessionStore');
 
 const router = express.Router();
 
 // Database connection
-const dbPath = path.join(__dirname, '..', 'database', 'events.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
 
 function getDb() {
     return new sqlite3.Database(dbPath, (err) => {
@@ -47,6 +57,213 @@ const validateLogin = [
         .withMessage('Password is required')
 ];
 
+const validateToken = [
+    body('token')
+        .isLength({ min: 1 })
+        .withMessage('Token is required')
+];
+
+const validateForgotPassword = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+];
+
+const validatePasswordReset = [
+    ...validateToken,
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+const validateProfile = [
+    body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email address'),
+    body('firstName')
+        .optional()
+        .isLength({ min: 1 })
+        .withMessage('First name cannot be empty'),
+    body('lastName')
+        .optional()
+        .isLength({ min: 1 })
+        .withMessage('Last name cannot be empty')
+];
+
+const validatePasswordChange = [
+    body('currentPassword')
+        .isLength({ min: 1 })
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+const validatePasswordConfirmation = [
+    body('password')
+        .isLength({ min: 1 })
+        .withMessage('Please confirm your password')
+];
+
+const validateSecondFactor = [
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .matches(/^\d{6}$/)
+        .withMessage('Enter the 6-digit code from your authenticator app, or a recovery code'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .withMessage('Recovery code must be a string')
+];
+
+const validateTwoFactorCode = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+// How long the second login step may take after the password is accepted
+const PENDING_LOGIN_MS = 5 * 60 * 1000;
+
+// User columns recorded in the audit log for profile changes
+const PROFILE_AUDIT_FIELDS = ['email', 'first_name', 'last_name', 'email_verified_at'];
+
+/**
+ * Email a verification link for the user's current address
+ * Uses its own connection so callers can fire and forget; errors are logged
+ */
+function sendVerificationEmail(user, callback = () => {}) {
+    const db = getDb();
+    
+    issueToken(db, user.id, 'verify_email', user.email, (err, token) => {
+        db.close();
+        
+        if (err) {
+            console.error('Verification token error:', err);
+            return callback(err);
+        }
+        
+        notifyAccount(user, 'verify_email', { token, expiresInHours: tokenLifetimeHours('verify_email') }, callback);
+    });
+}
+
+/**
+ * Load the signed-in user's row if the password is theirs
+ * Calls back with the user, or null when the password is wrong
+ */
+function checkPassword(db, userId, password, callback) {
+    db.get('SELECT * FROM users WHERE id = ?', [userId], async (err, user) => {
+        if (err || !user) return callback(err || null, null);
+        
+        try {
+            const passwordMatch = await bcrypt.compare(password, user.password_hash);
+            callback(null, passwordMatch ? user : null);
+        } catch (bcryptError) {
+            callback(bcryptError);
+        }
+    });
+}
+
+/**
+ * Session data for a signed-in user row
+ */
+function sessionUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: !!user.email_verified_at,
+        twoFactorEnabled: !!user.totp_enabled_at
+    };
+}
+
+/**
+ * Sign the session in once every factor has been checked
+ * Clears the account's failed logins and closes the connection
+ */
+function completeLogin(db, req, res, user, metadata) {
+    unlockAccount(db, user, (err) => {
+        db.close();
+        
+        if (err) {
+            console.error('Login failure tracking error:', err);
+        }
+        
+        // A new session ID, so one planted before login is no use afterwards
+        req.session.regenerate((err) => {
+            if (err) {
+                console.error('Session regenerate error:', err);
+                return res.status(500).json({ error: 'Login failed' });
+            }
+            
+            req.session.user = sessionUser(user);
+            recordClient(req);
+            
+            audit(req, { action: 'auth.login', entityType: 'user', entityId: user.id, metadata });
+            
+            res.json({
+                message: 'Login successful',
+                user: req.session.user
+            });
+        });
+    });
+}
+
+/**
+ * Answer a login attempt refused by checkLoginAllowed, logging it as suspicious
+ */
+function refuseLogin(req, res, attempt, refusal) {
+    console.warn(`⚠️  Login refused (${refusal.reason}) for "${attempt.identifier}" from ${req.ip}`);
+    audit(req, {
+        action: 'auth.login_throttled',
+        entityType: 'user',
+        entityId: attempt.user ? attempt.user.id : null,
+        metadata: { username: attempt.identifier, reason: refusal.reason }
+    });
+    
+    res.set('Retry-After', String(refusal.retryAfter));
+    res.status(429).json(refusal);
+}
+
+/**
+ * Record a wrong password or code, log any lockout it causes, and answer 401
+ * Closes the connection
+ */
+function rejectLogin(db, req, res, attempt, action, error) {
+    recordLoginFailure(db, attempt, (err, result) => {
+        db.close();
+        
+        if (err) {
+            console.error('Login failure tracking error:', err);
+        }
+        
+        const user = attempt.user;
+        const entries = [{
+            action,
+            entityType: 'user',
+            entityId: user ? user.id : null,
+            metadata: { username: attempt.identifier, recent_failures: result ? result.failures : null }
+        }];
+        
+        if (result && result.accountLocked) {
+            console.warn(`⚠️  Account "${user.username}" locked after ${result.failures} failed logins (last from ${req.ip})`);
+            entries.push({ action: 'auth.account_locked', entityType: 'user', entityId: user.id, actor: null });
+        }
+        
+        if (result && result.ipBlocked) {
+            console.warn(`⚠️  ${req.ip} blocked after too many failed logins`);
+            entries.push({ action: 'auth.ip_blocked', entityType: 'ip_address', metadata: { ip: req.ip }, actor: null });
+        }
+        
+        audit(req, entries);
+        res.status(401).json({ error });
+    });
+}
+
 // Register new user
 router.post('/register', validateRegistration, async (req, res) => {
     try {
@@ -58,7 +275,7 @@ router.post('/register', validateRegistration, async (req, res) => {
                 details: errors.array() 
             });
         }
-
+        
         const { username, email, password, firstName, lastName } = req.body;
         
         // Hash password
@@ -103,19 +320,29 @@ router.post('/register', validateRegistration, async (req, res) => {
                                     return res.status(500).json({ error: 'User created but fetch failed' });
                                 }
                                 
-                                // Set session
-                                req.session.user = user;
+                                sendVerificationEmail(user);
+                                
+                                audit(req, {
+                                    action: 'user.register',
+                                    entityType: 'user',
+                                    entityId: user.id,
+                                    after: user
+                                });
                                 
-                                res.status(201).json({
-                                    message: 'User registered successfully',
-                                    user: {
-                                        id: user.id,
-                                        username: user.username,
-                                        email: user.email,
-                                        role: user.role,
-                                        firstName: user.first_name,
-                                        lastName: user.last_name
+                                // Sign in on a new session ID, as for login
+                                req.session.regenerate((err) => {
+                                    if (err) {
+                                        console.error('Session regenerate error:', err);
+                                        return res.status(500).json({ error: 'User created but sign-in failed' });
                                     }
+                                    
+                                    req.session.user = sessionUser(user);
+                                    recordClient(req);
+                                    
+                                    res.status(201).json({
+                                        message: 'User registered successfully',
+                                        user: req.session.user
+                                    });
                                 });
                             }
                         );
@@ -123,7 +350,7 @@ router.post('/register', validateRegistration, async (req, res) => {
                 );
             }
         );
-        
+    
     } catch (error) {
         console.error('Registration error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -141,8 +368,9 @@ router.post('/login', validateLogin, (req, res) => {
                 details: errors.array() 
             });
         }
-
+        
         const { username, password } = req.body;
+        const attempt = { identifier: username, ip: req.ip };
         
         const db = getDb();
         
@@ -150,79 +378,963 @@ router.post('/login', validateLogin, (req, res) => {
         db.get(
             'SELECT * FROM users WHERE username = ? OR email = ?',
             [username, username],
-            async (err, user) => {
-                db.close();
-                
+            (err, user) => {
                 if (err) {
+                    db.close();
                     console.error('Database error:', err);
                     return res.status(500).json({ error: 'Database error' });
                 }
                 
-                if (!user) {
-                    return res.status(401).json({ error: 'Invalid username or password' });
-                }
+                attempt.user = user;
                 
-                // Check password
-                try {
-                    const passwordMatch = await bcrypt.compare(password, user.password_hash);
-                    
-                    if (!passwordMatch) {
-                        return res.status(401).json({ error: 'Invalid username or password' });
+                // Throttled and locked out attempts never get as far as the password
+                checkLoginAllowed(db, attempt, async (err, refusal) => {
+                    if (err) {
+                        db.close();
+                        console.error('Database error:', err);
+                        return res.status(500).json({ error: 'Database error' });
                     }
                     
-                    // Set session
-                    req.session.user = {
-                        id: user.id,
-                        username: user.username,
-                        email: user.email,
-                        role: user.role,
-                        firstName: user.first_name,
-                        lastName: user.last_name
-                    };
+                    if (refusal) {
+                        db.close();
+                        return refuseLogin(req, res, attempt, refusal);
+                    }
                     
-                    res.json({
-                        message: 'Login successful',
-                        user: req.session.user
-                    });
+                    // Check password
+                    try {
+                        const passwordMatch = user && await bcrypt.compare(password, user.password_hash);
+                        
+                        if (!passwordMatch) {
+                            return rejectLogin(db, req, res, attempt, 'auth.login_failed', 'Invalid username or password');
+                        }
+                        
+                        // Disabled and banned accounts cannot sign in
+                        const statusError = authMiddleware.accountStatusError(user);
+                        if (statusError) {
+                            db.close();
+                            audit(req, {
+                                action: 'auth.login_blocked',
+                                entityType: 'user',
+                                entityId: user.id,
+                                metadata: { status: user.status }
+                            });
+                            return res.status(403).json(statusError);
+                        }
+                        
+                        // The session is only signed in once the second factor checks out
+                        if (user.totp_enabled_at) {
+                            db.close();
+                            
+                            // The half-signed-in session gets a new ID too, and another on completion
+                            return req.session.regenerate((err) => {
+                                if (err) {
+                                    console.error('Session regenerate error:', err);
+                                    return res.status(500).json({ error: 'Login failed' });
+                                }
+                                
+                                req.session.pendingLogin = { userId: user.id, expiresAt: Date.now() + PENDING_LOGIN_MS };
+                                
+                                res.json({
+                                    message: 'Enter the code from your authenticator app, or a recovery code',
+                                    twoFactorRequired: true
+                                });
+                            });
+                        }
+                        
+                        completeLogin(db, req, res, user, {});
                     
-                } catch (bcryptError) {
-                    console.error('Password comparison error:', bcryptError);
-                    res.status(500).json({ error: 'Authentication error' });
-                }
+                    } catch (bcryptError) {
+                        db.close();
+                        console.error('Password comparison error:', bcryptError);
+                        res.status(500).json({ error: 'Authentication error' });
+                    }
+                });
             }
         );
-        
+    
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', validateSecondFactor, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const pending = req.session.pendingLogin;
+    
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingLogin;
+        return res.status(401).json({ error: 'Login expired', message: 'Please log in with your password again' });
+    }
+    
+    const db = getDb();
+    
+    db.get('SELECT * FROM users WHERE id = ?', [pending.userId], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!user || authMiddleware.accountStatusError(user)) {
+            db.close();
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Login expired', message: 'Please log in with your password again' });
+        }
+        
+        // Guessing codes counts towards the same limits as guessing passwords
+        const attempt = { identifier: user.username, user, ip: req.ip };
+        
+        checkLoginAllowed(db, attempt, (err, refusal) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (refusal) {
+                db.close();
+                return refuseLogin(req, res, attempt, refusal);
+            }
+            
+            verifySecondFactor(db, user, req.body, (err, method) => {
+                if (err) {
+                    db.close();
+                    console.error('Two-factor check error:', err);
+                    return res.status(500).json({ error: 'Authentication error' });
+                }
+                
+                if (!method) {
+                    return rejectLogin(db, req, res, attempt, 'auth.2fa_failed', 'Invalid authentication code');
+                }
+                
+                completeLogin(db, req, res, user, { method });
+            });
+        });
+    });
+});
+
 // Logout user
 router.post('/logout', (req, res) => {
+    const user = req.session.user;
+    
     req.session.destroy((err) => {
         if (err) {
             console.error('Session destroy error:', err);
             return res.status(500).json({ error: 'Logout failed' });
         }
+        
+        if (user) {
+            audit(req, { action: 'auth.logout', entityType: 'user', entityId: user.id, actor: user });
+        }
         res.json({ message: 'Logout successful' });
     });
 });
 
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', validateToken, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    consumeToken(db, req.body.token, 'verify_email', (err, token) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!token) {
+            db.close();
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+        
+        // Links sent before an email change are for the old address
+        if (token.email !== token.current_email) {
+            db.close();
+            return res.status(400).json({ error: 'This verification link is for an email address no longer on the account' });
+        }
+        
+        db.run(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [token.user_id],
+            (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to verify email address' });
+                }
+                
+                audit(req, {
+                    action: 'user.verify_email',
+                    entityType: 'user',
+                    entityId: token.user_id,
+                    metadata: { email: token.email },
+                    actor: { id: token.user_id, username: token.username }
+                });
+                
+                res.json({ message: 'Email address verified successfully' });
+            }
+        );
+    });
+});
+
+// Send a new verification email (authenticated)
+router.post('/resend-verification', authMiddleware, (req, res) => {
+    const user = req.session.user;
+    
+    if (user.emailVerified) {
+        return res.status(400).json({ error: 'Email address is already verified' });
+    }
+    
+    sendVerificationEmail({ id: user.id, email: user.email, username: user.username, first_name: user.firstName }, (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to send verification email' });
+        }
+        
+        res.json({ message: 'Verification email sent' });
+    });
+});
+
+// Email a password reset link
+router.post('/forgot-password', validateForgotPassword, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    // Same answer whether or not the address has an account
+    const message = 'If an account exists for that email address, a password reset link has been sent';
+    const db = getDb();
+    
+    db.get(
+        'SELECT id, username, email, first_name, status FROM users WHERE email = ?',
+        [req.body.email],
+        (err, user) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!user || user.status !== 'active') {
+                db.close();
+                return res.json({ message });
+            }
+            
+            issueToken(db, user.id, 'reset_password', user.email, (err, token) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Reset token error:', err);
+                    return res.status(500).json({ error: 'Failed to start password reset' });
+                }
+                
+                notifyAccount(user, 'reset_password', { token, expiresInHours: tokenLifetimeHours('reset_password') });
+                audit(req, {
+                    action: 'auth.password_reset_requested',
+                    entityType: 'user',
+                    entityId: user.id,
+                    actor: null
+                });
+                
+                res.json({ message });
+            });
+        }
+    );
+});
+
+// Choose a new password with the token from the reset email
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+        
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+        const db = getDb();
+        
+        consumeToken(db, req.body.token, 'reset_password', (err, token) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!token) {
+                db.close();
+                return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+            }
+            
+            const statusError = authMiddleware.accountStatusError(token);
+            if (statusError) {
+                db.close();
+                return res.status(403).json(statusError);
+            }
+            
+            // Following the emailed link also proves the address is theirs
+            db.run(
+                `UPDATE users
+                 SET password_hash = ?,
+                     email_verified_at = CASE WHEN email = ? THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END
+                 WHERE id = ?`,
+                [passwordHash, token.email, token.user_id],
+                (err) => {
+                    if (err) {
+                        db.close();
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to reset password' });
+                    }
+                    
+                    const user = { id: token.user_id, email: token.current_email, username: token.username, first_name: token.first_name };
+                    
+                    // The new password also lifts any lockout from failed logins, and
+                    // sessions and API tokens are revoked in case the account was compromised
+                    runInSequence([
+                        (done) => revokeTokens(db, user.id, 'reset_password', done),
+                        (done) => revokeAllApiTokens(db, user.id, done),
+                        (done) => destroyUserSessions(db, user.id, null, done)
+                    ], (err) => {
+                        if (err) {
+                            console.error('Token revoke error:', err);
+                        }
+                        
+                        unlockAccount(db, user, (err) => {
+                            db.close();
+                            
+                            if (err) {
+                                console.error('Login failure tracking error:', err);
+                            }
+                            
+                            notifyAccount(user, 'password_changed', {});
+                            audit(req, {
+                                action: 'auth.password_reset',
+                                entityType: 'user',
+                                entityId: user.id,
+                                actor: user
+                            });
+                            
+                            res.json({ message: 'Password reset successfully. You can now log in with your new password' });
+                        });
+                    });
+                }
+            );
+        });
+    
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update name or email address (authenticated; changing email needs the current password)
+router.put('/profile', authMiddleware, validateProfile, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], async (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        const email = req.body.email !== undefined ? req.body.email : user.email;
+        const emailChanged = email.toLowerCase() !== user.email.toLowerCase();
+        
+        if (emailChanged) {
+            try {
+                const passwordMatch = req.body.currentPassword
+                    && await bcrypt.compare(req.body.currentPassword, user.password_hash);
+                
+                if (!passwordMatch) {
+                    db.close();
+                    return res.status(403).json({ error: 'Your current password is required to change your email address' });
+                }
+            } catch (bcryptError) {
+                db.close();
+                console.error('Password comparison error:', bcryptError);
+                return res.status(500).json({ error: 'Authentication error' });
+            }
+        }
+        
+        const updated = {
+            ...user,
+            email,
+            first_name: req.body.firstName !== undefined ? req.body.firstName : user.first_name,
+            last_name: req.body.lastName !== undefined ? req.body.lastName : user.last_name,
+            email_verified_at: emailChanged ? null : user.email_verified_at
+        };
+        
+        db.get('SELECT id FROM users WHERE LOWER(email) = LOWER(?) AND id != ?', [email, user.id], (err, taken) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (taken) {
+                db.close();
+                return res.status(409).json({ error: 'Email already in use' });
+            }
+            
+            db.run(
+                'UPDATE users SET email = ?, first_name = ?, last_name = ?, email_verified_at = ? WHERE id = ?',
+                [updated.email, updated.first_name, updated.last_name, updated.email_verified_at, user.id],
+                (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to update profile' });
+                    }
+                    
+                    // A new address has to be verified again
+                    if (emailChanged) {
+                        sendVerificationEmail(updated);
+                    }
+                    
+                    Object.assign(req.session.user, {
+                        email: updated.email,
+                        firstName: updated.first_name,
+                        lastName: updated.last_name,
+                        emailVerified: !!updated.email_verified_at
+                    });
+                    
+                    audit(req, {
+                        action: 'user.update',
+                        entityType: 'user',
+                        entityId: user.id,
+                        before: snapshot(user, PROFILE_AUDIT_FIELDS),
+                        after: snapshot(updated, PROFILE_AUDIT_FIELDS)
+                    });
+                    
+                    res.json({
+                        message: emailChanged
+                            ? 'Profile updated. Check your inbox to verify your new email address'
+                            : 'Profile updated successfully',
+                        user: req.session.user
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Change password (authenticated; needs the current password)
+router.put('/password', authMiddleware, validatePasswordChange, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    checkPassword(db, req.session.user.id, req.body.currentPassword, async (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Password check error:', err);
+            return res.status(500).json({ error: 'Authentication error' });
+        }
+        
+        if (!user) {
+            db.close();
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+        
+        try {
+            const passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+            
+            db.run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, user.id], (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to change password' });
+                }
+                
+                // Reset links sent before the change stop working, and other
+                // sessions are signed out
+                runInSequence([
+                    (done) => revokeTokens(db, user.id, 'reset_password', done),
+                    (done) => destroyUserSessions(db, user.id, req.sessionID, done)
+                ], (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Revoke error:', err);
+                    }
+                    
+                    notifyAccount(user, 'password_changed', {});
+                    audit(req, { action: 'auth.password_change', entityType: 'user', entityId: user.id });
+                    
+                    res.json({ message: 'Password changed successfully' });
+                });
+            });
+        } catch (bcryptError) {
+            db.close();
+            console.error('Password hashing error:', bcryptError);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+});
+
+// Delete the signed-in account (authenticated; needs the password)
+router.delete('/account', authMiddleware, validatePasswordConfirmation, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    checkPassword(db, req.session.user.id, req.body.password, (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Password check error:', err);
+            return res.status(500).json({ error: 'Authentication error' });
+        }
+        
+        if (!user) {
+            db.close();
+            return res.status(403).json({ error: 'Password is incorrect' });
+        }
+        
+        db.get(
+            "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND status = 'active' AND id != ?",
+            [user.id],
+            (err, admins) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                if (user.role === 'admin' && admins.count === 0) {
+                    db.close();
+                    return res.status(400).json({ error: 'Make another user an admin before deleting the last admin account' });
+                }
+                
+                deleteAccount(db, user.id, (err, result) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Account deletion error:', err);
+                        return res.status(500).json({ error: 'Failed to delete account' });
+                    }
+                    
+                    result.handovers.forEach(({ event, userId }) => notify([userId], 'event_role_assigned', { event, role: 'owner', assignedBy: user.username }));
+                    result.cancelled.forEach(({ event, userIds }) => notify(userIds, 'event_cancelled', { event, reason: CLOSED_ACCOUNT_REASON }));
+                    result.promotions.forEach(({ eventId, userIds }) => notifyForEvent(userIds, 'waitlist_promoted', eventId));
+                    notifyAccount({ ...user, id: null }, 'account_deleted', {});
+                    
+                    audit(req, {
+                        action: 'user.delete',
+                        entityType: 'user',
+                        entityId: user.id,
+                        before: snapshot(user, ['username', 'email', 'role', 'first_name', 'last_name']),
+                        metadata: {
+                            handed_over_event_ids: result.handovers.map(({ event }) => event.id),
+                            cancelled_event_ids: result.cancelled.map(({ event }) => event.id)
+                        },
+                        actor: user
+                    });
+                    
+                    req.session.destroy((err) => {
+                        if (err) {
+                            console.error('Session destroy error:', err);
+                        }
+                        
+                        res.json({
+                            message: 'Account deleted successfully',
+                            handed_over_events: result.handovers.length,
+                            cancelled_events: result.cancelled.length
+                        });
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Two-factor authentication status (authenticated)
+router.get('/2fa', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    db.get(`
+        SELECT u.totp_enabled_at,
+               (SELECT COUNT(*) FROM recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) as recovery_codes_remaining
+        FROM users u WHERE u.id = ?
+    `, [req.session.user.id], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        getSetting(db, 'require_admin_2fa', (err, requiredForAdmins) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({
+                enabled: !!user.totp_enabled_at,
+                enabled_at: user.totp_enabled_at,
+                recovery_codes_remaining: user.totp_enabled_at ? user.recovery_codes_remaining : 0,
+                required: requiredForAdmins && req.session.user.role === 'admin'
+            });
+        });
+    });
+});
+
+// Start setting up two-factor authentication (authenticated)
+// Returns the secret as text, an otpauth:// URI, and a QR code to scan
+router.post('/2fa/setup', authMiddleware, (req, res) => {
+    if (req.session.user.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    const db = getDb();
+    
+    // Nothing changes for logins until the first code is confirmed
+    db.run(
+        'UPDATE users SET totp_pending_secret = ? WHERE id = ?',
+        [encryptSecret(secret), req.session.user.id],
+        (err) => {
+            db.close();
+            
+            if (err) {
+                console.error('Update error:', err);
+                return res.status(500).json({ error: 'Failed to start two-factor setup' });
+            }
+            
+            provisioning(secret, req.session.user.email, (err, setup) => {
+                if (err) {
+                    console.error('QR code error:', err);
+                    return res.status(500).json({ error: 'Failed to generate QR code' });
+                }
+                
+                res.json({
+                    message: 'Scan the QR code with your authenticator app, then confirm with the code it shows',
+                    secret: setup.secret,
+                    otpauth_url: setup.uri,
+                    qr_code: setup.qrCode
+                });
+            });
+        }
+    );
+});
+
+// Turn on two-factor authentication with a first code from the app (authenticated)
+// Returns recovery codes, which are only shown this once
+router.post('/2fa/confirm', authMiddleware, validateTwoFactorCode, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    db.get('SELECT id, totp_pending_secret, totp_enabled_at FROM users WHERE id = ?', [req.session.user.id], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (user.totp_enabled_at) {
+            db.close();
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        
+        if (!user.totp_pending_secret) {
+            db.close();
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+        
+        const counter = verifyCode(decryptSecret(user.totp_pending_secret), req.body.code, null);
+        if (counter === null) {
+            db.close();
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+        
+        db.run(
+            `UPDATE users
+             SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+                 totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = ?
+             WHERE id = ?`,
+            [counter, user.id],
+            (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+                }
+                
+                replaceRecoveryCodes(db, user.id, (err, recoveryCodes) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Recovery code error:', err);
+                        return res.status(500).json({ error: 'Two-factor authentication enabled but recovery codes failed' });
+                    }
+                    
+                    req.session.user.twoFactorEnabled = true;
+                    audit(req, { action: 'user.2fa_enable', entityType: 'user', entityId: user.id });
+                    
+                    res.json({
+                        message: 'Two-factor authentication enabled. Keep these recovery codes somewhere safe',
+                        recovery_codes: recoveryCodes
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Replace recovery codes, confirming with a code from the app (authenticated)
+router.post('/2fa/recovery-codes', authMiddleware, validateTwoFactorCode, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        verifySecondFactor(db, user, { code: req.body.code }, (err, method) => {
+            if (err) {
+                db.close();
+                console.error('Two-factor check error:', err);
+                return res.status(500).json({ error: 'Authentication error' });
+            }
+            
+            if (!method) {
+                db.close();
+                return res.status(403).json({ error: 'Invalid authentication code' });
+            }
+            
+            replaceRecoveryCodes(db, user.id, (err, recoveryCodes) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Recovery code error:', err);
+                    return res.status(500).json({ error: 'Failed to create recovery codes' });
+                }
+                
+                audit(req, { action: 'user.2fa_recovery_codes', entityType: 'user', entityId: user.id });
+                
+                res.json({
+                    message: 'New recovery codes created. The old ones no longer work',
+                    recovery_codes: recoveryCodes
+                });
+            });
+        });
+    });
+});
+
+// Turn off two-factor authentication (authenticated; needs the password and a code)
+router.delete('/2fa', authMiddleware, validatePasswordConfirmation, validateSecondFactor, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const db = getDb();
+    
+    checkPassword(db, req.session.user.id, req.body.password, (err, user) => {
+        if (err) {
+            db.close();
+            console.error('Password check error:', err);
+            return res.status(500).json({ error: 'Authentication error' });
+        }
+        
+        if (!user) {
+            db.close();
+            return res.status(403).json({ error: 'Password is incorrect' });
+        }
+        
+        getSetting(db, 'require_admin_2fa', (err, requiredForAdmins) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (requiredForAdmins && user.role === 'admin') {
+                db.close();
+                return res.status(400).json({ error: 'Two-factor authentication is required for admins' });
+            }
+            
+            verifySecondFactor(db, user, req.body, (err, method) => {
+                if (err) {
+                    db.close();
+                    console.error('Two-factor check error:', err);
+                    return res.status(500).json({ error: 'Authentication error' });
+                }
+                
+                if (!method) {
+                    db.close();
+                    return res.status(403).json({ error: 'Invalid authentication code' });
+                }
+                
+                disableTwoFactor(db, user.id, (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+                    }
+                    
+                    req.session.user.twoFactorEnabled = false;
+                    notifyAccount(user, 'two_factor_disabled', {});
+                    audit(req, { action: 'user.2fa_disable', entityType: 'user', entityId: user.id, metadata: { method } });
+                    
+                    res.json({ message: 'Two-factor authentication disabled' });
+                });
+            });
+        });
+    });
+});
+
+// List your signed-in sessions (authenticated)
+router.get('/sessions', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    listUserSessions(db, req.session.user.id, req.sessionID, (err, sessions) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ sessions });
+    });
+});
+
+// Sign out all your other sessions (authenticated)
+router.delete('/sessions', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    destroyUserSessions(db, req.session.user.id, req.sessionID, (err, revoked) => {
+        db.close();
+        
+        if (err) {
+            console.error('Delete error:', err);
+            return res.status(500).json({ error: 'Failed to sign out other sessions' });
+        }
+        
+        audit(req, { action: 'auth.sessions_revoke', entityType: 'user', entityId: req.session.user.id, metadata: { revoked } });
+        
+        res.json({ message: 'Signed out of all other sessions', revoked });
+    });
+});
+
+// Sign out one of your sessions (authenticated; use logout for the current one)
+router.delete('/sessions/:id', authMiddleware, (req, res) => {
+    const db = getDb();
+    const userId = req.session.user.id;
+    
+    db.get('SELECT id FROM sessions WHERE id = ? AND sid = ?', [req.params.id, req.sessionID], (err, current) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (current) {
+            db.close();
+            return res.status(400).json({ error: 'Use logout to sign out of the current session' });
+        }
+        
+        destroyUserSession(db, userId, req.params.id, (err, destroyed) => {
+            db.close();
+            
+            if (err) {
+                console.error('Delete error:', err);
+                return res.status(500).json({ error: 'Failed to sign out session' });
+            }
+            
+            if (!destroyed) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            
+            audit(req, { action: 'auth.session_revoke', entityType: 'user', entityId: userId, metadata: { session_id: Number(req.params.id) } });
+            
+            res.json({ message: 'Session signed out' });
+        });
+    });
+});
+
 // Get current user session
-router.get('/me', (req, res) => {
-    if (req.session.user) {
-        res.json({ user: req.session.user });
+router.get('/me', authMiddleware.optional, (req, res) => {
+    if (req.currentUser) {
+        res.json({ user: req.currentUser });
     } else {
         res.status(401).json({ error: 'Not authenticated' });
     }
 });
 
 // Check authentication status
-router.get('/status', (req, res) => {
+router.get('/status', authMiddleware.optional, (req, res) => {
     res.json({ 
-        authenticated: !!req.session.user,
-        user: req.session.user || null
+        authenticated: !!req.currentUser,
+        user: req.currentUser,
+        twoFactorPending: !req.currentUser && !!req.session.pendingLogin
     });
 });
 
@@ -0,0 +1,241 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const { slugify, listCategories } = require('../utils/categories');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+// Validation middleware
+const validateCategory = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Category name must be between 2 and 50 characters')
+        .bail()
+        .custom(name => slugify(name) !== '')
+        .withMessage('Category name must include letters or numbers'),
+    body('description')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Description cannot exceed 255 characters')
+];
+
+/**
+ * Load a category for an admin to change
+ * Sends the error response itself and calls back only on success
+ */
+function withCategoryRow(db, categoryId, res, callback) {
+    db.get('SELECT * FROM categories WHERE id = ?', [categoryId], (err, category) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!category) {
+            db.close();
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        callback(category);
+    });
+}
+
+/**
+ * Check no other category has the same name or slug
+ * Sends the error response itself and calls back only on success
+ */
+function withUniqueName(db, name, exceptId, res, callback) {
+    db.get(
+        'SELECT id FROM categories WHERE (name = ? OR slug = ?) AND id != ?',
+        [name, slugify(name), exceptId || 0],
+        (err, existing) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (existing) {
+                db.close();
+                return res.status(409).json({ error: 'A category with this name already exists' });
+            }
+            
+            callback();
+        }
+    );
+}
+
+// List categories with their number of active events (public)
+router.get('/', (req, res) => {
+    const db = getDb();
+    
+    listCategories(db, (err, categories) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ categories });
+    });
+});
+
+// Create a category (admin only)
+router.post('/', authMiddleware.admin, validateCategory, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const { name } = req.body;
+    const description = req.body.description || null;
+    const db = getDb();
+    
+    withUniqueName(db, name, null, res, () => {
+        db.run(
+            'INSERT INTO categories (name, slug, description) VALUES (?, ?, ?)',
+            [name, slugify(name), description],
+            function(err) {
+                if (err) {
+                    db.close();
+                    console.error('Insert error:', err);
+                    return res.status(500).json({ error: 'Failed to create category' });
+                }
+                
+                const categoryId = this.lastID;
+                
+                db.get('SELECT * FROM categories WHERE id = ?', [categoryId], (err, category) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Category fetch error:', err);
+                        return res.status(500).json({ error: 'Category created but fetch failed' });
+                    }
+                    
+                    audit(req, {
+                        action: 'category.create',
+                        entityType: 'category',
+                        entityId: categoryId,
+                        after: { name: category.name, slug: category.slug, description: category.description }
+                    });
+                    
+                    res.status(201).json({ message: 'Category created successfully', category });
+                });
+            }
+        );
+    });
+});
+
+// Rename or describe a category (admin only)
+// The slug follows the name, so links using the old slug stop working
+router.put('/:id', authMiddleware.admin, validateCategory, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const { name } = req.body;
+    const description = req.body.description || null;
+    const db = getDb();
+    
+    withCategoryRow(db, req.params.id, res, (before) => withUniqueName(db, name, before.id, res, () => {
+        db.run(
+            `UPDATE categories SET name = ?, slug = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, slugify(name), description, before.id],
+            (err) => {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to update category' });
+                }
+                
+                db.get('SELECT * FROM categories WHERE id = ?', [before.id], (err, category) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Category fetch error:', err);
+                        return res.status(500).json({ error: 'Category updated but fetch failed' });
+                    }
+                    
+                    audit(req, {
+                        action: 'category.update',
+                        entityType: 'category',
+                        entityId: category.id,
+                        before: { name: before.name, slug: before.slug, description: before.description },
+                        after: { name: category.name, slug: category.slug, description: category.description }
+                    });
+                    
+                    res.json({ message: 'Category updated successfully', category });
+                });
+            }
+        );
+    }));
+});
+
+// Delete a category; its events are left without one (admin only)
+router.delete('/:id', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    withCategoryRow(db, req.params.id, res, (category) => {
+        db.run(
+            'UPDATE events SET category_id = NULL WHERE category_id = ?',
+            [category.id],
+            function(err) {
+                if (err) {
+                    db.close();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to delete category' });
+                }
+                
+                const uncategorized = this.changes;
+                
+                db.run('DELETE FROM categories WHERE id = ?', [category.id], (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Delete error:', err);
+                        return res.status(500).json({ error: 'Failed to delete category' });
+                    }
+                    
+                    audit(req, {
+                        action: 'category.delete',
+                        entityType: 'category',
+                        entityId: category.id,
+                        before: { name: category.name, slug: category.slug, description: category.description },
+                        metadata: { events_uncategorized: uncategorized }
+                    });
+                    
+                    res.json({ message: 'Category deleted successfully', events_uncategorized: uncategorized });
+                });
+            }
+        );
+    });
+});
+
+module.exports = router;
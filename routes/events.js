@@ -1,13 +1,35 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const authMiddleware = require('../middleware/auth');
+const { nextWaitlistPosition, promoteWaitlist } = require('../utils/waitlist');
+const { FREQUENCIES, WEEKDAYS, MAX_OCCURRENCES, expandRecurrence } = require('../utils/recurrence');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+const { VISIBILITIES, visibilityClause } = require('../utils/access');
+const { HEADCOUNT, headcount, formatGuests } = require('../utils/guests');
+const { QUESTION_TYPES, CHOICE_TYPES, getQuestions, syncQuestions, summarizeAnswers } = require('../utils/questions');
+const { toCsvRow } = require('../utils/csv');
+const { runInSequence, runInTransaction } = require('../utils/async');
+const { readImportRows, validateRows, isDryRun } = require('../utils/import');
+const { parseTicketCode, verifyTicketCode } = require('../utils/tickets');
+const { notify, notifyForEvent, notifyAttendees } = require('../utils/notifications');
+const { DROPPED_OCCURRENCE_REASON, insertSeries, insertOccurrences, addExclusion, removeExclusion, updateSeries, cancelOccurrences } = require('../utils/series');
+const { trashRetentionDays } = require('../utils/jobs');
+const { snapshot, audit, auditPromotions, formatAuditEntry } = require('../utils/audit');
+const { MEMBER_ROLES, can, eventRole, withEventPermission, listMembers, setMember, removeMember, transferOwnership } = require('../utils/permissions');
+const { validatePagination, getPagination, paginationMeta } = require('../utils/pagination');
+const { ATTENDING_COUNT, validateEventFilters, filterConditions, orderClause } = require('../utils/eventFilters');
+const { formatSearchResult } = require('../utils/search');
+const { MAX_TAGS, MAX_TAG_LENGTH, TAGS_COLUMN, isValidTag, normalizeTags, formatTags, setTags, listFollowedTags } = require('../utils/tags');
+const { CATEGORY_COLUMNS, withCategory, checkRowCategories } = require('../utils/categories');
+const { DEFAULT_TIMEZONE, isValidTimeZone, toUtc, endTime, eventDuration, hasStarted, formatEventTimes } = require('../utils/timezones');
+const { rsvpWindow, windowOffsets, windowTimes, settingColumn } = require('../utils/rsvpWindow');
 
 const router = express.Router();
 
 // Database connection
-const dbPath = path.join(__dirname, '..', 'database', 'events.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
 
 function getDb() {
     return new sqlite3.Database(dbPath, (err) => {
@@ -17,6 +39,37 @@ function getDb() {
     });
 }
 
+/**
+ * Sanitizer for event times: times without an offset are read in the
+ * event's timezone and stored in UTC. Without a timezone in the request,
+ * that is the zone of the event being updated (see loadStoredTimezone), or UTC
+ */
+function toEventTime(value, { req }) {
+    const timezone = isValidTimeZone(req.body.timezone) ? req.body.timezone : (req.storedTimezone || DEFAULT_TIMEZONE);
+    return toUtc(value, timezone);
+}
+
+/**
+ * Middleware for updates: remember the event's current timezone, so times
+ * sent without an offset or a timezone keep meaning local time there
+ * A missing event is left for the route to report
+ */
+function loadStoredTimezone(req, res, next) {
+    const db = getDb();
+    
+    db.get('SELECT timezone FROM events WHERE id = ?', [req.params.id], (err, event) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        req.storedTimezone = event ? event.timezone : null;
+        next();
+    });
+}
+
 // Validation middleware
 const validateEvent = [
     body('title')
@@ -26,99 +79,1371 @@ const validateEvent = [
         .optional()
         .isLength({ max: 1000 })
         .withMessage('Description cannot exceed 1000 characters'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('Timezone must be an IANA timezone name, e.g. Europe/Berlin'),
     body('eventDate')
         .isISO8601()
         .withMessage('Event date must be a valid date')
+        .bail()
+        .customSanitizer(toEventTime)
         .custom((value) => {
+            if (!value) {
+                throw new Error('Event date must be a valid date');
+            }
             if (new Date(value) <= new Date()) {
                 throw new Error('Event date must be in the future');
             }
             return true;
         }),
+    body('endDate')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('End date must be a valid date')
+        .bail()
+        .customSanitizer(toEventTime)
+        .custom((value, { req }) => {
+            if (!value) {
+                throw new Error('End date must be a valid date');
+            }
+            if (new Date(value) <= new Date(req.body.eventDate)) {
+                throw new Error('End date must be after the event date');
+            }
+            return true;
+        }),
+    body('rsvpOpensAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('RSVP opening time must be a valid date')
+        .bail()
+        .customSanitizer(toEventTime)
+        .custom((value, { req }) => {
+            if (!value) {
+                throw new Error('RSVP opening time must be a valid date');
+            }
+            if (new Date(value) >= new Date(req.body.eventDate)) {
+                throw new Error('RSVPs must open before the event starts');
+            }
+            return true;
+        }),
+    body('rsvpDeadline')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('RSVP deadline must be a valid date')
+        .bail()
+        .customSanitizer(toEventTime)
+        .custom((value, { req }) => {
+            if (!value) {
+                throw new Error('RSVP deadline must be a valid date');
+            }
+            if (new Date(value) > new Date(req.body.eventDate)) {
+                throw new Error('The RSVP deadline cannot be after the event starts');
+            }
+            if (req.body.rsvpOpensAt && new Date(value) <= new Date(req.body.rsvpOpensAt)) {
+                throw new Error('The RSVP deadline must be after RSVPs open');
+            }
+            return true;
+        }),
+    body('lockRsvpsAfterDeadline')
+        .optional()
+        .isBoolean()
+        .withMessage('lockRsvpsAfterDeadline must be true or false')
+        .toBoolean(),
+    body('requireRsvpApproval')
+        .optional()
+        .isBoolean()
+        .withMessage('requireRsvpApproval must be true or false')
+        .toBoolean(),
     body('location')
         .isLength({ min: 1 })
         .withMessage('Location is required'),
     body('maxAttendees')
         .optional()
         .isInt({ min: 1 })
-        .withMessage('Max attendees must be a positive number')
+        .withMessage('Max attendees must be a positive number'),
+    body('maxGuestsPerRsvp')
+        .optional()
+        .isInt({ min: 0, max: 20 })
+        .withMessage('Max guests per RSVP must be between 0 and 20'),
+    body('visibility')
+        .optional()
+        .isIn(VISIBILITIES)
+        .withMessage('Visibility must be public, unlisted, or invite_only'),
+    body('categoryId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Category must be a valid category ID')
+        .toInt(),
+    body('tags')
+        .optional()
+        // CSV imports give tags as one comma-separated cell
+        .customSanitizer(value => typeof value === 'string' ? value.split(',').filter(tag => tag.trim()) : value)
+        .isArray({ max: MAX_TAGS })
+        .withMessage(`Tags must be a list of at most ${MAX_TAGS} tags`)
+        .bail()
+        .customSanitizer(normalizeTags)
+        .custom(tags => tags.every(isValidTag))
+        .withMessage(`Tags can only use letters, numbers, and hyphens, up to ${MAX_TAG_LENGTH} characters`)
+];
+
+const validateRecurrence = [
+    body('recurrence')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Recurrence must be an object'),
+    body('recurrence.frequency')
+        .if(body('recurrence').exists({ values: 'null' }))
+        .isIn(FREQUENCIES)
+        .withMessage('Recurrence frequency must be daily, weekly, or monthly'),
+    body('recurrence.interval')
+        .optional()
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Recurrence interval must be between 1 and 99'),
+    body('recurrence.byWeekday')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Recurrence weekdays must be a non-empty list')
+        .custom((value, { req }) => {
+            if (req.body.recurrence.frequency !== 'weekly') {
+                throw new Error('Recurrence weekdays are only supported for weekly events');
+            }
+            if (!value.every(day => WEEKDAYS.includes(day))) {
+                throw new Error(`Recurrence weekdays must be one of ${WEEKDAYS.join(', ')}`);
+            }
+            return true;
+        }),
+    body('recurrence.until')
+        .optional()
+        .isISO8601()
+        .withMessage('Recurrence end date must be a valid date'),
+    body('recurrence.count')
+        .optional()
+        .isInt({ min: 1, max: MAX_OCCURRENCES })
+        .withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`),
+    body('recurrence.exclusions')
+        .optional()
+        .isArray()
+        .withMessage('Recurrence exclusions must be a list of dates'),
+    body('recurrence.exclusions.*')
+        .isISO8601()
+        .withMessage('Recurrence exclusions must be valid dates')
+];
+
+const validateQuestions = [
+    body('questions')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Questions must be a list of at most 20 questions')
+        .custom((questions) => {
+            const keys = questions.map(q => q && q.key);
+            if (new Set(keys).size !== keys.length) {
+                throw new Error('Question keys must be unique');
+            }
+            return true;
+        }),
+    body('questions.*.key')
+        .matches(/^[a-z0-9_]{1,50}$/)
+        .withMessage('Question key must be lowercase letters, numbers, and underscores'),
+    body('questions.*.type')
+        .isIn(QUESTION_TYPES)
+        .withMessage(`Question type must be one of ${QUESTION_TYPES.join(', ')}`),
+    body('questions.*.label')
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Question label must be between 1 and 200 characters'),
+    body('questions.*.required')
+        .optional()
+        .isBoolean()
+        .withMessage('Question required flag must be true or false'),
+    body('questions.*')
+        .custom((question) => {
+            if (!CHOICE_TYPES.includes(question.type)) return true;
+            
+            const options = question.options;
+            if (!Array.isArray(options) || options.length < 2
+                || !options.every(option => typeof option === 'string' && option.length > 0)
+                || new Set(options).size !== options.length) {
+                throw new Error('Choice questions need at least two distinct options');
+            }
+            return true;
+        })
+];
+
+const validateScope = [
+    body('scope')
+        .optional()
+        .isIn(['this', 'following', 'series'])
+        .withMessage('Scope must be this, following, or series')
+];
+
+const validateCancel = [
+    body('reason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Cancellation reason must be less than 500 characters')
+];
+
+// Import rows take the same fields as POST /api/events, apart from questions
+const validateImportRow = [
+    body('questions')
+        .not()
+        .exists()
+        .withMessage('Questions cannot be imported; add them to each event afterwards')
+];
+
+const RSVP_STATUSES = ['attending', 'maybe', 'not_attending', 'waitlisted', 'pending', 'declined'];
+
+// Event columns recorded in the audit log
+const EVENT_AUDIT_FIELDS = [
+    'title', 'description', 'event_date', 'end_date', 'timezone', 'location', 'max_attendees', 'max_guests_per_rsvp',
+    'rsvp_opens_at', 'rsvp_deadline', 'rsvp_locked', 'rsvp_requires_approval', 'visibility', 'category_id', 'status', 'series_id', 'created_by'
+];
+
+const validateCheckIn = [
+    body('code')
+        .optional()
+        .isString()
+        .withMessage('Ticket code must be a string'),
+    body('rsvpId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Valid RSVP ID is required'),
+    body()
+        .custom(value => !!(value.code || value.rsvpId))
+        .withMessage('Provide a ticket code or an RSVP ID')
+];
+
+const validateMember = [
+    body('role')
+        .isIn(MEMBER_ROLES)
+        .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+];
+
+const validateTransfer = [
+    body('userId')
+        .isInt({ min: 1 })
+        .withMessage('Valid user ID is required')
+        .toInt()
+];
+
+// ?status= as a comma-separated list of RSVP statuses
+function rsvpStatusFilter() {
+    return query('status')
+        .optional()
+        .custom(value => String(value).split(',').every(status => RSVP_STATUSES.includes(status)))
+        .withMessage(`Status must be a comma-separated list of: ${RSVP_STATUSES.join(', ')}`);
+}
+
+const validateExport = [
+    query('format')
+        .optional()
+        .isIn(['csv', 'json'])
+        .withMessage('Format must be csv or json'),
+    rsvpStatusFilter()
 ];
 
-// Get all events (public)
-router.get('/', (req, res) => {
+const validateAnswerFilters = [
+    rsvpStatusFilter()
+];
+
+// Get events (public, plus invite-only events the user is invited to)
+// Paginated, with filters and sorting from utils/eventFilters; active events only unless ?status= is given
+router.get('/', authMiddleware.optional, validatePagination, validateEventFilters, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    if (req.query.attending !== undefined && !req.currentUser) {
+        return res.status(401).json({ error: 'Sign in to filter by events you are attending' });
+    }
+    
+    const pagination = getPagination(req);
+    const visibility = visibilityClause(req.currentUser);
+    const filters = filterConditions(req, req.currentUser, { statuses: ['active'] });
+    const where = `WHERE ${[visibility.clause, ...filters.conditions].join(' AND ')}`;
+    const params = [...visibility.params, ...filters.params];
+    const db = getDb();
+    
+    db.get(`
+        SELECT COUNT(*) as total
+        FROM events e
+        LEFT JOIN users u ON e.created_by = u.id
+        ${filters.join}
+        ${where}
+    `, params, (err, count) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        db.all(`
+            SELECT e.*, u.username as creator_name, u.first_name, u.last_name,
+                   ${ATTENDING_COUNT} as rsvp_count, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}${filters.columns}
+            FROM events e
+            LEFT JOIN users u ON e.created_by = u.id
+            LEFT JOIN categories c ON e.category_id = c.id
+            ${filters.join}
+            ${where}
+            ${orderClause(req)}
+            LIMIT ? OFFSET ?
+        `, [...params, pagination.limit, pagination.offset], (err, events) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({
+                events: events.map(event => formatSearchResult(formatEventTimes(formatTags(event)))),
+                pagination: paginationMeta(pagination, count.total)
+            });
+        });
+    });
+});
+
+// Recommended upcoming events, from the tags the user follows (authenticated)
+// Events sharing the most followed tags come first; the user's own events and
+// events they already answered are left out
+router.get('/recommended', authMiddleware, validatePagination, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const user = req.session.user;
+    const pagination = getPagination(req);
+    const visibility = visibilityClause(user);
+    const db = getDb();
+    
+    // Followed tags on the event (aliased e)
+    const followedTags = `
+        FROM event_tags t
+        JOIN tag_follows f ON f.tag = t.tag AND f.user_id = ?
+        WHERE t.event_id = e.id
+    `;
+    const where = `
+        WHERE ${visibility.clause}
+          AND e.status = 'active' AND datetime(e.event_date) > datetime('now')
+          AND e.created_by != ?
+          AND NOT EXISTS (SELECT 1 FROM rsvps mine WHERE mine.event_id = e.id AND mine.user_id = ?)
+          AND EXISTS (SELECT 1 ${followedTags})
+    `;
+    const params = [...visibility.params, user.id, user.id, user.id];
+    
+    listFollowedTags(db, user.id, (err, follows) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        db.get(`SELECT COUNT(*) as total FROM events e ${where}`, params, (err, count) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            db.all(`
+                SELECT e.*, u.username as creator_name, u.first_name, u.last_name,
+                       ${ATTENDING_COUNT} as rsvp_count, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN},
+                       (SELECT group_concat(t.tag, ',') ${followedTags}) as matched_tags,
+                       (SELECT COUNT(*) ${followedTags}) as match_count
+                FROM events e
+                LEFT JOIN users u ON e.created_by = u.id
+                LEFT JOIN categories c ON e.category_id = c.id
+                ${where}
+                ORDER BY match_count DESC, e.event_date ASC, e.id ASC
+                LIMIT ? OFFSET ?
+            `, [user.id, user.id, ...params, pagination.limit, pagination.offset], (err, events) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                res.json({
+                    events: events.map(event => ({
+                        ...formatEventTimes(formatTags(event)),
+                        matched_tags: event.matched_tags.split(',')
+                    })),
+                    followed_tags: follows.map(follow => follow.tag),
+                    pagination: paginationMeta(pagination, count.total)
+                });
+            });
+        });
+    });
+});
+
+// List events in the trash (authenticated; admins see every user's)
+router.get('/trash', authMiddleware, (req, res) => {
+    const user = req.session.user;
     const db = getDb();
     
     let query = `
+        SELECT e.id, e.title, e.event_date, e.end_date, e.timezone, e.location, e.status, e.series_id, e.created_by,
+               e.cancellation_reason, e.deleted_at, datetime(e.deleted_at, ?) as purge_at,
+               u.username as creator_name, d.username as deleted_by_name
+        FROM events e
+        JOIN users u ON e.created_by = u.id
+        LEFT JOIN users d ON e.deleted_by = d.id
+        WHERE e.deleted_at IS NOT NULL
+    `;
+    const params = [`+${trashRetentionDays()} days`];
+    
+    if (user.role !== 'admin') {
+        query += ' AND e.created_by = ?';
+        params.push(user.id);
+    }
+    
+    query += ' ORDER BY e.deleted_at DESC';
+    
+    db.all(query, params, (err, events) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ events: events.map(formatEventTimes), retention_days: trashRetentionDays() });
+    });
+});
+
+// Get event by ID (invite-only events are hidden from uninvited users)
+router.get('/:id', authMiddleware.optional, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    const visibility = visibilityClause(req.currentUser, { includeUnlisted: true });
+    
+    // Get event details with creator info and RSVP count
+    db.get(`
         SELECT e.*, u.username as creator_name, u.first_name, u.last_name,
-               COUNT(r.id) as rsvp_count
+               COALESCE(SUM(${HEADCOUNT}), 0) as rsvp_count,
+               COALESCE(SUM(CASE WHEN r.checked_in_at IS NOT NULL THEN ${HEADCOUNT} END), 0) as attended_count,
+               ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}
         FROM events e
         LEFT JOIN users u ON e.created_by = u.id
+        LEFT JOIN categories c ON e.category_id = c.id
         LEFT JOIN rsvps r ON e.id = r.event_id AND r.status = 'attending'
-        WHERE e.status = 'active'
-    `;
-    
-    const params = [];
+        WHERE e.id = ? AND ${visibility.clause}
+        GROUP BY e.id
+    `, [eventId, ...visibility.params], (err, event) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!event) {
+            db.close();
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        // Get RSVPs for this event
+        db.all(`
+            SELECT r.status, r.waitlist_position, r.guest_count, r.guest_names, r.notes, r.rsvp_date,
+                   r.checked_in_at, u.username, u.first_name, u.last_name
+            FROM rsvps r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.event_id = ? AND r.status != 'declined'
+            ORDER BY r.rsvp_date DESC
+        `, [eventId], (err, rsvps) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            // Get the RSVP questionnaire
+            getQuestions(db, eventId, (err, questions) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                // The viewer's role, so clients know what they can do
+                eventRole(db, event, req.currentUser, (err, role) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Database error:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    
+                    res.json({ 
+                        event: formatEventTimes(formatTags(event)),
+                        rsvp_window: rsvpWindow(event),
+                        rsvps: (rsvps || []).map(formatGuests),
+                        questions,
+                        my_role: role
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Export a single event as iCalendar (public)
+router.get('/:id/ics', authMiddleware.optional, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    const visibility = visibilityClause(req.currentUser, { includeUnlisted: true });
     
-    // Add search filter
-    if (req.query.search) {
-        query += ` AND (e.title LIKE ? OR e.description LIKE ? OR e.location LIKE ?)`;
-        const searchTerm = `%${req.query.search}%`;
-        params.push(searchTerm, searchTerm, searchTerm);
+    db.get(`
+        SELECT e.*, u.username as creator_name, u.first_name, u.last_name
+        FROM events e
+        LEFT JOIN users u ON e.created_by = u.id
+        WHERE e.id = ? AND ${visibility.clause}
+    `, [eventId, ...visibility.params], (err, event) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        const calendar = buildCalendar([
+            buildEvent(event, { url: `${req.protocol}://${req.get('host')}/events/${event.id}` })
+        ]);
+        
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="event-${event.id}.ics"`);
+        res.send(calendar);
+    });
+});
+
+// Get aggregated RSVP answers (authenticated, organizers only)
+router.get('/:id/answers', authMiddleware, validateAnswerFilters, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
     }
     
-    // Add date filter
-    if (req.query.upcoming === 'true') {
-        query += ` AND e.event_date > datetime('now')`;
+    const eventId = req.params.id;
+    const statuses = req.query.status
+        ? String(req.query.status).split(',')
+        : ['attending'];
+    
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'manage_attendees', columns: 'id, created_by', action: 'view answers for' }, () => {
+        getQuestions(db, eventId, (err, questions) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            db.all(`
+                SELECT a.question_id, a.value, u.username
+                FROM rsvp_answers a
+                JOIN rsvps r ON a.rsvp_id = r.id
+                JOIN users u ON r.user_id = u.id
+                WHERE r.event_id = ? AND r.status IN (${statuses.map(() => '?').join(', ')})
+            `, [eventId, ...statuses], (err, rows) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                res.json({
+                    statuses,
+                    questions: summarizeAnswers(questions, rows)
+                });
+            });
+        });
+    });
+});
+
+// Export the attendee list as CSV or JSON (authenticated, organizers and check-in staff)
+router.get('/:id/attendees/export', authMiddleware, validateExport, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const eventId = req.params.id;
+    const format = req.query.format || 'csv';
+    const statuses = req.query.status
+        ? String(req.query.status).split(',')
+        : RSVP_STATUSES;
+    
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'view_attendees', columns: 'id, title, event_date, end_date, timezone, location, created_by', action: 'export attendees for' }, (event) => {
+        getQuestions(db, eventId, (err, questions) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            db.all(`
+                SELECT a.rsvp_id, q.key, a.value
+                FROM rsvp_answers a
+                JOIN event_questions q ON a.question_id = q.id
+                WHERE q.event_id = ?
+            `, [eventId], (err, answerRows) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                const answersByRSVP = new Map();
+                answerRows.forEach(row => {
+                    if (!answersByRSVP.has(row.rsvp_id)) answersByRSVP.set(row.rsvp_id, {});
+                    answersByRSVP.get(row.rsvp_id)[row.key] = JSON.parse(row.value);
+                });
+                
+                const attendeeQuery = `
+                    SELECT r.id, r.status, r.waitlist_position, r.guest_count, r.guest_names, r.notes, r.rsvp_date,
+                           r.checked_in_at, u.username, u.email, u.first_name, u.last_name
+                    FROM rsvps r
+                    JOIN users u ON r.user_id = u.id
+                    WHERE r.event_id = ? AND r.status IN (${statuses.map(() => '?').join(', ')})
+                    ORDER BY CASE r.status
+                                 WHEN 'attending' THEN 0 WHEN 'maybe' THEN 1
+                                 WHEN 'waitlisted' THEN 2 ELSE 3
+                             END,
+                             r.waitlist_position ASC, r.rsvp_date ASC
+                `;
+                
+                const toAttendee = (row) => {
+                    const rsvp = formatGuests(row);
+                    return {
+                        name: [rsvp.first_name, rsvp.last_name].filter(Boolean).join(' '),
+                        username: rsvp.username,
+                        email: rsvp.email,
+                        status: rsvp.status,
+                        waitlist_position: rsvp.waitlist_position,
+                        guest_count: rsvp.guest_count,
+                        guest_names: rsvp.guest_names,
+                        headcount: headcount(rsvp),
+                        notes: rsvp.notes,
+                        rsvp_date: rsvp.rsvp_date,
+                        checked_in_at: rsvp.checked_in_at,
+                        answers: answersByRSVP.get(rsvp.id) || {}
+                    };
+                };
+                
+                if (format === 'json') {
+                    return db.all(attendeeQuery, [eventId, ...statuses], (err, rows) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Database error:', err);
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        
+                        const attendees = rows.map(toAttendee);
+                        
+                        res.json({
+                            event: {
+                                id: event.id,
+                                title: event.title,
+                                ...formatEventTimes({
+                                    event_date: event.event_date,
+                                    end_date: event.end_date,
+                                    timezone: event.timezone
+                                }),
+                                location: event.location
+                            },
+                            statuses,
+                            questions: questions.map(q => ({ key: q.key, label: q.label, type: q.type })),
+                            response_count: attendees.length,
+                            headcount: attendees.reduce((sum, a) => sum + a.headcount, 0),
+                            attendees
+                        });
+                    });
+                }
+                
+                // Stream CSV rows as they are read so large guest lists are not buffered
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="event-${event.id}-attendees.csv"`);
+                res.write(toCsvRow([
+                    'Name', 'Username', 'Email', 'Status', 'Waitlist Position', 'Guests', 'Guest Names',
+                    'Headcount', 'Notes', 'RSVP Date', 'Checked In', ...questions.map(q => q.label)
+                ]));
+                
+                // The 200 has gone out by the time rows are read, so a read error
+                // drops the connection rather than ending a partial file
+                let failed = false;
+                
+                db.each(attendeeQuery, [eventId, ...statuses], (err, row) => {
+                    if (err) {
+                        failed = true;
+                        console.error('Database error:', err);
+                        return res.destroy();
+                    }
+                    
+                    const attendee = toAttendee(row);
+                    res.write(toCsvRow([
+                        attendee.name, attendee.username, attendee.email, attendee.status,
+                        attendee.waitlist_position, attendee.guest_count, attendee.guest_names,
+                        attendee.headcount, attendee.notes, attendee.rsvp_date, attendee.checked_in_at,
+                        ...questions.map(q => attendee.answers[q.key])
+                    ]));
+                }, (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Attendee export error:', err);
+                        return res.destroy();
+                    }
+                    
+                    if (!failed) res.end();
+                });
+            });
+        });
+    });
+});
+
+// RSVP status history for an event, oldest first (authenticated, organizers only)
+router.get('/:id/rsvp-history', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'manage_attendees', columns: 'id, created_by', action: 'view RSVP history for' }, () => {
+        let query = `
+            SELECT a.id, a.action, a.entity_id as rsvp_id, a.changes, a.metadata, a.actor_id, a.actor_username,
+                   a.created_at, u.id as user_id, u.username, u.first_name, u.last_name
+            FROM audit_log a
+            LEFT JOIN users u ON u.id = json_extract(a.metadata, '$.user_id')
+            WHERE a.event_id = ? AND a.entity_type = 'rsvp'
+        `;
+        const params = [eventId];
+        
+        if (req.query.userId) {
+            query += ` AND json_extract(a.metadata, '$.user_id') = ?`;
+            params.push(Number(req.query.userId));
+        }
+        
+        query += ' ORDER BY a.id ASC';
+        
+        db.all(query, params, (err, rows) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            const history = rows.map(formatAuditEntry).map(entry => ({
+                ...entry,
+                from_status: entry.changes.status ? entry.changes.status.from : null,
+                to_status: entry.changes.status ? entry.changes.status.to : null
+            }));
+            
+            res.json({ history });
+        });
+    });
+});
+
+// List attendees for check-in, optionally searching by name (authenticated, organizers and check-in staff)
+router.get('/:id/check-in', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const search = req.query.q ? `%${String(req.query.q).trim()}%` : '%';
+    
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'check_in', columns: 'id, created_by', action: 'check in guests for' }, () => {
+        db.all(`
+            SELECT r.id as rsvp_id, r.guest_count, r.guest_names, r.checked_in_at,
+                   u.username, u.first_name, u.last_name
+            FROM rsvps r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.event_id = ? AND r.status = 'attending'
+              AND (u.username LIKE ? OR u.first_name LIKE ? OR u.last_name LIKE ?
+                   OR (u.first_name || ' ' || u.last_name) LIKE ?)
+            ORDER BY u.last_name ASC, u.first_name ASC
+        `, [eventId, search, search, search, search], (err, rows) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({ attendees: rows.map(formatGuests) });
+        });
+    });
+});
+
+// Check in an attendee by ticket code or RSVP ID (authenticated, organizers and check-in staff)
+router.post('/:id/check-in', authMiddleware, validateCheckIn, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const eventId = req.params.id;
+    const { code, rsvpId } = req.body;
+    
+    // Scanned tickets carry the RSVP ID; manual check-in passes it directly
+    const lookupId = code ? parseTicketCode(code) : rsvpId;
+    if (!lookupId) {
+        return res.status(400).json({ error: 'Invalid ticket code' });
+    }
+    
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'check_in', columns: 'id, created_by, status', action: 'check in guests for' }, (event) => {
+        if (event.status !== 'active') {
+            db.close();
+            return res.status(400).json({ error: 'Only active events can be checked in to' });
+        }
+        
+        db.get(`
+            SELECT r.id, r.event_id, r.user_id, r.status, r.guest_count, r.guest_names, r.checked_in_at,
+                   u.username, u.first_name, u.last_name
+            FROM rsvps r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.id = ?
+        `, [lookupId], (err, rsvp) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (code && (!rsvp || !verifyTicketCode(rsvp, code))) {
+                db.close();
+                return res.status(400).json({ error: 'Invalid ticket code' });
+            }
+            
+            if (!rsvp || String(rsvp.event_id) !== String(eventId)) {
+                db.close();
+                return res.status(404).json({ error: 'RSVP not found for this event' });
+            }
+            
+            if (rsvp.status !== 'attending') {
+                db.close();
+                return res.status(400).json({ error: `RSVP status is ${rsvp.status}, not attending` });
+            }
+            
+            // The IS NULL guard keeps two scanners from checking in the same ticket
+            db.run(
+                `UPDATE rsvps SET checked_in_at = CURRENT_TIMESTAMP, checked_in_by = ?
+                 WHERE id = ? AND checked_in_at IS NULL`,
+                [req.session.user.id, rsvp.id],
+                function(err) {
+                    if (err) {
+                        db.close();
+                        console.error('Check-in error:', err);
+                        return res.status(500).json({ error: 'Failed to check in' });
+                    }
+                    
+                    const alreadyCheckedIn = this.changes === 0;
+                    
+                    db.get('SELECT checked_in_at FROM rsvps WHERE id = ?', [rsvp.id], (err, row) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Database error:', err);
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        
+                        const attendee = formatGuests({
+                            rsvp_id: rsvp.id,
+                            username: rsvp.username,
+                            first_name: rsvp.first_name,
+                            last_name: rsvp.last_name,
+                            guest_count: rsvp.guest_count,
+                            guest_names: rsvp.guest_names,
+                            checked_in_at: row.checked_in_at
+                        });
+                        
+                        if (alreadyCheckedIn) {
+                            return res.status(409).json({ error: 'Attendee is already checked in', attendee });
+                        }
+                        
+                        audit(req, {
+                            action: 'rsvp.check_in',
+                            entityType: 'rsvp',
+                            entityId: rsvp.id,
+                            eventId: rsvp.event_id,
+                            before: { checked_in_at: null },
+                            after: { checked_in_at: row.checked_in_at },
+                            metadata: { user_id: rsvp.user_id, method: code ? 'ticket' : 'manual' }
+                        });
+                        
+                        res.json({ message: 'Checked in successfully', attendee });
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Undo a check-in (authenticated, organizers and check-in staff)
+router.delete('/:id/check-in/:rsvpId', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'check_in', columns: 'id, created_by', action: 'check in guests for' }, () => {
+        db.get(
+            'SELECT id, user_id, checked_in_at FROM rsvps WHERE id = ? AND event_id = ?',
+            [req.params.rsvpId, eventId],
+            (err, rsvp) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                if (!rsvp) {
+                    db.close();
+                    return res.status(404).json({ error: 'RSVP not found for this event' });
+                }
+                
+                db.run(
+                    'UPDATE rsvps SET checked_in_at = NULL, checked_in_by = NULL WHERE id = ?',
+                    [rsvp.id],
+                    (err) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Check-in error:', err);
+                            return res.status(500).json({ error: 'Failed to undo check-in' });
+                        }
+                        
+                        audit(req, {
+                            action: 'rsvp.undo_check_in',
+                            entityType: 'rsvp',
+                            entityId: rsvp.id,
+                            eventId,
+                            before: { checked_in_at: rsvp.checked_in_at },
+                            after: { checked_in_at: null },
+                            metadata: { user_id: rsvp.user_id }
+                        });
+                        
+                        res.json({ message: 'Check-in undone successfully' });
+                    }
+                );
+            }
+        );
+    });
+});
+
+// List RSVPs waiting for approval, oldest first, and those already declined (authenticated, organizers only)
+router.get('/:id/rsvp-requests', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'manage_attendees', columns: 'id, created_by', action: 'manage RSVPs for' }, () => {
+        db.all(`
+            SELECT r.id as rsvp_id, r.user_id, r.status, r.guest_count, r.guest_names, r.notes, r.rsvp_date,
+                   u.username, u.first_name, u.last_name
+            FROM rsvps r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.event_id = ? AND r.status IN ('pending', 'declined')
+            ORDER BY r.rsvp_date ASC, r.id ASC
+        `, [eventId], (err, rows) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            const requests = rows.map(formatGuests);
+            
+            res.json({
+                pending: requests.filter(r => r.status === 'pending'),
+                declined: requests.filter(r => r.status === 'declined')
+            });
+        });
+    });
+});
+
+// Approve or decline an RSVP waiting for approval (authenticated, organizers only)
+// Approved RSVPs join the back of the waitlist, and are let straight in if there is room
+router.post('/:id/rsvp-requests/:rsvpId/:decision(approve|decline)', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const approve = req.params.decision === 'approve';
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'manage_attendees', columns: 'id, created_by, title, event_date, timezone, location, status', action: 'manage RSVPs for' }, (event) => {
+        if (event.status !== 'active') {
+            db.close();
+            return res.status(409).json({ error: `This event is ${event.status}. RSVPs can no longer be changed` });
+        }
+        
+        db.get(
+            'SELECT id, user_id, status FROM rsvps WHERE id = ? AND event_id = ?',
+            [req.params.rsvpId, eventId],
+            (err, rsvp) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                if (!rsvp) {
+                    db.close();
+                    return res.status(404).json({ error: 'RSVP not found for this event' });
+                }
+                
+                if (rsvp.status !== 'pending') {
+                    db.close();
+                    return res.status(409).json({ error: `RSVP status is ${rsvp.status}, not pending` });
+                }
+                
+                if (!approve) {
+                    return db.run("UPDATE rsvps SET status = 'declined' WHERE id = ?", [rsvp.id], (err) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Update error:', err);
+                            return res.status(500).json({ error: 'Failed to decline RSVP' });
+                        }
+                        
+                        notify([rsvp.user_id], 'rsvp_declined', { event });
+                        audit(req, {
+                            action: 'rsvp.decline',
+                            entityType: 'rsvp',
+                            entityId: rsvp.id,
+                            eventId: event.id,
+                            before: { status: 'pending' },
+                            after: { status: 'declined' },
+                            metadata: { user_id: rsvp.user_id }
+                        });
+                        
+                        res.json({ message: 'RSVP declined', rsvp: { id: rsvp.id, status: 'declined' } });
+                    });
+                }
+                
+                nextWaitlistPosition(db, eventId, (err, position) => {
+                    if (err) {
+                        db.close();
+                        console.error('Database error:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    
+                    db.run(
+                        "UPDATE rsvps SET status = 'waitlisted', waitlist_position = ? WHERE id = ?",
+                        [position, rsvp.id],
+                        (err) => {
+                            if (err) {
+                                db.close();
+                                console.error('Update error:', err);
+                                return res.status(500).json({ error: 'Failed to approve RSVP' });
+                            }
+                            
+                            promoteWaitlist(db, eventId, (err, promotedUserIds) => {
+                                if (err) {
+                                    console.error('Waitlist promotion error:', err);
+                                }
+                                
+                                db.get('SELECT status, waitlist_position FROM rsvps WHERE id = ?', [rsvp.id], (err, approved) => {
+                                    db.close();
+                                    
+                                    if (err) {
+                                        console.error('Database error:', err);
+                                        return res.status(500).json({ error: 'RSVP approved but fetch failed' });
+                                    }
+                                    
+                                    // The approved user hears about it once, as an approval
+                                    const othersPromoted = (promotedUserIds || []).filter(userId => userId !== rsvp.user_id);
+                                    
+                                    notify([rsvp.user_id], 'rsvp_approved', { event, position: approved.waitlist_position });
+                                    notify(othersPromoted, 'waitlist_promoted', { event });
+                                    audit(req, {
+                                        action: 'rsvp.approve',
+                                        entityType: 'rsvp',
+                                        entityId: rsvp.id,
+                                        eventId: event.id,
+                                        before: { status: 'pending' },
+                                        after: approved,
+                                        metadata: { user_id: rsvp.user_id }
+                                    }, () => auditPromotions(req, eventId, othersPromoted));
+                                    
+                                    res.json({
+                                        message: approved.status === 'waitlisted'
+                                            ? `RSVP approved. The event is at full capacity, so they are #${approved.waitlist_position} on the waitlist`
+                                            : 'RSVP approved',
+                                        rsvp: { id: rsvp.id, ...approved }
+                                    });
+                                });
+                            });
+                        }
+                    );
+                });
+            }
+        );
+    });
+});
+
+// List the people running an event (authenticated, organizers and check-in staff)
+router.get('/:id/members', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    withEventPermission(db, req.params.id, req.session.user, res, { permission: 'view_members', columns: 'id, created_by', action: 'view the members of' }, (event) => {
+        db.get('SELECT id, username, first_name, last_name FROM users WHERE id = ?', [event.created_by], (err, owner) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            listMembers(db, event.id, (err, members) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                res.json({ owner, members });
+            });
+        });
+    });
+});
+
+// Give someone a role on an event, or change it (authenticated, owner only)
+// Occurrences of a series share their members, like their owner
+router.put('/:id/members/:userId', authMiddleware, validateMember, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const userId = Number(req.params.userId);
+    const { role } = req.body;
+    const db = getDb();
+    
+    withEventPermission(db, req.params.id, req.session.user, res, { permission: 'manage_members', columns: 'id, title, event_date, timezone, location, created_by, series_id', action: 'manage the members of' }, (event) => {
+        if (userId === event.created_by) {
+            db.close();
+            return res.status(400).json({ error: 'The owner already has every permission on the event' });
+        }
+        
+        db.get(
+            `SELECT u.id, u.status, m.role FROM users u
+             LEFT JOIN event_members m ON m.user_id = u.id AND m.event_id = ?
+             WHERE u.id = ?`,
+            [event.id, userId],
+            (err, member) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                if (!member || member.status !== 'active') {
+                    db.close();
+                    return res.status(400).json({ error: 'Members must be active users' });
+                }
+                
+                setMember(db, event, userId, role, req.session.user.id, (err) => {
+                    if (err) {
+                        db.close();
+                        console.error('Member update error:', err);
+                        return res.status(500).json({ error: 'Failed to update event member' });
+                    }
+                    
+                    listMembers(db, event.id, (err, members) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Database error:', err);
+                            return res.status(500).json({ error: 'Member updated but fetch failed' });
+                        }
+                        
+                        if (member.role !== role) {
+                            notify([userId], 'event_role_assigned', { event, role, assignedBy: req.session.user.username });
+                            audit(req, {
+                                action: member.role ? 'event.member_update' : 'event.member_add',
+                                entityType: 'event',
+                                entityId: event.id,
+                                eventId: event.id,
+                                before: { role: member.role },
+                                after: { role },
+                                metadata: { user_id: userId, series_id: event.series_id }
+                            });
+                        }
+                        
+                        res.status(member.role ? 200 : 201).json({
+                            message: member.role ? 'Member role updated' : 'Member added',
+                            members
+                        });
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Remove someone's role on an event (authenticated; the owner, or members removing themselves)
+router.delete('/:id/members/:userId', authMiddleware, (req, res) => {
+    const userId = Number(req.params.userId);
+    const user = req.session.user;
+    const db = getDb();
+    
+    withEventPermission(db, req.params.id, user, res, { permission: 'view_members', columns: 'id, created_by, series_id', action: 'manage the members of' }, (event, role) => {
+        if (userId !== user.id && !can(role, 'manage_members')) {
+            db.close();
+            return res.status(403).json({ error: 'Access denied. You do not have permission to manage the members of this event.' });
+        }
+        
+        db.get('SELECT role FROM event_members WHERE event_id = ? AND user_id = ?', [event.id, userId], (err, member) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!member) {
+                db.close();
+                return res.status(404).json({ error: 'Member not found' });
+            }
+            
+            removeMember(db, event, userId, (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Member removal error:', err);
+                    return res.status(500).json({ error: 'Failed to remove event member' });
+                }
+                
+                audit(req, {
+                    action: 'event.member_remove',
+                    entityType: 'event',
+                    entityId: event.id,
+                    eventId: event.id,
+                    before: { role: member.role },
+                    after: { role: null },
+                    metadata: { user_id: userId, series_id: event.series_id }
+                });
+                
+                res.json({ message: userId === user.id ? 'You have left the event team' : 'Member removed' });
+            });
+        });
+    });
+});
+
+// Hand an event, or its whole series, to another user (authenticated, owner only)
+// The previous owner stays on as a co-organizer
+router.post('/:id/transfer', authMiddleware, validateTransfer, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
     }
     
-    query += ` GROUP BY e.id ORDER BY e.event_date ASC`;
+    const newOwnerId = req.body.userId;
+    const db = getDb();
     
-    db.all(query, params, (err, events) => {
-        db.close();
-        
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Database error' });
+    withEventPermission(db, req.params.id, req.session.user, res, { permission: 'transfer', columns: 'id, title, event_date, timezone, location, created_by, series_id', action: 'transfer' }, (event) => {
+        if (newOwnerId === event.created_by) {
+            db.close();
+            return res.status(400).json({ error: 'This user already owns the event' });
         }
         
-        res.json({ events });
+        db.get('SELECT id, status FROM users WHERE id = ?', [newOwnerId], (err, owner) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!owner || owner.status !== 'active') {
+                db.close();
+                return res.status(400).json({ error: 'New owner must be an active user' });
+            }
+            
+            transferOwnership(db, event, owner.id, 'co_organizer', (err, transferred) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Transfer error:', err);
+                    return res.status(500).json({ error: 'Failed to transfer event' });
+                }
+                
+                notify([owner.id], 'event_role_assigned', { event, role: 'owner', assignedBy: req.session.user.username });
+                audit(req, {
+                    action: 'event.transfer',
+                    entityType: 'event',
+                    entityId: event.id,
+                    eventId: event.id,
+                    before: { created_by: event.created_by },
+                    after: { created_by: owner.id },
+                    metadata: { series_id: event.series_id, transferred_count: transferred, previous_owner_role: 'co_organizer' }
+                });
+                
+                res.json({
+                    message: 'Event ownership transferred successfully',
+                    previous_owner_id: event.created_by,
+                    owner_id: owner.id,
+                    transferred_count: transferred
+                });
+            });
+        });
     });
 });
 
-// Get event by ID
-router.get('/:id', (req, res) => {
-    const eventId = req.params.id;
+// Get a recurring event series with all of its occurrences
+router.get('/series/:seriesId', authMiddleware.optional, (req, res) => {
+    const seriesId = req.params.seriesId;
     const db = getDb();
+    const visibility = visibilityClause(req.currentUser, { includeUnlisted: true });
     
-    // Get event details with creator info and RSVP count
-    db.get(`
-        SELECT e.*, u.username as creator_name, u.first_name, u.last_name,
-               COUNT(r.id) as rsvp_count
-        FROM events e
-        LEFT JOIN users u ON e.created_by = u.id
-        LEFT JOIN rsvps r ON e.id = r.event_id AND r.status = 'attending'
-        WHERE e.id = ?
-        GROUP BY e.id
-    `, [eventId], (err, event) => {
+    db.get('SELECT * FROM event_series WHERE id = ?', [seriesId], (err, series) => {
         if (err) {
             db.close();
             console.error('Database error:', err);
             return res.status(500).json({ error: 'Database error' });
         }
         
-        if (!event) {
+        if (!series) {
             db.close();
-            return res.status(404).json({ error: 'Event not found' });
+            return res.status(404).json({ error: 'Event series not found' });
         }
         
-        // Get RSVPs for this event
         db.all(`
-            SELECT r.status, r.notes, r.rsvp_date, u.username, u.first_name, u.last_name
-            FROM rsvps r
-            JOIN users u ON r.user_id = u.id
-            WHERE r.event_id = ?
-            ORDER BY r.rsvp_date DESC
-        `, [eventId], (err, rsvps) => {
+            SELECT e.*, COALESCE(SUM(${HEADCOUNT}), 0) as rsvp_count
+            FROM events e
+            LEFT JOIN rsvps r ON e.id = r.event_id AND r.status = 'attending'
+            WHERE e.series_id = ? AND ${visibility.clause}
+            GROUP BY e.id
+            ORDER BY e.event_date ASC
+        `, [seriesId, ...visibility.params], (err, occurrences) => {
             db.close();
             
             if (err) {
@@ -126,16 +1451,24 @@ router.get('/:id', (req, res) => {
                 return res.status(500).json({ error: 'Database error' });
             }
             
-            res.json({ 
-                event,
-                rsvps: rsvps || []
+            if (occurrences.length === 0) {
+                return res.status(404).json({ error: 'Event series not found' });
+            }
+            
+            res.json({
+                series: {
+                    ...series,
+                    by_weekday: series.by_weekday ? series.by_weekday.split(',') : [],
+                    exclusions: series.exclusions ? JSON.parse(series.exclusions) : []
+                },
+                occurrences: occurrences.map(formatEventTimes)
             });
         });
     });
 });
 
 // Create new event (authenticated)
-router.post('/', authMiddleware, validateEvent, (req, res) => {
+router.post('/', authMiddleware, validateEvent, validateRecurrence, validateQuestions, (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -145,30 +1478,65 @@ router.post('/', authMiddleware, validateEvent, (req, res) => {
                 details: errors.array() 
             });
         }
-
-        const { title, description, eventDate, location, maxAttendees } = req.body;
+        
+        const { title, description, eventDate, endDate, location, maxAttendees, maxGuestsPerRsvp, lockRsvpsAfterDeadline, requireRsvpApproval, visibility, categoryId, tags, recurrence, questions } = req.body;
+        const timezone = req.body.timezone || DEFAULT_TIMEZONE;
+        const duration = endDate ? new Date(endDate).getTime() - new Date(eventDate).getTime() : null;
+        const rsvpOffsets = windowOffsets(eventDate, req.body);
         const userId = req.session.user.id;
         
+        // Recurring events get one row per occurrence, at the same local time
+        const dates = recurrence ? expandRecurrence(eventDate, recurrence, timezone) : [eventDate];
+        if (dates.length === 0) {
+            return res.status(400).json({ error: 'Recurrence rule does not produce any occurrences' });
+        }
+        
         const db = getDb();
         
-        db.run(
-            `INSERT INTO events (title, description, event_date, location, max_attendees, created_by) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [title, description, eventDate, location, maxAttendees || null, userId],
-            function(err) {
+        const createSeries = (done) => {
+            if (!recurrence) return done(null, null);
+            insertSeries(db, recurrence, eventDate, timezone, userId, done);
+        };
+        
+        withCategory(db, categoryId, res, () => createSeries((err, seriesId) => {
+            if (err) {
+                db.close();
+                console.error('Insert error:', err);
+                return res.status(500).json({ error: 'Failed to create event series' });
+            }
+            
+            insertOccurrences(db, {
+                title,
+                description,
+                location,
+                maxAttendees,
+                maxGuestsPerRsvp,
+                visibility,
+                categoryId,
+                timezone,
+                duration,
+                rsvpWindow: rsvpOffsets,
+                rsvpLocked: lockRsvpsAfterDeadline,
+                rsvpRequiresApproval: requireRsvpApproval,
+                tags,
+                questions,
+                createdBy: userId,
+                seriesId
+            }, dates, (err, eventIds) => {
                 if (err) {
                     db.close();
                     console.error('Insert error:', err);
                     return res.status(500).json({ error: 'Failed to create event' });
                 }
                 
-                // Get the created event
+                // Get the created event (the first occurrence for a series)
                 db.get(
-                    `SELECT e.*, u.username as creator_name, u.first_name, u.last_name
+                    `SELECT e.*, u.username as creator_name, u.first_name, u.last_name, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}
                      FROM events e
                      JOIN users u ON e.created_by = u.id
+                     LEFT JOIN categories c ON e.category_id = c.id
                      WHERE e.id = ?`,
-                    [this.lastID],
+                    [eventIds[0]],
                     (err, event) => {
                         db.close();
                         
@@ -177,23 +1545,151 @@ router.post('/', authMiddleware, validateEvent, (req, res) => {
                             return res.status(500).json({ error: 'Event created but fetch failed' });
                         }
                         
-                        res.status(201).json({
+                        notify([userId], 'event_created', { event, occurrenceCount: eventIds.length });
+                        audit(req, eventIds.map((id, index) => ({
+                            action: 'event.create',
+                            entityType: 'event',
+                            entityId: id,
+                            eventId: id,
+                            after: {
+                                ...snapshot(event, EVENT_AUDIT_FIELDS),
+                                event_date: dates[index],
+                                end_date: endTime(dates[index], null, duration),
+                                rsvp_opens_at: windowTimes(dates[index], rsvpOffsets).opensAt,
+                                rsvp_deadline: windowTimes(dates[index], rsvpOffsets).deadline
+                            },
+                            metadata: questions ? { question_count: questions.length } : null
+                        })));
+                        
+                        const response = {
                             message: 'Event created successfully',
-                            event
-                        });
+                            event: formatEventTimes(formatTags(event))
+                        };
+                        
+                        if (seriesId) {
+                            response.series_id = seriesId;
+                            response.occurrence_ids = eventIds;
+                        }
+                        
+                        res.status(201).json(response);
                     }
                 );
-            }
-        );
-        
+            });
+        }));
+    
     } catch (error) {
         console.error('Create event error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update event (authenticated, owner or admin only)
-router.put('/:id', authMiddleware, validateEvent, (req, res) => {
+// Bulk import events from CSV or JSON (authenticated)
+router.post('/import', authMiddleware, async (req, res) => {
+    try {
+        let rows;
+        try {
+            rows = readImportRows(req, 'events');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        // Every row goes through the same rules as POST /api/events
+        const failures = await validateRows(rows, [...validateEvent, ...validateImportRow]);
+        const db = getDb();
+        
+        checkRowCategories(db, rows, (err, categoryFailures) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            // Rows that already failed validation are reported as they are
+            const failedRows = new Set(failures.map(failure => failure.row));
+            failures.push(...categoryFailures.filter(failure => !failedRows.has(failure.row)));
+            failures.sort((a, b) => a.row - b.row);
+            
+            if (isDryRun(req)) {
+                db.close();
+                return res.json({
+                    dry_run: true,
+                    valid: failures.length === 0,
+                    row_count: rows.length,
+                    errors: failures
+                });
+            }
+            
+            if (failures.length > 0) {
+                db.close();
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    row_count: rows.length,
+                    errors: failures
+                });
+            }
+            
+            const userId = req.session.user.id;
+            const eventIds = [];
+            
+            runInTransaction(db, rows.map(row => (done) => {
+                insertOccurrences(db, {
+                    title: row.title,
+                    description: row.description,
+                    location: row.location,
+                    maxAttendees: row.maxAttendees ? Number(row.maxAttendees) : null,
+                    maxGuestsPerRsvp: row.maxGuestsPerRsvp ? Number(row.maxGuestsPerRsvp) : 0,
+                    visibility: row.visibility,
+                    categoryId: row.categoryId,
+                    timezone: row.timezone || DEFAULT_TIMEZONE,
+                    duration: row.endDate ? new Date(row.endDate).getTime() - new Date(row.eventDate).getTime() : null,
+                    rsvpWindow: windowOffsets(row.eventDate, row),
+                    rsvpLocked: row.lockRsvpsAfterDeadline,
+                    rsvpRequiresApproval: row.requireRsvpApproval,
+                    tags: row.tags,
+                    createdBy: userId
+                }, [row.eventDate], (err, ids) => {
+                    if (!err) eventIds.push(...ids);
+                    done(err);
+                });
+            }), (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Import error:', err);
+                    return res.status(500).json({ error: 'Failed to import events' });
+                }
+                
+                audit(req, eventIds.map((id, index) => ({
+                    action: 'event.import',
+                    entityType: 'event',
+                    entityId: id,
+                    eventId: id,
+                    after: {
+                        title: rows[index].title,
+                        description: rows[index].description,
+                        event_date: rows[index].eventDate,
+                        timezone: rows[index].timezone || DEFAULT_TIMEZONE,
+                        location: rows[index].location,
+                        category_id: rows[index].categoryId || null
+                    }
+                })));
+                
+                res.status(201).json({
+                    message: 'Events imported successfully',
+                    imported_count: eventIds.length,
+                    event_ids: eventIds
+                });
+            });
+        });
+    
+    } catch (error) {
+        console.error('Import events error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update event (authenticated, organizers only)
+router.put('/:id', authMiddleware, loadStoredTimezone, validateEvent, validateRecurrence, validateQuestions, validateScope, (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -203,128 +1699,396 @@ router.put('/:id', authMiddleware, validateEvent, (req, res) => {
                 details: errors.array() 
             });
         }
-
+        
         const eventId = req.params.id;
-        const { title, description, eventDate, location, maxAttendees } = req.body;
-        const userId = req.session.user.id;
-        const userRole = req.session.user.role;
+        const { title, description, eventDate, endDate, timezone, location, maxAttendees, maxGuestsPerRsvp, lockRsvpsAfterDeadline, requireRsvpApproval, visibility, categoryId, tags, recurrence, questions } = req.body;
+        const scope = req.body.scope || 'this';
         
         const db = getDb();
         
-        // Check if user can edit this event
-        db.get(
-            'SELECT created_by FROM events WHERE id = ?',
+        withEventPermission(db, eventId, req.session.user, res, { permission: 'edit', columns: '*', action: 'edit' }, (event) => withCategory(db, categoryId, res, () => {
+            if (event.status === 'cancelled') {
+                db.close();
+                return res.status(400).json({ error: 'Cancelled events cannot be edited. Reinstate the event first' });
+            }
+            
+            // Edits to following occurrences, the whole series, or a new rule fan out
+            if (recurrence || (event.series_id && scope !== 'this')) {
+                return updateSeries(db, event, req.body, scope, (err, result) => {
+                    if (err) {
+                        db.close();
+                        console.error('Series update error:', err);
+                        return res.status(500).json({ error: 'Failed to update event series' });
+                    }
+                    
+                    if (!result) {
+                        db.close();
+                        return res.status(400).json({ error: 'No upcoming occurrences to update' });
+                    }
+                    
+                    db.get(
+                        `SELECT e.*, u.username as creator_name, u.first_name, u.last_name, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}
+                         FROM events e
+                         JOIN users u ON e.created_by = u.id
+                         LEFT JOIN categories c ON e.category_id = c.id
+                         WHERE e.id = ?`,
+                        [eventId],
+                        (err, updatedEvent) => {
+                            db.close();
+                            
+                            if (err) {
+                                console.error('Event fetch error:', err);
+                                return res.status(500).json({ error: 'Event series updated but fetch failed' });
+                            }
+                            
+                            // Let attendees know, once per user for the updated occurrences
+                            notifyAttendees(result.eventIds, 'event_updated', {
+                                event: updatedEvent || undefined,
+                                occurrenceCount: result.eventIds.length
+                            });
+                            result.cancelledIds.forEach(id => notifyAttendees([id], 'event_cancelled', { reason: DROPPED_OCCURRENCE_REASON }));
+                            result.promoted.forEach(promotion => {
+                                notifyForEvent(promotion.userIds, 'waitlist_promoted', promotion.eventId);
+                                auditPromotions(req, promotion.eventId, promotion.userIds);
+                            });
+                            audit(req, {
+                                action: 'event.update',
+                                entityType: 'event',
+                                entityId: event.id,
+                                eventId: event.id,
+                                before: snapshot(event, EVENT_AUDIT_FIELDS),
+                                after: snapshot(updatedEvent, EVENT_AUDIT_FIELDS),
+                                metadata: {
+                                    scope,
+                                    occurrence_ids: result.eventIds,
+                                    occurrences_added: result.added,
+                                    cancelled_ids: result.cancelledIds,
+                                    questions_updated: !!questions,
+                                    tags_updated: !!tags
+                                }
+                            });
+                            
+                            res.json({
+                                message: 'Event series updated successfully',
+                                event: formatEventTimes(formatTags(updatedEvent)) || null,
+                                series_id: result.seriesId,
+                                occurrences_updated: result.updated,
+                                occurrences_added: result.added,
+                                occurrences_removed: result.removed
+                            });
+                        }
+                    );
+                });
+            }
+            
+            // Update event; the category is kept unless categoryId is sent (null clears it),
+            // and the timezone and length of the event unless a new one is sent. RSVP
+            // times that are left out stay the same time before the event
+            const rsvpTimes = windowTimes(eventDate, windowOffsets(eventDate, req.body, event));
+            
+            db.run(
+                `UPDATE events 
+                 SET title = ?, description = ?, event_date = ?, end_date = ?, timezone = COALESCE(?, timezone),
+                     location = ?, max_attendees = ?,
+                     max_guests_per_rsvp = COALESCE(?, max_guests_per_rsvp),
+                     rsvp_opens_at = ?, rsvp_deadline = ?, rsvp_locked = COALESCE(?, rsvp_locked),
+                     rsvp_requires_approval = COALESCE(?, rsvp_requires_approval),
+                     visibility = COALESCE(?, visibility),
+                     category_id = CASE WHEN ? THEN ? ELSE category_id END, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [title, description, eventDate, endTime(eventDate, endDate, eventDuration(event)), timezone || null,
+                    location, maxAttendees || null, maxGuestsPerRsvp,
+                    rsvpTimes.opensAt, rsvpTimes.deadline, settingColumn(lockRsvpsAfterDeadline), settingColumn(requireRsvpApproval),
+                    visibility || null, categoryId !== undefined ? 1 : 0, categoryId || null, eventId],
+                function(err) {
+                    if (err) {
+                        db.close();
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to update event' });
+                    }
+                    
+                    // Questions and tags are only replaced when a new set is sent
+                    const saveQuestions = (done) => {
+                        if (!questions) return done(null);
+                        syncQuestions(db, eventId, questions, done);
+                    };
+                    const saveTags = (done) => {
+                        if (!tags) return done(null);
+                        setTags(db, [eventId], tags, done);
+                    };
+                    
+                    runInSequence([saveQuestions, saveTags], (err) => {
+                        if (err) {
+                            db.close();
+                            console.error('Question or tag update error:', err);
+                            return res.status(500).json({ error: 'Failed to update event questions and tags' });
+                        }
+                        
+                        // Raising or removing the capacity lets waitlisted users in
+                        promoteWaitlist(db, eventId, (err, promotedUserIds) => {
+                            if (err) {
+                                console.error('Waitlist promotion error:', err);
+                            }
+                            
+                            // Get updated event
+                            db.get(
+                                `SELECT e.*, u.username as creator_name, u.first_name, u.last_name, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}
+                                 FROM events e
+                                 JOIN users u ON e.created_by = u.id
+                                 LEFT JOIN categories c ON e.category_id = c.id
+                                 WHERE e.id = ?`,
+                                [eventId],
+                                (err, updatedEvent) => {
+                                    db.close();
+                                    
+                                    if (err) {
+                                        console.error('Event fetch error:', err);
+                                        return res.status(500).json({ error: 'Event updated but fetch failed' });
+                                    }
+                                    
+                                    notifyAttendees([eventId], 'event_updated', { event: updatedEvent });
+                                    notify(promotedUserIds || [], 'waitlist_promoted', { event: updatedEvent });
+                                    auditPromotions(req, event.id, promotedUserIds);
+                                    audit(req, {
+                                        action: 'event.update',
+                                        entityType: 'event',
+                                        entityId: event.id,
+                                        eventId: event.id,
+                                        before: snapshot(event, EVENT_AUDIT_FIELDS),
+                                        after: snapshot(updatedEvent, EVENT_AUDIT_FIELDS),
+                                        metadata: questions || tags ? { questions_updated: !!questions, tags_updated: !!tags } : null
+                                    });
+                                    
+                                    res.json({
+                                        message: 'Event updated successfully',
+                                        event: formatEventTimes(formatTags(updatedEvent)),
+                                        promoted_from_waitlist: (promotedUserIds || []).length
+                                    });
+                                }
+                            );
+                        });
+                    });
+                }
+            );
+        }));
+    
+    } catch (error) {
+        console.error('Update event error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cancel event, following occurrences, or whole series (authenticated, owner or admin only)
+router.post('/:id/cancel', authMiddleware, validateScope, validateCancel, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const eventId = req.params.id;
+    const scope = req.body.scope || 'this';
+    const reason = req.body.reason || null;
+    
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'cancel', columns: 'id, title, location, created_by, series_id, event_date, timezone, status', action: 'cancel' }, (event) => {
+        if (event.status !== 'active') {
+            db.close();
+            return res.status(400).json({ error: 'Only active events can be cancelled' });
+        }
+        
+        cancelOccurrences(db, event, scope, { reason, userId: req.session.user.id }, (err, cancelledIds) => {
+            db.close();
+            
+            if (err) {
+                console.error('Cancel error:', err);
+                return res.status(500).json({ error: 'Failed to cancel event' });
+            }
+            
+            notifyAttendees(cancelledIds, 'event_cancelled', { event, reason, occurrenceCount: cancelledIds.length });
+            audit(req, cancelledIds.map(id => ({
+                action: 'event.cancel',
+                entityType: 'event',
+                entityId: id,
+                eventId: id,
+                before: { status: 'active' },
+                after: { status: 'cancelled', cancellation_reason: reason },
+                metadata: { scope }
+            })));
+            
+            res.json({
+                message: 'Event cancelled successfully',
+                cancelled_count: cancelledIds.length,
+                cancellation_reason: reason
+            });
+        });
+    });
+});
+
+// Reinstate a cancelled event (authenticated, owner or admin only)
+router.post('/:id/reinstate', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'cancel', columns: 'id, title, location, created_by, series_id, event_date, end_date, timezone, status, cancellation_reason', action: 'reinstate' }, (event) => {
+        if (event.status !== 'cancelled') {
+            db.close();
+            return res.status(400).json({ error: 'Only cancelled events can be reinstated' });
+        }
+        
+        if (hasStarted(event)) {
+            db.close();
+            return res.status(400).json({ error: 'Past events cannot be reinstated' });
+        }
+        
+        db.run(
+            `UPDATE events
+             SET status = 'active', cancellation_reason = NULL, cancelled_at = NULL, cancelled_by = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
             [eventId],
-            (err, event) => {
+            (err) => {
                 if (err) {
                     db.close();
-                    console.error('Database error:', err);
-                    return res.status(500).json({ error: 'Database error' });
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to reinstate event' });
                 }
                 
-                if (!event) {
-                    db.close();
-                    return res.status(404).json({ error: 'Event not found' });
-                }
+                // Let the series generate this occurrence again
+                const restoreOccurrence = (done) => {
+                    if (!event.series_id) return done(null);
+                    removeExclusion(db, event.series_id, event.event_date, done);
+                };
                 
-                // Check permissions
-                if (event.created_by !== userId && userRole !== 'admin') {
+                restoreOccurrence((err) => {
                     db.close();
-                    return res.status(403).json({ error: 'Access denied. You can only edit your own events.' });
-                }
-                
-                // Update event
-                db.run(
-                    `UPDATE events 
-                     SET title = ?, description = ?, event_date = ?, location = ?, max_attendees = ?, updated_at = CURRENT_TIMESTAMP
-                     WHERE id = ?`,
-                    [title, description, eventDate, location, maxAttendees || null, eventId],
-                    function(err) {
-                        if (err) {
-                            db.close();
-                            console.error('Update error:', err);
-                            return res.status(500).json({ error: 'Failed to update event' });
-                        }
-                        
-                        // Get updated event
-                        db.get(
-                            `SELECT e.*, u.username as creator_name, u.first_name, u.last_name
-                             FROM events e
-                             JOIN users u ON e.created_by = u.id
-                             WHERE e.id = ?`,
-                            [eventId],
-                            (err, updatedEvent) => {
-                                db.close();
-                                
-                                if (err) {
-                                    console.error('Event fetch error:', err);
-                                    return res.status(500).json({ error: 'Event updated but fetch failed' });
-                                }
-                                
-                                res.json({
-                                    message: 'Event updated successfully',
-                                    event: updatedEvent
-                                });
-                            }
-                        );
+                    
+                    if (err) {
+                        console.error('Series exclusion error:', err);
                     }
-                );
+                    
+                    notifyAttendees([event.id], 'event_reinstated', { event });
+                    audit(req, {
+                        action: 'event.reinstate',
+                        entityType: 'event',
+                        entityId: event.id,
+                        eventId: event.id,
+                        before: { status: 'cancelled', cancellation_reason: event.cancellation_reason },
+                        after: { status: 'active', cancellation_reason: null }
+                    });
+                    
+                    res.json({ message: 'Event reinstated successfully' });
+                });
             }
         );
-        
-    } catch (error) {
-        console.error('Update event error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
+    });
 });
 
-// Delete event (authenticated, owner or admin only)
+// Move a cancelled or past event to the trash (authenticated, owner or admin only)
 router.delete('/:id', authMiddleware, (req, res) => {
     const eventId = req.params.id;
-    const userId = req.session.user.id;
-    const userRole = req.session.user.role;
     
     const db = getDb();
     
-    // Check if user can delete this event
-    db.get(
-        'SELECT created_by FROM events WHERE id = ?',
-        [eventId],
-        (err, event) => {
-            if (err) {
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'delete', columns: 'id, created_by, status', action: 'delete' }, (event) => {
+        if (event.status === 'active') {
+            db.close();
+            return res.status(400).json({ error: 'Cancel the event before deleting it' });
+        }
+        
+        // RSVPs stay in place until the trash is emptied
+        db.run(
+            'UPDATE events SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?',
+            [req.session.user.id, eventId],
+            (err) => {
                 db.close();
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Database error' });
+                
+                if (err) {
+                    console.error('Delete error:', err);
+                    return res.status(500).json({ error: 'Failed to delete event' });
+                }
+                
+                audit(req, { action: 'event.delete', entityType: 'event', entityId: Number(eventId), eventId });
+                
+                res.json({
+                    message: 'Event moved to trash',
+                    retention_days: trashRetentionDays()
+                });
             }
-            
-            if (!event) {
+        );
+    });
+});
+
+// Restore an event from the trash (authenticated, owner or admin only)
+router.post('/:id/restore', authMiddleware, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'delete', columns: 'id, created_by', action: 'restore', trashed: true }, () => {
+        db.run(
+            'UPDATE events SET deleted_at = NULL, deleted_by = NULL WHERE id = ?',
+            [eventId],
+            (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to restore event' });
+                }
+                
+                audit(req, { action: 'event.restore', entityType: 'event', entityId: Number(eventId), eventId });
+                
+                res.json({ message: 'Event restored successfully' });
+            }
+        );
+    });
+});
+
+// Permanently delete an event from the trash (admin only)
+router.delete('/:id/permanent', authMiddleware.admin, (req, res) => {
+    const eventId = req.params.id;
+    const db = getDb();
+    
+    withEventPermission(db, eventId, req.session.user, res, { permission: 'delete', columns: '*', action: 'delete', trashed: true }, (event) => {
+        // Delete event (CASCADE will delete related RSVPs, which SQLite only enforces when asked to)
+        runInSequence([
+            (done) => db.run('PRAGMA foreign_keys = ON', done),
+            (done) => db.run('DELETE FROM events WHERE id = ?', [eventId], done)
+        ], (err) => {
+            if (err) {
                 db.close();
-                return res.status(404).json({ error: 'Event not found' });
+                console.error('Delete error:', err);
+                return res.status(500).json({ error: 'Failed to delete event' });
             }
             
-            // Check permissions
-            if (event.created_by !== userId && userRole !== 'admin') {
+            audit(req, {
+                action: 'event.purge',
+                entityType: 'event',
+                entityId: event.id,
+                eventId: event.id,
+                before: snapshot(event, EVENT_AUDIT_FIELDS)
+            });
+            
+            if (!event.series_id) {
                 db.close();
-                return res.status(403).json({ error: 'Access denied. You can only delete your own events.' });
+                return res.json({ message: 'Event deleted permanently' });
             }
             
-            // Delete event (CASCADE will delete related RSVPs)
-            db.run(
-                'DELETE FROM events WHERE id = ?',
-                [eventId],
-                function(err) {
-                    db.close();
-                    
-                    if (err) {
-                        console.error('Delete error:', err);
-                        return res.status(500).json({ error: 'Failed to delete event' });
-                    }
-                    
-                    res.json({ message: 'Event deleted successfully' });
+            // Keep a deleted occurrence from being generated again
+            addExclusion(db, event.series_id, event.event_date, (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Series exclusion error:', err);
                 }
-            );
-        }
-    );
+                
+                res.json({ message: 'Event deleted permanently' });
+            });
+        });
+    });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,451 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const crypto = require('crypto');
+const authMiddleware = require('../middleware/auth');
+const { runInTransaction } = require('../utils/async');
+const { withEventPermission } = require('../utils/permissions');
+const { readImportRows, validateRows, isDryRun } = require('../utils/import');
+const { INVITEE_MATCH } = require('../utils/access');
+const { formatEventTimes } = require('../utils/timezones');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+// Validation middleware
+const validateInvitation = [
+    body('eventId')
+        .isInt({ min: 1 })
+        .withMessage('Valid event ID is required'),
+    body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email address'),
+    body('userId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Valid user ID is required'),
+    body('maxUses')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Max uses must be a positive number')
+];
+
+// Validation for each row of an invitee import
+const validateInvitee = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+];
+
+/**
+ * Load an event and check the user may manage its invitations (organizers)
+ * Sends the error response itself and calls back only on success
+ */
+function withManagedEvent(db, eventId, user, res, callback) {
+    withEventPermission(db, eventId, user, res, {
+        permission: 'manage_attendees',
+        columns: 'id, title, created_by',
+        action: 'manage invitations for'
+    }, callback);
+}
+
+/**
+ * Build the link an invitee uses to accept an invitation
+ */
+function acceptUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}/token/${token}/accept`;
+}
+
+// Get invitations for the current user (authenticated)
+router.get('/mine', authMiddleware, (req, res) => {
+    const user = req.session.user;
+    const db = getDb();
+    
+    db.all(`
+        SELECT i.id, i.event_id, i.created_at, i.accepted_at,
+               e.title, e.event_date, e.end_date, e.timezone, e.location, e.visibility,
+               u.username as invited_by
+        FROM invitations i
+        JOIN events e ON i.event_id = e.id
+        JOIN users u ON i.created_by = u.id
+        WHERE i.revoked = 0 AND e.status = 'active'
+          AND ${INVITEE_MATCH}
+        ORDER BY e.event_date ASC
+    `, [user.id, user.id], (err, invitations) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ invitations: invitations.map(formatEventTimes) });
+    });
+});
+
+// Get invitations for an event (authenticated, owner or admin only)
+router.get('/event/:eventId', authMiddleware, (req, res) => {
+    const eventId = req.params.eventId;
+    const db = getDb();
+    
+    withManagedEvent(db, eventId, req.session.user, res, () => {
+        db.all(`
+            SELECT i.*, u.username, u.first_name, u.last_name
+            FROM invitations i
+            LEFT JOIN users u ON i.user_id = u.id
+            WHERE i.event_id = ?
+            ORDER BY i.created_at DESC
+        `, [eventId], (err, invitations) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({
+                invitations: invitations.map(invitation => ({
+                    ...invitation,
+                    url: invitation.token ? acceptUrl(req, invitation.token) : null
+                }))
+            });
+        });
+    });
+});
+
+// Create invitation (authenticated, owner or admin only)
+router.post('/', authMiddleware, validateInvitation, (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+        
+        const { eventId, email, userId, maxUses } = req.body;
+        const isDirect = !!(email || userId);
+        const token = crypto.randomBytes(16).toString('hex');
+        
+        const db = getDb();
+        
+        withManagedEvent(db, eventId, req.session.user, res, () => {
+            // Direct invitations are single-use; links default to unlimited
+            db.run(
+                `INSERT INTO invitations (event_id, email, user_id, token, max_uses, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [eventId, email || null, userId || null, token, isDirect ? 1 : (maxUses || null), req.session.user.id],
+                function(err) {
+                    if (err) {
+                        db.close();
+                        console.error('Insert error:', err);
+                        return res.status(500).json({ error: 'Failed to create invitation' });
+                    }
+                    
+                    db.get('SELECT * FROM invitations WHERE id = ?', [this.lastID], (err, invitation) => {
+                        db.close();
+                        
+                        if (err) {
+                            console.error('Invitation fetch error:', err);
+                            return res.status(500).json({ error: 'Invitation created but fetch failed' });
+                        }
+                        
+                        res.status(201).json({
+                            message: 'Invitation created successfully',
+                            invitation: {
+                                ...invitation,
+                                url: acceptUrl(req, token)
+                            }
+                        });
+                    });
+                }
+            );
+        });
+    
+    } catch (error) {
+        console.error('Invitation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Bulk import invitees from CSV or JSON (authenticated, owner or admin only)
+router.post('/event/:eventId/import', authMiddleware, (req, res) => {
+    const eventId = req.params.eventId;
+    
+    let rows;
+    try {
+        rows = readImportRows(req, 'invitees');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const db = getDb();
+    
+    withManagedEvent(db, eventId, req.session.user, res, () => {
+        validateRows(rows, validateInvitee).then((failures) => {
+            // Already-invited addresses and repeats within the file are skipped, not errors
+            db.all(`
+                SELECT LOWER(COALESCE(i.email, u.email)) as email
+                FROM invitations i
+                LEFT JOIN users u ON i.user_id = u.id
+                WHERE i.event_id = ? AND i.revoked = 0
+            `, [eventId], (err, existing) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                const invited = new Set(existing.map(row => row.email));
+                const failedRows = new Set(failures.map(failure => failure.row));
+                const emails = [];
+                const skipped = [];
+                
+                rows.forEach((row, index) => {
+                    if (failedRows.has(index + 1)) return;
+                    
+                    const email = String(row.email).toLowerCase();
+                    if (invited.has(email)) {
+                        skipped.push({ row: index + 1, email, reason: 'Already invited' });
+                    } else if (emails.includes(email)) {
+                        skipped.push({ row: index + 1, email, reason: 'Duplicate in import' });
+                    } else {
+                        emails.push(email);
+                    }
+                });
+                
+                if (isDryRun(req)) {
+                    db.close();
+                    return res.json({
+                        dry_run: true,
+                        valid: failures.length === 0,
+                        row_count: rows.length,
+                        invite_count: emails.length,
+                        skipped,
+                        errors: failures
+                    });
+                }
+                
+                if (failures.length > 0) {
+                    db.close();
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        row_count: rows.length,
+                        errors: failures
+                    });
+                }
+                
+                // Each invitee gets a single-use direct invitation
+                runInTransaction(db, emails.map(email => (done) => db.run(
+                    `INSERT INTO invitations (event_id, email, token, max_uses, created_by)
+                     VALUES (?, ?, ?, 1, ?)`,
+                    [eventId, email, crypto.randomBytes(16).toString('hex'), req.session.user.id],
+                    done
+                )), (err) => {
+                    db.close();
+                    
+                    if (err) {
+                        console.error('Import error:', err);
+                        return res.status(500).json({ error: 'Failed to import invitees' });
+                    }
+                    
+                    res.status(201).json({
+                        message: 'Invitees imported successfully',
+                        invited_count: emails.length,
+                        skipped
+                    });
+                });
+            });
+        }).catch((error) => {
+            db.close();
+            console.error('Import invitees error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+    });
+});
+
+// Preview an invitation by token (public)
+router.get('/token/:token', (req, res) => {
+    const db = getDb();
+    
+    db.get(`
+        SELECT i.id, i.email, i.max_uses, i.use_count, i.revoked,
+               e.id as event_id, e.title, e.description, e.event_date, e.end_date, e.timezone, e.location,
+               e.status as event_status,
+               u.username as invited_by
+        FROM invitations i
+        JOIN events e ON i.event_id = e.id
+        JOIN users u ON i.created_by = u.id
+        WHERE i.token = ? AND e.deleted_at IS NULL
+    `, [req.params.token], (err, invitation) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!invitation || invitation.revoked) {
+            return res.status(404).json({ error: 'Invitation not found or revoked' });
+        }
+        
+        const usedUp = invitation.max_uses !== null && invitation.use_count >= invitation.max_uses;
+        
+        res.json({
+            invitation: {
+                event_id: invitation.event_id,
+                title: invitation.title,
+                description: invitation.description,
+                ...formatEventTimes({
+                    event_date: invitation.event_date,
+                    end_date: invitation.end_date,
+                    timezone: invitation.timezone
+                }),
+                location: invitation.location,
+                event_status: invitation.event_status,
+                invited_by: invitation.invited_by,
+                valid: !usedUp && invitation.event_status === 'active'
+            }
+        });
+    });
+});
+
+// Accept an invitation by token (authenticated)
+router.post('/token/:token/accept', authMiddleware, (req, res) => {
+    const user = req.session.user;
+    const db = getDb();
+    
+    db.get(
+        'SELECT * FROM invitations WHERE token = ? AND revoked = 0',
+        [req.params.token],
+        (err, invitation) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!invitation) {
+                db.close();
+                return res.status(404).json({ error: 'Invitation not found or revoked' });
+            }
+            
+            // Invitations for a specific account cannot be used by anyone else
+            if (invitation.user_id && invitation.user_id !== user.id) {
+                db.close();
+                return res.status(403).json({ error: 'This invitation was sent to a different user' });
+            }
+            
+            const isDirect = !!(invitation.email || invitation.user_id);
+            
+            // Accepting again is a no-op rather than another use
+            if (isDirect && invitation.user_id === user.id) {
+                db.close();
+                return res.json({ message: 'Invitation accepted', event_id: invitation.event_id });
+            }
+            
+            db.get(
+                `SELECT id FROM invitations
+                 WHERE event_id = ? AND revoked = 0 AND token IS NULL AND user_id = ?`,
+                [invitation.event_id, user.id],
+                (err, existing) => {
+                    if (err) {
+                        db.close();
+                        console.error('Database error:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    
+                    if (!isDirect && existing) {
+                        db.close();
+                        return res.json({ message: 'Invitation accepted', event_id: invitation.event_id });
+                    }
+                    
+                    // Claim one use; the WHERE clause guards against using up a link twice
+                    db.run(
+                        `UPDATE invitations SET use_count = use_count + 1
+                         WHERE id = ? AND (max_uses IS NULL OR use_count < max_uses)`,
+                        [invitation.id],
+                        function(err) {
+                            if (err) {
+                                db.close();
+                                console.error('Update error:', err);
+                                return res.status(500).json({ error: 'Failed to accept invitation' });
+                            }
+                            
+                            if (this.changes === 0) {
+                                db.close();
+                                return res.status(410).json({ error: 'Invitation has already been used' });
+                            }
+                            
+                            // Direct invitations are bound to the accepting user,
+                            // links grant a personal invitation of their own
+                            const query = isDirect
+                                ? 'UPDATE invitations SET user_id = ?, accepted_at = CURRENT_TIMESTAMP WHERE id = ?'
+                                : `INSERT INTO invitations (event_id, user_id, created_by, accepted_at)
+                                   SELECT event_id, ?, created_by, CURRENT_TIMESTAMP FROM invitations WHERE id = ?`;
+                            
+                            db.run(query, [user.id, invitation.id], (err) => {
+                                db.close();
+                                
+                                if (err) {
+                                    console.error('Accept error:', err);
+                                    return res.status(500).json({ error: 'Failed to accept invitation' });
+                                }
+                                
+                                res.json({ message: 'Invitation accepted', event_id: invitation.event_id });
+                            });
+                        }
+                    );
+                }
+            );
+        }
+    );
+});
+
+// Revoke invitation (authenticated, owner or admin only)
+router.delete('/:id', authMiddleware, (req, res) => {
+    const invitationId = req.params.id;
+    const db = getDb();
+    
+    db.get('SELECT event_id FROM invitations WHERE id = ?', [invitationId], (err, invitation) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!invitation) {
+            db.close();
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        
+        withManagedEvent(db, invitation.event_id, req.session.user, res, () => {
+            db.run('UPDATE invitations SET revoked = 1 WHERE id = ?', [invitationId], (err) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Revoke error:', err);
+                    return res.status(500).json({ error: 'Failed to revoke invitation' });
+                }
+                
+                res.json({ message: 'Invitation revoked successfully' });
+            });
+        });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { NOTIFICATION_TYPES, getPreferences, savePreferences } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+// Validation middleware
+const validatePreferences = [
+    body('preferences')
+        .isObject()
+        .withMessage('Preferences must be an object keyed by notification type')
+        .custom((value) => {
+            Object.keys(value).forEach(type => {
+                if (!NOTIFICATION_TYPES.includes(type)) {
+                    throw new Error(`Unknown notification type "${type}". Use one of: ${NOTIFICATION_TYPES.join(', ')}`);
+                }
+                if (typeof value[type] !== 'boolean') {
+                    throw new Error(`Preference for "${type}" must be true or false`);
+                }
+            });
+            return true;
+        })
+];
+
+// Get notification preferences (authenticated)
+router.get('/preferences', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    getPreferences(db, req.session.user.id, (err, preferences) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ preferences });
+    });
+});
+
+// Update notification preferences (authenticated)
+router.put('/preferences', authMiddleware, validatePreferences, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const userId = req.session.user.id;
+    const db = getDb();
+    
+    savePreferences(db, userId, req.body.preferences, (err) => {
+        if (err) {
+            db.close();
+            console.error('Update error:', err);
+            return res.status(500).json({ error: 'Failed to update notification preferences' });
+        }
+        
+        getPreferences(db, userId, (err, preferences) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Preferences updated but fetch failed' });
+            }
+            
+            res.json({
+                message: 'Notification preferences updated successfully',
+                preferences
+            });
+        });
+    });
+});
+
+// List outbox messages, optionally by status (admin only)
+router.get('/outbox', authMiddleware.admin, (req, res) => {
+    const status = req.query.status;
+    const db = getDb();
+    
+    let query = `
+        SELECT id, user_id, type, recipient, subject, status, attempts, last_error,
+               next_attempt_at, created_at, sent_at
+        FROM notification_outbox
+    `;
+    const params = [];
+    
+    if (status) {
+        query += ' WHERE status = ?';
+        params.push(status);
+    }
+    
+    query += ' ORDER BY id DESC LIMIT 100';
+    
+    db.all(query, params, (err, messages) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ messages });
+    });
+});
+
+// Retry a failed message (admin only)
+router.post('/outbox/:id/retry', authMiddleware.admin, (req, res) => {
+    const db = getDb();
+    
+    db.run(
+        `UPDATE notification_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'failed'`,
+        [req.params.id],
+        function(err) {
+            db.close();
+            
+            if (err) {
+                console.error('Update error:', err);
+                return res.status(500).json({ error: 'Failed to retry message' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Failed message not found' });
+            }
+            
+            res.json({ message: 'Message queued for another attempt' });
+        }
+    );
+});
+
+module.exports = router;
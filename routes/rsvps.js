@@ -2,12 +2,33 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
 const authMiddleware = require('../middleware/auth');
+const { nextWaitlistPosition, promoteWaitlist } = require('../utils/waitlist');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+const { visibilityClause } = require('../utils/access');
+const { HEADCOUNT, headcount, formatGuests } = require('../utils/guests');
+const { getQuestions, validateAnswers, saveAnswers, getAnswers } = require('../utils/questions');
+const { ticketCode, renderTicketQR } = require('../utils/tickets');
+const { notify, notifyForEvent } = require('../utils/notifications');
+const { snapshot, audit, auditPromotions } = require('../utils/audit');
+const { validatePagination, getPagination, paginationMeta } = require('../utils/pagination');
+const { ATTENDING_COUNT, validateEventFilters, filterConditions, orderClause } = require('../utils/eventFilters');
+const { formatSearchResult } = require('../utils/search');
+const { TAGS_COLUMN, formatTags } = require('../utils/tags');
+const { CATEGORY_COLUMNS } = require('../utils/categories');
+const { formatEventTimes } = require('../utils/timezones');
+const { rsvpBlock, isLocked } = require('../utils/rsvpWindow');
+const { hashToken } = require('../utils/apiTokens');
+const { runInTransaction } = require('../utils/async');
 
 const router = express.Router();
 
+// RSVP columns recorded in the audit log
+const RSVP_AUDIT_FIELDS = ['status', 'waitlist_position', 'guest_count', 'guest_names', 'notes'];
+
 // Database connection
-const dbPath = path.join(__dirname, '..', 'database', 'events.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
 
 function getDb() {
     return new sqlite3.Database(dbPath, (err) => {
@@ -28,23 +49,72 @@ const validateRSVP = [
     body('notes')
         .optional()
         .isLength({ max: 500 })
-        .withMessage('Notes cannot exceed 500 characters')
+        .withMessage('Notes cannot exceed 500 characters'),
+    body('guestCount')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Guest count must be zero or more'),
+    body('guestNames')
+        .optional()
+        .isArray()
+        .withMessage('Guest names must be a list')
+        .custom((value, { req }) => {
+            if (value.length > (parseInt(req.body.guestCount, 10) || 0)) {
+                throw new Error('Cannot name more guests than the guest count');
+            }
+            return true;
+        }),
+    body('guestNames.*')
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Guest names must be between 1 and 100 characters'),
+    body('answers')
+        .optional()
+        .isObject()
+        .withMessage('Answers must be an object keyed by question')
 ];
 
-// Get user's RSVPs (authenticated)
-router.get('/my-rsvps', authMiddleware, (req, res) => {
-    const userId = req.session.user.id;
-    const db = getDb();
-    
+// A user's RSVPs with their event and organizer details
+const USER_RSVP_COLUMNS = `
+    r.*, e.title, e.description, e.event_date, e.end_date, e.timezone, e.location, e.max_attendees, e.series_id,
+    e.category_id, e.status as event_status, e.cancellation_reason, e.cancelled_at, e.updated_at as event_updated_at,
+    u.username as creator_name, u.first_name as creator_first_name, u.last_name as creator_last_name
+`;
+
+/**
+ * Get all of a user's RSVPs, soonest event first, for the calendar feed
+ */
+function getUserRSVPs(db, userId, callback) {
     db.all(`
-        SELECT r.*, e.title, e.description, e.event_date, e.location, e.max_attendees,
-               u.username as creator_name, u.first_name as creator_first_name, u.last_name as creator_last_name
+        SELECT ${USER_RSVP_COLUMNS}
         FROM rsvps r
         JOIN events e ON r.event_id = e.id
         JOIN users u ON e.created_by = u.id
-        WHERE r.user_id = ?
+        WHERE r.user_id = ? AND e.deleted_at IS NULL
         ORDER BY e.event_date ASC
-    `, [userId], (err, rsvps) => {
+    `, [userId], callback);
+}
+
+/**
+ * Build the subscription URL for a calendar feed token
+ */
+function feedUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/${token}.ics`;
+}
+
+/**
+ * Load the current user's ticket for an event
+ * Only attending RSVPs to active events get a ticket
+ * Sends the error response itself and calls back only on success
+ */
+function withTicket(db, eventId, userId, res, callback) {
+    db.get(`
+        SELECT r.id, r.event_id, r.user_id, r.status, r.guest_count, r.checked_in_at,
+               e.title, e.event_date, e.end_date, e.timezone, e.location, e.status as event_status
+        FROM rsvps r
+        JOIN events e ON r.event_id = e.id
+        WHERE r.event_id = ? AND r.user_id = ?
+    `, [eventId, userId], (err, rsvp) => {
         db.close();
         
         if (err) {
@@ -52,22 +122,224 @@ router.get('/my-rsvps', authMiddleware, (req, res) => {
             return res.status(500).json({ error: 'Database error' });
         }
         
-        res.json({ rsvps });
+        if (!rsvp) {
+            return res.status(404).json({ error: 'RSVP not found' });
+        }
+        
+        if (rsvp.status !== 'attending' || rsvp.event_status !== 'active') {
+            return res.status(403).json({ error: 'Tickets are only issued for attending RSVPs to active events' });
+        }
+        
+        callback(rsvp);
+    });
+}
+
+// Get user's RSVPs (authenticated)
+// Paginated, with the same filters and sorting as GET /api/events; every event status by default
+router.get('/my-rsvps', authMiddleware, validatePagination, validateEventFilters, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: errors.array() 
+        });
+    }
+    
+    const user = req.session.user;
+    const pagination = getPagination(req);
+    const filters = filterConditions(req, user);
+    const where = `WHERE ${['r.user_id = ?', 'e.deleted_at IS NULL', ...filters.conditions].join(' AND ')}`;
+    const params = [user.id, ...filters.params];
+    const db = getDb();
+    
+    db.get(`
+        SELECT COUNT(*) as total
+        FROM rsvps r
+        JOIN events e ON r.event_id = e.id
+        JOIN users u ON e.created_by = u.id
+        ${filters.join}
+        ${where}
+    `, params, (err, count) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        db.all(`
+            SELECT ${USER_RSVP_COLUMNS}, ${ATTENDING_COUNT} as rsvp_count, ${CATEGORY_COLUMNS}, ${TAGS_COLUMN}${filters.columns}
+            FROM rsvps r
+            JOIN events e ON r.event_id = e.id
+            JOIN users u ON e.created_by = u.id
+            LEFT JOIN categories c ON e.category_id = c.id
+            ${filters.join}
+            ${where}
+            ${orderClause(req)}
+            LIMIT ? OFFSET ?
+        `, [...params, pagination.limit, pagination.offset], (err, rsvps) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({ rsvps: rsvps.map(rsvp => formatSearchResult(formatEventTimes(formatTags(formatGuests(rsvp))))), pagination: paginationMeta(pagination, count.total) });
+        });
     });
 });
 
+// Get calendar feed status (authenticated)
+router.get('/calendar-feed', authMiddleware, (req, res) => {
+    const userId = req.session.user.id;
+    const db = getDb();
+    
+    db.get(
+        'SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = ?',
+        [userId],
+        (err, feed) => {
+            db.close();
+            
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({
+                active: !!feed,
+                created_at: feed ? feed.created_at : null,
+                last_accessed_at: feed ? feed.last_accessed_at : null
+            });
+        }
+    );
+});
+
+// Create or rotate calendar feed token (authenticated)
+router.post('/calendar-feed', authMiddleware, (req, res) => {
+    const userId = req.session.user.id;
+    const token = crypto.randomBytes(24).toString('hex');
+    const db = getDb();
+    
+    // Replacing the row invalidates any previous token
+    db.run(
+        `INSERT OR REPLACE INTO calendar_feeds (user_id, token_hash, created_at, last_accessed_at)
+         VALUES (?, ?, CURRENT_TIMESTAMP, NULL)`,
+        [userId, hashToken(token)],
+        (err) => {
+            db.close();
+            
+            if (err) {
+                console.error('Insert error:', err);
+                return res.status(500).json({ error: 'Failed to create calendar feed' });
+            }
+            
+            audit(req, { action: 'calendar_feed.create', entityType: 'calendar_feed', entityId: userId });
+            
+            res.status(201).json({
+                message: 'Calendar feed created. This URL is only shown once.',
+                token,
+                url: feedUrl(req, token)
+            });
+        }
+    );
+});
+
+// Revoke calendar feed token (authenticated)
+router.delete('/calendar-feed', authMiddleware, (req, res) => {
+    const userId = req.session.user.id;
+    const db = getDb();
+    
+    db.run('DELETE FROM calendar_feeds WHERE user_id = ?', [userId], function(err) {
+        db.close();
+        
+        if (err) {
+            console.error('Delete error:', err);
+            return res.status(500).json({ error: 'Failed to revoke calendar feed' });
+        }
+        
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        
+        audit(req, { action: 'calendar_feed.revoke', entityType: 'calendar_feed', entityId: userId });
+        
+        res.json({ message: 'Calendar feed revoked successfully' });
+    });
+});
+
+// Calendar subscription feed (public, authenticated by token)
+router.get('/calendar/:token.ics', (req, res) => {
+    const db = getDb();
+    
+    db.get(
+        `SELECT f.user_id, u.username
+         FROM calendar_feeds f
+         JOIN users u ON f.user_id = u.id
+         WHERE f.token_hash = ?`,
+        [hashToken(req.params.token)],
+        (err, feed) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!feed) {
+                db.close();
+                return res.status(404).json({ error: 'Calendar feed not found' });
+            }
+            
+            db.run('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE user_id = ?', [feed.user_id]);
+            
+            getUserRSVPs(db, feed.user_id, (err, rsvps) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                const events = rsvps
+                    .filter(r => r.status === 'attending' || r.status === 'maybe')
+                    .map(r => buildEvent({
+                        id: r.event_id,
+                        title: r.title,
+                        description: r.description,
+                        event_date: r.event_date,
+                        end_date: r.end_date,
+                        location: r.location,
+                        status: r.event_status,
+                        updated_at: r.event_updated_at,
+                        creator_name: r.creator_name,
+                        first_name: r.creator_first_name,
+                        last_name: r.creator_last_name
+                    }, {
+                        url: `${req.protocol}://${req.get('host')}/events/${r.event_id}`,
+                        tentative: r.status === 'maybe'
+                    }));
+                
+                res.set('Content-Type', 'text/calendar; charset=utf-8');
+                res.send(buildCalendar(events, `${feed.username}'s events`));
+            });
+        }
+    );
+});
+
 // Get RSVPs for a specific event
-router.get('/event/:eventId', (req, res) => {
+router.get('/event/:eventId', authMiddleware.optional, (req, res) => {
     const eventId = req.params.eventId;
     const db = getDb();
+    const visibility = visibilityClause(req.currentUser, { includeUnlisted: true });
     
     db.all(`
-        SELECT r.status, r.notes, r.rsvp_date, u.username, u.first_name, u.last_name
+        SELECT r.status, r.waitlist_position, r.guest_count, r.guest_names, r.notes, r.rsvp_date,
+               u.username, u.first_name, u.last_name
         FROM rsvps r
         JOIN users u ON r.user_id = u.id
-        WHERE r.event_id = ?
+        JOIN events e ON r.event_id = e.id
+        WHERE r.event_id = ? AND r.status != 'declined' AND ${visibility.clause}
         ORDER BY r.rsvp_date DESC
-    `, [eventId], (err, rsvps) => {
+    `, [eventId, ...visibility.params], (err, rows) => {
         db.close();
         
         if (err) {
@@ -75,18 +347,75 @@ router.get('/event/:eventId', (req, res) => {
             return res.status(500).json({ error: 'Database error' });
         }
         
+        const rsvps = rows.map(formatGuests);
+        
         // Group by status for easier frontend handling
         const grouped = {
             attending: rsvps.filter(r => r.status === 'attending'),
             maybe: rsvps.filter(r => r.status === 'maybe'),
-            not_attending: rsvps.filter(r => r.status === 'not_attending')
+            not_attending: rsvps.filter(r => r.status === 'not_attending'),
+            pending: rsvps.filter(r => r.status === 'pending'),
+            waitlisted: rsvps
+                .filter(r => r.status === 'waitlisted')
+                .sort((a, b) => a.waitlist_position - b.waitlist_position)
         };
         
+        // Totals are in headcount, so guests count as people
+        const countPeople = list => list.reduce((sum, r) => sum + headcount(r), 0);
+        
         res.json({ 
             rsvps,
             grouped,
-            total: rsvps.length,
-            attending_count: grouped.attending.length
+            total: countPeople(rsvps),
+            response_count: rsvps.length,
+            attending_count: countPeople(grouped.attending),
+            maybe_count: countPeople(grouped.maybe),
+            waitlist_count: countPeople(grouped.waitlisted),
+            pending_count: countPeople(grouped.pending)
+        });
+    });
+});
+
+// Get the current user's ticket for an event (authenticated)
+router.get('/event/:eventId/ticket', authMiddleware, (req, res) => {
+    const eventId = req.params.eventId;
+    const db = getDb();
+    
+    withTicket(db, eventId, req.session.user.id, res, (rsvp) => {
+        const ticketUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/event/${eventId}/ticket`;
+        
+        res.json({
+            ticket: {
+                code: ticketCode(rsvp),
+                event_id: rsvp.event_id,
+                title: rsvp.title,
+                ...formatEventTimes({ event_date: rsvp.event_date, end_date: rsvp.end_date, timezone: rsvp.timezone }),
+                location: rsvp.location,
+                headcount: headcount(rsvp),
+                checked_in_at: rsvp.checked_in_at,
+                qr_png_url: `${ticketUrl}.png`,
+                qr_svg_url: `${ticketUrl}.svg`
+            }
+        });
+    });
+});
+
+// Get the current user's ticket as a QR code image (authenticated)
+router.get('/event/:eventId/ticket.:format(png|svg)', authMiddleware, (req, res) => {
+    const eventId = req.params.eventId;
+    const format = req.params.format;
+    const db = getDb();
+    
+    withTicket(db, eventId, req.session.user.id, res, (rsvp) => {
+        renderTicketQR(ticketCode(rsvp), format, (err, image) => {
+            if (err) {
+                console.error('QR code error:', err);
+                return res.status(500).json({ error: 'Failed to generate ticket QR code' });
+            }
+            
+            res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+            res.set('Cache-Control', 'private, no-store');
+            res.send(image);
         });
     });
 });
@@ -102,16 +431,27 @@ router.post('/', authMiddleware, validateRSVP, (req, res) => {
                 details: errors.array() 
             });
         }
-
-        const { eventId, status, notes } = req.body;
+        
+        const { eventId, status, notes, answers } = req.body;
         const userId = req.session.user.id;
+        let questions = [];
+        let previousRSVP = null;
+        
+        // Guests only come along if the user does
+        const guestCount = status === 'not_attending' ? 0 : (parseInt(req.body.guestCount, 10) || 0);
+        const guestNames = guestCount > 0 && req.body.guestNames ? JSON.stringify(req.body.guestNames) : null;
         
         const db = getDb();
         
-        // First check if event exists and get details
+        const visibility = visibilityClause(req.session.user, { includeUnlisted: true });
+        
+        // First check if event exists, is visible to the user, and get details
         db.get(
-            'SELECT id, title, max_attendees, event_date FROM events WHERE id = ? AND status = "active"',
-            [eventId],
+            `SELECT e.id, e.title, e.location, e.max_attendees, e.max_guests_per_rsvp, e.event_date, e.end_date, e.timezone, e.status,
+                    e.rsvp_opens_at, e.rsvp_deadline, e.rsvp_locked, e.rsvp_requires_approval
+             FROM events e
+             WHERE e.id = ? AND ${visibility.clause}`,
+            [eventId, ...visibility.params],
             (err, event) => {
                 if (err) {
                     db.close();
@@ -121,110 +461,264 @@ router.post('/', authMiddleware, validateRSVP, (req, res) => {
                 
                 if (!event) {
                     db.close();
-                    return res.status(404).json({ error: 'Event not found or inactive' });
+                    return res.status(404).json({ error: 'Event not found' });
+                }
+                
+                if (event.status !== 'active') {
+                    db.close();
+                    return res.status(409).json({ error: `This event is ${event.status}. RSVPs can no longer be changed` });
                 }
                 
-                // Check if event is in the future
-                if (new Date(event.event_date) <= new Date()) {
+                if (guestCount > event.max_guests_per_rsvp) {
                     db.close();
-                    return res.status(400).json({ error: 'Cannot RSVP to past events' });
+                    return res.status(400).json({
+                        error: event.max_guests_per_rsvp > 0
+                            ? `This event allows at most ${event.max_guests_per_rsvp} guest(s) per RSVP`
+                            : 'This event does not allow guests'
+                    });
                 }
                 
-                // Check capacity if attending
-                if (status === 'attending' && event.max_attendees) {
-                    db.get(
-                        'SELECT COUNT(*) as count FROM rsvps WHERE event_id = ? AND status = "attending"',
-                        [eventId],
-                        (err, result) => {
+                // Look up any existing RSVP so re-saving keeps the user's spot
+                db.get(
+                    'SELECT id, status, waitlist_position, guest_count, guest_names, notes FROM rsvps WHERE user_id = ? AND event_id = ?',
+                    [userId, eventId],
+                    (err, existingRSVP) => {
+                        if (err) {
+                            db.close();
+                            console.error('Database error:', err);
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        
+                        // Check the event has not started and its RSVP window allows this answer
+                        const block = rsvpBlock(event, existingRSVP);
+                        if (block) {
+                            db.close();
+                            return res.status(block.status).json({ error: block.error, code: block.code });
+                        }
+                        
+                        // Check answers against the event's questionnaire
+                        getQuestions(db, eventId, (err, eventQuestions) => {
                             if (err) {
                                 db.close();
                                 console.error('Database error:', err);
                                 return res.status(500).json({ error: 'Database error' });
                             }
                             
-                            if (result.count >= event.max_attendees) {
-                                db.close();
-                                return res.status(400).json({ error: 'Event is at full capacity' });
+                            // Re-saving without answers keeps the previous ones, which still have to
+                            // cover questions added or made required since
+                            const loadAnswers = (answers || !existingRSVP)
+                                ? (done) => done(null, answers || {})
+                                : (done) => getAnswers(db, existingRSVP.id, done);
+                            
+                            loadAnswers((err, givenAnswers) => {
+                                if (err) {
+                                    db.close();
+                                    console.error('Database error:', err);
+                                    return res.status(500).json({ error: 'Database error' });
+                                }
+                                
+                                const answerErrors = validateAnswers(eventQuestions, givenAnswers, status);
+                                if (answerErrors.length > 0) {
+                                    db.close();
+                                    return res.status(400).json({ 
+                                        error: 'Validation failed', 
+                                        details: answerErrors 
+                                    });
+                                }
+                                
+                                questions = eventQuestions;
+                                previousRSVP = existingRSVP;
+                                checkCapacity(existingRSVP);
+                            });
+                        });
+                    }
+                );
+                
+                function checkCapacity(existingRSVP) {
+                    const alreadyAttending = existingRSVP && existingRSVP.status === 'attending';
+                    const alreadyWaitlisted = existingRSVP && existingRSVP.status === 'waitlisted';
+                    
+                    // New attendees wait for the organizer; approve or decline lets them in
+                    if (status === 'attending' && event.rsvp_requires_approval && !alreadyAttending && !alreadyWaitlisted) {
+                        return upsertRSVP(existingRSVP, 'pending', null);
+                    }
+                    
+                    if (status !== 'attending' || !event.max_attendees) {
+                        return upsertRSVP(existingRSVP, status, null);
+                    }
+                    
+                    // Stay in the queue; promotion below lets them in if the party now fits
+                    if (alreadyWaitlisted) {
+                        return upsertRSVP(existingRSVP, 'waitlisted', existingRSVP.waitlist_position);
+                    }
+                    
+                    // Check capacity in headcount, leaving out the user's own current RSVP
+                    db.get(`
+                        SELECT COALESCE(SUM(CASE WHEN r.status = 'attending' THEN ${HEADCOUNT} END), 0) as attending,
+                               COUNT(CASE WHEN r.status = 'waitlisted' THEN 1 END) as waitlisted
+                        FROM rsvps r
+                        WHERE r.event_id = ? AND r.user_id != ?
+                    `, [eventId, userId], (err, result) => {
+                        if (err) {
+                            db.close();
+                            console.error('Database error:', err);
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+                        
+                        const fits = result.attending + 1 + guestCount <= event.max_attendees;
+                        
+                        if (alreadyAttending) {
+                            if (fits) {
+                                return upsertRSVP(existingRSVP, 'attending', null);
                             }
                             
-                            upsertRSVP();
+                            db.close();
+                            return res.status(400).json({ error: 'Not enough spots left for that many guests' });
                         }
-                    );
-                } else {
-                    upsertRSVP();
-                }
-                
-                function upsertRSVP() {
-                    // Check if RSVP already exists
-                    db.get(
-                        'SELECT id FROM rsvps WHERE user_id = ? AND event_id = ?',
-                        [userId, eventId],
-                        (err, existingRSVP) => {
+                        
+                        // Nobody jumps ahead of people already on the waitlist
+                        if (fits && result.waitlisted === 0) {
+                            return upsertRSVP(existingRSVP, 'attending', null);
+                        }
+                        
+                        // Event is full, join the waitlist
+                        nextWaitlistPosition(db, eventId, (err, position) => {
                             if (err) {
                                 db.close();
                                 console.error('Database error:', err);
                                 return res.status(500).json({ error: 'Database error' });
                             }
                             
-                            if (existingRSVP) {
-                                // Update existing RSVP
-                                db.run(
-                                    'UPDATE rsvps SET status = ?, notes = ?, rsvp_date = CURRENT_TIMESTAMP WHERE user_id = ? AND event_id = ?',
-                                    [status, notes || null, userId, eventId],
-                                    function(err) {
-                                        if (err) {
-                                            db.close();
-                                            console.error('Update error:', err);
-                                            return res.status(500).json({ error: 'Failed to update RSVP' });
-                                        }
-                                        
-                                        getRSVPDetails();
-                                    }
-                                );
-                            } else {
-                                // Create new RSVP
-                                db.run(
-                                    'INSERT INTO rsvps (user_id, event_id, status, notes) VALUES (?, ?, ?, ?)',
-                                    [userId, eventId, status, notes || null],
-                                    function(err) {
-                                        if (err) {
-                                            db.close();
-                                            console.error('Insert error:', err);
-                                            return res.status(500).json({ error: 'Failed to create RSVP' });
-                                        }
-                                        
-                                        getRSVPDetails();
-                                    }
-                                );
+                            upsertRSVP(existingRSVP, 'waitlisted', position);
+                        });
+                    });
+                }
+                
+                function upsertRSVP(existingRSVP, rsvpStatus, waitlistPosition) {
+                    if (existingRSVP) {
+                        // Update existing RSVP
+                        db.run(
+                            `UPDATE rsvps SET status = ?, waitlist_position = ?, guest_count = ?, guest_names = ?, notes = ?, rsvp_date = CURRENT_TIMESTAMP
+                             WHERE user_id = ? AND event_id = ?`,
+                            [rsvpStatus, waitlistPosition, guestCount, guestNames, notes || null, userId, eventId],
+                            function(err) {
+                                if (err) {
+                                    db.close();
+                                    console.error('Update error:', err);
+                                    return res.status(500).json({ error: 'Failed to update RSVP' });
+                                }
+                                
+                                saveRSVPAnswers(existingRSVP.id);
                             }
+                        );
+                    } else {
+                        // Create new RSVP
+                        db.run(
+                            `INSERT INTO rsvps (user_id, event_id, status, waitlist_position, guest_count, guest_names, notes)
+                             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                            [userId, eventId, rsvpStatus, waitlistPosition, guestCount, guestNames, notes || null],
+                            function(err) {
+                                if (err) {
+                                    db.close();
+                                    console.error('Insert error:', err);
+                                    return res.status(500).json({ error: 'Failed to create RSVP' });
+                                }
+                                
+                                saveRSVPAnswers(this.lastID);
+                            }
+                        );
+                    }
+                }
+                
+                function saveRSVPAnswers(rsvpId) {
+                    if (!answers) {
+                        return updateWaitlist();
+                    }
+                    
+                    saveAnswers(db, rsvpId, questions, answers, (err) => {
+                        if (err) {
+                            db.close();
+                            console.error('Answer save error:', err);
+                            return res.status(500).json({ error: 'Failed to save RSVP answers' });
+                        }
+                        
+                        updateWaitlist();
+                    });
+                }
+                
+                function updateWaitlist() {
+                    // A freed spot or a user leaving the waitlist moves the queue along
+                    promoteWaitlist(db, eventId, (err, promotedUserIds) => {
+                        if (err) {
+                            console.error('Waitlist promotion error:', err);
                         }
-                    );
+                        
+                        notify(promotedUserIds || [], 'waitlist_promoted', { event });
+                        getRSVPDetails(promotedUserIds);
+                    });
                 }
                 
-                function getRSVPDetails() {
+                function getRSVPDetails(promotedUserIds) {
                     // Get the updated RSVP with event details
                     db.get(`
-                        SELECT r.*, e.title, e.event_date, e.location
+                        SELECT r.*, e.title, e.event_date, e.end_date, e.timezone, e.location, e.series_id
                         FROM rsvps r
                         JOIN events e ON r.event_id = e.id
                         WHERE r.user_id = ? AND r.event_id = ?
                     `, [userId, eventId], (err, rsvp) => {
-                        db.close();
-                        
                         if (err) {
+                            db.close();
                             console.error('RSVP fetch error:', err);
                             return res.status(500).json({ error: 'RSVP saved but fetch failed' });
                         }
                         
-                        res.json({
-                            message: 'RSVP saved successfully',
-                            rsvp
+                        getAnswers(db, rsvp.id, (err, savedAnswers) => {
+                            db.close();
+                            
+                            if (err) {
+                                console.error('Answer fetch error:', err);
+                                return res.status(500).json({ error: 'RSVP saved but fetch failed' });
+                            }
+                            
+                            const savedRSVP = { ...formatEventTimes(formatGuests(rsvp)), answers: savedAnswers };
+                            
+                            audit(req, {
+                                action: previousRSVP ? 'rsvp.update' : 'rsvp.create',
+                                entityType: 'rsvp',
+                                entityId: rsvp.id,
+                                eventId: rsvp.event_id,
+                                before: snapshot(previousRSVP, RSVP_AUDIT_FIELDS),
+                                after: snapshot(rsvp, RSVP_AUDIT_FIELDS),
+                                metadata: { user_id: userId, answers_updated: !!answers }
+                            }, () => auditPromotions(req, eventId, promotedUserIds));
+                            
+                            if (rsvp.status === 'waitlisted') {
+                                notify([userId], 'waitlist_joined', { event, position: rsvp.waitlist_position });
+                                return res.json({
+                                    message: `Event is at full capacity. You are #${rsvp.waitlist_position} on the waitlist`,
+                                    rsvp: savedRSVP
+                                });
+                            }
+                            
+                            if (rsvp.status === 'pending') {
+                                notify([userId], 'rsvp_pending', { event });
+                                return res.json({
+                                    message: 'RSVP received. The organizer needs to approve it before you are attending',
+                                    rsvp: savedRSVP
+                                });
+                            }
+                            
+                            notify([userId], 'rsvp_confirmation', { event, status: rsvp.status });
+                            res.json({
+                                message: 'RSVP saved successfully',
+                                rsvp: savedRSVP
+                            });
                         });
                     });
                 }
             }
         );
-        
+    
     } catch (error) {
         console.error('RSVP error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -238,24 +732,72 @@ router.delete('/:eventId', authMiddleware, (req, res) => {
     
     const db = getDb();
     
-    db.run(
-        'DELETE FROM rsvps WHERE user_id = ? AND event_id = ?',
-        [userId, eventId],
-        function(err) {
+    db.get(`
+        SELECT r.id, r.status, r.waitlist_position, r.guest_count, r.guest_names, r.notes, e.status as event_status,
+               e.event_date, e.rsvp_deadline, e.rsvp_locked
+        FROM rsvps r
+        JOIN events e ON r.event_id = e.id
+        WHERE r.user_id = ? AND r.event_id = ? AND e.deleted_at IS NULL
+    `, [userId, eventId], (err, rsvp) => {
+        if (err) {
             db.close();
-            
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!rsvp) {
+            db.close();
+            return res.status(404).json({ error: 'RSVP not found' });
+        }
+        
+        // RSVPs to cancelled and completed events are kept as a record
+        if (rsvp.event_status !== 'active') {
+            db.close();
+            return res.status(409).json({ error: `This event is ${rsvp.event_status}. RSVPs can no longer be changed` });
+        }
+        
+        // Deleting a declined RSVP would let the user ask again
+        if (rsvp.status === 'declined') {
+            db.close();
+            return res.status(409).json({ error: 'The organizer declined your RSVP to this event', code: 'RSVP_DECLINED' });
+        }
+        
+        if (isLocked(rsvp)) {
+            db.close();
+            return res.status(409).json({ error: 'RSVPs to this event are locked, so they can no longer be changed', code: 'RSVP_LOCKED' });
+        }
+        
+        runInTransaction(db, [
+            (done) => db.run('DELETE FROM rsvp_answers WHERE rsvp_id = ?', [rsvp.id], done),
+            (done) => db.run('DELETE FROM rsvps WHERE id = ?', [rsvp.id], done)
+        ], (err) => {
             if (err) {
+                db.close();
                 console.error('Delete error:', err);
                 return res.status(500).json({ error: 'Failed to delete RSVP' });
             }
             
-            if (this.changes === 0) {
-                return res.status(404).json({ error: 'RSVP not found' });
-            }
-            
-            res.json({ message: 'RSVP deleted successfully' });
-        }
-    );
+            // Hand the freed spot to the next person on the waitlist
+            promoteWaitlist(db, eventId, (err, promotedUserIds) => {
+                db.close();
+                
+                if (err) {
+                    console.error('Waitlist promotion error:', err);
+                }
+                
+                notifyForEvent(promotedUserIds || [], 'waitlist_promoted', eventId);
+                audit(req, {
+                    action: 'rsvp.delete',
+                    entityType: 'rsvp',
+                    entityId: rsvp.id,
+                    eventId,
+                    before: snapshot(rsvp, RSVP_AUDIT_FIELDS),
+                    metadata: { user_id: userId }
+                }, () => auditPromotions(req, eventId, promotedUserIds));
+                res.json({ message: 'RSVP deleted successfully' });
+            });
+        });
+    });
 });
 
 module.exports = router;
\ No newline at end of file
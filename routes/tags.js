@@ -0,0 +1,152 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { visibilityClause } = require('../utils/access');
+const {
+    MAX_TAG_LENGTH,
+    MAX_FOLLOWED_TAGS,
+    normalizeTag,
+    isValidTag,
+    tagCloud,
+    listFollowedTags,
+    followTag,
+    unfollowTag
+} = require('../utils/tags');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+const DEFAULT_CLOUD_SIZE = 50;
+const MAX_CLOUD_SIZE = 200;
+
+// Validation middleware
+const validateCloud = [
+    query('upcoming')
+        .optional()
+        .isBoolean()
+        .withMessage('upcoming must be true or false')
+        .toBoolean(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_CLOUD_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_CLOUD_SIZE}`)
+        .toInt()
+];
+
+/**
+ * Normalize the :tag parameter
+ * Sends the error response itself and calls back only for a valid tag
+ */
+function withTagParam(req, res, callback) {
+    const tag = normalizeTag(req.params.tag);
+    
+    if (!isValidTag(tag)) {
+        return res.status(400).json({
+            error: `Tags can only use letters, numbers, and hyphens, up to ${MAX_TAG_LENGTH} characters`
+        });
+    }
+    
+    callback(tag);
+}
+
+// Tag cloud: tags on active events you can see, with event counts (public)
+router.get('/', authMiddleware.optional, validateCloud, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const db = getDb();
+    const options = {
+        upcoming: !!req.query.upcoming,
+        limit: req.query.limit || DEFAULT_CLOUD_SIZE
+    };
+    
+    tagCloud(db, visibilityClause(req.currentUser), options, (err, tags) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ tags });
+    });
+});
+
+// List the tags you follow (authenticated)
+router.get('/following', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    listFollowedTags(db, req.session.user.id, (err, tags) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ tags });
+    });
+});
+
+// Follow a tag (authenticated)
+router.put('/following/:tag', authMiddleware, (req, res) => {
+    withTagParam(req, res, (tag) => {
+        const db = getDb();
+        
+        followTag(db, req.session.user.id, tag, (err, followed) => {
+            db.close();
+            
+            if (err) {
+                console.error('Insert error:', err);
+                return res.status(500).json({ error: 'Failed to follow tag' });
+            }
+            
+            if (!followed) {
+                return res.status(400).json({ error: `You can follow at most ${MAX_FOLLOWED_TAGS} tags` });
+            }
+            
+            res.json({ message: 'Tag followed', tag });
+        });
+    });
+});
+
+// Stop following a tag (authenticated)
+router.delete('/following/:tag', authMiddleware, (req, res) => {
+    withTagParam(req, res, (tag) => {
+        const db = getDb();
+        
+        unfollowTag(db, req.session.user.id, tag, (err, removed) => {
+            db.close();
+            
+            if (err) {
+                console.error('Delete error:', err);
+                return res.status(500).json({ error: 'Failed to unfollow tag' });
+            }
+            
+            if (!removed) {
+                return res.status(404).json({ error: 'You are not following this tag' });
+            }
+            
+            res.json({ message: 'Tag unfollowed', tag });
+        });
+    });
+});
+
+module.exports = router;
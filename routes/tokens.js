@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const authMiddleware = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const {
+    SCOPES,
+    DEFAULT_LIFETIME_DAYS,
+    MAX_LIFETIME_DAYS,
+    formatToken,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken
+} = require('../utils/apiTokens');
+
+const router = express.Router();
+
+// Database connection
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+// Validation middleware
+const validateToken = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Token name is required and must be less than 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage(`Scopes must be a non-empty list of: ${SCOPES.join(', ')}`)
+        .custom((scopes, { req }) => {
+            scopes.forEach(scope => {
+                if (!SCOPES.includes(scope)) {
+                    throw new Error(`Unknown scope "${scope}". Use one of: ${SCOPES.join(', ')}`);
+                }
+            });
+            if (scopes.includes('admin') && req.session.user.role !== 'admin') {
+                throw new Error('Only administrators can create tokens with the admin scope');
+            }
+            return true;
+        }),
+    body('expiresInDays')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIFETIME_DAYS })
+        .withMessage(`Expiry must be between 1 and ${MAX_LIFETIME_DAYS} days`)
+        .toInt()
+];
+
+const validateTokenList = [
+    query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be true or false')
+        .toBoolean()
+];
+
+// Token management needs a signed-in session; a token cannot create or
+// revoke tokens (see TOKEN_SCOPES in middleware/auth.js)
+
+// List your API tokens (authenticated)
+router.get('/', authMiddleware, validateTokenList, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const db = getDb();
+    
+    listApiTokens(db, req.session.user.id, !!req.query.active, (err, rows) => {
+        db.close();
+        
+        if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json({ tokens: rows.map(formatToken), scopes: SCOPES });
+    });
+});
+
+// Create an API token (authenticated)
+router.post('/', authMiddleware, validateToken, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    
+    const scopes = [...new Set(req.body.scopes)];
+    const expiresInDays = req.body.expiresInDays || DEFAULT_LIFETIME_DAYS;
+    const db = getDb();
+    
+    createApiToken(db, req.session.user.id, { name: req.body.name, scopes, expiresInDays }, (err, created) => {
+        db.close();
+        
+        if (err) {
+            console.error('Insert error:', err);
+            return res.status(500).json({ error: 'Failed to create API token' });
+        }
+        
+        audit(req, {
+            action: 'api_token.create',
+            entityType: 'api_token',
+            entityId: created.row.id,
+            metadata: { name: created.row.name, scopes, expires_at: created.row.expires_at }
+        });
+        
+        res.status(201).json({
+            message: 'API token created. The token is only shown once.',
+            token: created.token,
+            apiToken: formatToken(created.row)
+        });
+    });
+});
+
+// Revoke one of your API tokens (authenticated)
+router.delete('/:id', authMiddleware, (req, res) => {
+    const db = getDb();
+    
+    revokeApiToken(db, req.session.user.id, req.params.id, (err, row) => {
+        db.close();
+        
+        if (err) {
+            console.error('Update error:', err);
+            return res.status(500).json({ error: 'Failed to revoke API token' });
+        }
+        
+        if (!row) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        
+        audit(req, {
+            action: 'api_token.revoke',
+            entityType: 'api_token',
+            entityId: row.id,
+            metadata: { name: row.name }
+        });
+        
+        res.json({ message: 'API token revoked' });
+    });
+});
+
+module.exports = router;
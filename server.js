@@ -11,6 +11,17 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
 const rsvpRoutes = require('./routes/rsvps');
+const invitationRoutes = require('./routes/invitations');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const tokenRoutes = require('./routes/tokens');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const authMiddleware = require('./middleware/auth');
+const { SQLiteStore, recordClient } = require('./utils/sessionStore');
+const { startOutboxWorker } = require('./utils/notifications');
+const { startScheduler } = require('./utils/scheduler');
+const { JOBS } = require('./utils/jobs');
 
 // Create Express app
 const app = express();
@@ -30,13 +41,46 @@ app.use(helmet({
 }));
 
 // Rate limiting
+app.use(authMiddleware.identifyApiToken);
+
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    max: Number(process.env.RATE_LIMIT) || 100, // limit each IP to 100 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.',
+    skip: (req) => !!req.apiTokenHash // live API tokens have their own limit below
 });
 app.use(limiter);
 
+// Requests with an API token are limited per token rather than per IP, so
+// bots sharing a CI runner's address don't use up each other's allowance
+const apiTokenLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: Number(process.env.API_TOKEN_RATE_LIMIT) || 300, // limit each token to 300 requests per windowMs
+    message: { error: 'Too many requests', message: 'This API token has made too many requests, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !req.apiTokenHash,
+    keyGenerator: (req) => req.apiTokenHash
+});
+app.use(apiTokenLimiter);
+
+// Stricter limit for sign-in and account recovery; failed logins are also
+// throttled per account in routes/auth.js
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: Number(process.env.AUTH_RATE_LIMIT) || 20, // limit each IP to 20 attempts per windowMs
+    message: { error: 'Too many requests', message: 'Too many sign-in attempts from this IP, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+app.use([
+    '/api/auth/login',
+    '/api/auth/register',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/verify-email'
+], authLimiter);
+
 // CORS configuration
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? 'your-production-domain.com' : 'http://localhost:3000',
@@ -46,9 +90,11 @@ app.use(cors({
 // Body parsing middleware
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.text({ type: 'text/csv', limit: '10mb' }));
 
-// Session configuration
-app.use(session({
+// Session configuration (stored in the database, so sessions survive restarts)
+const sessionMiddleware = session({
+    store: new SQLiteStore(),
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -57,7 +103,17 @@ app.use(session({
         httpOnly: true,
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
+
+// Requests with an API token get a throwaway session that is never stored;
+// authMiddleware signs them in from the token
+app.use((req, res, next) => {
+    if (authMiddleware.isApiTokenRequest(req)) {
+        req.session = {};
+        return next();
+    }
+    sessionMiddleware(req, res, next);
+});
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -68,6 +124,11 @@ app.set('views', path.join(__dirname, 'public'));
 
 // Custom middleware to pass user info to all routes
 app.use((req, res, next) => {
+    // Keep the device and IP shown in the session list up to date
+    if (req.session.user) {
+        recordClient(req);
+    }
+    
     res.locals.user = req.session.user || null;
     res.locals.isAuthenticated = !!req.session.user;
     next();
@@ -77,6 +138,12 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/rsvps', rsvpRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Serve main application pages
 app.get('/', (req, res) => {
@@ -97,6 +164,15 @@ app.get('/register', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'register.html'));
 });
 
+// Pages opened from account emails (the token is read from the query string)
+app.get('/verify-email', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'verify-email.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
 app.get('/dashboard', (req, res) => {
     if (!req.session.user) {
         return res.redirect('/login');
@@ -154,19 +230,30 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log('🚀 Event Planner RSVP Server started');
-    console.log(`📍 Server: http://localhost:${PORT}`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log('');
-    console.log('Available endpoints:');
-    console.log('🏠 Home: http://localhost:' + PORT);
-    console.log('🔐 Login: http://localhost:' + PORT + '/login');
-    console.log('📝 Register: http://localhost:' + PORT + '/register');
-    console.log('📊 Dashboard: http://localhost:' + PORT + '/dashboard');
-    console.log('⚕️ Health: http://localhost:' + PORT + '/api/health');
-    console.log('');
-});
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+    // Start delivering queued notification emails
+    const outboxWorker = startOutboxWorker();
+    
+    // Start reminders, RSVP nudges and other background jobs
+    startScheduler(JOBS);
+    
+    // Start server
+    app.listen(PORT, () => {
+        console.log('🚀 Event Planner RSVP Server started');
+        console.log(`📍 Server: http://localhost:${PORT}`);
+        console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`📧 Mail transport: ${outboxWorker.transport.name}`);
+        console.log(`⏰ Scheduled jobs: ${JOBS.map(job => job.name).join(', ')}`);
+        console.log('');
+        console.log('Available endpoints:');
+        console.log('🏠 Home: http://localhost:' + PORT);
+        console.log('🔐 Login: http://localhost:' + PORT + '/login');
+        console.log('📝 Register: http://localhost:' + PORT + '/register');
+        console.log('📊 Dashboard: http://localhost:' + PORT + '/dashboard');
+        console.log('⚕️ Health: http://localhost:' + PORT + '/api/health');
+        console.log('');
+    });
+}
 
 module.exports = app;
\ No newline at end of file
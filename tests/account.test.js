@@ -0,0 +1,178 @@
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { USERS, createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+// The newest token emailed to an address, read from the notification outbox
+async function emailedToken(recipient, type) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+        const row = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(process.env.DATABASE_PATH);
+            db.get(
+                'SELECT body FROM notification_outbox WHERE recipient = ? AND type = ? ORDER BY id DESC LIMIT 1',
+                [recipient, type],
+                (err, row) => {
+                    db.close();
+                    err ? reject(err) : resolve(row);
+                }
+            );
+        });
+        if (row) return row.body.match(/token=([0-9a-f]+)/)[1];
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`No ${type} email for ${recipient}`);
+}
+
+const register = async (username) => {
+    const agent = request.agent(app);
+    await agent
+        .post('/api/auth/register')
+        .send({ username, email: `${username}@example.com`, password: 'secret123', firstName: 'Test', lastName: 'User' })
+        .expect(201);
+    return agent;
+};
+
+const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+describe('account management', () => {
+    test('new accounts verify their email address', async () => {
+        const agent = await register('verifier');
+        expect((await agent.get('/api/auth/me').expect(200)).body.user.emailVerified).toBe(false);
+        
+        const token = await emailedToken('verifier@example.com', 'verify_email');
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+        
+        expect((await agent.get('/api/auth/me').expect(200)).body.user.emailVerified).toBe(true);
+        await agent.post('/api/auth/resend-verification').expect(400);
+    });
+    
+    test('resets a forgotten password once per link', async () => {
+        await register('forgetful');
+        
+        const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+        const known = await request(app).post('/api/auth/forgot-password').send({ email: 'forgetful@example.com' }).expect(200);
+        expect(known.body.message).toBe(unknown.body.message);
+        
+        const token = await emailedToken('forgetful@example.com', 'reset_password');
+        await request(app).post('/api/auth/reset-password').send({ token, password: 'newsecret' }).expect(200);
+        await request(app).post('/api/auth/reset-password').send({ token, password: 'another' }).expect(400);
+        
+        await login('forgetful', 'secret123').expect(401);
+        await login('forgetful', 'newsecret').expect(200);
+    });
+    
+    test('changing email needs the current password and a new verification', async () => {
+        const agent = await register('mover');
+        await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: await emailedToken('mover@example.com', 'verify_email') })
+            .expect(200);
+        
+        await agent.put('/api/auth/profile').send({ email: 'moved@example.com' }).expect(403);
+        await agent.put('/api/auth/profile').send({ email: 'jane@example.com', currentPassword: 'secret123' }).expect(409);
+        await agent.put('/api/auth/profile').send({ email: 'Jane@Example.com', currentPassword: 'secret123' }).expect(409);
+        
+        const res = await agent
+            .put('/api/auth/profile')
+            .send({ email: 'moved@example.com', firstName: 'Moved', currentPassword: 'secret123' })
+            .expect(200);
+        expect(res.body.user).toMatchObject({ email: 'moved@example.com', firstName: 'Moved', emailVerified: false });
+        
+        await emailedToken('moved@example.com', 'verify_email');
+    });
+    
+    test('changes the password with the current one', async () => {
+        const agent = await register('rotator');
+        
+        await agent.put('/api/auth/password').send({ currentPassword: 'wrong', newPassword: 'rotated123' }).expect(403);
+        await agent.put('/api/auth/password').send({ currentPassword: 'secret123', newPassword: 'rotated123' }).expect(200);
+        
+        await login('rotator', 'rotated123').expect(200);
+    });
+    
+    test('deleting an account withdraws its RSVPs and moves the waitlist along', async () => {
+        const organizer = await signIn(app, 'john_doe');
+        const event = await createEvent(organizer, { maxAttendees: 1 });
+        
+        const leaver = await register('leaver');
+        await leaver.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        const bob = await signIn(app, 'bob_wilson');
+        await bob.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        await leaver.delete('/api/auth/account').send({ password: 'wrong' }).expect(403);
+        await leaver.delete('/api/auth/account').send({ password: 'secret123' }).expect(200);
+        
+        await leaver.get('/api/auth/me').expect(401);
+        await login('leaver', 'secret123').expect(401);
+        
+        const rsvps = await organizer.get(`/api/rsvps/event/${event.id}`).expect(200);
+        expect(rsvps.body.grouped.attending.map(r => r.username)).toEqual(['bob_wilson']);
+    });
+    
+    test('the last admin cannot delete their account', async () => {
+        const admin = await signIn(app, 'admin');
+        await admin.delete('/api/auth/account').send({ password: USERS.admin.password }).expect(400);
+    });
+});
+
+describe('deleting an organizer account', () => {
+    let admin, bob;
+    const events = {};
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        bob = await signIn(app, 'bob_wilson');
+        const jane = await signIn(app, 'jane_smith');
+        
+        events.handedOver = await createEvent(jane, { title: 'Team Offsite' });
+        await jane
+            .put(`/api/events/${events.handedOver.id}/members/${USERS.john_doe.id}`)
+            .send({ role: 'co_organizer' })
+            .expect(201);
+        
+        events.unstaffed = await createEvent(jane, { title: 'Book Club' });
+        await bob.post('/api/rsvps').send({ eventId: events.unstaffed.id, status: 'attending' }).expect(200);
+        
+        events.alreadyCancelled = await createEvent(jane, { title: 'Garden Party' });
+        await bob.post('/api/rsvps').send({ eventId: events.alreadyCancelled.id, status: 'attending' }).expect(200);
+        await jane.post(`/api/events/${events.alreadyCancelled.id}/cancel`).send({ reason: 'Rain' }).expect(200);
+        
+        const res = await jane.delete('/api/auth/account').send({ password: USERS.jane_smith.password }).expect(200);
+        expect(res.body).toMatchObject({ handed_over_events: 1, cancelled_events: 1 });
+    });
+    
+    const getEvent = async (event) => (await admin.get(`/api/events/${event.id}`).expect(200)).body.event;
+    
+    test('hands upcoming events to a co-organizer', async () => {
+        const event = await getEvent(events.handedOver);
+        
+        expect(event).toMatchObject({ status: 'active', created_by: USERS.john_doe.id });
+    });
+    
+    test('cancels upcoming events nobody can take over, keeping their RSVPs', async () => {
+        const event = await getEvent(events.unstaffed);
+        
+        expect(event).toMatchObject({ status: 'cancelled', cancellation_reason: 'The organizer has closed their account' });
+        expect(event.creator_name).toBe('deleted-user');
+        
+        const res = await bob.get('/api/rsvps/my-rsvps').expect(200);
+        expect(res.body.rsvps.map(rsvp => rsvp.event_id)).toEqual(
+            expect.arrayContaining([events.unstaffed.id, events.alreadyCancelled.id])
+        );
+    });
+    
+    test('keeps other events under an account that cannot sign in', async () => {
+        const event = await getEvent(events.alreadyCancelled);
+        
+        expect(event).toMatchObject({ status: 'cancelled', cancellation_reason: 'Rain', creator_name: 'deleted-user' });
+        
+        const res = await admin.get('/api/admin/users?search=deleted-user').expect(200);
+        expect(res.body.users).toEqual([expect.objectContaining({ username: 'deleted-user', status: 'disabled' })]);
+        
+        await request(app).post('/api/auth/login').send({ username: 'deleted-user', password: '!' }).expect(401);
+    });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const { createApp, signIn, createEvent, USERS } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('admin API', () => {
+    let admin;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+    });
+    
+    afterAll(cleanup);
+    
+    const register = async (username) => {
+        const agent = request.agent(app);
+        const res = await agent
+            .post('/api/auth/register')
+            .send({ username, email: `${username}@example.com`, password: 'secret123', firstName: 'Test', lastName: 'User' })
+            .expect(201);
+        return { agent, id: res.body.user.id };
+    };
+    
+    test('lists and searches users a page at a time', async () => {
+        let res = await admin.get('/api/admin/users?limit=2&page=2').expect(200);
+        expect(res.body.users).toHaveLength(2);
+        expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: 5, pages: 3 });
+        
+        res = await admin.get('/api/admin/users?search=wilson').expect(200);
+        expect(res.body.users.map(user => user.username)).toEqual(['bob_wilson']);
+        expect(res.body.users[0]).not.toHaveProperty('password_hash');
+        
+        res = await admin.get('/api/admin/users?role=admin').expect(200);
+        expect(res.body.users.map(user => user.username)).toEqual(['admin']);
+        
+        await admin.get('/api/admin/users?limit=500').expect(400);
+    });
+    
+    test('role changes sign the user out so they log in with the new role', async () => {
+        const { agent, id } = await register('promoted');
+        await agent.get('/api/admin/stats').expect(403);
+        
+        await admin.put(`/api/admin/users/${id}/role`).send({ role: 'admin' }).expect(200);
+        await agent.get('/api/admin/stats').expect(401);
+        
+        await agent.post('/api/auth/login').send({ username: 'promoted', password: 'secret123' }).expect(200);
+        await agent.get('/api/admin/stats').expect(200);
+        
+        await admin.put(`/api/admin/users/${id}/role`).send({ role: 'user' }).expect(200);
+        await agent.get('/api/admin/stats').expect(401);
+    });
+    
+    test('disabled accounts are signed out and cannot sign in', async () => {
+        const { agent, id } = await register('suspended');
+        
+        await admin.put(`/api/admin/users/${id}/status`).send({ status: 'disabled', reason: 'Spam' }).expect(200);
+        
+        let res = await agent.get('/api/rsvps/my-rsvps').expect(403);
+        expect(res.body).toEqual({ error: 'Account disabled', message: 'Spam' });
+        
+        res = await request(app).post('/api/auth/login').send({ username: 'suspended', password: 'secret123' }).expect(403);
+        expect(res.body.error).toBe('Account disabled');
+        
+        await admin.put(`/api/admin/users/${id}/status`).send({ status: 'active' }).expect(200);
+        await request(app).post('/api/auth/login').send({ username: 'suspended', password: 'secret123' }).expect(200);
+    });
+    
+    test('admins cannot change their own account or disable another admin', async () => {
+        await admin.put(`/api/admin/users/${USERS.admin.id}/role`).send({ role: 'user' }).expect(400);
+        
+        const { id } = await register('second_admin');
+        await admin.put(`/api/admin/users/${id}/role`).send({ role: 'admin' }).expect(200);
+        await admin.put(`/api/admin/users/${id}/status`).send({ status: 'banned' }).expect(400);
+    });
+    
+    test('cancels and transfers any event', async () => {
+        const organizer = await signIn(app, 'jane_smith');
+        const event = await createEvent(organizer);
+        
+        let res = await admin.put(`/api/admin/events/${event.id}/owner`).send({ userId: USERS.bob_wilson.id }).expect(200);
+        expect(res.body).toMatchObject({ previous_owner_id: USERS.jane_smith.id, owner_id: USERS.bob_wilson.id, transferred_count: 1 });
+        
+        res = await admin.post(`/api/admin/events/${event.id}/cancel`).send({ reason: 'Breaks the rules' }).expect(200);
+        expect(res.body.cancellation_reason).toBe('Breaks the rules');
+        await admin.post(`/api/admin/events/${event.id}/cancel`).send({}).expect(400);
+    });
+    
+    test('reports system statistics', async () => {
+        const res = await admin.get('/api/admin/stats').expect(200);
+        expect(Object.keys(res.body.stats).sort())
+            .toEqual(['attendance', 'events', 'invitations', 'jobs', 'notifications', 'rsvps', 'trash', 'users']);
+        expect(res.body.stats.users.admins).toBeGreaterThanOrEqual(1);
+        
+        const john = await signIn(app, 'john_doe');
+        await john.get('/api/admin/stats').expect(403);
+    });
+});
@@ -0,0 +1,132 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+const MEAL = { key: 'meal', label: 'Meal', type: 'single_choice', options: ['meat', 'veg'], required: true };
+const DIET = { key: 'diet', label: 'Dietary needs', type: 'short_text', required: true };
+const AGE = { key: 'age', label: 'Age', type: 'number' };
+const PARKING = { key: 'parking', label: 'Need parking?', type: 'yes_no' };
+
+// Stored answers for an RSVP, read straight from the test database
+function storedAnswerCount(rsvpId) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.get('SELECT COUNT(*) as count FROM rsvp_answers WHERE rsvp_id = ?', [rsvpId], (err, row) => {
+            db.close();
+            err ? reject(err) : resolve(row.count);
+        });
+    });
+}
+
+describe('RSVP answers', () => {
+    let organizer, john, jane;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'admin');
+        john = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+    });
+    
+    afterAll(cleanup);
+    
+    const rsvp = (eventId, fields, agent = john) => agent.post('/api/rsvps').send({ eventId, status: 'attending', ...fields });
+    
+    test('events return their questions', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL, AGE] });
+        
+        const res = await john.get(`/api/events/${event.id}`).expect(200);
+        expect(res.body.questions.map(question => [question.key, question.type])).toEqual([['meal', 'single_choice'], ['age', 'number']]);
+    });
+    
+    test('rejects invalid questions', async () => {
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Dinner', eventDate: '2030-01-01T18:00:00.000Z', location: 'Hall', questions: [MEAL, MEAL] })
+            .expect(400);
+        
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Dinner', eventDate: '2030-01-01T18:00:00.000Z', location: 'Hall', questions: [{ ...MEAL, options: ['veg'] }] })
+            .expect(400);
+    });
+    
+    test('checks answers against the questionnaire', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL, AGE] });
+        
+        let res = await rsvp(event.id, {}).expect(400);
+        expect(res.body.details.map(detail => detail.path)).toEqual(['answers.meal']);
+        
+        res = await rsvp(event.id, { answers: { meal: 'fish', age: 'old' } }).expect(400);
+        expect(res.body.details.map(detail => detail.path)).toEqual(['answers.meal', 'answers.age']);
+        
+        await rsvp(event.id, { status: 'not_attending' }).expect(200);
+        
+        res = await rsvp(event.id, { answers: { meal: 'veg', age: 30 } }).expect(200);
+        expect(res.body.rsvp.answers).toEqual({ meal: 'veg', age: 30 });
+    });
+    
+    test('summarizes answers for the organizer', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL, DIET, AGE, PARKING] });
+        await rsvp(event.id, { answers: { meal: 'veg', diet: 'No nuts', age: 30, parking: true } }).expect(200);
+        await rsvp(event.id, { answers: { meal: 'veg', diet: 'None', age: 40, parking: false } }, jane).expect(200);
+        
+        const res = await organizer.get(`/api/events/${event.id}/answers`).expect(200);
+        const [meal, diet, age, parking] = res.body.questions;
+        expect(meal.counts).toEqual({ meat: 0, veg: 2 });
+        expect(diet.responses).toEqual(expect.arrayContaining([
+            { value: 'No nuts', username: 'john_doe' },
+            { value: 'None', username: 'jane_smith' }
+        ]));
+        expect(age.stats).toEqual({ sum: 70, average: 35, min: 30, max: 40 });
+        expect(parking.counts).toEqual({ yes: 1, no: 1 });
+        
+        await john.get(`/api/events/${event.id}/answers`).expect(403);
+    });
+    
+    test('updating the questions keeps answers to unchanged keys', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL, AGE] });
+        await rsvp(event.id, { answers: { meal: 'meat', age: 25 } }).expect(200);
+        
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: event.event_date, location: event.location, questions: [MEAL] })
+            .expect(200);
+        
+        const res = await organizer.get(`/api/events/${event.id}/answers`).expect(200);
+        expect(res.body.questions.map(question => [question.key, question.response_count])).toEqual([['meal', 1]]);
+    });
+    
+    test('deleting an RSVP deletes its answers', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL] });
+        const res = await rsvp(event.id, { answers: { meal: 'veg' } }).expect(200);
+        expect(await storedAnswerCount(res.body.rsvp.id)).toBe(1);
+        
+        await john.delete(`/api/rsvps/${event.id}`).expect(200);
+        expect(await storedAnswerCount(res.body.rsvp.id)).toBe(0);
+    });
+    
+    test('re-saving without answers still needs every required question answered', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL] });
+        await rsvp(event.id, { answers: { meal: 'veg' } }).expect(200);
+        await rsvp(event.id, {}).expect(200);
+        
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: event.event_date, location: event.location, questions: [MEAL, DIET] })
+            .expect(200);
+        
+        const res = await rsvp(event.id, {}).expect(400);
+        expect(res.body.details.map(detail => detail.path)).toEqual(['answers.diet']);
+        
+        await rsvp(event.id, { status: 'not_attending' }).expect(200);
+    });
+    
+    test('rejects unknown statuses when summarizing answers', async () => {
+        const event = await createEvent(organizer, { questions: [MEAL] });
+        
+        await organizer.get(`/api/events/${event.id}/answers?status=attending,maybe`).expect(200);
+        const res = await organizer.get(`/api/events/${event.id}/answers?status=attending,bogus`).expect(400);
+        expect(res.body.details.map(detail => detail.path)).toEqual(['status']);
+    });
+});
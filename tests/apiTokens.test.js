@@ -0,0 +1,150 @@
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { USERS, createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.run(sql, params, (err) => {
+            db.close();
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+describe('API tokens', () => {
+    let admin, john;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    afterAll(cleanup);
+    
+    const createToken = async (agent, fields) => {
+        const res = await agent.post('/api/tokens').send({ name: 'Bot', ...fields }).expect(201);
+        return res.body;
+    };
+    
+    const withToken = (token) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${token}`),
+        post: (url) => request(app).post(url).set('Authorization', `Bearer ${token}`),
+        put: (url) => request(app).put(url).set('Authorization', `Bearer ${token}`)
+    });
+    
+    test('creates a token that is only shown once', async () => {
+        const created = await createToken(john, { name: 'Calendar sync', scopes: ['events:read'], expiresInDays: 30 });
+        expect(created.token).toMatch(/^ept_/);
+        expect(created.apiToken).toMatchObject({
+            name: 'Calendar sync',
+            prefix: created.token.slice(0, 10),
+            scopes: ['events:read'],
+            revoked_at: null
+        });
+        
+        const list = await john.get('/api/tokens').expect(200);
+        expect(list.body.tokens.map(token => token.name)).toEqual(['Calendar sync']);
+        expect(JSON.stringify(list.body)).not.toContain(created.token);
+    });
+    
+    test('validates names, scopes, and expiry', async () => {
+        await john.post('/api/tokens').send({ name: '', scopes: ['events:read'] }).expect(400);
+        await john.post('/api/tokens').send({ name: 'Bot', scopes: [] }).expect(400);
+        await john.post('/api/tokens').send({ name: 'Bot', scopes: ['everything'] }).expect(400);
+        await john.post('/api/tokens').send({ name: 'Bot', scopes: ['events:read'], expiresInDays: 400 }).expect(400);
+        
+        // Only admins can hand out admin access
+        await john.post('/api/tokens').send({ name: 'Bot', scopes: ['admin'] }).expect(400);
+        await createToken(admin, { scopes: ['admin'] });
+        
+        await request(app).post('/api/tokens').send({ name: 'Bot', scopes: ['events:read'] }).expect(401);
+    });
+    
+    test('acts as its owner within its scopes', async () => {
+        const { token } = await createToken(john, { scopes: ['events:read'] });
+        const bot = withToken(token);
+        
+        const trash = await bot.get('/api/events/trash').expect(200);
+        expect(trash.body.events).toEqual([]);
+        
+        const denied = await bot.post('/api/events').send({ title: 'Bot Event' }).expect(403);
+        expect(denied.body.error).toBe('Insufficient scope');
+        await bot.post('/api/rsvps').send({ eventId: 1, status: 'attending' }).expect(403);
+        
+        const { token: writer } = await createToken(john, { scopes: ['events:write', 'rsvps'] });
+        const event = await createEvent(withToken(writer), { title: 'Bot Event' });
+        
+        // events:write includes events:read
+        const fetched = await withToken(writer).get(`/api/events/${event.id}`).expect(200);
+        expect(fetched.body.event).toMatchObject({ title: 'Bot Event', created_by: USERS.john_doe.id });
+        await withToken(writer).post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        const list = await john.get('/api/tokens').expect(200);
+        const used = list.body.tokens.find(apiToken => token.startsWith(apiToken.prefix));
+        expect(used.last_used_at).not.toBeNull();
+        expect(used.last_used_ip).toBeTruthy();
+    });
+    
+    test('cannot be used for account, notification, or token management', async () => {
+        const { token } = await createToken(john, { scopes: ['events:write', 'rsvps'] });
+        const bot = withToken(token);
+        
+        for (const url of ['/api/auth/me', '/api/notifications/preferences', '/api/tokens']) {
+            const res = await bot.get(url).expect(403);
+            expect(res.body.error).toBe('Session required');
+        }
+    });
+    
+    test('admin endpoints need an admin token with the admin scope', async () => {
+        const { token: writer } = await createToken(admin, { scopes: ['events:write'] });
+        await withToken(writer).get('/api/admin/users').expect(403);
+        
+        const { token } = await createToken(admin, { scopes: ['admin'] });
+        await withToken(token).get('/api/admin/users').expect(200);
+    });
+    
+    test('stops working once revoked or expired, or the owner is disabled', async () => {
+        await withToken('ept_not-a-token').get('/api/events').expect(401);
+        
+        const revoked = await createToken(john, { scopes: ['events:read'] });
+        await john.delete(`/api/tokens/${revoked.apiToken.id}`).expect(200);
+        await john.delete(`/api/tokens/${revoked.apiToken.id}`).expect(404);
+        await withToken(revoked.token).get('/api/events/trash').expect(401);
+        
+        const active = await john.get('/api/tokens?active=true').expect(200);
+        expect(active.body.tokens.map(token => token.id)).not.toContain(revoked.apiToken.id);
+        
+        const expired = await createToken(john, { scopes: ['events:read'] });
+        await run("UPDATE api_tokens SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [expired.apiToken.id]);
+        await withToken(expired.token).get('/api/events/trash').expect(401);
+        
+        const bob = await signIn(app, 'bob_wilson');
+        const { token } = await createToken(bob, { scopes: ['events:read'] });
+        await admin.put(`/api/admin/users/${USERS.bob_wilson.id}/status`).send({ status: 'disabled' }).expect(200);
+        await withToken(token).get('/api/events/trash').expect(403);
+    });
+    
+    test('other users cannot revoke your tokens', async () => {
+        const created = await createToken(john, { scopes: ['events:read'] });
+        const jane = await signIn(app, 'jane_smith');
+        await jane.delete(`/api/tokens/${created.apiToken.id}`).expect(404);
+    });
+    
+    test('audits changes under the owner with the token id', async () => {
+        const created = await createToken(john, { scopes: ['events:write'] });
+        const event = await createEvent(withToken(created.token), { title: 'Audited Bot Event' });
+        
+        let entries = [];
+        for (let attempt = 0; attempt < 40 && !entries.length; attempt++) {
+            entries = (await admin.get(`/api/admin/audit?eventId=${event.id}&action=event.create`).expect(200)).body.entries;
+            if (!entries.length) await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        expect(entries).toEqual([expect.objectContaining({
+            actor_id: USERS.john_doe.id,
+            metadata: expect.objectContaining({ api_token_id: created.apiToken.id })
+        })]);
+    });
+});
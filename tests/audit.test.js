@@ -0,0 +1,91 @@
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { createApp, signIn, createEvent, USERS } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+function run(sql) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.run(sql, (err) => {
+            db.close();
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+describe('audit log', () => {
+    let admin, organizer, john;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    afterAll(cleanup);
+    
+    // Entries are written in the background, so poll until the expected number are in
+    const auditEntries = async (query, expected = 1) => {
+        let entries = [];
+        for (let attempt = 0; attempt < 40; attempt++) {
+            entries = (await admin.get(`/api/admin/audit?${query}`).expect(200)).body.entries;
+            if (entries.length >= expected) break;
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        return entries;
+    };
+    
+    test('records event changes as a field diff', async () => {
+        const event = await createEvent(organizer, { title: 'Old Title' });
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: 'New Title', eventDate: event.event_date, location: event.location })
+            .expect(200);
+        
+        const [update] = await auditEntries(`eventId=${event.id}&action=event.update`);
+        expect(update).toMatchObject({
+            actor_id: USERS.jane_smith.id,
+            actor_username: 'jane_smith',
+            entity_type: 'event',
+            entity_id: event.id,
+            changes: { title: { from: 'Old Title', to: 'New Title' } }
+        });
+        expect(update.changes).not.toHaveProperty('location');
+        
+        const entries = await auditEntries(`eventId=${event.id}`, 2);
+        expect(entries.map(entry => entry.action)).toEqual(['event.update', 'event.create']);
+    });
+    
+    test('records failed logins', async () => {
+        await request(app).post('/api/auth/login').send({ username: 'bob_wilson', password: 'wrong' }).expect(401);
+        
+        const [entry] = await auditEntries(`action=auth.login_failed&entityId=${USERS.bob_wilson.id}`);
+        expect(entry).toMatchObject({ actor_id: null, metadata: { username: 'bob_wilson' } });
+    });
+    
+    test('keeps the RSVP history of an event', async () => {
+        const event = await createEvent(organizer);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        await auditEntries(`eventId=${event.id}&entityType=rsvp`, 2);
+        
+        const res = await organizer.get(`/api/events/${event.id}/rsvp-history?userId=${USERS.john_doe.id}`).expect(200);
+        expect(res.body.history.map(entry => [entry.action, entry.from_status, entry.to_status])).toEqual([
+            ['rsvp.create', null, 'maybe'],
+            ['rsvp.update', 'maybe', 'attending']
+        ]);
+        
+        await john.get(`/api/events/${event.id}/rsvp-history`).expect(403);
+    });
+    
+    test('entries cannot be changed or removed', async () => {
+        await expect(run('UPDATE audit_log SET action = \'tampered\'')).rejects.toThrow(/append-only/);
+        await expect(run('DELETE FROM audit_log')).rejects.toThrow(/append-only/);
+    });
+    
+    test('only admins can search the audit log', async () => {
+        await john.get('/api/admin/audit').expect(403);
+        await admin.get('/api/admin/audit?from=yesterday').expect(400);
+    });
+});
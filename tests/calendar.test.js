@@ -0,0 +1,65 @@
+const request = require('supertest');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('iCalendar export and calendar feeds', () => {
+    let organizer, jane;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+    });
+    
+    afterAll(cleanup);
+    
+    test('exports a single event', async () => {
+        const event = await createEvent(organizer, { title: 'Launch, Party; Night', eventDate: '2030-05-01T18:30:00.000Z' });
+        
+        const res = await request(app).get(`/api/events/${event.id}/ics`).expect(200);
+        expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+        expect(res.headers['content-disposition']).toBe(`attachment; filename="event-${event.id}.ics"`);
+        expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+        expect(res.text).toContain('SUMMARY:Launch\\, Party\\; Night\r\n');
+        expect(res.text).toContain('DTSTART:20300501T183000Z\r\n');
+        expect(res.text).toMatch(/END:VCALENDAR\r\n$/);
+    });
+    
+    test('returns 404 for an unknown event', async () => {
+        await request(app).get('/api/events/99999/ics').expect(404);
+    });
+    
+    test('serves attending and maybe RSVPs through a feed token', async () => {
+        const going = await createEvent(organizer, { title: 'Going' });
+        const maybe = await createEvent(organizer, { title: 'Maybe' });
+        const notGoing = await createEvent(organizer, { title: 'Not Going' });
+        await jane.post('/api/rsvps').send({ eventId: going.id, status: 'attending' }).expect(200);
+        await jane.post('/api/rsvps').send({ eventId: maybe.id, status: 'maybe' }).expect(200);
+        await jane.post('/api/rsvps').send({ eventId: notGoing.id, status: 'not_attending' }).expect(200);
+        
+        const created = await jane.post('/api/rsvps/calendar-feed').expect(201);
+        expect(created.body.url).toMatch(new RegExp(`/api/rsvps/calendar/${created.body.token}\\.ics$`));
+        
+        const feed = await request(app).get(`/api/rsvps/calendar/${created.body.token}.ics`).expect(200);
+        expect(feed.text).toContain('SUMMARY:Going\r\n');
+        expect(feed.text).toContain('SUMMARY:Maybe\r\n');
+        expect(feed.text).toContain('STATUS:TENTATIVE\r\n');
+        expect(feed.text).not.toContain('SUMMARY:Not Going');
+        
+        const status = await jane.get('/api/rsvps/calendar-feed').expect(200);
+        expect(status.body.active).toBe(true);
+        expect(status.body.last_accessed_at).not.toBeNull();
+    });
+    
+    test('rotating or revoking the token stops the old URL working', async () => {
+        const first = await jane.post('/api/rsvps/calendar-feed').expect(201);
+        const second = await jane.post('/api/rsvps/calendar-feed').expect(201);
+        
+        await request(app).get(`/api/rsvps/calendar/${first.body.token}.ics`).expect(404);
+        await request(app).get(`/api/rsvps/calendar/${second.body.token}.ics`).expect(200);
+        
+        await jane.delete('/api/rsvps/calendar-feed').expect(200);
+        await request(app).get(`/api/rsvps/calendar/${second.body.token}.ics`).expect(404);
+        await jane.delete('/api/rsvps/calendar-feed').expect(404);
+    });
+});
@@ -0,0 +1,85 @@
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('tickets and check-in', () => {
+    let organizer, john, jane, event, maybeRsvpId;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'bob_wilson');
+        john = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+        
+        event = await createEvent(organizer, { maxGuestsPerRsvp: 1 });
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending', guestCount: 1 }).expect(200);
+        const maybe = await jane.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+        maybeRsvpId = maybe.body.rsvp.id;
+    });
+    
+    afterAll(cleanup);
+    
+    const checkIn = (fields) => organizer.post(`/api/events/${event.id}/check-in`).send(fields);
+    
+    test('attendees get a ticket code and QR code', async () => {
+        const res = await john.get(`/api/rsvps/event/${event.id}/ticket`).expect(200);
+        expect(res.body.ticket).toMatchObject({ event_id: event.id, headcount: 2, checked_in_at: null });
+        
+        const png = await john.get(`/api/rsvps/event/${event.id}/ticket.png`).expect(200);
+        expect(png.headers['content-type']).toBe('image/png');
+        
+        const svg = await john.get(`/api/rsvps/event/${event.id}/ticket.svg`).expect(200);
+        expect(svg.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    });
+    
+    test('only attending RSVPs get a ticket', async () => {
+        await jane.get(`/api/rsvps/event/${event.id}/ticket`).expect(403);
+        const demo = await signIn(app, 'demo');
+        await demo.get(`/api/rsvps/event/${event.id}/ticket`).expect(404);
+    });
+    
+    test('rejects tampered ticket codes', async () => {
+        const { body } = await john.get(`/api/rsvps/event/${event.id}/ticket`).expect(200);
+        const tampered = body.ticket.code.slice(0, -1) + (body.ticket.code.endsWith('a') ? 'b' : 'a');
+        
+        await checkIn({ code: tampered }).expect(400);
+        await checkIn({ code: 'nonsense' }).expect(400);
+    });
+    
+    test('checks a ticket in once', async () => {
+        const { body } = await john.get(`/api/rsvps/event/${event.id}/ticket`).expect(200);
+        
+        let res = await checkIn({ code: body.ticket.code }).expect(200);
+        expect(res.body.attendee).toMatchObject({ username: 'john_doe', guest_count: 1 });
+        
+        res = await checkIn({ code: body.ticket.code }).expect(409);
+        expect(res.body.attendee.checked_in_at).not.toBeNull();
+        
+        const details = await organizer.get(`/api/events/${event.id}`).expect(200);
+        expect(details.body.event.attended_count).toBe(2);
+        
+        await organizer.delete(`/api/events/${event.id}/check-in/${res.body.attendee.rsvp_id}`).expect(200);
+        await checkIn({ rsvpId: res.body.attendee.rsvp_id }).expect(200);
+    });
+    
+    test('lists attendees by name for manual check-in', async () => {
+        let res = await organizer.get(`/api/events/${event.id}/check-in?q=john`).expect(200);
+        expect(res.body.attendees.map(attendee => attendee.username)).toEqual(['john_doe']);
+        
+        res = await organizer.get(`/api/events/${event.id}/check-in?q=jane`).expect(200);
+        expect(res.body.attendees).toEqual([]);
+    });
+    
+    test('only RSVPs that are attending can be checked in', async () => {
+        const res = await checkIn({ rsvpId: maybeRsvpId }).expect(400);
+        expect(res.body.error).toBe('RSVP status is maybe, not attending');
+        
+        const other = await createEvent(organizer);
+        await checkIn({ rsvpId: 99999 }).expect(404);
+        await organizer.post(`/api/events/${other.id}/check-in`).send({ rsvpId: maybeRsvpId }).expect(404);
+    });
+    
+    test('only the organizer or an admin can check people in', async () => {
+        await john.get(`/api/events/${event.id}/check-in`).expect(403);
+        await john.post(`/api/events/${event.id}/check-in`).send({ rsvpId: 1 }).expect(403);
+    });
+});
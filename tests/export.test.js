@@ -0,0 +1,80 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+const MEAL = { key: 'meal', label: 'Meal', type: 'single_choice', options: ['meat', 'veg'] };
+
+describe('attendee export', () => {
+    let organizer, john, jane, event;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'bob_wilson');
+        john = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+        
+        event = await createEvent(organizer, { title: 'Gala Dinner', maxGuestsPerRsvp: 2, questions: [MEAL] });
+        await john.post('/api/rsvps').send({
+            eventId: event.id,
+            status: 'attending',
+            guestCount: 2,
+            guestNames: ['Ann', 'Ben'],
+            notes: '=SUM(A1), "window seat"',
+            answers: { meal: 'veg' }
+        }).expect(200);
+        await jane.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+    });
+    
+    afterAll(cleanup);
+    
+    const exportUrl = (query = '') => `/api/events/${event.id}/attendees/export${query}`;
+    
+    test('downloads a CSV with one row per RSVP', async () => {
+        const res = await organizer.get(exportUrl()).expect(200);
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.headers['content-disposition']).toBe(`attachment; filename="event-${event.id}-attendees.csv"`);
+        
+        const lines = res.text.split('\r\n');
+        expect(lines[0]).toBe('Name,Username,Email,Status,Waitlist Position,Guests,Guest Names,Headcount,Notes,RSVP Date,Checked In,Meal');
+        expect(lines[1]).toMatch(/^John Doe,john_doe,john@example.com,attending,,2,Ann; Ben,3,"'=SUM\(A1\), ""window seat""",[^,]+,,veg$/);
+        expect(lines[2]).toMatch(/^Jane Smith,jane_smith,jane@example.com,maybe,,0,,1,,[^,]+,,$/);
+        expect(lines[3]).toBe('');
+    });
+    
+    test('a read error cuts the CSV download short', async () => {
+        const each = jest.spyOn(sqlite3.Database.prototype, 'each').mockImplementationOnce(function(sql, params, onRow, onComplete) {
+            onRow(new Error('SQLITE_IOERR: disk I/O error'));
+            onComplete(null, 0);
+            return this;
+        });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        await expect(organizer.get(exportUrl())).rejects.toThrow();
+        
+        consoleError.mockRestore();
+        each.mockRestore();
+    });
+    
+    test('exports JSON filtered by status', async () => {
+        const res = await organizer.get(exportUrl('?format=json&status=attending')).expect(200);
+        expect(res.body).toMatchObject({
+            event: { id: event.id, title: 'Gala Dinner' },
+            statuses: ['attending'],
+            questions: [{ key: 'meal', label: 'Meal', type: 'single_choice' }],
+            response_count: 1,
+            headcount: 3
+        });
+        expect(res.body.attendees[0]).toMatchObject({ username: 'john_doe', guest_names: ['Ann', 'Ben'], answers: { meal: 'veg' } });
+    });
+    
+    test('rejects unknown formats and statuses', async () => {
+        await organizer.get(exportUrl('?format=xml')).expect(400);
+        await organizer.get(exportUrl('?status=attending,bogus')).expect(400);
+    });
+    
+    test('only the organizer or an admin can export', async () => {
+        await john.get(exportUrl()).expect(403);
+        const admin = await signIn(app, 'admin');
+        await admin.get(exportUrl('?format=json')).expect(200);
+    });
+});
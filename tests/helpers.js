@@ -0,0 +1,91 @@
+/**
+ * Test helpers
+ * Each test file runs the app against its own freshly seeded database, so
+ * test files never touch database/events.db or each other's data
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+
+const ROOT = path.join(__dirname, '..');
+
+// Sample accounts from database/seed.js
+const USERS = {
+    admin: { id: 1, password: 'admin123' },
+    john_doe: { id: 2, password: 'user123' },
+    jane_smith: { id: 3, password: 'user123' },
+    bob_wilson: { id: 4, password: 'user123' },
+    demo: { id: 5, password: 'demo123' }
+};
+
+/**
+ * Create and seed a database in a temporary directory, then load the app
+ * against it. Call at the top of a test file, before anything else requires
+ * the app's modules, as they read DATABASE_PATH when loaded
+ */
+function createApp() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-planner-test-'));
+    const env = { ...process.env, DATABASE_PATH: path.join(dir, 'events.db') };
+    
+    execFileSync(process.execPath, ['database/init.js'], { cwd: ROOT, env, stdio: 'ignore' });
+    execFileSync(process.execPath, ['database/seed.js'], { cwd: ROOT, env, stdio: 'ignore' });
+    
+    process.env.DATABASE_PATH = env.DATABASE_PATH;
+    // Tests make far more requests, and sign in far more often, than the per-IP limits allow
+    process.env.RATE_LIMIT = '10000';
+    process.env.AUTH_RATE_LIMIT = '10000';
+    
+    const app = require('../server');
+    
+    return {
+        app,
+        cleanup: () => new Promise(resolve => {
+            // Let fire-and-forget audit and notification writes finish first
+            setTimeout(() => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                resolve();
+            }, 200);
+        })
+    };
+}
+
+/**
+ * A supertest agent signed in as one of the sample users
+ */
+async function signIn(app, username) {
+    const agent = request.agent(app);
+    await agent
+        .post('/api/auth/login')
+        .send({ username, password: USERS[username].password })
+        .expect(200);
+    return agent;
+}
+
+/**
+ * ISO time a number of days from now
+ */
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Create an event as the agent's user, returning the event from the response
+ */
+async function createEvent(agent, fields = {}) {
+    const res = await agent
+        .post('/api/events')
+        .send({ title: 'Test Event', eventDate: daysFromNow(7), location: 'Test Hall', ...fields })
+        .expect(201);
+    return res.body.event;
+}
+
+module.exports = {
+    USERS,
+    createApp,
+    signIn,
+    daysFromNow,
+    createEvent
+};
@@ -0,0 +1,121 @@
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('bulk import', () => {
+    let organizer;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+    });
+    
+    afterAll(cleanup);
+    
+    const importEvents = (body, query = '') => {
+        const req = organizer.post(`/api/events/import${query}`);
+        return typeof body === 'string' ? req.set('Content-Type', 'text/csv').send(body) : req.send(body);
+    };
+    
+    const CSV = [
+        'title,eventDate,location,maxAttendees,description',
+        'Book Club,2030-03-01T18:00:00.000Z,Library,12,"Chapters 1, 2 and 3"',
+        'Board Games,2030-03-08T18:00:00.000Z,Cafe,,'
+    ].join('\r\n');
+    
+    test('imports events from a CSV file', async () => {
+        const res = await importEvents(CSV).expect(201);
+        expect(res.body.imported_count).toBe(2);
+        
+        const [bookClub, boardGames] = await Promise.all(res.body.event_ids.map(id => organizer.get(`/api/events/${id}`).expect(200)));
+        expect(bookClub.body.event).toMatchObject({ title: 'Book Club', max_attendees: 12, description: 'Chapters 1, 2 and 3' });
+        expect(boardGames.body.event).toMatchObject({ title: 'Board Games', max_attendees: null });
+    });
+    
+    test('a dry run reports row errors without saving anything', async () => {
+        const before = (await organizer.get('/api/events').expect(200)).body.events.length;
+        
+        const res = await importEvents({
+            events: [
+                { title: 'Fine', eventDate: '2030-04-01T10:00:00.000Z', location: 'Hall' },
+                { title: 'No', eventDate: 'tomorrow', location: 'Hall' }
+            ]
+        }, '?dryRun=true').expect(200);
+        expect(res.body).toMatchObject({ dry_run: true, valid: false, row_count: 2 });
+        expect(res.body.errors.map(failure => failure.row)).toEqual([2]);
+        
+        expect((await organizer.get('/api/events').expect(200)).body.events.length).toBe(before);
+    });
+    
+    test('saves nothing unless every row is valid', async () => {
+        const before = (await organizer.get('/api/events').expect(200)).body.events.length;
+        
+        const res = await importEvents({
+            events: [
+                { title: 'Fine', eventDate: '2030-04-01T10:00:00.000Z', location: 'Hall' },
+                { eventDate: '2030-04-02T10:00:00.000Z', location: 'Hall' }
+            ]
+        }).expect(400);
+        expect(res.body.errors.map(failure => failure.row)).toEqual([2]);
+        
+        expect((await organizer.get('/api/events').expect(200)).body.events.length).toBe(before);
+    });
+    
+    test('rejects a body without rows', async () => {
+        await importEvents({ events: [] }).expect(400);
+        await importEvents({}).expect(400);
+    });
+    
+    test('imports categories and reports rows with unknown ones', async () => {
+        const res = await importEvents([
+            'title,eventDate,location,categoryId',
+            'Pottery,2030-05-01T18:00:00.000Z,Studio,2'
+        ].join('\r\n')).expect(201);
+        
+        const event = await organizer.get(`/api/events/${res.body.event_ids[0]}`).expect(200);
+        expect(event.body.event).toMatchObject({ category_id: 2, category_slug: 'workshops' });
+        
+        const failed = await importEvents({
+            events: [
+                { title: 'Fine', eventDate: '2030-05-02T18:00:00.000Z', location: 'Hall', categoryId: 3 },
+                { title: 'Lost', eventDate: '2030-05-03T18:00:00.000Z', location: 'Hall', categoryId: 999 }
+            ]
+        }, '?dryRun=true').expect(200);
+        expect(failed.body.valid).toBe(false);
+        expect(failed.body.errors).toEqual([
+            { row: 2, errors: [expect.objectContaining({ path: 'categoryId', msg: 'Category not found' })] }
+        ]);
+    });
+    
+    test('rejects rows with questions', async () => {
+        const res = await importEvents({
+            events: [{
+                title: 'Dinner',
+                eventDate: '2030-05-04T18:00:00.000Z',
+                location: 'Hall',
+                questions: [{ key: 'meal', label: 'Meal', type: 'short_text' }]
+            }]
+        }).expect(400);
+        expect(res.body.errors[0].errors.map(error => error.path)).toEqual(['questions']);
+    });
+    
+    test('imports invitees, skipping ones already invited', async () => {
+        const event = await createEvent(organizer, { visibility: 'invite_only' });
+        await organizer.post('/api/invitations').send({ eventId: event.id, email: 'bob@example.com' }).expect(201);
+        
+        const res = await organizer
+            .post(`/api/invitations/event/${event.id}/import`)
+            .set('Content-Type', 'text/csv')
+            .send('email\r\nBOB@example.com\r\njohn@example.com\r\nJOHN@example.com\r\n')
+            .expect(201);
+        expect(res.body.invited_count).toBe(1);
+        expect(res.body.skipped.map(skip => [skip.row, skip.reason])).toEqual([[1, 'Already invited'], [3, 'Duplicate in import']]);
+        
+        const john = await signIn(app, 'john_doe');
+        await john.get(`/api/events/${event.id}`).expect(200);
+        
+        await john
+            .post(`/api/invitations/event/${event.id}/import`)
+            .send({ invitees: [{ email: 'demo@eventplanner.com' }] })
+            .expect(403);
+    });
+});
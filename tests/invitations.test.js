@@ -0,0 +1,148 @@
+const request = require('supertest');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+const listedIds = async (agent) => {
+    const res = await agent.get('/api/events').expect(200);
+    return res.body.events.map(event => event.id);
+};
+
+describe('event visibility', () => {
+    let organizer, john;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    test('unlisted events are left out of listings but open by link', async () => {
+        const event = await createEvent(organizer, { title: 'Quiet Meetup', visibility: 'unlisted' });
+        
+        expect(await listedIds(john)).not.toContain(event.id);
+        expect(await listedIds(request(app))).not.toContain(event.id);
+        expect(await listedIds(organizer)).toContain(event.id);
+        
+        const admin = await signIn(app, 'admin');
+        expect(await listedIds(admin)).not.toContain(event.id);
+        await admin.get(`/api/events/${event.id}`).expect(200);
+        
+        await request(app).get(`/api/events/${event.id}`).expect(200);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+    });
+    
+    test('invite-only events are hidden from everyone not invited', async () => {
+        const event = await createEvent(organizer, { title: 'Board Meeting', visibility: 'invite_only' });
+        
+        expect(await listedIds(john)).not.toContain(event.id);
+        await request(app).get(`/api/events/${event.id}`).expect(404);
+        await john.get(`/api/events/${event.id}`).expect(404);
+        await john.get(`/api/events/${event.id}/ics`).expect(404);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(404);
+        
+        await organizer.get(`/api/events/${event.id}`).expect(200);
+        const admin = await signIn(app, 'admin');
+        await admin.get(`/api/events/${event.id}`).expect(200);
+        expect(await listedIds(admin)).toContain(event.id);
+    });
+    
+    test('rejects an unknown visibility', async () => {
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Secret', eventDate: '2030-01-01T10:00:00.000Z', location: 'Vault', visibility: 'secret' })
+            .expect(400);
+    });
+});
+
+describe('invite-only event access', () => {
+    let organizer, event;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+        event = await createEvent(organizer, { title: 'Private Dinner', visibility: 'invite_only' });
+    });
+    
+    const invite = (fields) => organizer.post('/api/invitations').send({ eventId: event.id, ...fields });
+    
+    test('invited users with a verified email address can see and RSVP to the event', async () => {
+        await invite({ email: 'BOB@example.com' }).expect(201);
+        const bob = await signIn(app, 'bob_wilson');
+        
+        await bob.get(`/api/events/${event.id}`).expect(200);
+        expect(await listedIds(bob)).toContain(event.id);
+        await bob.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        const res = await bob.get('/api/invitations/mine').expect(200);
+        expect(res.body.invitations.map(invitation => invitation.event_id)).toContain(event.id);
+    });
+    
+    test('an unverified account with an invited address cannot see the event', async () => {
+        await invite({ email: 'newcomer@example.com' }).expect(201);
+        
+        const newcomer = request.agent(app);
+        await newcomer
+            .post('/api/auth/register')
+            .send({ username: 'newcomer', email: 'newcomer@example.com', password: 'secret123', firstName: 'New', lastName: 'Comer' })
+            .expect(201);
+        
+        await newcomer.get(`/api/events/${event.id}`).expect(404);
+        await newcomer.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(404);
+        const res = await newcomer.get('/api/invitations/mine').expect(200);
+        expect(res.body.invitations).toEqual([]);
+    });
+    
+    test('changing your email to an invited address does not let you in', async () => {
+        await invite({ email: 'vip@example.com' }).expect(201);
+        const john = await signIn(app, 'john_doe');
+        
+        await john
+            .put('/api/auth/profile')
+            .send({ email: 'vip@example.com', firstName: 'John', lastName: 'Doe', currentPassword: 'user123' })
+            .expect(200);
+        
+        await john.get(`/api/events/${event.id}`).expect(404);
+    });
+    
+    test('only the organizer or an admin can invite', async () => {
+        const john = await signIn(app, 'john_doe');
+        await john.post('/api/invitations').send({ eventId: event.id, email: 'john@example.com' }).expect(403);
+    });
+    
+    test('invite links can be limited to a number of uses', async () => {
+        const created = await invite({ maxUses: 1 }).expect(201);
+        const { token, url } = created.body.invitation;
+        expect(url).toMatch(new RegExp(`/api/invitations/token/${token}/accept$`));
+        
+        const preview = await request(app).get(`/api/invitations/token/${token}`).expect(200);
+        expect(preview.body.invitation).toMatchObject({ event_id: event.id, invited_by: 'jane_smith', valid: true });
+        
+        const john = await signIn(app, 'john_doe');
+        await john.post(`/api/invitations/token/${token}/accept`).expect(200);
+        await john.get(`/api/events/${event.id}`).expect(200);
+        
+        const demo = await signIn(app, 'demo');
+        await demo.post(`/api/invitations/token/${token}/accept`).expect(410);
+        await demo.get(`/api/events/${event.id}`).expect(404);
+    });
+    
+    test('revoking a link keeps access for users who already accepted it', async () => {
+        const created = await invite({}).expect(201);
+        const { id, token } = created.body.invitation;
+        
+        const carol = request.agent(app);
+        await carol
+            .post('/api/auth/register')
+            .send({ username: 'carol', email: 'carol@example.com', password: 'secret123', firstName: 'Carol', lastName: 'King' })
+            .expect(201);
+        await carol.post(`/api/invitations/token/${token}/accept`).expect(200);
+        
+        await organizer.delete(`/api/invitations/${id}`).expect(200);
+        await request(app).get(`/api/invitations/token/${token}`).expect(404);
+        await carol.get(`/api/events/${event.id}`).expect(200);
+        
+        const demo = await signIn(app, 'demo');
+        await demo.post(`/api/invitations/token/${token}/accept`).expect(404);
+    });
+});
@@ -0,0 +1,116 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+const { completePastEvents, sendEventReminders, sendRsvpNudges } = require('../utils/jobs');
+const { runDueJobs } = require('../utils/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+function withDb(callback) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        callback(db, (err, result) => {
+            db.close();
+            err ? reject(err) : resolve(result);
+        });
+    });
+}
+
+const query = (sql, params = []) => withDb((db, done) => db.all(sql, params, done));
+const run = (job) => withDb((db, done) => job(db, done));
+
+// Notifications are queued in the background, so poll the outbox for them
+async function outbox(type, eventTitle, expected) {
+    let rows = [];
+    for (let attempt = 0; attempt < 40; attempt++) {
+        rows = await query(
+            'SELECT recipient FROM notification_outbox WHERE type = ? AND subject LIKE ? ORDER BY recipient',
+            [type, `%${eventTitle}%`]
+        );
+        if (rows.length >= expected) break;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return rows.map(row => row.recipient);
+}
+
+describe('scheduled jobs', () => {
+    let organizer, john, jane;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'bob_wilson');
+        john = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+    });
+    
+    afterAll(cleanup);
+    
+    test('completes events two hours after they end', async () => {
+        const recent = await createEvent(organizer, { title: 'Recent' });
+        const old = await createEvent(organizer, { title: 'Old' });
+        await query('UPDATE events SET event_date = ?, end_date = ? WHERE id = ?', [hoursFromNow(-3), hoursFromNow(-1), recent.id]);
+        await query('UPDATE events SET event_date = ?, end_date = ? WHERE id = ?', [hoursFromNow(-5), hoursFromNow(-3), old.id]);
+        
+        const result = await run(completePastEvents);
+        expect(result.completed).toBeGreaterThanOrEqual(1);
+        
+        const statuses = await query('SELECT id, status FROM events WHERE id IN (?, ?) ORDER BY id', [recent.id, old.id]);
+        expect(statuses.map(row => row.status)).toEqual(['active', 'completed']);
+    });
+    
+    test('reminds attending and maybe RSVPs once per reminder', async () => {
+        const event = await createEvent(organizer, { title: 'Morning Run', eventDate: hoursFromNow(20) });
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        await jane.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+        const demo = await signIn(app, 'demo');
+        await demo.post('/api/rsvps').send({ eventId: event.id, status: 'not_attending' }).expect(200);
+        
+        await run(sendEventReminders);
+        expect(await outbox('event_reminder', 'Morning Run', 2)).toEqual(['jane@example.com', 'john@example.com']);
+        
+        const again = await run(sendEventReminders);
+        expect(again.sent).toBe(0);
+        
+        const kinds = await query('SELECT DISTINCT kind FROM sent_reminders WHERE event_id = ?', [event.id]);
+        expect(kinds).toEqual([{ kind: 'reminder_24h' }]);
+    });
+    
+    test('nudges invitees who have not responded', async () => {
+        const event = await createEvent(organizer, { title: 'Tasting', eventDate: hoursFromNow(30), visibility: 'invite_only' });
+        await organizer.post('/api/invitations').send({ eventId: event.id, email: 'john@example.com' }).expect(201);
+        await organizer.post('/api/invitations').send({ eventId: event.id, email: 'jane@example.com' }).expect(201);
+        await organizer.post('/api/invitations').send({ eventId: event.id, email: 'guest@example.com' }).expect(201);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        const result = await run(sendRsvpNudges);
+        expect(result.sent).toBe(2);
+        expect(await outbox('rsvp_nudge', 'Tasting', 2)).toEqual(['guest@example.com', 'jane@example.com']);
+        
+        expect((await run(sendRsvpNudges)).sent).toBe(0);
+    });
+    
+    test('the scheduler records each run and books the next one', async () => {
+        await query("INSERT INTO scheduled_jobs (name, interval_seconds, next_run_at) VALUES ('ok', 60, CURRENT_TIMESTAMP), ('broken', 60, CURRENT_TIMESTAMP)");
+        
+        let runs = 0;
+        const jobs = [
+            { name: 'ok', intervalSeconds: 60, run: (db, done) => done(null, { runs: ++runs }) },
+            { name: 'broken', intervalSeconds: 60, run: (db, done) => done(new Error('Out of cheese')) }
+        ];
+        
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await withDb((db, done) => runDueJobs(db, jobs, done));
+        await withDb((db, done) => runDueJobs(db, jobs, done));
+        consoleError.mockRestore();
+        
+        expect(runs).toBe(1);
+        const rows = await query(
+            "SELECT name, last_status, last_error, last_result, next_run_at > CURRENT_TIMESTAMP as booked FROM scheduled_jobs WHERE name IN ('ok', 'broken') ORDER BY name"
+        );
+        expect(rows).toEqual([
+            { name: 'broken', last_status: 'error', last_error: 'Out of cheese', last_result: null, booked: 1 },
+            { name: 'ok', last_status: 'success', last_error: null, last_result: '{"runs":1}', booked: 1 }
+        ]);
+    });
+});
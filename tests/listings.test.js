@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { createApp, signIn, daysFromNow, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('event listings', () => {
+    let john, events;
+    
+    // Titles of the listed events, in order
+    const titles = (res) => res.body.events.map(event => event.title);
+    
+    beforeAll(async () => {
+        // A new organizer, so ?creator= leaves out the sample events
+        const organizer = request.agent(app);
+        await organizer
+            .post('/api/auth/register')
+            .send({ username: 'lister', email: 'lister@example.com', password: 'secret123', firstName: 'List', lastName: 'Er' })
+            .expect(201);
+        
+        john = await signIn(app, 'john_doe');
+        const bob = await signIn(app, 'bob_wilson');
+        
+        events = {
+            alpha: await createEvent(organizer, { title: 'Alpha Picnic', eventDate: daysFromNow(3), location: 'Riverside Park', maxAttendees: 2 }),
+            beta: await createEvent(organizer, { title: 'Beta Brunch', eventDate: daysFromNow(1), location: 'Downtown Cafe', description: 'Pancakes' }),
+            gamma: await createEvent(organizer, { title: 'Gamma Gala', eventDate: daysFromNow(10), location: 'Riverside Hall', maxAttendees: 1 }),
+            delta: await createEvent(organizer, { title: 'Delta Dance', eventDate: daysFromNow(5), location: 'Town Hall' })
+        };
+        
+        await john.post('/api/rsvps').send({ eventId: events.alpha.id, status: 'attending' }).expect(200);
+        await bob.post('/api/rsvps').send({ eventId: events.alpha.id, status: 'attending' }).expect(200);
+        await john.post('/api/rsvps').send({ eventId: events.gamma.id, status: 'attending' }).expect(200);
+        await organizer.post(`/api/events/${events.delta.id}/cancel`).send({}).expect(200);
+    });
+    
+    afterAll(cleanup);
+    
+    test('lists active events soonest first, a page at a time', async () => {
+        let res = await request(app).get('/api/events?creator=lister').expect(200);
+        expect(titles(res)).toEqual(['Beta Brunch', 'Alpha Picnic', 'Gamma Gala']);
+        expect(res.body.events[1].rsvp_count).toBe(2);
+        expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 3, pages: 1 });
+        
+        res = await request(app).get('/api/events?creator=lister&limit=2&page=2').expect(200);
+        expect(titles(res)).toEqual(['Gamma Gala']);
+        expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: 3, pages: 2 });
+        
+        // The organizer's ID works as well as their username
+        const byId = await request(app).get(`/api/events?creator=${events.alpha.created_by}`).expect(200);
+        expect(titles(byId)).toEqual(titles(await request(app).get('/api/events?creator=lister')));
+    });
+    
+    test('sorts by title, popularity, or creation, in either order', async () => {
+        let res = await request(app).get('/api/events?creator=lister&sort=title&order=desc').expect(200);
+        expect(titles(res)).toEqual(['Gamma Gala', 'Beta Brunch', 'Alpha Picnic']);
+        
+        res = await request(app).get('/api/events?creator=lister&sort=popularity').expect(200);
+        expect(titles(res)).toEqual(['Alpha Picnic', 'Gamma Gala', 'Beta Brunch']);
+        
+        res = await request(app).get('/api/events?creator=lister&sort=created').expect(200);
+        expect(titles(res)).toEqual(['Gamma Gala', 'Beta Brunch', 'Alpha Picnic']);
+    });
+    
+    test('filters by text, location, and dates', async () => {
+        let res = await request(app).get('/api/events?creator=lister&search=pancakes').expect(200);
+        expect(titles(res)).toEqual(['Beta Brunch']);
+        
+        res = await request(app).get('/api/events?creator=lister&location=riverside').expect(200);
+        expect(titles(res)).toEqual(['Alpha Picnic', 'Gamma Gala']);
+        
+        res = await request(app)
+            .get(`/api/events?creator=lister&from=${daysFromNow(2)}&to=${daysFromNow(4)}`)
+            .expect(200);
+        expect(titles(res)).toEqual(['Alpha Picnic']);
+        
+        res = await request(app).get('/api/events?creator=lister&upcoming=true').expect(200);
+        expect(res.body.pagination.total).toBe(3);
+    });
+    
+    test('filters by status and free spots', async () => {
+        let res = await request(app).get('/api/events?creator=lister&status=cancelled').expect(200);
+        expect(titles(res)).toEqual(['Delta Dance']);
+        
+        res = await request(app).get('/api/events?creator=lister&status=all').expect(200);
+        expect(res.body.pagination.total).toBe(4);
+        
+        res = await request(app).get('/api/events?creator=lister&hasSpots=true').expect(200);
+        expect(titles(res)).toEqual(['Beta Brunch']);
+        
+        res = await request(app).get('/api/events?creator=lister&hasSpots=false').expect(200);
+        expect(titles(res)).toEqual(['Alpha Picnic', 'Gamma Gala']);
+    });
+    
+    test('filters by the events you are attending', async () => {
+        let res = await john.get('/api/events?creator=lister&attending=true').expect(200);
+        expect(titles(res)).toEqual(['Alpha Picnic', 'Gamma Gala']);
+        
+        res = await john.get('/api/events?creator=lister&attending=false').expect(200);
+        expect(titles(res)).toEqual(['Beta Brunch']);
+        
+        await request(app).get('/api/events?attending=true').expect(401);
+    });
+    
+    test('rejects invalid filters', async () => {
+        for (const query of ['sort=random', 'order=up', 'status=archived', 'from=tomorrow', 'hasSpots=maybe', 'limit=500']) {
+            await request(app).get(`/api/events?${query}`).expect(400);
+        }
+    });
+    
+    test('my RSVPs take the same filters and sorting', async () => {
+        let res = await john.get('/api/rsvps/my-rsvps?creator=lister&sort=date&order=desc').expect(200);
+        expect(res.body.rsvps.map(rsvp => rsvp.title)).toEqual(['Gamma Gala', 'Alpha Picnic']);
+        
+        res = await john.get('/api/rsvps/my-rsvps?creator=lister&limit=1').expect(200);
+        expect(res.body.rsvps.map(rsvp => rsvp.title)).toEqual(['Alpha Picnic']);
+        expect(res.body.pagination).toEqual({ page: 1, limit: 1, total: 2, pages: 2 });
+        
+        await john.get('/api/rsvps/my-rsvps?sort=random').expect(400);
+    });
+});
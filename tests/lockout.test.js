@@ -0,0 +1,84 @@
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { USERS, createApp, signIn } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.all(sql, params, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+// Add failed logins from a few minutes ago, past any delay they would cause
+async function pastFailures(count, { identifier, userId = null, ip }) {
+    for (let i = 0; i < count; i++) {
+        await query(
+            "INSERT INTO login_failures (identifier, user_id, ip_address, created_at) VALUES (?, ?, ?, datetime('now', '-2 minutes'))",
+            [identifier, userId, ip]
+        );
+    }
+}
+
+const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+describe('login protection', () => {
+    let admin, ip;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        
+        // Learn the address the app sees test requests coming from
+        await login('nobody', 'wrong').expect(401);
+        [{ ip_address: ip }] = await query("SELECT ip_address FROM login_failures WHERE identifier = 'nobody'");
+        await query('DELETE FROM login_failures');
+    });
+    
+    afterAll(cleanup);
+    
+    test('slows down repeated failures for an account', async () => {
+        for (let i = 0; i < 3; i++) {
+            await login('john_doe', 'wrong').expect(401);
+        }
+        
+        const res = await login('john_doe', USERS.john_doe.password).expect(429);
+        expect(res.body.reason).toBe('too_many_attempts');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        
+        // A successful login clears the failures
+        await query("UPDATE login_failures SET created_at = datetime('now', '-2 minutes')");
+        await login('john_doe', USERS.john_doe.password).expect(200);
+        expect(await query('SELECT * FROM login_failures WHERE user_id = ?', [USERS.john_doe.id])).toEqual([]);
+    });
+    
+    test('locks an account after 10 failures, even with the right password', async () => {
+        await pastFailures(9, { identifier: 'jane_smith', userId: USERS.jane_smith.id, ip });
+        await login('jane_smith', 'wrong').expect(401);
+        
+        const res = await login('jane_smith', USERS.jane_smith.password).expect(429);
+        expect(res.body).toMatchObject({ error: 'Account temporarily locked', reason: 'account_locked' });
+        
+        const lockouts = await admin.get('/api/admin/lockouts').expect(200);
+        expect(lockouts.body.accounts.map(account => account.username)).toEqual(['jane_smith']);
+        
+        await admin.post(`/api/admin/users/${USERS.jane_smith.id}/unlock`).expect(200);
+        await login('jane_smith', USERS.jane_smith.password).expect(200);
+    });
+    
+    test('blocks an IP after 50 failures until an admin clears it', async () => {
+        await pastFailures(50, { identifier: 'guess', ip });
+        
+        const res = await login('bob_wilson', USERS.bob_wilson.password).expect(429);
+        expect(res.body.reason).toBe('ip_blocked');
+        
+        const lockouts = await admin.get('/api/admin/lockouts').expect(200);
+        expect(lockouts.body.ips).toEqual([expect.objectContaining({ ip_address: ip, recent_failures: 50, blocked: true })]);
+        
+        await admin.delete(`/api/admin/lockouts/ips/${encodeURIComponent(ip)}`).expect(200);
+        await login('bob_wilson', USERS.bob_wilson.password).expect(200);
+    });
+});
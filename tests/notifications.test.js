@@ -0,0 +1,127 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+const { processOutbox } = require('../utils/notifications');
+
+// Notifications are queued in the background, so poll the outbox for them
+async function queuedFor(admin, recipient, type) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+        const res = await admin.get('/api/notifications/outbox').expect(200);
+        const messages = res.body.messages.filter(m => m.recipient === recipient && m.type === type);
+        if (messages.length > 0) return messages;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return [];
+}
+
+function withDb(callback) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        callback(db, (err, result) => {
+            db.close();
+            err ? reject(err) : resolve(result);
+        });
+    });
+}
+
+describe('email notifications', () => {
+    let admin, organizer, john;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        organizer = await signIn(app, 'bob_wilson');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    afterAll(cleanup);
+    
+    test('every notification type is on by default', async () => {
+        const res = await john.get('/api/notifications/preferences').expect(200);
+        expect(Object.values(res.body.preferences).every(Boolean)).toBe(true);
+        expect(res.body.preferences).toHaveProperty('rsvp_confirmation', true);
+    });
+    
+    test('queues an RSVP confirmation', async () => {
+        const event = await createEvent(organizer, { title: 'Harbour Cruise' });
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        const [message] = await queuedFor(admin, 'john@example.com', 'rsvp_confirmation');
+        expect(message.subject).toContain('Harbour Cruise');
+    });
+    
+    test('tells attendees when an event changes or is cancelled', async () => {
+        const jane = await signIn(app, 'jane_smith');
+        const event = await createEvent(organizer, { title: 'Picnic' });
+        await jane.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+        
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: 'Picnic', eventDate: event.event_date, location: 'Riverside' })
+            .expect(200);
+        expect(await queuedFor(admin, 'jane@example.com', 'event_updated')).toHaveLength(1);
+        
+        await organizer.post(`/api/events/${event.id}/cancel`).send({}).expect(200);
+        expect(await queuedFor(admin, 'jane@example.com', 'event_cancelled')).toHaveLength(1);
+    });
+    
+    test('respects turned-off notification types', async () => {
+        const demo = await signIn(app, 'demo');
+        const res = await demo
+            .put('/api/notifications/preferences')
+            .send({ preferences: { waitlist_joined: false } })
+            .expect(200);
+        expect(res.body.preferences).toMatchObject({ waitlist_joined: false, rsvp_confirmation: true });
+        
+        const event = await createEvent(organizer, { maxAttendees: 1 });
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        await demo.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        // A message sent after the waitlist one shows it would have been queued by now
+        await demo.post('/api/rsvps').send({ eventId: (await createEvent(organizer)).id, status: 'attending' }).expect(200);
+        await queuedFor(admin, 'demo@eventplanner.com', 'rsvp_confirmation');
+        expect(await queuedFor(admin, 'demo@eventplanner.com', 'waitlist_joined')).toEqual([]);
+    });
+    
+    test('rejects unknown notification types', async () => {
+        await john.put('/api/notifications/preferences').send({ preferences: { spam: true } }).expect(400);
+    });
+    
+    test('retries failed sends with backoff and gives up after 5 attempts', async () => {
+        await withDb((db, done) => db.run("UPDATE notification_outbox SET status = 'sent'", done));
+        await withDb((db, done) => db.run(
+            "INSERT INTO notification_outbox (user_id, type, recipient, subject, body) VALUES (2, 'event_created', 'john@example.com', 'Hi', 'Hello')",
+            done
+        ));
+        
+        const failing = { send: (message, callback) => callback(new Error('Mail server down')) };
+        let result = await withDb((db, done) => processOutbox(db, failing, done));
+        expect(result).toEqual({ processed: 1, sent: 0 });
+        
+        let [message] = (await admin.get('/api/notifications/outbox?status=pending').expect(200)).body.messages;
+        expect(message).toMatchObject({ attempts: 1, last_error: 'Mail server down' });
+        
+        // Not due again until the backoff has passed
+        result = await withDb((db, done) => processOutbox(db, failing, done));
+        expect(result.processed).toBe(0);
+        
+        for (let attempt = 2; attempt <= 5; attempt++) {
+            await withDb((db, done) => db.run('UPDATE notification_outbox SET next_attempt_at = CURRENT_TIMESTAMP WHERE id = ?', [message.id], done));
+            await withDb((db, done) => processOutbox(db, failing, done));
+        }
+        
+        [message] = (await admin.get('/api/notifications/outbox?status=failed').expect(200)).body.messages;
+        expect(message.attempts).toBe(5);
+        
+        await admin.post(`/api/notifications/outbox/${message.id}/retry`).expect(200);
+        await admin.post(`/api/notifications/outbox/${message.id}/retry`).expect(404);
+        
+        const working = { send: (message, callback) => callback(null) };
+        result = await withDb((db, done) => processOutbox(db, working, done));
+        expect(result).toEqual({ processed: 1, sent: 1 });
+    });
+    
+    test('only admins can see the outbox', async () => {
+        await john.get('/api/notifications/outbox').expect(403);
+    });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { USERS, createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+// Who may do what on an event, mirroring PERMISSIONS in utils/permissions.js
+const ACTIONS = {
+    'view members': {
+        allowed: ['admin', 'owner', 'co_organizer', 'check_in_staff'],
+        send: (agent, event) => agent.get(`/api/events/${event.id}/members`)
+    },
+    'list attendees for check-in': {
+        allowed: ['admin', 'owner', 'co_organizer', 'check_in_staff'],
+        send: (agent, event) => agent.get(`/api/events/${event.id}/check-in`)
+    },
+    'export attendees': {
+        allowed: ['admin', 'owner', 'co_organizer', 'check_in_staff'],
+        send: (agent, event) => agent.get(`/api/events/${event.id}/attendees/export?format=json`)
+    },
+    'view RSVP history': {
+        allowed: ['admin', 'owner', 'co_organizer'],
+        send: (agent, event) => agent.get(`/api/events/${event.id}/rsvp-history`)
+    },
+    'edit the event': {
+        allowed: ['admin', 'owner', 'co_organizer'],
+        send: (agent, event) => agent
+            .put(`/api/events/${event.id}`)
+            .send({ title: 'Renamed Event', eventDate: event.event_date, location: event.location })
+    },
+    'cancel the event': {
+        allowed: ['admin', 'owner'],
+        send: (agent, event) => agent.post(`/api/events/${event.id}/cancel`).send({})
+    },
+    'manage members': {
+        allowed: ['admin', 'owner'],
+        send: (agent, event) => agent
+            .put(`/api/events/${event.id}/members/${USERS.demo.id}`)
+            .send({ role: 'check_in_staff' })
+    },
+    'transfer the event': {
+        allowed: ['admin', 'owner'],
+        send: (agent, event) => agent
+            .post(`/api/events/${event.id}/transfer`)
+            .send({ userId: USERS.demo.id })
+    }
+};
+
+// Each role is played by a sample user; demo has no role on the event
+const ROLE_USERS = {
+    admin: 'admin',
+    owner: 'jane_smith',
+    co_organizer: 'john_doe',
+    check_in_staff: 'bob_wilson',
+    none: 'demo'
+};
+
+const cases = [];
+Object.entries(ACTIONS).forEach(([action, { allowed }]) => {
+    Object.keys(ROLE_USERS).forEach(role => cases.push([role, action, allowed.includes(role)]));
+});
+
+describe('event permission matrix', () => {
+    const agents = {};
+    
+    beforeAll(async () => {
+        for (const [role, username] of Object.entries(ROLE_USERS)) {
+            agents[role] = await signIn(app, username);
+        }
+    });
+    
+    // A fresh event per case, as some actions change it
+    async function eventWithMembers() {
+        const event = await createEvent(agents.owner);
+        await agents.owner
+            .put(`/api/events/${event.id}/members/${USERS.john_doe.id}`)
+            .send({ role: 'co_organizer' })
+            .expect(201);
+        await agents.owner
+            .put(`/api/events/${event.id}/members/${USERS.bob_wilson.id}`)
+            .send({ role: 'check_in_staff' })
+            .expect(201);
+        return event;
+    }
+    
+    test.each(cases)('%s: %s (allowed: %s)', async (role, action, allowed) => {
+        const event = await eventWithMembers();
+        const res = await ACTIONS[action].send(agents[role], event);
+        
+        if (allowed) {
+            expect(res.status).toBeLessThan(300);
+        } else {
+            expect(res.status).toBe(403);
+            expect(res.body.error).toMatch(/^Access denied/);
+        }
+    });
+    
+    test('signed-out requests are turned away before any permission check', async () => {
+        const event = await eventWithMembers();
+        
+        await request(app).get(`/api/events/${event.id}/members`).expect(401);
+    });
+});
+
+describe('event members', () => {
+    let owner, john, bob;
+    
+    beforeAll(async () => {
+        owner = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+        bob = await signIn(app, 'bob_wilson');
+    });
+    
+    test('adds members, changes their role, and reports it on the event', async () => {
+        const event = await createEvent(owner, { visibility: 'invite_only' });
+        
+        await owner.put(`/api/events/${event.id}/members/${USERS.john_doe.id}`).send({ role: 'host' }).expect(400);
+        await owner.put(`/api/events/${event.id}/members/${USERS.jane_smith.id}`).send({ role: 'co_organizer' }).expect(400);
+        
+        const added = await owner
+            .put(`/api/events/${event.id}/members/${USERS.john_doe.id}`)
+            .send({ role: 'check_in_staff' })
+            .expect(201);
+        expect(added.body.members).toEqual([expect.objectContaining({ username: 'john_doe', role: 'check_in_staff' })]);
+        
+        // Members can see the event whatever its visibility
+        let res = await john.get(`/api/events/${event.id}`).expect(200);
+        expect(res.body.my_role).toBe('check_in_staff');
+        
+        await owner
+            .put(`/api/events/${event.id}/members/${USERS.john_doe.id}`)
+            .send({ role: 'co_organizer' })
+            .expect(200);
+        
+        res = await john.get(`/api/events/${event.id}/members`).expect(200);
+        expect(res.body.owner.username).toBe('jane_smith');
+        expect(res.body.members).toEqual([expect.objectContaining({ username: 'john_doe', role: 'co_organizer' })]);
+        
+        res = await owner.get(`/api/events/${event.id}`).expect(200);
+        expect(res.body.my_role).toBe('owner');
+    });
+    
+    test('members can leave, but only the owner removes others', async () => {
+        const event = await createEvent(owner);
+        await owner.put(`/api/events/${event.id}/members/${USERS.john_doe.id}`).send({ role: 'co_organizer' }).expect(201);
+        await owner.put(`/api/events/${event.id}/members/${USERS.bob_wilson.id}`).send({ role: 'check_in_staff' }).expect(201);
+        
+        await john.delete(`/api/events/${event.id}/members/${USERS.bob_wilson.id}`).expect(403);
+        await bob.delete(`/api/events/${event.id}/members/${USERS.bob_wilson.id}`).expect(200);
+        await owner.delete(`/api/events/${event.id}/members/${USERS.bob_wilson.id}`).expect(404);
+        await owner.delete(`/api/events/${event.id}/members/${USERS.john_doe.id}`).expect(200);
+        
+        await john.put(`/api/events/${event.id}`).send({ title: 'Renamed', eventDate: event.event_date, location: event.location }).expect(403);
+    });
+    
+    test('transferring keeps the previous owner on as a co-organizer', async () => {
+        const event = await createEvent(owner);
+        
+        await owner.post(`/api/events/${event.id}/transfer`).send({ userId: USERS.jane_smith.id }).expect(400);
+        
+        const res = await owner.post(`/api/events/${event.id}/transfer`).send({ userId: USERS.john_doe.id }).expect(200);
+        expect(res.body).toMatchObject({ previous_owner_id: USERS.jane_smith.id, owner_id: USERS.john_doe.id });
+        
+        const members = await john.get(`/api/events/${event.id}/members`).expect(200);
+        expect(members.body.owner.username).toBe('john_doe');
+        expect(members.body.members).toEqual([expect.objectContaining({ username: 'jane_smith', role: 'co_organizer' })]);
+        
+        await owner.post(`/api/events/${event.id}/cancel`).send({}).expect(403);
+    });
+});
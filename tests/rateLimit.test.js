@@ -0,0 +1,47 @@
+const request = require('supertest');
+const { createApp, signIn } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('rate limits for API token requests', () => {
+    let token;
+    
+    beforeAll(async () => {
+        const agent = await signIn(app, 'john_doe');
+        const res = await agent
+            .post('/api/tokens')
+            .send({ name: 'Limits', scopes: ['events:read'] })
+            .expect(201);
+        token = res.body.token;
+    });
+    
+    afterAll(cleanup);
+    
+    test('live tokens are limited per token instead of per IP', async () => {
+        const res = await request(app).get('/api/events').set('Authorization', `Bearer ${token}`).expect(200);
+        
+        expect(res.headers['ratelimit-limit']).toBe('300');
+        expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+    });
+    
+    test('made-up tokens count against the IP', async () => {
+        const res = await request(app).get('/api/events').set('Authorization', 'Bearer ept_made-up').expect(401);
+        
+        expect(res.headers['x-ratelimit-limit']).toBe(process.env.RATE_LIMIT);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+    });
+    
+    test('requests are limited to 100 per IP unless RATE_LIMIT says otherwise', async () => {
+        const configured = process.env.RATE_LIMIT;
+        delete process.env.RATE_LIMIT;
+        
+        let defaults;
+        jest.isolateModules(() => {
+            defaults = require('../server');
+        });
+        process.env.RATE_LIMIT = configured;
+        
+        const res = await request(defaults).get('/api/events').expect(200);
+        expect(res.headers['x-ratelimit-limit']).toBe('100');
+    });
+});
@@ -0,0 +1,160 @@
+const sqlite3 = require('sqlite3');
+const { USERS, createApp, signIn, daysFromNow, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.run(sql, params, (err) => {
+            db.close();
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+describe('RSVP windows', () => {
+    let organizer, john, bob;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+        bob = await signIn(app, 'bob_wilson');
+    });
+    
+    const rsvp = (agent, event, status = 'attending') => agent.post('/api/rsvps').send({ eventId: event.id, status });
+    
+    // Move an event's RSVP deadline into the past
+    const passDeadline = (event) => run("UPDATE events SET rsvp_deadline = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-1 hour') WHERE id = ?", [event.id]);
+    
+    test('RSVPs are open until the event starts by default', async () => {
+        const event = await createEvent(organizer);
+        
+        const res = await john.get(`/api/events/${event.id}`).expect(200);
+        expect(res.body.rsvp_window).toMatchObject({
+            open: true,
+            state: 'open',
+            opens_at: null,
+            closes_at: event.event_date,
+            locked_after_deadline: false,
+            requires_approval: false
+        });
+    });
+    
+    test('validates opening times and deadlines against the event', async () => {
+        const fields = { title: 'Windowed', eventDate: daysFromNow(7), location: 'Hall' };
+        
+        await organizer.post('/api/events').send({ ...fields, rsvpOpensAt: daysFromNow(8) }).expect(400);
+        await organizer.post('/api/events').send({ ...fields, rsvpDeadline: daysFromNow(8) }).expect(400);
+        await organizer.post('/api/events').send({ ...fields, rsvpOpensAt: daysFromNow(3), rsvpDeadline: daysFromNow(2) }).expect(400);
+    });
+    
+    test('refuses RSVPs before they open', async () => {
+        const event = await createEvent(organizer, { rsvpOpensAt: daysFromNow(2) });
+        
+        const res = await rsvp(john, event).expect(409);
+        expect(res.body.code).toBe('RSVP_NOT_OPEN');
+        
+        const details = await john.get(`/api/events/${event.id}`).expect(200);
+        expect(details.body.rsvp_window).toMatchObject({ open: false, state: 'not_open' });
+        
+        // Clearing the opening time opens them
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: event.event_date, location: event.location, rsvpOpensAt: null })
+            .expect(200);
+        await rsvp(john, event).expect(200);
+    });
+    
+    test('after the deadline, only people who already answered can change their RSVP', async () => {
+        const event = await createEvent(organizer, { rsvpDeadline: daysFromNow(1) });
+        await rsvp(john, event).expect(200);
+        await passDeadline(event);
+        
+        const res = await rsvp(bob, event).expect(409);
+        expect(res.body.code).toBe('RSVP_CLOSED');
+        
+        await rsvp(john, event, 'maybe').expect(200);
+    });
+    
+    test('locked RSVPs cannot be changed or deleted after the deadline', async () => {
+        const event = await createEvent(organizer, { rsvpDeadline: daysFromNow(1), lockRsvpsAfterDeadline: true });
+        await rsvp(john, event).expect(200);
+        await passDeadline(event);
+        
+        let res = await rsvp(john, event, 'not_attending').expect(409);
+        expect(res.body.code).toBe('RSVP_LOCKED');
+        
+        res = await john.delete(`/api/rsvps/${event.id}`).expect(409);
+        expect(res.body.code).toBe('RSVP_LOCKED');
+    });
+    
+    test('refuses RSVPs to events that have started', async () => {
+        const event = await createEvent(organizer);
+        await run("UPDATE events SET event_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-10 minutes') WHERE id = ?", [event.id]);
+        
+        const res = await rsvp(john, event).expect(400);
+        expect(res.body.code).toBe('EVENT_STARTED');
+    });
+});
+
+describe('RSVP approval', () => {
+    let organizer, john, bob, demo;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+        bob = await signIn(app, 'bob_wilson');
+        demo = await signIn(app, 'demo');
+    });
+    
+    const rsvp = (agent, event, status = 'attending') => agent.post('/api/rsvps').send({ eventId: event.id, status });
+    
+    test('holds attending RSVPs until an organizer approves them', async () => {
+        const event = await createEvent(organizer, { requireRsvpApproval: true, maxAttendees: 1 });
+        
+        const held = await rsvp(john, event).expect(200);
+        expect(held.body.rsvp.status).toBe('pending');
+        await rsvp(bob, event).expect(200);
+        
+        // Maybe needs no approval
+        const maybe = await rsvp(demo, event, 'maybe').expect(200);
+        expect(maybe.body.rsvp.status).toBe('maybe');
+        
+        await john.get(`/api/events/${event.id}/rsvp-requests`).expect(403);
+        
+        const requests = await organizer.get(`/api/events/${event.id}/rsvp-requests`).expect(200);
+        expect(requests.body.pending.map(request => request.username)).toEqual(['john_doe', 'bob_wilson']);
+        const [johnRequest, bobRequest] = requests.body.pending;
+        
+        let res = await organizer.post(`/api/events/${event.id}/rsvp-requests/${johnRequest.rsvp_id}/approve`).expect(200);
+        expect(res.body.rsvp.status).toBe('attending');
+        await organizer.post(`/api/events/${event.id}/rsvp-requests/${johnRequest.rsvp_id}/approve`).expect(409);
+        
+        // The event is full now, so the next approval joins the waitlist
+        res = await organizer.post(`/api/events/${event.id}/rsvp-requests/${bobRequest.rsvp_id}/approve`).expect(200);
+        expect(res.body.rsvp).toMatchObject({ status: 'waitlisted', waitlist_position: 1 });
+    });
+    
+    test('declined users cannot RSVP again', async () => {
+        const event = await createEvent(organizer, { requireRsvpApproval: true });
+        await rsvp(bob, event).expect(200);
+        
+        const requests = await organizer.get(`/api/events/${event.id}/rsvp-requests`).expect(200);
+        const res = await organizer
+            .post(`/api/events/${event.id}/rsvp-requests/${requests.body.pending[0].rsvp_id}/decline`)
+            .expect(200);
+        expect(res.body.rsvp.status).toBe('declined');
+        
+        const again = await rsvp(bob, event, 'maybe').expect(409);
+        expect(again.body.code).toBe('RSVP_DECLINED');
+        
+        const after = await organizer.get(`/api/events/${event.id}/rsvp-requests`).expect(200);
+        expect(after.body.declined).toEqual([expect.objectContaining({ user_id: USERS.bob_wilson.id })]);
+        
+        const details = await organizer.get(`/api/events/${event.id}`).expect(200);
+        expect(details.body.rsvps).toEqual([]);
+    });
+});
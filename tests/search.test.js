@@ -0,0 +1,118 @@
+const request = require('supertest');
+const { createApp, signIn, daysFromNow, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+const { toMatchQuery } = require('../utils/search');
+
+describe('event search', () => {
+    let organizer, events;
+    
+    // Titles of the events a search finds, among the organizer's
+    const search = async (text, extra = '') => {
+        const res = await request(app)
+            .get(`/api/events?creator=searcher&search=${encodeURIComponent(text)}${extra}`)
+            .expect(200);
+        return res.body.events.map(event => event.title);
+    };
+    
+    beforeAll(async () => {
+        // A new organizer, so ?creator= leaves out the sample events
+        organizer = request.agent(app);
+        await organizer
+            .post('/api/auth/register')
+            .send({ username: 'searcher', email: 'searcher@example.com', password: 'secret123', firstName: 'Search', lastName: 'Er' })
+            .expect(201);
+        
+        events = {
+            python: await createEvent(organizer, {
+                title: 'Python Workshop',
+                description: 'Hands-on session for beginners',
+                location: 'Library Room 2',
+                eventDate: daysFromNow(2)
+            }),
+            rust: await createEvent(organizer, {
+                title: 'Systems Meetup',
+                description: 'Talks on Rust and Python <b>interop</b>',
+                location: 'Online',
+                eventDate: daysFromNow(1)
+            }),
+            party: await createEvent(organizer, {
+                title: 'Summer Party',
+                description: 'Barbecue in the Café garden',
+                location: 'Riverside Park',
+                eventDate: daysFromNow(3)
+            })
+        };
+    });
+    
+    afterAll(cleanup);
+    
+    test('ranks title matches above description matches', async () => {
+        expect(await search('python')).toEqual(['Python Workshop', 'Systems Meetup']);
+        
+        // Other sorts still apply when asked for
+        expect(await search('python', '&sort=date')).toEqual(['Systems Meetup', 'Python Workshop']);
+    });
+    
+    test('supports phrases, prefixes, operators, and accents', async () => {
+        expect(await search('"summer party"')).toEqual(['Summer Party']);
+        expect(await search('"party summer"')).toEqual([]);
+        expect(await search('work*')).toEqual(['Python Workshop']);
+        expect(await search('python NOT online')).toEqual(['Python Workshop']);
+        expect(await search('barbecue OR rust')).toEqual(expect.arrayContaining(['Summer Party', 'Systems Meetup']));
+        expect(await search('cafe')).toEqual(['Summer Party']);
+        expect(await search('party python')).toEqual([]);
+    });
+    
+    test('highlights matches in escaped HTML', async () => {
+        const res = await request(app).get('/api/events?creator=searcher&search=interop').expect(200);
+        
+        expect(res.body.events).toHaveLength(1);
+        expect(res.body.events[0].title_highlight).toBe('Systems Meetup');
+        expect(res.body.events[0].search_snippet).toContain('&lt;b&gt;<mark>interop</mark>&lt;/b&gt;');
+    });
+    
+    test('keeps the index up to date as events change', async () => {
+        await organizer
+            .put(`/api/events/${events.party.id}`)
+            .send({ title: 'Winter Gathering', eventDate: events.party.event_date, location: events.party.location })
+            .expect(200);
+        
+        expect(await search('summer')).toEqual([]);
+        expect(await search('winter')).toEqual(['Winter Gathering']);
+    });
+    
+    test('tolerates stray punctuation but needs a word', async () => {
+        expect(await search('(python OR')).toEqual(['Python Workshop', 'Systems Meetup']);
+        expect(await search('"python')).toEqual(['Python Workshop', 'Systems Meetup']);
+        
+        await request(app).get('/api/events?search=%22%28%29*').expect(400);
+        await request(app).get('/api/events?sort=relevance').expect(400);
+    });
+    
+    test('searches my RSVPs too', async () => {
+        const john = await signIn(app, 'john_doe');
+        await john.post('/api/rsvps').send({ eventId: events.python.id, status: 'attending' }).expect(200);
+        
+        const res = await john.get('/api/rsvps/my-rsvps?creator=searcher&search=workshop').expect(200);
+        expect(res.body.rsvps.map(rsvp => rsvp.title)).toEqual(['Python Workshop']);
+        expect(res.body.rsvps[0].title_highlight).toBe('Python <mark>Workshop</mark>');
+    });
+});
+
+describe('toMatchQuery', () => {
+    test.each([
+        ['summer party', '"summer" AND "party"'],
+        ['"summer party"', '"summer party"'],
+        ['conf*', '"conf"*'],
+        ['workshop (python OR rust) NOT online', '"workshop" AND ( "python" OR "rust" ) NOT "online"'],
+        ['NOT online python', '"python"'],
+        ['(python OR', '( "python" )'],
+        ['python )', '"python"'],
+        ['say "hi', '"say" AND "hi"'],
+        ['()', null],
+        ['AND OR', null]
+    ])('%s', (input, expected) => {
+        expect(toMatchQuery(input)).toBe(expected);
+    });
+});
@@ -0,0 +1,161 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, daysFromNow, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.all(sql, params, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+describe('Recurring event series', () => {
+    let organizer, jane;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+    });
+    
+    afterAll(cleanup);
+    
+    const createSeries = (fields = {}) => createEvent(organizer, {
+        title: 'Weekly Standup',
+        eventDate: daysFromNow(7),
+        recurrence: { frequency: 'weekly', count: 4 },
+        ...fields
+    });
+    
+    const occurrences = async (seriesId) => {
+        const res = await organizer.get(`/api/events/series/${seriesId}`).expect(200);
+        return res.body.occurrences;
+    };
+    
+    const edit = (event, fields) => organizer
+        .put(`/api/events/${event.id}`)
+        .send({ title: event.title, eventDate: event.event_date, location: event.location, ...fields });
+    
+    test('creates one event per occurrence', async () => {
+        const event = await createSeries();
+        
+        const series = await organizer.get(`/api/events/series/${event.series_id}`).expect(200);
+        expect(series.body.series).toMatchObject({ frequency: 'weekly', count: 4 });
+        
+        const dates = series.body.occurrences.map(o => new Date(o.event_date).getTime());
+        expect(dates).toEqual([0, 1, 2, 3].map(n => new Date(event.event_date).getTime() + n * WEEK));
+    });
+    
+    test('rejects a rule that produces no occurrences', async () => {
+        const res = await organizer
+            .post('/api/events')
+            .send({
+                title: 'Never',
+                eventDate: daysFromNow(7),
+                location: 'Nowhere',
+                recurrence: { frequency: 'daily', until: daysFromNow(1) }
+            })
+            .expect(400);
+        expect(res.body.error).toMatch(/does not produce any occurrences/);
+    });
+    
+    test('edits one occurrence or it and the following ones', async () => {
+        const event = await createSeries();
+        let [first, second, third, fourth] = await occurrences(event.series_id);
+        
+        await edit(second, { title: 'Moved Room', location: 'Room B' }).expect(200);
+        expect((await occurrences(event.series_id)).map(o => o.title))
+            .toEqual(['Weekly Standup', 'Moved Room', 'Weekly Standup', 'Weekly Standup']);
+        
+        const res = await edit(third, { title: 'Renamed', scope: 'following' }).expect(200);
+        expect(res.body.occurrences_updated).toBe(2);
+        
+        // The edited run is split off into a new series
+        expect(res.body.series_id).not.toBe(event.series_id);
+        expect((await occurrences(event.series_id)).map(o => o.id)).toEqual([first.id, second.id]);
+        expect((await occurrences(res.body.series_id)).map(o => [o.id, o.title]))
+            .toEqual([[third.id, 'Renamed'], [fourth.id, 'Renamed']]);
+    });
+    
+    test('a shorter rule removes unanswered occurrences and cancels answered ones', async () => {
+        const event = await createSeries({
+            questions: [{ key: 'topic', label: 'Topic', type: 'short_text' }],
+            tags: ['standup']
+        });
+        const [, , third, fourth] = await occurrences(event.series_id);
+        await jane.post('/api/rsvps').send({ eventId: fourth.id, status: 'attending' }).expect(200);
+        
+        const res = await edit(event, { scope: 'series', recurrence: { frequency: 'weekly', count: 2 } }).expect(200);
+        expect(res.body).toMatchObject({ occurrences_updated: 2, occurrences_removed: 2 });
+        
+        await organizer.get(`/api/events/${third.id}`).expect(404);
+        expect(await query('SELECT event_id FROM event_questions WHERE event_id = ?', [third.id])).toEqual([]);
+        expect(await query('SELECT event_id FROM event_tags WHERE event_id = ?', [third.id])).toEqual([]);
+        
+        const cancelled = await organizer.get(`/api/events/${fourth.id}`).expect(200);
+        expect(cancelled.body.event).toMatchObject({
+            status: 'cancelled',
+            cancellation_reason: 'This date is no longer part of the event series'
+        });
+        expect(cancelled.body.rsvps).toHaveLength(1);
+    });
+    
+    test('a series edit that fails part way changes nothing', async () => {
+        const event = await createSeries();
+        await query(`
+            CREATE TRIGGER reject_broken_occurrences BEFORE INSERT ON events WHEN NEW.title = 'Broken'
+            BEGIN SELECT RAISE(ABORT, 'Rejected by test'); END
+        `);
+        
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await edit(event, { title: 'Broken', scope: 'series', recurrence: { frequency: 'weekly', count: 6 } }).expect(500);
+        consoleError.mockRestore();
+        await query('DROP TRIGGER reject_broken_occurrences');
+        
+        expect((await occurrences(event.series_id)).map(o => o.title)).toEqual(Array(4).fill('Weekly Standup'));
+        const series = await organizer.get(`/api/events/series/${event.series_id}`).expect(200);
+        expect(series.body.series.count).toBe(4);
+    });
+    
+    test('cancels this or following occurrences', async () => {
+        const event = await createSeries();
+        const [, second, third] = await occurrences(event.series_id);
+        
+        let res = await organizer.post(`/api/events/${second.id}/cancel`).send({}).expect(200);
+        expect(res.body.cancelled_count).toBe(1);
+        
+        res = await organizer.post(`/api/events/${third.id}/cancel`).send({ scope: 'following' }).expect(200);
+        expect(res.body.cancelled_count).toBe(2);
+        
+        expect((await occurrences(event.series_id)).map(o => o.status))
+            .toEqual(['active', 'cancelled', 'cancelled', 'cancelled']);
+        
+        await organizer.post(`/api/events/${third.id}/cancel`).send({}).expect(400);
+    });
+    
+    test('a cancellation that fails part way changes nothing', async () => {
+        const event = await createSeries();
+        const [, second] = await occurrences(event.series_id);
+        await query(`
+            CREATE TRIGGER reject_series_changes BEFORE UPDATE ON event_series
+            BEGIN SELECT RAISE(ABORT, 'Rejected by test'); END
+        `);
+        
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await organizer.post(`/api/events/${second.id}/cancel`).send({ scope: 'following' }).expect(500);
+        consoleError.mockRestore();
+        await query('DROP TRIGGER reject_series_changes');
+        
+        expect((await occurrences(event.series_id)).map(o => o.status)).toEqual(Array(4).fill('active'));
+    });
+    
+    test('only the organizer or an admin can cancel', async () => {
+        const event = await createSeries();
+        await jane.post(`/api/events/${event.id}/cancel`).send({ scope: 'series' }).expect(403);
+    });
+});
@@ -0,0 +1,125 @@
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { USERS, createApp } = require('./helpers');
+
+const { app, cleanup } = createApp();
+const { pruneSessions } = require('../utils/sessionStore');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+const SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.all(sql, params, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+/**
+ * An agent signed in from a given browser
+ */
+async function signInWith(username, userAgent, password = USERS[username].password) {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/login').set('User-Agent', userAgent).send({ username, password }).expect(200);
+    return agent;
+}
+
+describe('stored sessions', () => {
+    afterAll(cleanup);
+    
+    test('lists your sessions with their device', async () => {
+        const laptop = await signInWith('john_doe', FIREFOX);
+        await signInWith('john_doe', SAFARI);
+        await signInWith('jane_smith', FIREFOX);
+        
+        const res = await laptop.get('/api/auth/sessions').set('User-Agent', FIREFOX).expect(200);
+        expect(res.body.sessions).toHaveLength(2);
+        expect(res.body.sessions).toEqual(expect.arrayContaining([
+            expect.objectContaining({ device: 'Firefox on Windows', current: true }),
+            expect.objectContaining({ device: 'Safari on iOS', current: false })
+        ]));
+        expect(res.body.sessions[0].ip_address).toBeTruthy();
+    });
+    
+    test('signs out another session', async () => {
+        const laptop = await signInWith('bob_wilson', FIREFOX);
+        const phone = await signInWith('bob_wilson', SAFARI);
+        
+        const { body } = await laptop.get('/api/auth/sessions').expect(200);
+        const current = body.sessions.find(session => session.current);
+        const other = body.sessions.find(session => !session.current);
+        
+        await laptop.delete(`/api/auth/sessions/${current.id}`).expect(400);
+        
+        const jane = await signInWith('jane_smith', FIREFOX);
+        await jane.delete(`/api/auth/sessions/${other.id}`).expect(404);
+        
+        await laptop.delete(`/api/auth/sessions/${other.id}`).expect(200);
+        await laptop.delete(`/api/auth/sessions/${other.id}`).expect(404);
+        
+        await phone.get('/api/auth/me').expect(401);
+        await laptop.get('/api/auth/me').expect(200);
+    });
+    
+    test('signs out all other sessions', async () => {
+        const laptop = await signInWith('demo', FIREFOX);
+        const phones = [await signInWith('demo', SAFARI), await signInWith('demo', SAFARI)];
+        
+        const res = await laptop.delete('/api/auth/sessions').expect(200);
+        expect(res.body.revoked).toBe(2);
+        
+        for (const phone of phones) {
+            await phone.get('/api/auth/me').expect(401);
+        }
+        await laptop.get('/api/auth/me').expect(200);
+    });
+    
+    test('changing your password signs out your other sessions', async () => {
+        await request(app)
+            .post('/api/auth/register')
+            .send({ username: 'mover', email: 'mover@example.com', password: 'secret123', firstName: 'Test', lastName: 'User' })
+            .expect(201);
+        
+        const laptop = await signInWith('mover', FIREFOX, 'secret123');
+        const phone = await signInWith('mover', SAFARI, 'secret123');
+        
+        await laptop.put('/api/auth/password').send({ currentPassword: 'secret123', newPassword: 'rotated123' }).expect(200);
+        
+        await laptop.get('/api/auth/me').expect(200);
+        await phone.get('/api/auth/me').expect(401);
+    });
+    
+    test('sessions survive a restart', async () => {
+        const login = await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'jane_smith', password: USERS.jane_smith.password })
+            .expect(200);
+        const cookie = login.headers['set-cookie'][0].split(';')[0];
+        
+        let restarted;
+        jest.isolateModules(() => {
+            restarted = require('../server');
+        });
+        
+        const me = await request(restarted).get('/api/auth/me').set('Cookie', cookie).expect(200);
+        expect(me.body.user.username).toBe('jane_smith');
+    });
+    
+    test('expired sessions are pruned', async () => {
+        await query("UPDATE sessions SET expires_at = datetime('now', '-1 minute') WHERE user_id = ?", [USERS.jane_smith.id]);
+        
+        const result = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(process.env.DATABASE_PATH);
+            pruneSessions(db, (err, result) => {
+                db.close();
+                err ? reject(err) : resolve(result);
+            });
+        });
+        
+        expect(result.pruned).toBeGreaterThan(0);
+        expect(await query('SELECT * FROM sessions WHERE user_id = ?', [USERS.jane_smith.id])).toEqual([]);
+    });
+});
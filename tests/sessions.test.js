@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { USERS, createApp, signIn } = require('./helpers');
+const { STEP_SECONDS, codeAt } = require('../utils/totp');
+
+const { app, cleanup } = createApp();
+
+// The session cookie a response set, as "name=value"
+function sessionCookie(res) {
+    const cookie = (res.headers['set-cookie'] || []).find(header => header.startsWith('connect.sid='));
+    return cookie ? cookie.split(';')[0] : null;
+}
+
+describe('session fixation', () => {
+    afterAll(cleanup);
+    
+    test('logging in replaces the session the request came with', async () => {
+        const planted = sessionCookie(await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'john_doe', password: USERS.john_doe.password })
+            .expect(200));
+        
+        const res = await request(app)
+            .post('/api/auth/login')
+            .set('Cookie', planted)
+            .send({ username: 'bob_wilson', password: USERS.bob_wilson.password })
+            .expect(200);
+        
+        const fresh = sessionCookie(res);
+        expect(fresh).toBeTruthy();
+        expect(fresh).not.toBe(planted);
+        
+        await request(app).get('/api/auth/me').set('Cookie', planted).expect(401);
+        const me = await request(app).get('/api/auth/me').set('Cookie', fresh).expect(200);
+        expect(me.body.user.username).toBe('bob_wilson');
+    });
+    
+    test('registering replaces the session the request came with', async () => {
+        const planted = sessionCookie(await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'demo', password: USERS.demo.password })
+            .expect(200));
+        
+        const res = await request(app)
+            .post('/api/auth/register')
+            .set('Cookie', planted)
+            .send({ username: 'newcomer', email: 'newcomer@example.com', password: 'secret123', firstName: 'New', lastName: 'Comer' })
+            .expect(201);
+        
+        expect(sessionCookie(res)).not.toBe(planted);
+        await request(app).get('/api/auth/me').set('Cookie', planted).expect(401);
+    });
+    
+    test('both steps of a two-factor login replace the session', async () => {
+        const jane = await signIn(app, 'jane_smith');
+        const setup = await jane.post('/api/auth/2fa/setup').expect(200);
+        const code = codeAt(setup.body.secret, Math.floor(Date.now() / 1000 / STEP_SECONDS));
+        const confirmed = await jane.post('/api/auth/2fa/confirm').send({ code }).expect(200);
+        
+        const planted = sessionCookie(await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'john_doe', password: USERS.john_doe.password })
+            .expect(200));
+        
+        const pending = sessionCookie(await request(app)
+            .post('/api/auth/login')
+            .set('Cookie', planted)
+            .send({ username: 'jane_smith', password: USERS.jane_smith.password })
+            .expect(200));
+        expect(pending).not.toBe(planted);
+        
+        const res = await request(app)
+            .post('/api/auth/login/2fa')
+            .set('Cookie', pending)
+            .send({ recoveryCode: confirmed.body.recovery_codes[0] })
+            .expect(200);
+        
+        const fresh = sessionCookie(res);
+        expect(fresh).not.toBe(pending);
+        await request(app).get('/api/auth/me').set('Cookie', pending).expect(401);
+        const me = await request(app).get('/api/auth/me').set('Cookie', fresh).expect(200);
+        expect(me.body.user.username).toBe('jane_smith');
+    });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+const ROOT = path.join(__dirname, '..');
+
+// The first released schema, before any columns were added
+const ORIGINAL_SCHEMA = `
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(100) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+    first_name VARCHAR(50),
+    last_name VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    event_date DATETIME NOT NULL,
+    location VARCHAR(255),
+    max_attendees INTEGER DEFAULT NULL,
+    created_by INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'cancelled', 'completed')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE TABLE rsvps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    event_id INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'attending' CHECK (status IN ('attending', 'maybe', 'not_attending')),
+    rsvp_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    notes TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    UNIQUE(user_id, event_id)
+);
+CREATE INDEX idx_rsvps_event ON rsvps(event_id);
+INSERT INTO users (username, email, password_hash) VALUES ('old_user', 'old@example.com', 'x');
+INSERT INTO events (title, event_date, location, created_by) VALUES ('Old Event', '2030-01-01T10:00:00.000Z', 'Old Hall', 1);
+INSERT INTO rsvps (user_id, event_id, notes) VALUES (1, 1, 'See you there');
+`;
+
+function query(dbPath, sql) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.all(sql, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+function exec(dbPath, sql) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.exec(sql, (err) => {
+            db.close();
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+const setup = (dbPath) => execFileSync(process.execPath, ['database/init.js'], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_PATH: dbPath },
+    stdio: 'ignore'
+});
+
+const columnNames = async (dbPath, table) =>
+    (await query(dbPath, `PRAGMA table_info(${table})`)).map(column => column.name).sort();
+
+describe('npm run setup on an existing database', () => {
+    let dir, oldPath, freshPath;
+    
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-planner-test-'));
+        oldPath = path.join(dir, 'old.db');
+        freshPath = path.join(dir, 'fresh.db');
+        
+        await exec(oldPath, ORIGINAL_SCHEMA);
+        setup(oldPath);
+        setup(freshPath);
+    });
+    
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+    
+    test.each(['users', 'events', 'rsvps'])('adds the columns %s is missing', async (table) => {
+        expect(await columnNames(oldPath, table)).toEqual(await columnNames(freshPath, table));
+    });
+    
+    test('keeps existing rows and fills in what they need', async () => {
+        const [event] = await query(oldPath, 'SELECT end_date, timezone, visibility FROM events');
+        expect(event).toEqual({ end_date: '2030-01-01T11:00:00.000Z', timezone: 'UTC', visibility: 'public' });
+        
+        const [rsvp] = await query(oldPath, 'SELECT status, notes, guest_count FROM rsvps');
+        expect(rsvp).toEqual({ status: 'attending', notes: 'See you there', guest_count: 0 });
+        
+        const [user] = await query(oldPath, 'SELECT status FROM users');
+        expect(user.status).toBe('active');
+    });
+    
+    test('indexes existing events for search', async () => {
+        const found = await query(oldPath, "SELECT rowid FROM events_fts WHERE events_fts MATCH 'hall'");
+        expect(found).toEqual([{ rowid: 1 }]);
+    });
+    
+    test('lets RSVPs use the statuses added since', async () => {
+        await exec(oldPath, "UPDATE rsvps SET status = 'waitlisted', waitlist_position = 1");
+        
+        const indexes = await query(oldPath, "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'rsvps'");
+        expect(indexes.map(index => index.name)).toEqual(expect.arrayContaining(['idx_rsvps_event', 'idx_rsvps_waitlist']));
+    });
+    
+    test('can run again without changes', async () => {
+        const before = await query(oldPath, 'SELECT type, name, sql FROM sqlite_master ORDER BY name');
+        setup(oldPath);
+        expect(await query(oldPath, 'SELECT type, name, sql FROM sqlite_master ORDER BY name')).toEqual(before);
+    });
+});
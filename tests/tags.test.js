@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { createApp, signIn, daysFromNow, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+describe('categories', () => {
+    let admin, organizer;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        organizer = await signIn(app, 'jane_smith');
+    });
+    
+    test('lists the sample categories with their event counts', async () => {
+        const res = await request(app).get('/api/categories').expect(200);
+        expect(res.body.categories).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'Social', slug: 'social', event_count: 2 })
+        ]));
+    });
+    
+    test('admins create, rename, and delete categories', async () => {
+        await organizer.post('/api/categories').send({ name: 'Sports' }).expect(403);
+        await admin.post('/api/categories').send({ name: '!!' }).expect(400);
+        await admin.post('/api/categories').send({ name: 'social' }).expect(409);
+        
+        const created = await admin.post('/api/categories').send({ name: 'Outdoor Sports', description: 'Hikes and games' }).expect(201);
+        expect(created.body.category).toMatchObject({ name: 'Outdoor Sports', slug: 'outdoor-sports' });
+        const { id } = created.body.category;
+        
+        const renamed = await admin.put(`/api/categories/${id}`).send({ name: 'Sports' }).expect(200);
+        expect(renamed.body.category.slug).toBe('sports');
+        
+        const event = await createEvent(organizer, { categoryId: id });
+        expect(event).toMatchObject({ category_id: id, category_name: 'Sports', category_slug: 'sports' });
+        
+        const deleted = await admin.delete(`/api/categories/${id}`).expect(200);
+        expect(deleted.body.events_uncategorized).toBe(1);
+        await admin.delete(`/api/categories/${id}`).expect(404);
+        
+        const fetched = await request(app).get(`/api/events/${event.id}`).expect(200);
+        expect(fetched.body.event.category_id).toBeNull();
+    });
+    
+    test('events need an existing category', async () => {
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Lost Event', eventDate: daysFromNow(7), location: 'Nowhere', categoryId: 999 })
+            .expect(400);
+    });
+    
+    test('filters listings by category ID or slug', async () => {
+        const bySlug = await request(app).get('/api/events?category=social').expect(200);
+        const byId = await request(app).get(`/api/events?category=${bySlug.body.events[0].category_id}`).expect(200);
+        
+        expect(bySlug.body.events.length).toBeGreaterThan(0);
+        expect(bySlug.body.events.every(event => event.category_slug === 'social')).toBe(true);
+        expect(byId.body.events).toEqual(bySlug.body.events);
+    });
+});
+
+describe('tags', () => {
+    let organizer, john;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    test('normalizes tags on events', async () => {
+        const event = await createEvent(organizer, { tags: ['Board Games', '#board-games', 'Strategy'] });
+        expect(event.tags).toEqual(['board-games', 'strategy']);
+        
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Bad Tags', eventDate: daysFromNow(7), location: 'Hall', tags: ['no/slashes'] })
+            .expect(400);
+        await organizer
+            .post('/api/events')
+            .send({ title: 'Too Many Tags', eventDate: daysFromNow(7), location: 'Hall', tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) })
+            .expect(400);
+    });
+    
+    test('keeps tags on update unless new ones are sent', async () => {
+        const event = await createEvent(organizer, { title: 'Tagged', tags: ['chess'] });
+        const update = (fields) => organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: 'Tagged', eventDate: event.event_date, location: event.location, ...fields })
+            .expect(200);
+        
+        let res = await update({});
+        expect(res.body.event.tags).toEqual(['chess']);
+        
+        res = await update({ tags: ['Go', 'chess'] });
+        expect(res.body.event.tags).toEqual(['chess', 'go']);
+        
+        res = await update({ tags: [] });
+        expect(res.body.event.tags).toEqual([]);
+    });
+    
+    test('filters listings by any of several tags', async () => {
+        await createEvent(organizer, { title: 'Knitting Circle', tags: ['crafts'] });
+        await createEvent(organizer, { title: 'Pottery Class', tags: ['pottery', 'crafts'] });
+        await createEvent(organizer, { title: 'Poetry Night', tags: ['poetry'] });
+        
+        const res = await request(app).get('/api/events?tag=Pottery,poetry&sort=title').expect(200);
+        expect(res.body.events.map(event => event.title)).toEqual(['Poetry Night', 'Pottery Class']);
+        expect(res.body.events[1].tags).toEqual(['crafts', 'pottery']);
+    });
+    
+    test('builds a tag cloud from visible active events', async () => {
+        await createEvent(organizer, { title: 'Secret Crafts', tags: ['crafts', 'secret'], visibility: 'invite_only' });
+        
+        const res = await request(app).get('/api/tags?limit=100').expect(200);
+        const counts = Object.fromEntries(res.body.tags.map(({ tag, event_count }) => [tag, event_count]));
+        
+        expect(counts.crafts).toBe(2);
+        expect(counts.party).toBe(2);
+        expect(counts.secret).toBeUndefined();
+        
+        await request(app).get('/api/tags?limit=0').expect(400);
+    });
+    
+    test('follows tags and recommends events with them', async () => {
+        await john.put('/api/tags/following/Woodworking').expect(200);
+        await john.put('/api/tags/following/crafts').expect(200);
+        await john.put('/api/tags/following/no%2Fslash').expect(400);
+        
+        const following = await john.get('/api/tags/following').expect(200);
+        expect(following.body.tags.map(follow => follow.tag)).toEqual(['crafts', 'woodworking']);
+        
+        const both = await createEvent(organizer, { title: 'Furniture Making', tags: ['woodworking', 'crafts'], eventDate: daysFromNow(20) });
+        const answered = await createEvent(organizer, { title: 'Carving', tags: ['woodworking'] });
+        await john.post('/api/rsvps').send({ eventId: answered.id, status: 'maybe' }).expect(200);
+        await createEvent(john, { title: 'My Own Crafts', tags: ['crafts'] });
+        
+        const res = await john.get('/api/events/recommended').expect(200);
+        expect(res.body.followed_tags).toEqual(['crafts', 'woodworking']);
+        expect(res.body.events[0]).toMatchObject({ id: both.id, matched_tags: expect.arrayContaining(['crafts', 'woodworking']) });
+        expect(res.body.events.map(event => event.title).sort()).toEqual(['Furniture Making', 'Knitting Circle', 'Pottery Class']);
+        
+        await john.delete('/api/tags/following/crafts').expect(200);
+        await john.delete('/api/tags/following/crafts').expect(404);
+        
+        const after = await john.get('/api/events/recommended').expect(200);
+        expect(after.body.events.map(event => event.title)).toEqual(['Furniture Making']);
+        
+        await request(app).get('/api/events/recommended').expect(401);
+    });
+});
@@ -0,0 +1,128 @@
+const { createApp, signIn, createEvent } = require('./helpers');
+const { toUtc, toLocalIso, fromWallClock } = require('../utils/timezones');
+
+const { app, cleanup } = createApp();
+
+const year = new Date().getUTCFullYear() + 1;
+
+describe('timezone conversion', () => {
+    test('reads times without an offset as wall-clock time in the timezone', () => {
+        expect(toUtc(`${year}-07-01T18:00`, 'Europe/Berlin')).toBe(`${year}-07-01T16:00:00.000Z`);
+        expect(toUtc(`${year}-01-15T18:00`, 'Europe/Berlin')).toBe(`${year}-01-15T17:00:00.000Z`);
+        expect(toUtc(`${year}-07-01T18:00`, 'America/New_York')).toBe(`${year}-07-01T22:00:00.000Z`);
+    });
+    
+    test('takes times with Z or an offset as they are', () => {
+        expect(toUtc(`${year}-07-01T18:00:00Z`, 'Europe/Berlin')).toBe(`${year}-07-01T18:00:00.000Z`);
+        expect(toUtc(`${year}-07-01T18:00:00-05:00`, 'Europe/Berlin')).toBe(`${year}-07-01T23:00:00.000Z`);
+    });
+    
+    test('returns null for times it cannot read', () => {
+        expect(toUtc('not a date', 'UTC')).toBeNull();
+    });
+    
+    test('formats local times with their offset', () => {
+        expect(toLocalIso(`${year}-07-01T16:00:00.000Z`, 'Europe/Berlin')).toBe(`${year}-07-01T18:00:00+02:00`);
+        expect(toLocalIso(`${year}-01-15T17:00:00.000Z`, 'Europe/Berlin')).toBe(`${year}-01-15T18:00:00+01:00`);
+    });
+    
+    test('resolves times around daylight saving changes', () => {
+        // 02:30 is skipped when Berlin springs forward on 2025-03-30, and happens twice on 2025-10-26
+        expect(fromWallClock(new Date('2025-03-30T02:30:00Z'), 'Europe/Berlin').toISOString()).toBe('2025-03-30T01:30:00.000Z');
+        expect(fromWallClock(new Date('2025-10-26T02:30:00Z'), 'Europe/Berlin').toISOString()).toBe('2025-10-26T00:30:00.000Z');
+    });
+});
+
+describe('event times in requests', () => {
+    let organizer;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'admin');
+    });
+    
+    afterAll(cleanup);
+    
+    test('reads times without an offset in the event timezone on create', async () => {
+        const event = await createEvent(organizer, {
+            eventDate: `${year}-07-01T18:00`,
+            endDate: `${year}-07-01T20:30`,
+            timezone: 'Europe/Berlin'
+        });
+        
+        expect(event).toMatchObject({
+            event_date: `${year}-07-01T16:00:00.000Z`,
+            end_date: `${year}-07-01T18:30:00.000Z`,
+            timezone: 'Europe/Berlin',
+            start_local: `${year}-07-01T18:00:00+02:00`,
+            end_local: `${year}-07-01T20:30:00+02:00`
+        });
+    });
+    
+    test('reads times in UTC on create without a timezone', async () => {
+        const event = await createEvent(organizer, { eventDate: `${year}-07-01T18:00` });
+        
+        expect(event).toMatchObject({ event_date: `${year}-07-01T18:00:00.000Z`, timezone: 'UTC' });
+    });
+    
+    test('rejects unknown timezones', async () => {
+        const res = await organizer
+            .post('/api/events')
+            .send({ title: 'Mars Meetup', eventDate: `${year}-07-01T18:00`, timezone: 'Mars/Olympus_Mons', location: 'Mars' })
+            .expect(400);
+        
+        expect(res.body.details.map(detail => detail.path)).toContain('timezone');
+    });
+    
+    test('reads times in the stored timezone on update without a timezone', async () => {
+        const event = await createEvent(organizer, {
+            eventDate: `${year}-07-01T18:00`,
+            endDate: `${year}-07-01T20:30`,
+            timezone: 'Europe/Berlin'
+        });
+        
+        const res = await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: `${year}-07-02T19:00`, endDate: `${year}-07-02T21:00`, location: event.location })
+            .expect(200);
+        
+        expect(res.body.event).toMatchObject({
+            event_date: `${year}-07-02T17:00:00.000Z`,
+            end_date: `${year}-07-02T19:00:00.000Z`,
+            timezone: 'Europe/Berlin',
+            start_local: `${year}-07-02T19:00:00+02:00`,
+            end_local: `${year}-07-02T21:00:00+02:00`
+        });
+    });
+    
+    test('keeps the event length when an update leaves out the end', async () => {
+        const event = await createEvent(organizer, {
+            eventDate: `${year}-07-01T18:00`,
+            endDate: `${year}-07-01T20:30`,
+            timezone: 'America/New_York'
+        });
+        
+        const res = await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: `${year}-12-01T18:00`, location: event.location })
+            .expect(200);
+        
+        expect(res.body.event).toMatchObject({
+            start_local: `${year}-12-01T18:00:00-05:00`,
+            end_local: `${year}-12-01T20:30:00-05:00`
+        });
+    });
+    
+    test('reads times in the new timezone when an update moves the event', async () => {
+        const event = await createEvent(organizer, { eventDate: `${year}-07-01T18:00`, timezone: 'Europe/Berlin' });
+        
+        const res = await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: `${year}-07-01T18:00`, timezone: 'America/New_York', location: event.location })
+            .expect(200);
+        
+        expect(res.body.event).toMatchObject({
+            event_date: `${year}-07-01T22:00:00.000Z`,
+            start_local: `${year}-07-01T18:00:00-04:00`
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const sqlite3 = require('sqlite3');
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+const { purgeDeletedEvents } = require('../utils/jobs');
+
+function withDb(callback) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        callback(db, (err, result) => {
+            db.close();
+            err ? reject(err) : resolve(result);
+        });
+    });
+}
+
+const query = (sql, params = []) => withDb((db, done) => db.all(sql, params, done));
+
+describe('cancellation and trash', () => {
+    let admin, organizer, john;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+        organizer = await signIn(app, 'jane_smith');
+        john = await signIn(app, 'john_doe');
+    });
+    
+    afterAll(cleanup);
+    
+    const trashIds = async (agent) => (await agent.get('/api/events/trash').expect(200)).body.events.map(e => e.id);
+    
+    test('cancelling records the reason and freezes RSVPs', async () => {
+        const event = await createEvent(organizer);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        
+        const res = await organizer.post(`/api/events/${event.id}/cancel`).send({ reason: 'Venue flooded' }).expect(200);
+        expect(res.body).toMatchObject({ cancelled_count: 1, cancellation_reason: 'Venue flooded' });
+        
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(409);
+        await john.delete(`/api/rsvps/${event.id}`).expect(409);
+        
+        const mine = await john.get('/api/rsvps/my-rsvps').expect(200);
+        expect(mine.body.rsvps.find(r => r.event_id === event.id))
+            .toMatchObject({ status: 'attending', event_status: 'cancelled', cancellation_reason: 'Venue flooded' });
+    });
+    
+    test('reinstating an upcoming event reopens it with its RSVPs', async () => {
+        const event = await createEvent(organizer);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        await organizer.post(`/api/events/${event.id}/cancel`).send({ reason: 'Rain' }).expect(200);
+        
+        await organizer.post(`/api/events/${event.id}/reinstate`).expect(200);
+        await organizer.post(`/api/events/${event.id}/reinstate`).expect(400);
+        
+        const res = await john.get(`/api/events/${event.id}`).expect(200);
+        expect(res.body.event).toMatchObject({ status: 'active', cancellation_reason: null });
+        expect(res.body.rsvps).toHaveLength(1);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'maybe' }).expect(200);
+    });
+    
+    test('only cancelled or past events can be moved to the trash', async () => {
+        const event = await createEvent(organizer);
+        const res = await organizer.delete(`/api/events/${event.id}`).expect(400);
+        expect(res.body.error).toBe('Cancel the event before deleting it');
+    });
+    
+    test('trashed events are hidden until restored', async () => {
+        const event = await createEvent(organizer);
+        await organizer.post(`/api/events/${event.id}/cancel`).send({}).expect(200);
+        await organizer.delete(`/api/events/${event.id}`).expect(200);
+        
+        await organizer.get(`/api/events/${event.id}`).expect(404);
+        expect(await trashIds(organizer)).toContain(event.id);
+        expect(await trashIds(john)).not.toContain(event.id);
+        expect(await trashIds(admin)).toContain(event.id);
+        
+        await john.post(`/api/events/${event.id}/restore`).expect(403);
+        await organizer.post(`/api/events/${event.id}/restore`).expect(200);
+        await organizer.get(`/api/events/${event.id}`).expect(200);
+        expect(await trashIds(organizer)).not.toContain(event.id);
+    });
+    
+    test('only admins can delete an event for good', async () => {
+        const event = await createEvent(organizer);
+        await john.post('/api/rsvps').send({ eventId: event.id, status: 'attending' }).expect(200);
+        await organizer.post(`/api/events/${event.id}/cancel`).send({ reason: 'Called off' }).expect(200);
+        await organizer.delete(`/api/events/${event.id}`).expect(200);
+        
+        await organizer.delete(`/api/events/${event.id}/permanent`).expect(403);
+        await admin.delete(`/api/events/${event.id}/permanent`).expect(200);
+        expect(await trashIds(admin)).not.toContain(event.id);
+        await admin.post(`/api/events/${event.id}/restore`).expect(404);
+        
+        // Its RSVPs go with it
+        expect(await query('SELECT id FROM rsvps WHERE event_id = ?', [event.id])).toEqual([]);
+    });
+    
+    test('the purge job empties the trash after the retention period', async () => {
+        const recent = await createEvent(organizer);
+        const old = await createEvent(organizer);
+        await john.post('/api/rsvps').send({ eventId: old.id, status: 'attending' }).expect(200);
+        for (const event of [recent, old]) {
+            await organizer.post(`/api/events/${event.id}/cancel`).send({ reason: 'Called off' }).expect(200);
+            await organizer.delete(`/api/events/${event.id}`).expect(200);
+        }
+        await query("UPDATE events SET deleted_at = datetime('now', '-31 days') WHERE id = ?", [old.id]);
+        
+        const result = await withDb((db, done) => purgeDeletedEvents(db, done));
+        expect(result.purged).toBe(1);
+        
+        const remaining = await query('SELECT id FROM events WHERE id IN (?, ?)', [recent.id, old.id]);
+        expect(remaining).toEqual([{ id: recent.id }]);
+        expect(await query('SELECT id FROM rsvps WHERE event_id = ?', [old.id])).toEqual([]);
+    });
+});
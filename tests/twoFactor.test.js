@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const { USERS, createApp, signIn } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+afterAll(cleanup);
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(process.env.DATABASE_PATH);
+        db.run(sql, params, (err) => {
+            db.close();
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+// Each code the tests use moves the clock on a time step, as a step can only
+// be used once and a code from an earlier step may have run out by the time
+// the request arrives
+const realNow = Date.now;
+let clockOffset = 0;
+Date.now = () => realNow() + clockOffset;
+
+afterAll(() => {
+    Date.now = realNow;
+});
+
+/**
+ * An authenticator app for a base32 secret
+ */
+function authenticator(secret) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bits = secret.split('').map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+    
+    return {
+        nextCode() {
+            clockOffset += 30000;
+            
+            const message = Buffer.alloc(8);
+            message.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+            const hmac = crypto.createHmac('sha1', key).update(message).digest();
+            const value = hmac.readUInt32BE(hmac[hmac.length - 1] & 0x0f) & 0x7fffffff;
+            
+            return String(value % 1000000).padStart(6, '0');
+        }
+    };
+}
+
+/**
+ * Set up two-factor authentication for a signed in agent
+ * Returns the authenticator and the recovery codes
+ */
+async function enableTwoFactor(agent) {
+    const setup = await agent.post('/api/auth/2fa/setup').expect(200);
+    expect(setup.body.otpauth_url).toContain(`secret=${setup.body.secret}`);
+    expect(setup.body.qr_code).toMatch(/^data:image\/png;base64,/);
+    
+    const app = authenticator(setup.body.secret);
+    const confirm = await agent.post('/api/auth/2fa/confirm').send({ code: app.nextCode() }).expect(200);
+    expect(confirm.body.recovery_codes).toHaveLength(10);
+    
+    return { authenticator: app, recoveryCodes: confirm.body.recovery_codes };
+}
+
+describe('two-factor authentication', () => {
+    let john, phone, recoveryCodes;
+    
+    beforeAll(async () => {
+        john = await signIn(app, 'john_doe');
+        ({ authenticator: phone, recoveryCodes } = await enableTwoFactor(john));
+    });
+    
+    test('setup needs a valid first code and changes nothing until confirmed', async () => {
+        const jane = await signIn(app, 'jane_smith');
+        await jane.post('/api/auth/2fa/confirm').send({ code: '123456' }).expect(400);
+        
+        await jane.post('/api/auth/2fa/setup').expect(200);
+        await jane.post('/api/auth/2fa/confirm').send({ code: 'abc' }).expect(400);
+        
+        // Without a confirmed code, logins still only need the password
+        await signIn(app, 'jane_smith');
+        
+        const status = await jane.get('/api/auth/2fa').expect(200);
+        expect(status.body).toMatchObject({ enabled: false, recovery_codes_remaining: 0 });
+    });
+    
+    test('reports the status and refuses a second setup', async () => {
+        const status = await john.get('/api/auth/2fa').expect(200);
+        expect(status.body).toMatchObject({ enabled: true, recovery_codes_remaining: 10, required: false });
+        
+        await john.post('/api/auth/2fa/setup').expect(400);
+    });
+    
+    test('login asks for a code before signing in', async () => {
+        const agent = request.agent(app);
+        const login = await agent.post('/api/auth/login')
+            .send({ username: 'john_doe', password: USERS.john_doe.password })
+            .expect(200);
+        expect(login.body).toMatchObject({ twoFactorRequired: true });
+        
+        await agent.get('/api/auth/me').expect(401);
+        await agent.post('/api/auth/login/2fa').send({ code: '000000' }).expect(401);
+        
+        const code = phone.nextCode();
+        await agent.post('/api/auth/login/2fa').send({ code }).expect(200);
+        await agent.get('/api/auth/me').expect(200);
+        
+        // The same code cannot be used again
+        const replay = request.agent(app);
+        await replay.post('/api/auth/login').send({ username: 'john_doe', password: USERS.john_doe.password }).expect(200);
+        await replay.post('/api/auth/login/2fa').send({ code }).expect(401);
+    });
+    
+    test('the second step needs a password login first', async () => {
+        await request(app).post('/api/auth/login/2fa').send({ code: '123456' }).expect(401);
+    });
+    
+    test('recovery codes work once each and can be replaced', async () => {
+        const agent = request.agent(app);
+        await agent.post('/api/auth/login').send({ username: 'john_doe', password: USERS.john_doe.password }).expect(200);
+        await agent.post('/api/auth/login/2fa').send({ recoveryCode: recoveryCodes[0].toUpperCase() }).expect(200);
+        
+        const again = request.agent(app);
+        await again.post('/api/auth/login').send({ username: 'john_doe', password: USERS.john_doe.password }).expect(200);
+        await again.post('/api/auth/login/2fa').send({ recoveryCode: recoveryCodes[0] }).expect(401);
+        
+        const status = await agent.get('/api/auth/2fa').expect(200);
+        expect(status.body.recovery_codes_remaining).toBe(9);
+        
+        const replaced = await agent.post('/api/auth/2fa/recovery-codes').send({ code: phone.nextCode() }).expect(200);
+        expect(replaced.body.recovery_codes).toHaveLength(10);
+        
+        await again.post('/api/auth/login').send({ username: 'john_doe', password: USERS.john_doe.password }).expect(200);
+        await again.post('/api/auth/login/2fa').send({ recoveryCode: recoveryCodes[1] }).expect(401);
+        
+        recoveryCodes = replaced.body.recovery_codes;
+    });
+    
+    test('turning it off needs the password and a second factor', async () => {
+        await john.delete('/api/auth/2fa').send({ password: 'wrong', recoveryCode: recoveryCodes[0] }).expect(403);
+        await john.delete('/api/auth/2fa').send({ password: USERS.john_doe.password, recoveryCode: 'nope' }).expect(403);
+        await john.delete('/api/auth/2fa').send({ password: USERS.john_doe.password, recoveryCode: recoveryCodes[0] }).expect(200);
+        
+        await signIn(app, 'john_doe');
+    });
+});
+
+describe('two-factor policy for admins', () => {
+    let admin, phone;
+    
+    beforeAll(async () => {
+        admin = await signIn(app, 'admin');
+    });
+    
+    test('admins need two-factor themselves to require it', async () => {
+        await admin.put('/api/admin/settings').send({ require_admin_2fa: true }).expect(400);
+        
+        ({ authenticator: phone } = await enableTwoFactor(admin));
+        
+        const res = await admin.put('/api/admin/settings').send({ require_admin_2fa: true }).expect(200);
+        expect(res.body.settings).toEqual({ require_admin_2fa: true });
+        
+        const settings = await admin.get('/api/admin/settings').expect(200);
+        expect(settings.body.settings).toEqual({ require_admin_2fa: true });
+    });
+    
+    test('admins without two-factor are kept out of admin endpoints', async () => {
+        await run("UPDATE users SET role = 'admin' WHERE id = ?", [USERS.bob_wilson.id]);
+        const bob = await signIn(app, 'bob_wilson');
+        
+        const res = await bob.get('/api/admin/users').expect(403);
+        expect(res.body.error).toBe('Two-factor authentication required');
+        
+        const status = await bob.get('/api/auth/2fa').expect(200);
+        expect(status.body.required).toBe(true);
+    });
+    
+    test('admins cannot turn theirs off while it is required', async () => {
+        await admin.delete('/api/auth/2fa')
+            .send({ password: USERS.admin.password, code: phone.nextCode() })
+            .expect(400);
+    });
+    
+    test('admins can reset another user\'s two-factor', async () => {
+        const jane = await signIn(app, 'jane_smith');
+        await enableTwoFactor(jane);
+        
+        await admin.delete(`/api/admin/users/${USERS.jane_smith.id}/2fa`).expect(200);
+        await admin.delete(`/api/admin/users/${USERS.jane_smith.id}/2fa`).expect(400);
+        
+        await signIn(app, 'jane_smith');
+    });
+    
+    test('only admins can change settings', async () => {
+        const demo = await signIn(app, 'demo');
+        await demo.put('/api/admin/settings').send({ require_admin_2fa: false }).expect(403);
+    });
+});
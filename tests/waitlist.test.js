@@ -0,0 +1,157 @@
+const { createApp, signIn, createEvent } = require('./helpers');
+
+const { app, cleanup } = createApp();
+
+describe('RSVP capacity and waitlist promotion', () => {
+    let organizer, john, jane, bob;
+    
+    beforeAll(async () => {
+        organizer = await signIn(app, 'admin');
+        john = await signIn(app, 'john_doe');
+        jane = await signIn(app, 'jane_smith');
+        bob = await signIn(app, 'bob_wilson');
+    });
+    
+    afterAll(cleanup);
+    
+    const rsvp = (agent, eventId, fields) => agent.post('/api/rsvps').send({ eventId, ...fields });
+    
+    const summary = async (eventId) => {
+        const res = await organizer.get(`/api/rsvps/event/${eventId}`).expect(200);
+        return {
+            attending: res.body.grouped.attending.map(r => r.username).sort(),
+            waitlisted: res.body.grouped.waitlisted.map(r => [r.username, r.waitlist_position]),
+            attendingCount: res.body.attending_count
+        };
+    };
+    
+    test('queues RSVPs once the event is full', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 1 });
+        
+        let res = await rsvp(john, event.id, { status: 'attending' }).expect(200);
+        expect(res.body.rsvp.status).toBe('attending');
+        
+        res = await rsvp(jane, event.id, { status: 'attending' }).expect(200);
+        expect(res.body.rsvp).toMatchObject({ status: 'waitlisted', waitlist_position: 1 });
+        
+        res = await rsvp(bob, event.id, { status: 'attending' }).expect(200);
+        expect(res.body.rsvp).toMatchObject({ status: 'waitlisted', waitlist_position: 2 });
+        
+        expect(await summary(event.id)).toEqual({
+            attending: ['john_doe'],
+            waitlisted: [['jane_smith', 1], ['bob_wilson', 2]],
+            attendingCount: 1
+        });
+    });
+    
+    test('promotes the waitlist in order as spots free up', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 1 });
+        
+        await rsvp(john, event.id, { status: 'attending' }).expect(200);
+        await rsvp(jane, event.id, { status: 'attending' }).expect(200);
+        await rsvp(bob, event.id, { status: 'attending' }).expect(200);
+        
+        await rsvp(john, event.id, { status: 'not_attending' }).expect(200);
+        expect(await summary(event.id)).toEqual({
+            attending: ['jane_smith'],
+            waitlisted: [['bob_wilson', 1]],
+            attendingCount: 1
+        });
+        
+        await jane.delete(`/api/rsvps/${event.id}`).expect(200);
+        expect(await summary(event.id)).toEqual({
+            attending: ['bob_wilson'],
+            waitlisted: [],
+            attendingCount: 1
+        });
+    });
+    
+    test('counts guests against capacity and queues RSVPs that do not fit', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 2, maxGuestsPerRsvp: 1 });
+        
+        let res = await rsvp(john, event.id, { status: 'attending', guestCount: 1 }).expect(200);
+        expect(res.body.rsvp.status).toBe('attending');
+        
+        res = await rsvp(jane, event.id, { status: 'attending' }).expect(200);
+        expect(res.body.rsvp).toMatchObject({ status: 'waitlisted', waitlist_position: 1 });
+        
+        res = await rsvp(bob, event.id, { status: 'attending' }).expect(200);
+        expect(res.body.rsvp).toMatchObject({ status: 'waitlisted', waitlist_position: 2 });
+        
+        expect(await summary(event.id)).toEqual({
+            attending: ['john_doe'],
+            waitlisted: [['jane_smith', 1], ['bob_wilson', 2]],
+            attendingCount: 2
+        });
+    });
+    
+    test('rejects more guests than the event allows', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 5, maxGuestsPerRsvp: 1 });
+        
+        const res = await rsvp(john, event.id, { status: 'attending', guestCount: 2 }).expect(400);
+        expect(res.body.error).toMatch(/at most 1 guest/);
+    });
+    
+    test('stores guest names with the RSVP', async () => {
+        const event = await createEvent(organizer, { maxGuestsPerRsvp: 2 });
+        
+        const res = await rsvp(john, event.id, { status: 'attending', guestCount: 2, guestNames: ['Ann', 'Ben'] }).expect(200);
+        expect(res.body.rsvp).toMatchObject({ guest_count: 2, guest_names: ['Ann', 'Ben'] });
+    });
+    
+    test('dropping guests frees spots for the waitlist', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 2, maxGuestsPerRsvp: 1 });
+        
+        await rsvp(john, event.id, { status: 'attending', guestCount: 1 }).expect(200);
+        await rsvp(jane, event.id, { status: 'attending' }).expect(200);
+        await rsvp(bob, event.id, { status: 'attending' }).expect(200);
+        
+        // Dropping the guest frees one spot, which goes to the front of the queue
+        await rsvp(john, event.id, { status: 'attending', guestCount: 0 }).expect(200);
+        expect(await summary(event.id)).toEqual({
+            attending: ['jane_smith', 'john_doe'],
+            waitlisted: [['bob_wilson', 1]],
+            attendingCount: 2
+        });
+        
+        await john.delete(`/api/rsvps/${event.id}`).expect(200);
+        expect(await summary(event.id)).toEqual({
+            attending: ['bob_wilson', 'jane_smith'],
+            waitlisted: [],
+            attendingCount: 2
+        });
+    });
+    
+    test('a party too big for the free spots holds back those behind it', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 2, maxGuestsPerRsvp: 1 });
+        
+        await rsvp(john, event.id, { status: 'attending', guestCount: 1 }).expect(200);
+        await rsvp(jane, event.id, { status: 'attending', guestCount: 1 }).expect(200);
+        await rsvp(bob, event.id, { status: 'attending' }).expect(200);
+        
+        await rsvp(john, event.id, { status: 'attending', guestCount: 0 }).expect(200);
+        expect(await summary(event.id)).toEqual({
+            attending: ['john_doe'],
+            waitlisted: [['jane_smith', 1], ['bob_wilson', 2]],
+            attendingCount: 1
+        });
+    });
+    
+    test('raising the capacity lets waitlisted users in', async () => {
+        const event = await createEvent(organizer, { maxAttendees: 1 });
+        
+        await rsvp(john, event.id, { status: 'attending' }).expect(200);
+        await rsvp(jane, event.id, { status: 'attending' }).expect(200);
+        
+        await organizer
+            .put(`/api/events/${event.id}`)
+            .send({ title: event.title, eventDate: event.event_date, location: event.location, maxAttendees: 2 })
+            .expect(200);
+        
+        expect(await summary(event.id)).toEqual({
+            attending: ['jane_smith', 'john_doe'],
+            waitlisted: [],
+            attendingCount: 2
+        });
+    });
+});
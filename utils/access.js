@@ -0,0 +1,67 @@
+/**
+ * Event visibility helpers
+ * Public events are listed for everyone, unlisted events are open to anyone
+ * with the link, and invite-only events are limited to invited users and
+ * the people running the event
+ */
+
+const VISIBILITIES = ['public', 'unlisted', 'invite_only'];
+
+const NOT_DELETED = 'e.deleted_at IS NULL';
+
+// Matches an invitation (aliased i) to the user with the given ID, by account
+// or email address; takes the ID twice. Email matches only count once the
+// address is verified, so nobody gets in by signing up with someone else's
+const INVITEE_MATCH = `(i.user_id = ? OR (i.email IS NOT NULL AND EXISTS (
+    SELECT 1 FROM users iu
+    WHERE iu.id = ? AND iu.email_verified_at IS NOT NULL AND LOWER(iu.email) = LOWER(i.email)
+)))`;
+
+// Matches an active invitation for the user
+const INVITATION_MATCH = `EXISTS (
+    SELECT 1 FROM invitations i
+    WHERE i.event_id = e.id AND i.revoked = 0 AND ${INVITEE_MATCH}
+)`;
+
+// Matches events the user has a role on (co-organizer or check-in staff)
+const MEMBER_MATCH = `EXISTS (
+    SELECT 1 FROM event_members m WHERE m.event_id = e.id AND m.user_id = ?
+)`;
+
+/**
+ * SQL condition (events aliased as e) restricting which events a user sees
+ * Listings leave out unlisted events, admins' included; direct lookups pass
+ * includeUnlisted, which lets admins open any event
+ * Events in the trash are hidden from everyone, admins included
+ */
+function visibilityClause(user, options = {}) {
+    const open = options.includeUnlisted
+        ? `e.visibility IN ('public', 'unlisted')`
+        : `e.visibility = 'public'`;
+    
+    if (!user) {
+        return { clause: `(${NOT_DELETED} AND ${open})`, params: [] };
+    }
+    
+    if (user.role === 'admin') {
+        if (options.includeUnlisted) {
+            return { clause: NOT_DELETED, params: [] };
+        }
+        
+        return {
+            clause: `(${NOT_DELETED} AND (e.visibility IN ('public', 'invite_only') OR e.created_by = ? OR ${MEMBER_MATCH}))`,
+            params: [user.id, user.id]
+        };
+    }
+    
+    return {
+        clause: `(${NOT_DELETED} AND (${open} OR e.created_by = ? OR ${MEMBER_MATCH} OR (e.visibility = 'invite_only' AND ${INVITATION_MATCH})))`,
+        params: [user.id, user.id, user.id, user.id]
+    };
+}
+
+module.exports = {
+    VISIBILITIES,
+    INVITEE_MATCH,
+    visibilityClause
+};
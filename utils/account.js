@@ -0,0 +1,229 @@
+/**
+ * Account helpers
+ * Single-use tokens for email verification and password resets, and
+ * deleting an account without leaving other people's events in a bad state
+ */
+
+const crypto = require('crypto');
+const { runInSequence, runInTransaction } = require('./async');
+const { promoteWaitlist } = require('./waitlist');
+const { transferOwnership } = require('./permissions');
+const { hashToken } = require('./apiTokens');
+
+// How long emailed links stay valid, as SQLite datetime modifiers
+const TOKEN_LIFETIMES = {
+    verify_email: { hours: 48, modifier: '+48 hours' },
+    reset_password: { hours: 1, modifier: '+1 hours' }
+};
+
+// RSVP statuses that hear about an organizer's events being cancelled
+const ATTENDEE_STATUSES = ['attending', 'maybe', 'waitlisted'];
+
+// Stored on, and sent with, events cancelled because their organizer left
+const CLOSED_ACCOUNT_REASON = 'The organizer has closed their account';
+
+// Owner of events kept after their organizer deleted their account
+const DELETED_USER = {
+    username: 'deleted-user',
+    email: 'deleted-user@invalid',
+    statusReason: 'Placeholder owner for events of deleted accounts'
+};
+
+/**
+ * Hours a token for the given purpose stays valid, for messages
+ */
+function tokenLifetimeHours(purpose) {
+    return TOKEN_LIFETIMES[purpose].hours;
+}
+
+/**
+ * Mark a user's unused tokens for a purpose as used, so old links stop working
+ */
+function revokeTokens(db, userId, purpose, callback) {
+    db.run(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        [userId, purpose],
+        callback
+    );
+}
+
+/**
+ * Create a token for a user, replacing any outstanding one for the same purpose
+ * Only the hash is stored; calls back with the token to put in the link
+ */
+function issueToken(db, userId, purpose, email, callback) {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    runInSequence([
+        (done) => revokeTokens(db, userId, purpose, done),
+        (done) => db.run(
+            `INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at)
+             VALUES (?, ?, ?, ?, datetime('now', ?))`,
+            [userId, purpose, hashToken(token), email, TOKEN_LIFETIMES[purpose].modifier],
+            done
+        )
+    ], (err) => callback(err, err ? null : token));
+}
+
+/**
+ * Use up a token
+ * Calls back with the token row joined with the user's current email and
+ * status, or null if the token is unknown, expired, or already used
+ */
+function consumeToken(db, token, purpose, callback) {
+    db.get(`
+        SELECT t.id, t.user_id, t.email, u.email as current_email, u.username, u.first_name, u.status, u.status_reason
+        FROM user_tokens t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.token_hash = ? AND t.purpose = ? AND t.used_at IS NULL
+          AND datetime(t.expires_at) > datetime('now')
+    `, [hashToken(String(token)), purpose], (err, row) => {
+        if (err || !row) return callback(err || null, null);
+        
+        // Claim it; of two requests racing with the same token only one wins
+        db.run(
+            'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+            [row.id],
+            function(err) {
+                if (err) return callback(err);
+                callback(null, this.changes > 0 ? row : null);
+            }
+        );
+    });
+}
+
+/**
+ * Id of the shared account that keeps events whose owner deleted their
+ * account, creating it the first time. It cannot sign in: the username is
+ * one registration refuses, the account is disabled, and the password hash
+ * matches no password
+ */
+function deletedUserId(db, callback) {
+    db.run(
+        `INSERT OR IGNORE INTO users (username, email, password_hash, status, status_reason, first_name, last_name)
+         VALUES (?, ?, ?, 'disabled', ?, 'Deleted', 'User')`,
+        [DELETED_USER.username, DELETED_USER.email, '!', DELETED_USER.statusReason],
+        (err) => {
+            if (err) return callback(err);
+            
+            db.get('SELECT id FROM users WHERE username = ?', [DELETED_USER.username], (err, row) => {
+                callback(err, err ? null : row.id);
+            });
+        }
+    );
+}
+
+/**
+ * Delete a user without taking other people's data with them
+ * - RSVPs to other people's events are withdrawn and their waitlists moved
+ *   along, as if the user had cancelled each one
+ * - Upcoming events they organize go to the event's longest-serving active
+ *   co-organizer; those without one are cancelled, and the attendees are
+ *   reported back so they can be told
+ * - Their other events, series, and invitations are kept under the shared
+ *   deleted-user account, so RSVPs, answers, and check-ins survive
+ * - Pending notifications and the rest of their rows go with them
+ * Calls back with { handovers: [{ event, userId }], cancelled: [{ event, userIds }], promotions: [{ eventId, userIds }] }
+ */
+function deleteAccount(db, userId, callback) {
+    const result = { handovers: [], cancelled: [], promotions: [] };
+    let rsvpEventIds = [];
+    
+    runInSequence([
+        (done) => db.all(`
+            SELECT r.event_id FROM rsvps r
+            JOIN events e ON r.event_id = e.id
+            WHERE r.user_id = ? AND e.created_by != ? AND e.status = 'active'
+        `, [userId, userId], (err, rows) => {
+            if (!err) rsvpEventIds = rows.map(row => row.event_id);
+            done(err);
+        }),
+        (done) => db.all(`
+            SELECT id, title, event_date, timezone, location, created_by, series_id FROM events
+            WHERE created_by = ? AND status = 'active' AND deleted_at IS NULL
+              AND datetime(event_date) > datetime('now')
+            ORDER BY datetime(event_date)
+        `, [userId], (err, events) => {
+            if (err) return done(err);
+            
+            // Co-organizers are shared across a series, so its first occurrence decides for all of them
+            const seriesHandedOver = new Set();
+            
+            runInSequence(events.map(event => (next) => {
+                if (event.series_id && seriesHandedOver.has(event.series_id)) return next();
+                
+                db.get(`
+                    SELECT m.user_id FROM event_members m
+                    JOIN users u ON m.user_id = u.id
+                    WHERE m.event_id = ? AND m.role = 'co_organizer' AND u.status = 'active'
+                    ORDER BY m.created_at, m.id
+                    LIMIT 1
+                `, [event.id], (err, coOrganizer) => {
+                    if (err) return next(err);
+                    
+                    if (coOrganizer) {
+                        if (event.series_id) seriesHandedOver.add(event.series_id);
+                        result.handovers.push({ event, userId: coOrganizer.user_id });
+                        return next();
+                    }
+                    
+                    db.all(
+                        `SELECT DISTINCT user_id FROM rsvps
+                         WHERE event_id = ? AND user_id != ? AND status IN (${ATTENDEE_STATUSES.map(() => '?').join(', ')})`,
+                        [event.id, userId, ...ATTENDEE_STATUSES],
+                        (err, rows) => {
+                            if (!err) result.cancelled.push({ event, userIds: rows.map(row => row.user_id) });
+                            next(err);
+                        }
+                    );
+                });
+            }), done);
+        })
+    ], (err) => {
+        if (err) return callback(err);
+        
+        // The schema's ON DELETE rules clean up what is left, so enforce them here
+        db.run('PRAGMA foreign_keys = ON', (err) => {
+            if (err) return callback(err);
+            
+            let placeholderId = null;
+            
+            runInTransaction(db, [
+                (done) => db.run('DELETE FROM rsvps WHERE user_id = ?', [userId], done),
+                ...rsvpEventIds.map(eventId => (done) => promoteWaitlist(db, eventId, (err, userIds) => {
+                    if (!err && userIds && userIds.length > 0) result.promotions.push({ eventId, userIds });
+                    done(err);
+                })),
+                ...result.handovers.map(({ event, userId: newOwnerId }) => (done) => transferOwnership(db, event, newOwnerId, null, done)),
+                ...result.cancelled.map(({ event }) => (done) => db.run(
+                    `UPDATE events
+                     SET status = 'cancelled', cancellation_reason = ?, cancelled_at = CURRENT_TIMESTAMP,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [CLOSED_ACCOUNT_REASON, event.id],
+                    done
+                )),
+                (done) => deletedUserId(db, (err, id) => {
+                    placeholderId = id;
+                    done(err);
+                }),
+                ...['events', 'event_series', 'invitations'].map(table => (done) => db.run(
+                    `UPDATE ${table} SET created_by = ? WHERE created_by = ?`,
+                    [placeholderId, userId],
+                    done
+                )),
+                (done) => db.run("DELETE FROM notification_outbox WHERE user_id = ? AND status = 'pending'", [userId], done),
+                (done) => db.run('DELETE FROM users WHERE id = ?', [userId], done)
+            ], (err) => callback(err, err ? null : result));
+        });
+    });
+}
+
+module.exports = {
+    CLOSED_ACCOUNT_REASON,
+    tokenLifetimeHours,
+    revokeTokens,
+    issueToken,
+    consumeToken,
+    deleteAccount
+};
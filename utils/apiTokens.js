@@ -0,0 +1,177 @@
+/**
+ * Personal API tokens for scripts and bots
+ * Tokens are sent as "Authorization: Bearer <token>" and only their hash is
+ * stored. Each token carries scopes limiting which parts of the API it can
+ * use, and expires after a set number of days
+ */
+
+const crypto = require('crypto');
+
+// Scopes a token can be given
+// events:write includes events:read; admin also needs an admin account
+const SCOPES = ['events:read', 'events:write', 'rsvps', 'admin'];
+
+const SCOPE_INCLUDES = {
+    'events:write': ['events:read']
+};
+
+const DEFAULT_LIFETIME_DAYS = 90;
+const MAX_LIFETIME_DAYS = 365;
+
+// Prefix so leaked tokens are easy to recognise (and to scan for)
+const TOKEN_PREFIX = 'ept_';
+
+/**
+ * SHA-256 hash of a secret token, as stored for API, calendar feed, and
+ * emailed account tokens
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The token from a request's Authorization header, or null
+ */
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Whether a list of granted scopes covers the one required
+ */
+function hasScope(scopes, required) {
+    return scopes.some(scope => scope === required || (SCOPE_INCLUDES[scope] || []).includes(required));
+}
+
+function formatToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: JSON.parse(row.scopes),
+        expires_at: row.expires_at,
+        last_used_at: row.last_used_at,
+        last_used_ip: row.last_used_ip,
+        revoked_at: row.revoked_at,
+        created_at: row.created_at
+    };
+}
+
+/**
+ * Create a token for a user
+ * Calls back with { token, row }; the token itself is only available now
+ */
+function createApiToken(db, userId, { name, scopes, expiresInDays }, callback) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    
+    db.run(
+        `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+        [userId, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(scopes), `+${expiresInDays} days`],
+        function(err) {
+            if (err) return callback(err);
+            
+            db.get('SELECT * FROM api_tokens WHERE id = ?', [this.lastID], (err, row) => {
+                callback(err, err ? null : { token, row });
+            });
+        }
+    );
+}
+
+/**
+ * A user's tokens, newest first; revoked and expired ones are included
+ * unless activeOnly is set
+ */
+function listApiTokens(db, userId, activeOnly, callback) {
+    db.all(`
+        SELECT * FROM api_tokens
+        WHERE user_id = ?
+        ${activeOnly ? "AND revoked_at IS NULL AND datetime(expires_at) > datetime('now')" : ''}
+        ORDER BY created_at DESC, id DESC
+    `, [userId], callback);
+}
+
+/**
+ * Revoke one of a user's tokens
+ * Calls back with the token row as it was, or null if there is no such active token
+ */
+function revokeApiToken(db, userId, tokenId, callback) {
+    db.get(
+        'SELECT * FROM api_tokens WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [tokenId, userId],
+        (err, row) => {
+            if (err || !row) return callback(err || null, null);
+            
+            db.run('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id], (err) => {
+                callback(err, err ? null : row);
+            });
+        }
+    );
+}
+
+/**
+ * Revoke all of a user's tokens, e.g. after a password reset
+ */
+function revokeAllApiTokens(db, userId, callback) {
+    db.run(
+        'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [userId],
+        callback
+    );
+}
+
+/**
+ * Look up a usable token and its owner, recording that it was used
+ * Calls back with the token row joined with the user's details, or null if
+ * the token is unknown, expired, or revoked
+ */
+function findApiToken(db, token, ip, callback) {
+    db.get(`
+        SELECT t.id as token_id, t.scopes, u.id, u.username, u.email, u.role, u.status, u.status_reason,
+               u.first_name, u.last_name, u.email_verified_at, u.totp_enabled_at
+        FROM api_tokens t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.token_hash = ? AND t.revoked_at IS NULL
+          AND datetime(t.expires_at) > datetime('now')
+    `, [hashToken(token)], (err, row) => {
+        if (err || !row) return callback(err || null, null);
+        
+        db.run(
+            'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+            [ip, row.token_id],
+            (err) => callback(err, err ? null : { ...row, scopes: JSON.parse(row.scopes) })
+        );
+    });
+}
+
+/**
+ * The hash of a token that is neither unknown, expired, nor revoked, or null
+ * Unlike findApiToken this leaves last_used_at alone, for checks made
+ * before the request is authenticated
+ */
+function liveTokenHash(db, token, callback) {
+    const tokenHash = hashToken(token);
+    
+    db.get(
+        "SELECT id FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL AND datetime(expires_at) > datetime('now')",
+        [tokenHash],
+        (err, row) => callback(err, row ? tokenHash : null)
+    );
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_LIFETIME_DAYS,
+    MAX_LIFETIME_DAYS,
+    hashToken,
+    bearerToken,
+    hasScope,
+    formatToken,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    revokeAllApiTokens,
+    findApiToken,
+    liveTokenHash
+};
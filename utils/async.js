@@ -0,0 +1,41 @@
+/**
+ * Callback flow helpers
+ */
+
+/**
+ * Run callback-style tasks one after another, stopping at the first error
+ */
+function runInSequence(tasks, callback) {
+    let index = 0;
+    
+    function next(err) {
+        if (err || index >= tasks.length) {
+            return callback(err || null);
+        }
+        tasks[index++](next);
+    }
+    
+    next();
+}
+
+/**
+ * Run tasks in sequence inside a database transaction
+ * Everything is rolled back if any task fails
+ */
+function runInTransaction(db, tasks, callback) {
+    db.run('BEGIN TRANSACTION', (err) => {
+        if (err) return callback(err);
+        
+        runInSequence(tasks, (err) => {
+            if (err) {
+                return db.run('ROLLBACK', () => callback(err));
+            }
+            db.run('COMMIT', callback);
+        });
+    });
+}
+
+module.exports = {
+    runInSequence,
+    runInTransaction
+};
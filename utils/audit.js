@@ -0,0 +1,141 @@
+/**
+ * Audit log
+ * Changes made through the API are appended to audit_log with who made them,
+ * from which IP, and a field-by-field diff. Rows are never updated or
+ * deleted; triggers in schema.sql reject both
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { runInSequence } = require('./async');
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+// Bookkeeping and secret columns are left out of diffs
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'password_hash'];
+
+function getDb() {
+    const db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+    
+    // Entries are often written while the route's own connection is mid-write
+    db.configure('busyTimeout', 5000);
+    return db;
+}
+
+/**
+ * Copy the named fields of a row, for before/after snapshots
+ */
+function snapshot(row, fields) {
+    if (!row) return null;
+    
+    return fields.reduce((copy, field) => ({ ...copy, [field]: row[field] }), {});
+}
+
+/**
+ * Field-by-field differences between two snapshots of a row
+ * Either side may be null (for creates and deletes); returns
+ * { field: { from, to } } for every field that changed
+ */
+function diffChanges(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Append entries for changes made by the request's user
+ * Takes one entry or a list, each { action, entityType, entityId, eventId,
+ * before, after, metadata }, plus actor to override the session user (null
+ * for system changes)
+ * Uses its own connection so routes can fire and forget; errors are logged
+ */
+function audit(req, entries, callback = () => {}) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0) return callback(null);
+    
+    const sessionUser = req && req.session && req.session.user ? req.session.user : null;
+    const db = getDb();
+    
+    runInSequence(list.map(entry => (done) => {
+        const actor = entry.actor !== undefined ? entry.actor : sessionUser;
+        const changes = diffChanges(entry.before, entry.after);
+        
+        // Note changes made by scripts, so they can be told apart and traced to a token
+        const metadata = req && req.apiToken && entry.actor === undefined
+            ? { ...entry.metadata, api_token_id: req.apiToken.id }
+            : entry.metadata;
+        
+        db.run(
+            `INSERT INTO audit_log (actor_id, actor_username, action, entity_type, entity_id, event_id, changes, metadata, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor ? actor.id : null,
+                actor ? actor.username : null,
+                entry.action,
+                entry.entityType,
+                entry.entityId || null,
+                entry.eventId || null,
+                Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+                metadata ? JSON.stringify(metadata) : null,
+                req ? req.ip : null
+            ],
+            done
+        );
+    }), (err) => {
+        db.close();
+        
+        if (err) {
+            console.error('Audit log error:', err);
+        }
+        callback(err || null);
+    });
+}
+
+/**
+ * Record users moved off an event's waitlist as a side effect of a request
+ */
+function auditPromotions(req, eventId, userIds) {
+    audit(req, (userIds || []).map(userId => ({
+        action: 'rsvp.promote',
+        entityType: 'rsvp',
+        eventId,
+        before: { status: 'waitlisted' },
+        after: { status: 'attending' },
+        metadata: { user_id: userId }
+    })));
+}
+
+/**
+ * Parse the JSON columns of an audit_log row for API responses
+ */
+function formatAuditEntry(row) {
+    return {
+        ...row,
+        changes: row.changes ? JSON.parse(row.changes) : {},
+        metadata: row.metadata ? JSON.parse(row.metadata) : {}
+    };
+}
+
+module.exports = {
+    snapshot,
+    diffChanges,
+    audit,
+    auditPromotions,
+    formatAuditEntry
+};
@@ -0,0 +1,102 @@
+/**
+ * Event categories
+ * Categories are a fixed list managed by admins (e.g. Workshops, Social);
+ * each event can be in at most one
+ */
+
+// Listing columns for an event's category; needs LEFT JOIN categories c ON e.category_id = c.id
+const CATEGORY_COLUMNS = 'c.name as category_name, c.slug as category_slug';
+
+/**
+ * URL-friendly version of a category name, e.g. "Food & Drink" becomes "food-drink"
+ */
+function slugify(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * All categories with how many active events are in each, by name
+ */
+function listCategories(db, callback) {
+    db.all(`
+        SELECT c.*, COUNT(e.id) as event_count
+        FROM categories c
+        LEFT JOIN events e ON e.category_id = c.id AND e.status = 'active' AND e.deleted_at IS NULL
+        GROUP BY c.id
+        ORDER BY c.name COLLATE NOCASE
+    `, [], callback);
+}
+
+/**
+ * Find a category by ID or slug
+ */
+function findCategory(db, idOrSlug, callback) {
+    db.get(
+        'SELECT * FROM categories WHERE id = ? OR slug = ?',
+        [/^\d+$/.test(String(idOrSlug)) ? Number(idOrSlug) : null, String(idOrSlug)],
+        callback
+    );
+}
+
+/**
+ * Check that a category given for an event exists
+ * Sends the error response itself and calls back only on success;
+ * no category (undefined or null) always passes
+ */
+function withCategory(db, categoryId, res, callback) {
+    if (categoryId === undefined || categoryId === null) return callback();
+    
+    db.get('SELECT id FROM categories WHERE id = ?', [categoryId], (err, category) => {
+        if (err) {
+            db.close();
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!category) {
+            db.close();
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        
+        callback();
+    });
+}
+
+/**
+ * Check the categories given on import rows, as withCategory does for one event
+ * Calls back with a failure for each row whose category does not exist, shaped
+ * like those from validateRows (rows numbered from 1)
+ */
+function checkRowCategories(db, rows, callback) {
+    db.all('SELECT id FROM categories', [], (err, categories) => {
+        if (err) return callback(err);
+        
+        const known = new Set(categories.map(category => category.id));
+        const failures = [];
+        
+        rows.forEach((row, index) => {
+            if (row.categoryId === undefined || row.categoryId === null || known.has(row.categoryId)) return;
+            
+            failures.push({
+                row: index + 1,
+                errors: [{ type: 'field', value: row.categoryId, msg: 'Category not found', path: 'categoryId', location: 'body' }]
+            });
+        });
+        
+        callback(null, failures);
+    });
+}
+
+module.exports = {
+    CATEGORY_COLUMNS,
+    slugify,
+    listCategories,
+    findCategory,
+    withCategory,
+    checkRowCategories
+};
@@ -0,0 +1,92 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Used for attendee exports and bulk imports
+ */
+
+/**
+ * Quote a single value for a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote
+ */
+function escapeCell(value) {
+    if (value === null || value === undefined) return '';
+    
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line, including the trailing CRLF
+ */
+function toCsvRow(values) {
+    return values.map(escapeCell).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Handles quoted cells with commas, quotes and line breaks; blank lines are skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    // Strip a byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    const keys = header.map(key => key.trim());
+    
+    return records.map(record => {
+        const object = {};
+        keys.forEach((key, index) => {
+            if (key) object[key] = record[index] !== undefined ? record[index].trim() : '';
+        });
+        return object;
+    });
+}
+
+module.exports = {
+    toCsvRow,
+    parseCsv
+};
@@ -0,0 +1,208 @@
+/**
+ * Filtering and sorting for event listings
+ * GET /api/events and GET /api/rsvps/my-rsvps take the same query parameters.
+ * Conditions are built against events aliased as e and their creator as u
+ */
+
+const { query } = require('express-validator');
+const { HEADCOUNT } = require('./guests');
+const { RANK, SEARCH_COLUMNS, toMatchQuery } = require('./search');
+const { MAX_TAGS, isValidTag, normalizeTags } = require('./tags');
+
+const EVENT_STATUSES = ['active', 'cancelled', 'completed'];
+
+// Seats taken at an event, guests included
+const ATTENDING_COUNT = `(
+    SELECT COALESCE(SUM(${HEADCOUNT}), 0) FROM rsvps r
+    WHERE r.event_id = e.id AND r.status = 'attending'
+)`;
+
+// Events the user is attending
+const ATTENDING_MATCH = `EXISTS (
+    SELECT 1 FROM rsvps mine
+    WHERE mine.event_id = e.id AND mine.user_id = ? AND mine.status = 'attending'
+)`;
+
+// Sort keys with their column and default order
+// relevance is only available (and the default) when searching
+const SORTS = {
+    relevance: { column: RANK, order: 'ASC' },
+    date: { column: 'e.event_date', order: 'ASC' },
+    created: { column: 'e.created_at', order: 'DESC' },
+    popularity: { column: ATTENDING_COUNT, order: 'DESC' },
+    title: { column: 'e.title COLLATE NOCASE', order: 'ASC' }
+};
+
+const SORT_KEYS = Object.keys(SORTS);
+
+const validateEventFilters = [
+    query('search')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Search must be text')
+        .bail()
+        .custom(value => toMatchQuery(value) !== null)
+        .withMessage('Search must include at least one word to look for'),
+    query('series')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Series must be a valid series ID'),
+    query(['upcoming', 'hasSpots', 'attending'])
+        .optional()
+        .isBoolean()
+        .withMessage('upcoming, hasSpots, and attending must be true or false')
+        .toBoolean(),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be valid ISO 8601 dates'),
+    query('location')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Location must be between 1 and 200 characters'),
+    query('category')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Category must be a category ID or slug'),
+    query('tag')
+        .optional()
+        .isString()
+        .withMessage('Tag must be a comma-separated list of tags')
+        .bail()
+        .customSanitizer(value => normalizeTags(value.split(',').filter(tag => tag.trim())))
+        .custom(tags => tags.length > 0 && tags.length <= MAX_TAGS && tags.every(isValidTag))
+        .withMessage(`Tag must be a comma-separated list of up to ${MAX_TAGS} tags`),
+    query('creator')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Creator must be a user ID or username'),
+    query('status')
+        .optional()
+        .custom(value => value === 'all' || String(value).split(',').every(status => EVENT_STATUSES.includes(status)))
+        .withMessage(`Status must be "all" or a comma-separated list of: ${EVENT_STATUSES.join(', ')}`),
+    query('sort')
+        .optional()
+        .isIn(SORT_KEYS)
+        .withMessage(`Sort must be one of: ${SORT_KEYS.join(', ')}`)
+        .bail()
+        .custom((sort, { req }) => sort !== 'relevance' || !!req.query.search)
+        .withMessage('Sorting by relevance needs a search'),
+    query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Order must be asc or desc')
+];
+
+/**
+ * SQL for the filters in req.query: { join, columns, conditions, params }
+ * A search joins the full-text index, and adds highlighted title_highlight and
+ * search_snippet columns (see formatSearchResult in utils/search.js)
+ * options.statuses lists the event statuses shown when ?status= is not given
+ * (every status if unset). ?attending= needs a user
+ */
+function filterConditions(req, user, options = {}) {
+    const filters = req.query;
+    const conditions = [];
+    const params = [];
+    let join = '';
+    let columns = '';
+    
+    if (filters.search) {
+        join = 'JOIN events_fts ON events_fts.rowid = e.id';
+        columns = `, ${SEARCH_COLUMNS}`;
+        conditions.push('events_fts MATCH ?');
+        params.push(toMatchQuery(filters.search));
+    }
+    
+    if (filters.series) {
+        conditions.push('e.series_id = ?');
+        params.push(filters.series);
+    }
+    
+    if (filters.upcoming === true) {
+        conditions.push("datetime(e.event_date) > datetime('now')");
+    }
+    
+    if (filters.from) {
+        conditions.push('datetime(e.event_date) >= datetime(?)');
+        params.push(filters.from);
+    }
+    
+    if (filters.to) {
+        conditions.push('datetime(e.event_date) <= datetime(?)');
+        params.push(filters.to);
+    }
+    
+    if (filters.location) {
+        conditions.push('e.location LIKE ?');
+        params.push(`%${filters.location}%`);
+    }
+    
+    if (filters.creator) {
+        conditions.push(/^\d+$/.test(filters.creator) ? 'e.created_by = ?' : 'u.username = ?');
+        params.push(filters.creator);
+    }
+    
+    if (filters.category) {
+        conditions.push(/^\d+$/.test(filters.category)
+            ? 'e.category_id = ?'
+            : 'e.category_id = (SELECT id FROM categories WHERE slug = ?)');
+        params.push(filters.category);
+    }
+    
+    // Events with any of the tags
+    if (filters.tag) {
+        conditions.push(`EXISTS (
+            SELECT 1 FROM event_tags t WHERE t.event_id = e.id AND t.tag IN (${filters.tag.map(() => '?').join(', ')})
+        )`);
+        params.push(...filters.tag);
+    }
+    
+    const statuses = filters.status
+        ? (filters.status === 'all' ? null : filters.status.split(','))
+        : options.statuses;
+    
+    if (statuses) {
+        conditions.push(`e.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    
+    if (filters.hasSpots !== undefined) {
+        conditions.push(filters.hasSpots
+            ? `(e.max_attendees IS NULL OR ${ATTENDING_COUNT} < e.max_attendees)`
+            : `(e.max_attendees IS NOT NULL AND ${ATTENDING_COUNT} >= e.max_attendees)`);
+    }
+    
+    if (filters.attending !== undefined) {
+        conditions.push(filters.attending ? ATTENDING_MATCH : `NOT ${ATTENDING_MATCH}`);
+        params.push(user.id);
+    }
+    
+    return { join, columns, conditions, params };
+}
+
+/**
+ * ORDER BY clause for ?sort= and ?order=, defaulting to the best matches
+ * when searching and to the soonest events first otherwise
+ * Ties are broken by event ID so pages do not overlap
+ */
+function orderClause(req) {
+    const sort = SORTS[req.query.sort] || (req.query.search ? SORTS.relevance : SORTS.date);
+    const order = req.query.order ? req.query.order.toUpperCase() : sort.order;
+    return `ORDER BY ${sort.column} ${order}, e.id ${order}`;
+}
+
+module.exports = {
+    EVENT_STATUSES,
+    ATTENDING_COUNT,
+    SORT_KEYS,
+    validateEventFilters,
+    filterConditions,
+    orderClause
+};
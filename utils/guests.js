@@ -0,0 +1,31 @@
+/**
+ * Guest helpers
+ * An RSVP counts as one person plus any guests they bring
+ */
+
+// SQL for the number of people an RSVP row (aliased r) stands for
+const HEADCOUNT = '(1 + r.guest_count)';
+
+/**
+ * Number of people an RSVP row stands for
+ */
+function headcount(rsvp) {
+    return 1 + (rsvp.guest_count || 0);
+}
+
+/**
+ * Turn the stored guest_names JSON into an array for API responses
+ */
+function formatGuests(rsvp) {
+    if (!rsvp) return rsvp;
+    return {
+        ...rsvp,
+        guest_names: rsvp.guest_names ? JSON.parse(rsvp.guest_names) : []
+    };
+}
+
+module.exports = {
+    HEADCOUNT,
+    headcount,
+    formatGuests
+};
@@ -0,0 +1,127 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Builds VCALENDAR documents for single events and per-user feeds
+ */
+
+const PRODUCT_ID = '-//Event Planner RSVP//EN';
+const UID_DOMAIN = 'event-planner-rsvp';
+
+// Used when an event row comes without its end time
+const DEFAULT_DURATION = 'PT1H';
+
+/**
+ * Format a date as a UTC DATE-TIME value, e.g. 20250101T180000Z
+ */
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse SQLite CURRENT_TIMESTAMP values, which are UTC without a zone marker
+ */
+function parseTimestamp(value) {
+    if (!value) return new Date();
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+    
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    const limit = () => (parts.length === 0 ? 75 : 74);
+    
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + charBytes > limit()) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build the VEVENT lines for an event row
+ * Options: url (link back to the event), tentative (RSVP'd "maybe")
+ */
+function buildEvent(event, options = {}) {
+    let status = 'CONFIRMED';
+    if (event.status === 'cancelled') {
+        status = 'CANCELLED';
+    } else if (options.tentative) {
+        status = 'TENTATIVE';
+    }
+    
+    const organizer = [event.first_name, event.last_name].filter(Boolean).join(' ') || event.creator_name;
+    
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${event.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(event.event_date)}`,
+        event.end_date ? `DTEND:${formatDate(event.end_date)}` : `DURATION:${DEFAULT_DURATION}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `STATUS:${status}`,
+        `LAST-MODIFIED:${formatDate(parseTimestamp(event.updated_at))}`,
+        // Bumped on every change so subscribed calendars replace their copy
+        `SEQUENCE:${Math.floor(parseTimestamp(event.updated_at).getTime() / 1000)}`
+    ];
+    
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (organizer) lines.push(`ORGANIZER;CN="${organizer.replace(/"/g, '')}":mailto:noreply@${UID_DOMAIN}`);
+    if (options.url) lines.push(`URL:${options.url}`);
+    
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document from VEVENT line groups
+ */
+function buildCalendar(eventLines, name) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    
+    eventLines.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+    
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    formatDate,
+    escapeText,
+    foldLine,
+    buildEvent,
+    buildCalendar
+};
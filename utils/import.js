@@ -0,0 +1,75 @@
+/**
+ * Bulk import helpers
+ * Imports take a CSV upload or a JSON list, are checked row by row with the
+ * same validators as single requests, and are saved all-or-nothing
+ */
+
+const { validationResult } = require('express-validator');
+const { parseCsv } = require('./csv');
+
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Read import rows from a text/csv body or a JSON list under the given key
+ * Empty cells are dropped so optional columns stay optional
+ * Throws with a message suitable for a 400 response
+ */
+function readImportRows(req, key) {
+    const rows = typeof req.body === 'string' ? parseCsv(req.body) : req.body[key];
+    
+    if (!Array.isArray(rows)) {
+        throw new Error(`Send a CSV file or a JSON body with a "${key}" list`);
+    }
+    if (rows.length === 0) {
+        throw new Error('Import has no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    
+    return rows.map(row => {
+        const values = {};
+        if (row && typeof row === 'object') {
+            Object.keys(row).forEach(column => {
+                if (row[column] !== '' && row[column] !== null) values[column] = row[column];
+            });
+        }
+        return values;
+    });
+}
+
+/**
+ * Run express-validator chains against each row as if it were a request body
+ * Resolves to the failing rows, numbered from 1 (the first row after the header)
+ */
+async function validateRows(rows, validators) {
+    const failures = [];
+    
+    for (let index = 0; index < rows.length; index++) {
+        const rowReq = { body: rows[index] };
+        for (const validator of validators) {
+            await validator.run(rowReq);
+        }
+        
+        const errors = validationResult(rowReq);
+        if (!errors.isEmpty()) {
+            failures.push({ row: index + 1, errors: errors.array() });
+        }
+    }
+    
+    return failures;
+}
+
+/**
+ * Whether the import should only be checked (?dryRun=true)
+ */
+function isDryRun(req) {
+    return req.query.dryRun === 'true' || req.query.dryRun === '1';
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    readImportRows,
+    validateRows,
+    isDryRun
+};
@@ -0,0 +1,251 @@
+/**
+ * Scheduled jobs
+ * Each job takes a database connection and calls back with a short summary
+ * of what it did, which the scheduler stores with the job
+ */
+
+const { runInSequence } = require('./async');
+const { notify, notifyAddresses } = require('./notifications');
+const { pruneLoginFailures } = require('./lockout');
+const { pruneSessions } = require('./sessionStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read a number of hours from the environment
+ */
+function hoursFromEnv(name, fallback) {
+    const hours = Number(process.env[name]);
+    return hours > 0 ? hours : fallback;
+}
+
+/**
+ * Days an event stays in the trash before it is deleted for good
+ */
+function trashRetentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return days > 0 ? days : 30;
+}
+
+/**
+ * Reminder offsets in hours, largest first (REMINDER_HOURS, e.g. "24,1")
+ */
+function reminderOffsets() {
+    const offsets = (process.env.REMINDER_HOURS || '24,1')
+        .split(',')
+        .map(Number)
+        .filter(hours => hours > 0);
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Whole hours from now until a date, at least 1
+ */
+function hoursUntil(date) {
+    return Math.max(1, Math.round((new Date(date).getTime() - Date.now()) / HOUR_MS));
+}
+
+/**
+ * Record that a reminder went out, calling back with whether it is new
+ * The unique key makes this safe to repeat after a crash or restart
+ */
+function claimReminder(db, eventId, recipient, kind, callback) {
+    db.run(
+        'INSERT OR IGNORE INTO sent_reminders (event_id, recipient, kind) VALUES (?, ?, ?)',
+        [eventId, recipient, kind],
+        function(err) {
+            callback(err, !err && this.changes > 0);
+        }
+    );
+}
+
+/**
+ * Group rows by event, keeping the event details from the first row
+ */
+function groupByEvent(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.event_id)) {
+            groups.set(row.event_id, {
+                event: {
+                    id: row.event_id,
+                    title: row.title,
+                    event_date: row.event_date,
+                    timezone: row.timezone,
+                    location: row.location
+                },
+                rows: []
+            });
+        }
+        groups.get(row.event_id).rows.push(row);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Mark events as completed once they are over
+ * Events stay active (and open for late check-in) for EVENT_COMPLETE_AFTER_HOURS
+ * after they end
+ */
+function completePastEvents(db, callback) {
+    const hours = hoursFromEnv('EVENT_COMPLETE_AFTER_HOURS', 2);
+    
+    db.run(
+        `UPDATE events SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'active' AND datetime(end_date) <= datetime('now', ?)`,
+        [`-${hours} hours`],
+        function(err) {
+            callback(err, err ? null : { completed: this.changes });
+        }
+    );
+}
+
+/**
+ * Permanently delete events that have been in the trash past the retention window
+ */
+function purgeDeletedEvents(db, callback) {
+    // RSVPs, answers, invitations and the rest go with the event through the
+    // schema's ON DELETE rules, which SQLite only enforces when asked to
+    db.run('PRAGMA foreign_keys = ON', (err) => {
+        if (err) return callback(err);
+        
+        db.run(
+            `DELETE FROM events
+             WHERE deleted_at IS NOT NULL AND datetime(deleted_at) <= datetime('now', ?)`,
+            [`-${trashRetentionDays()} days`],
+            function(err) {
+                callback(err, err ? null : { purged: this.changes });
+            }
+        );
+    });
+}
+
+/**
+ * Remind attending and maybe RSVPs before an event starts
+ * Each offset covers events starting between it and the next smaller
+ * offset, so someone who RSVPs late only gets the nearest reminder
+ */
+function sendEventReminders(db, callback) {
+    const offsets = reminderOffsets();
+    let sent = 0;
+    
+    runInSequence(offsets.map((hours, index) => (done) => {
+        const kind = `reminder_${hours}h`;
+        const lower = offsets[index + 1] || 0;
+        
+        db.all(`
+            SELECT e.id as event_id, e.title, e.event_date, e.timezone, e.location, u.id as user_id, LOWER(u.email) as email
+            FROM events e
+            JOIN rsvps r ON r.event_id = e.id AND r.status IN ('attending', 'maybe')
+            JOIN users u ON r.user_id = u.id
+            WHERE e.status = 'active'
+              AND datetime(e.event_date) > datetime('now', ?)
+              AND datetime(e.event_date) <= datetime('now', ?)
+              AND NOT EXISTS (
+                  SELECT 1 FROM sent_reminders s
+                  WHERE s.event_id = e.id AND s.recipient = LOWER(u.email) AND s.kind = ?
+              )
+        `, [`+${lower} hours`, `+${hours} hours`, kind], (err, rows) => {
+            if (err) return done(err);
+            
+            runInSequence(groupByEvent(rows).map(group => (next) => {
+                const userIds = [];
+                
+                runInSequence(group.rows.map(row => (claimed) => {
+                    claimReminder(db, row.event_id, row.email, kind, (err, isNew) => {
+                        if (isNew) userIds.push(row.user_id);
+                        claimed(err);
+                    });
+                }), (err) => {
+                    if (err) return next(err);
+                    
+                    sent += userIds.length;
+                    notify(userIds, 'event_reminder', {
+                        event: group.event,
+                        hoursBefore: hoursUntil(group.event.event_date)
+                    });
+                    next();
+                });
+            }), done);
+        });
+    }), (err) => callback(err, err ? null : { sent }));
+}
+
+/**
+ * Nudge invitees who have not responded as the RSVP deadline approaches
+ * The deadline is the event's rsvp_deadline, or when it starts if it has none;
+ * nobody is nudged before RSVPs open
+ * RSVP_NUDGE_HOURS sets how long beforehand the nudge is sent
+ */
+function sendRsvpNudges(db, callback) {
+    const hours = hoursFromEnv('RSVP_NUDGE_HOURS', 48);
+    const kind = 'rsvp_nudge';
+    
+    db.all(`
+        SELECT DISTINCT e.id as event_id, e.title, e.event_date, e.timezone, e.location,
+               COALESCE(e.rsvp_deadline, e.event_date) as deadline,
+               u.id as user_id, LOWER(COALESCE(u.email, i.email)) as email
+        FROM invitations i
+        JOIN events e ON i.event_id = e.id
+        LEFT JOIN users u ON u.id = i.user_id
+            OR (i.user_id IS NULL AND i.email IS NOT NULL AND LOWER(u.email) = LOWER(i.email))
+        WHERE i.revoked = 0 AND e.status = 'active'
+          AND COALESCE(u.email, i.email) IS NOT NULL
+          AND datetime(COALESCE(e.rsvp_deadline, e.event_date)) > datetime('now')
+          AND datetime(COALESCE(e.rsvp_deadline, e.event_date)) <= datetime('now', ?)
+          AND (e.rsvp_opens_at IS NULL OR datetime(e.rsvp_opens_at) <= datetime('now'))
+          AND (u.id IS NULL OR NOT EXISTS (
+              SELECT 1 FROM rsvps r WHERE r.event_id = e.id AND r.user_id = u.id
+          ))
+          AND NOT EXISTS (
+              SELECT 1 FROM sent_reminders s
+              WHERE s.event_id = e.id AND s.recipient = LOWER(COALESCE(u.email, i.email)) AND s.kind = ?
+          )
+    `, [`+${hours} hours`, kind], (err, rows) => {
+        if (err) return callback(err);
+        
+        let sent = 0;
+        
+        runInSequence(groupByEvent(rows).map(group => (next) => {
+            const userIds = [];
+            const emails = [];
+            
+            runInSequence(group.rows.map(row => (claimed) => {
+                claimReminder(db, row.event_id, row.email, kind, (err, isNew) => {
+                    if (isNew) {
+                        if (row.user_id) userIds.push(row.user_id);
+                        else emails.push(row.email);
+                    }
+                    claimed(err);
+                });
+            }), (err) => {
+                if (err) return next(err);
+                
+                const data = { event: group.event, deadline: group.rows[0].deadline };
+                sent += userIds.length + emails.length;
+                notify(userIds, kind, data);
+                notifyAddresses(emails, kind, data);
+                next();
+            });
+        }), (err) => callback(err, err ? null : { sent }));
+    });
+}
+
+// Jobs started by server.js, with how often each one runs
+const JOBS = [
+    { name: 'complete_past_events', intervalSeconds: 15 * 60, run: completePastEvents },
+    { name: 'event_reminders', intervalSeconds: 5 * 60, run: sendEventReminders },
+    { name: 'rsvp_nudges', intervalSeconds: 30 * 60, run: sendRsvpNudges },
+    { name: 'purge_deleted_events', intervalSeconds: 60 * 60, run: purgeDeletedEvents },
+    { name: 'prune_login_failures', intervalSeconds: 60 * 60, run: pruneLoginFailures },
+    { name: 'prune_sessions', intervalSeconds: 60 * 60, run: pruneSessions }
+];
+
+module.exports = {
+    JOBS,
+    trashRetentionDays,
+    completePastEvents,
+    purgeDeletedEvents,
+    sendEventReminders,
+    sendRsvpNudges
+};
@@ -0,0 +1,218 @@
+/**
+ * Login brute-force protection
+ * Failed logins are counted per account and per IP over a sliding window.
+ * After a few failures each further attempt has to wait longer, and past the
+ * limit the account is locked (until the lock runs out or an admin unlocks
+ * it) or the IP is blocked
+ */
+
+// Failures are counted over this window, which is also how long locks last
+const WINDOW_MINUTES = 15;
+
+// Failures before attempts are slowed down, and before lockout
+const LIMITS = {
+    account: { delayAfter: 3, lockAfter: 10 },
+    ip: { delayAfter: 10, lockAfter: 50 }
+};
+
+// Waits double with each failure (1s, 2s, 4s...) up to this
+const MAX_DELAY_SECONDS = 60;
+
+const WINDOW = `-${WINDOW_MINUTES} minutes`;
+
+/**
+ * Seconds to wait after the latest of a number of failures
+ */
+function delaySeconds(failures, delayAfter) {
+    if (failures < delayAfter) return 0;
+    return Math.min(2 ** (failures - delayAfter), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Count recent failures matching a condition, with seconds since the latest
+ */
+function failureStats(db, condition, params, callback) {
+    db.get(`
+        SELECT COUNT(*) as failures,
+               CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', MAX(created_at)) AS INTEGER) as seconds_since
+        FROM login_failures
+        WHERE (${condition}) AND datetime(created_at) > datetime('now', ?)
+    `, [...params, WINDOW], callback);
+}
+
+/**
+ * Failures counted against an account: by user ID once known, and by the
+ * name typed in, so unknown usernames are slowed down too
+ */
+function accountStats(db, identifier, userId, callback) {
+    failureStats(db, 'identifier = ? OR user_id = ?', [identifier.toLowerCase(), userId || null], callback);
+}
+
+/**
+ * Check whether a login attempt may go ahead, before the password is checked
+ * user is the account the identifier matched, if any
+ * Calls back with null, or { error, message, reason, retryAfter } to refuse with
+ */
+function checkLoginAllowed(db, { identifier, user, ip }, callback) {
+    const refuse = (reason, retryAfter) => callback(null, {
+        error: reason === 'account_locked' ? 'Account temporarily locked' : 'Too many failed login attempts',
+        message: `Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}`,
+        reason,
+        retryAfter
+    });
+    
+    db.get(
+        `SELECT CAST(strftime('%s', locked_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) as remaining
+         FROM users WHERE id = ? AND datetime(locked_until) > datetime('now')`,
+        [user ? user.id : null],
+        (err, lock) => {
+            if (err) return callback(err);
+            if (lock) return refuse('account_locked', lock.remaining);
+            
+            failureStats(db, 'ip_address = ?', [ip], (err, ipStats) => {
+                if (err) return callback(err);
+                
+                if (ipStats.failures >= LIMITS.ip.lockAfter) {
+                    return refuse('ip_blocked', WINDOW_MINUTES * 60 - ipStats.seconds_since);
+                }
+                
+                accountStats(db, identifier, user && user.id, (err, stats) => {
+                    if (err) return callback(err);
+                    
+                    const wait = Math.max(
+                        delaySeconds(stats.failures, LIMITS.account.delayAfter) - stats.seconds_since,
+                        delaySeconds(ipStats.failures, LIMITS.ip.delayAfter) - ipStats.seconds_since
+                    );
+                    
+                    if (wait > 0) return refuse('too_many_attempts', wait);
+                    callback(null, null);
+                });
+            });
+        }
+    );
+}
+
+/**
+ * Record a failed login, locking the account once it reaches the limit
+ * Calls back with { failures, accountLocked, ipBlocked }, where the last two
+ * are only true for the attempt that crossed the limit
+ */
+function recordLoginFailure(db, { identifier, user, ip }, callback) {
+    const userId = user ? user.id : null;
+    
+    db.run(
+        'INSERT INTO login_failures (identifier, user_id, ip_address) VALUES (?, ?, ?)',
+        [identifier.toLowerCase(), userId, ip],
+        (err) => {
+            if (err) return callback(err);
+            
+            accountStats(db, identifier, userId, (err, stats) => {
+                if (err) return callback(err);
+                
+                failureStats(db, 'ip_address = ?', [ip], (err, ipStats) => {
+                    if (err) return callback(err);
+                    
+                    const result = {
+                        failures: stats.failures,
+                        accountLocked: false,
+                        ipBlocked: ipStats.failures === LIMITS.ip.lockAfter
+                    };
+                    
+                    if (!userId || stats.failures < LIMITS.account.lockAfter) {
+                        return callback(null, result);
+                    }
+                    
+                    db.run(
+                        `UPDATE users SET locked_until = datetime('now', ?)
+                         WHERE id = ? AND (locked_until IS NULL OR datetime(locked_until) <= datetime('now'))`,
+                        [`+${WINDOW_MINUTES} minutes`, userId],
+                        function(err) {
+                            if (err) return callback(err);
+                            callback(null, { ...result, accountLocked: this.changes > 0 });
+                        }
+                    );
+                });
+            });
+        }
+    );
+}
+
+/**
+ * Forget an account's failed logins and lift any lock
+ * Used after a successful login, a password reset, or by an admin
+ */
+function unlockAccount(db, user, callback) {
+    db.run(
+        'DELETE FROM login_failures WHERE user_id = ? OR identifier IN (?, ?)',
+        [user.id, user.username.toLowerCase(), user.email.toLowerCase()],
+        (err) => {
+            if (err) return callback(err);
+            db.run('UPDATE users SET locked_until = NULL WHERE id = ? AND locked_until IS NOT NULL', [user.id], callback);
+        }
+    );
+}
+
+/**
+ * Forget an IP's failed logins, unblocking it
+ * Calls back with the number of failures cleared
+ */
+function unblockIp(db, ip, callback) {
+    db.run('DELETE FROM login_failures WHERE ip_address = ?', [ip], function(err) {
+        callback(err, err ? null : this.changes);
+    });
+}
+
+/**
+ * Locked accounts, and IPs with enough recent failures to be slowed down
+ */
+function listLockouts(db, callback) {
+    db.all(`
+        SELECT u.id, u.username, u.email, u.locked_until,
+               (SELECT COUNT(*) FROM login_failures f
+                WHERE f.user_id = u.id AND datetime(f.created_at) > datetime('now', ?)) as recent_failures
+        FROM users u
+        WHERE datetime(u.locked_until) > datetime('now')
+        ORDER BY u.locked_until DESC
+    `, [WINDOW], (err, accounts) => {
+        if (err) return callback(err);
+        
+        db.all(`
+            SELECT ip_address, COUNT(*) as recent_failures, COUNT(DISTINCT identifier) as accounts_tried,
+                   MAX(created_at) as last_failure_at
+            FROM login_failures
+            WHERE datetime(created_at) > datetime('now', ?)
+            GROUP BY ip_address
+            HAVING COUNT(*) >= ?
+            ORDER BY recent_failures DESC
+        `, [WINDOW, LIMITS.ip.delayAfter], (err, ips) => {
+            if (err) return callback(err);
+            
+            callback(null, {
+                accounts,
+                ips: ips.map(row => ({ ...row, blocked: row.recent_failures >= LIMITS.ip.lockAfter }))
+            });
+        });
+    });
+}
+
+/**
+ * Delete failures too old to count any more
+ */
+function pruneLoginFailures(db, callback) {
+    db.run(
+        "DELETE FROM login_failures WHERE datetime(created_at) <= datetime('now', ?)",
+        [WINDOW],
+        function(err) {
+            callback(err, err ? null : { pruned: this.changes });
+        }
+    );
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    unlockAccount,
+    unblockIp,
+    listLockouts,
+    pruneLoginFailures
+};
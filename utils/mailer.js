@@ -0,0 +1,90 @@
+/**
+ * Mail transports
+ * A transport is any object with send(message, callback), where message is
+ * { to, subject, text }. MAIL_TRANSPORT picks a built-in one: smtp for real
+ * delivery, or file/console for local testing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Event Planner <noreply@event-planner-rsvp>';
+
+/**
+ * Send through an SMTP server configured with SMTP_* environment variables
+ */
+function smtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+    
+    return {
+        name: 'smtp',
+        send(message, callback) {
+            transporter.sendMail({
+                from: process.env.MAIL_FROM || DEFAULT_FROM,
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            }, (err) => callback(err || null));
+        }
+    };
+}
+
+/**
+ * Append each message as a JSON line to MAIL_FILE (default logs/mail.log)
+ */
+function fileTransport() {
+    const file = process.env.MAIL_FILE || path.join(__dirname, '..', 'logs', 'mail.log');
+    
+    return {
+        name: 'file',
+        send(message, callback) {
+            fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+                if (err) return callback(err);
+                
+                const line = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+                fs.appendFile(file, line + '\n', callback);
+            });
+        }
+    };
+}
+
+/**
+ * Print messages to the server log
+ */
+function consoleTransport() {
+    return {
+        name: 'console',
+        send(message, callback) {
+            console.log(`📧 To: ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`);
+            callback(null);
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+};
+
+/**
+ * Create a transport by name (defaults to MAIL_TRANSPORT, then console)
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return TRANSPORTS[name]();
+}
+
+module.exports = {
+    createTransport
+};
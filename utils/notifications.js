@@ -0,0 +1,339 @@
+/**
+ * Notification helpers
+ * Notifications are rendered from templates into the notification_outbox
+ * table, and a background worker delivers them through the mail transport,
+ * retrying failed sends with exponential backoff
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { NOTIFICATION_TYPES, renderTemplate } = require('./templates');
+const { createTransport } = require('./mailer');
+const { runInSequence } = require('./async');
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+// Give up after this many sends; retries wait 1, 2, 4, 8... minutes
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+const BATCH_SIZE = 20;
+
+// RSVP statuses that hear about changes to an event
+const ATTENDEE_STATUSES = ['attending', 'maybe', 'waitlisted'];
+
+let worker = null;
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+/**
+ * Render and insert one outbox row per recipient
+ * Recipients are user rows (id, email, username, first_name); id is null
+ * for people who only have an email address
+ */
+function queueMessages(db, recipients, type, data, callback) {
+    runInSequence(recipients.map(recipient => (done) => {
+        let message;
+        try {
+            message = renderTemplate(type, data, recipient);
+        } catch (error) {
+            return done(error);
+        }
+        
+        db.run(
+            'INSERT INTO notification_outbox (user_id, type, recipient, subject, body) VALUES (?, ?, ?, ?, ?)',
+            [recipient.id || null, type, recipient.email, message.subject, message.text],
+            done
+        );
+    }), callback);
+}
+
+/**
+ * Queue a notification for each user who has not turned that type off
+ * Uses its own connection so routes can fire and forget; errors are logged
+ * Calls back with the number of messages queued
+ */
+function notify(userIds, type, data, callback = () => {}) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return callback(null, 0);
+    
+    const db = getDb();
+    
+    db.all(`
+        SELECT u.id, u.username, u.email, u.first_name
+        FROM users u
+        WHERE u.id IN (${ids.map(() => '?').join(', ')})
+          AND NOT EXISTS (
+              SELECT 1 FROM notification_preferences p
+              WHERE p.user_id = u.id AND p.type = ? AND p.enabled = 0
+          )
+    `, [...ids, type], (err, users) => {
+        if (err) {
+            db.close();
+            console.error('Notification error:', err);
+            return callback(err);
+        }
+        
+        queueMessages(db, users, type, data, (err) => {
+            db.close();
+            
+            if (err) {
+                console.error('Notification error:', err);
+                return callback(err);
+            }
+            
+            wakeOutboxWorker();
+            callback(null, users.length);
+        });
+    });
+}
+
+/**
+ * Queue a notification for email addresses without an account
+ */
+function notifyAddresses(emails, type, data, callback = () => {}) {
+    const recipients = [...new Set(emails)].map(email => ({ id: null, email, username: 'there' }));
+    if (recipients.length === 0) return callback(null, 0);
+    
+    const db = getDb();
+    
+    queueMessages(db, recipients, type, data, (err) => {
+        db.close();
+        
+        if (err) {
+            console.error('Notification error:', err);
+            return callback(err);
+        }
+        
+        wakeOutboxWorker();
+        callback(null, recipients.length);
+    });
+}
+
+/**
+ * Queue an account security message (verification, password reset...)
+ * These ignore preferences and go to the given user row's email
+ * (id, email, username, first_name); id may be null for deleted accounts
+ */
+function notifyAccount(user, type, data, callback = () => {}) {
+    const db = getDb();
+    
+    queueMessages(db, [user], type, data, (err) => {
+        db.close();
+        
+        if (err) {
+            console.error('Notification error:', err);
+            return callback(err);
+        }
+        
+        wakeOutboxWorker();
+        callback(null, 1);
+    });
+}
+
+/**
+ * Like notify, but loads the event the message is about first
+ * For callers that only have the event ID to hand
+ */
+function notifyForEvent(userIds, type, eventId, data = {}, callback = () => {}) {
+    if (userIds.length === 0) return callback(null, 0);
+    
+    const db = getDb();
+    
+    db.get(
+        'SELECT id, title, event_date, timezone, location, status FROM events WHERE id = ?',
+        [eventId],
+        (err, event) => {
+            db.close();
+            
+            if (err || !event) {
+                if (err) console.error('Notification error:', err);
+                return callback(err || null, 0);
+            }
+            
+            notify(userIds, type, { ...data, event }, callback);
+        }
+    );
+}
+
+/**
+ * Queue a notification for everyone who responded to the given events
+ * People who said they are not attending are left out, and each user gets
+ * one message however many of the events they responded to. Without
+ * data.event, the message is about the first of the events
+ */
+function notifyAttendees(eventIds, type, data = {}, callback = () => {}) {
+    if (eventIds.length === 0) return callback(null, 0);
+    
+    const db = getDb();
+    
+    db.all(`
+        SELECT DISTINCT user_id FROM rsvps
+        WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+          AND status IN (${ATTENDEE_STATUSES.map(() => '?').join(', ')})
+    `, [...eventIds, ...ATTENDEE_STATUSES], (err, rows) => {
+        db.close();
+        
+        if (err) {
+            console.error('Notification error:', err);
+            return callback(err);
+        }
+        
+        const userIds = rows.map(row => row.user_id);
+        if (data.event) return notify(userIds, type, data, callback);
+        notifyForEvent(userIds, type, eventIds[0], data, callback);
+    });
+}
+
+/**
+ * Get a user's preferences as { type: enabled }; types default to enabled
+ */
+function getPreferences(db, userId, callback) {
+    db.all(
+        'SELECT type, enabled FROM notification_preferences WHERE user_id = ?',
+        [userId],
+        (err, rows) => {
+            if (err) return callback(err);
+            
+            const preferences = {};
+            NOTIFICATION_TYPES.forEach(type => {
+                preferences[type] = true;
+            });
+            rows.forEach(row => {
+                preferences[row.type] = !!row.enabled;
+            });
+            callback(null, preferences);
+        }
+    );
+}
+
+/**
+ * Save some or all of a user's preferences ({ type: enabled })
+ */
+function savePreferences(db, userId, preferences, callback) {
+    runInSequence(Object.keys(preferences).map(type => (done) => db.run(
+        `INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+         ON CONFLICT (user_id, type) DO UPDATE SET enabled = excluded.enabled`,
+        [userId, type, preferences[type] ? 1 : 0],
+        done
+    )), callback);
+}
+
+/**
+ * Send the pending messages that are due
+ * Failures are retried later until MAX_ATTEMPTS, then marked failed
+ * Calls back with { processed, sent }
+ */
+function processOutbox(db, transport, callback) {
+    db.all(
+        `SELECT * FROM notification_outbox
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY id ASC LIMIT ?`,
+        [BATCH_SIZE],
+        (err, messages) => {
+            if (err) return callback(err);
+            
+            let sent = 0;
+            
+            runInSequence(messages.map(message => (done) => {
+                transport.send({ to: message.recipient, subject: message.subject, text: message.body }, (sendErr) => {
+                    const attempts = message.attempts + 1;
+                    
+                    if (!sendErr) {
+                        sent++;
+                        return db.run(
+                            `UPDATE notification_outbox
+                             SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+                             WHERE id = ?`,
+                            [attempts, message.id],
+                            done
+                        );
+                    }
+                    
+                    const delay = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+                    db.run(
+                        `UPDATE notification_outbox
+                         SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+                         WHERE id = ?`,
+                        [attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', attempts,
+                            String(sendErr.message || sendErr), `+${delay} seconds`, message.id],
+                        done
+                    );
+                });
+            }), (err) => callback(err, { processed: messages.length, sent }));
+        }
+    );
+}
+
+/**
+ * Start delivering queued messages in the background
+ * Runs every intervalMs and straight away whenever something is queued
+ */
+function startOutboxWorker(options = {}) {
+    const transport = options.transport || createTransport();
+    const intervalMs = options.intervalMs || 30 * 1000;
+    let running = false;
+    let runAgain = false;
+    
+    const run = () => {
+        if (running) {
+            runAgain = true;
+            return;
+        }
+        running = true;
+        
+        const db = getDb();
+        processOutbox(db, transport, (err) => {
+            db.close();
+            running = false;
+            
+            if (err) {
+                console.error('Outbox delivery error:', err);
+            }
+            if (runAgain) {
+                runAgain = false;
+                run();
+            }
+        });
+    };
+    
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    
+    worker = {
+        transport,
+        run,
+        stop() {
+            clearInterval(timer);
+            worker = null;
+        }
+    };
+    
+    run();
+    return worker;
+}
+
+/**
+ * Deliver newly queued messages now instead of on the next tick
+ */
+function wakeOutboxWorker() {
+    if (worker) setImmediate(worker.run);
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    notify,
+    notifyAddresses,
+    notifyAccount,
+    notifyForEvent,
+    notifyAttendees,
+    getPreferences,
+    savePreferences,
+    processOutbox,
+    startOutboxWorker
+};
@@ -0,0 +1,48 @@
+/**
+ * Pagination helpers for list endpoints
+ * Lists take a 1-based ?page= and a ?limit=, and return a pagination block
+ * with the totals next to the rows
+ */
+
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const validatePagination = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive number'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+];
+
+/**
+ * Read page, limit, and the matching SQL offset from the query string
+ */
+function getPagination(req) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_LIMIT;
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Pagination block for a response
+ */
+function paginationMeta(pagination, total) {
+    return {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        pages: Math.ceil(total / pagination.limit)
+    };
+}
+
+module.exports = {
+    validatePagination,
+    getPagination,
+    paginationMeta
+};
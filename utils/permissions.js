@@ -0,0 +1,194 @@
+/**
+ * Per-event roles and permissions
+ * The creator of an event is its owner (events.created_by); other people can
+ * be given a role on it through event_members. Each permission lists the roles
+ * that have it, and admins have every permission on every event
+ */
+
+const { runInSequence } = require('./async');
+
+// Roles that can be given through event_members; the owner is not a member
+const MEMBER_ROLES = ['co_organizer', 'check_in_staff'];
+
+const PERMISSIONS = {
+    view_members: ['owner', 'co_organizer', 'check_in_staff'],
+    check_in: ['owner', 'co_organizer', 'check_in_staff'],
+    view_attendees: ['owner', 'co_organizer', 'check_in_staff'],
+    manage_attendees: ['owner', 'co_organizer'],
+    edit: ['owner', 'co_organizer'],
+    cancel: ['owner'],
+    delete: ['owner'],
+    manage_members: ['owner'],
+    transfer: ['owner']
+};
+
+/**
+ * Whether a role has a permission
+ */
+function can(role, permission) {
+    return role === 'admin' || (!!role && PERMISSIONS[permission].includes(role));
+}
+
+/**
+ * A user's role on an event: 'admin', 'owner', a member role, or null
+ * The event row needs id and created_by
+ */
+function eventRole(db, event, user, callback) {
+    if (!user) return callback(null, null);
+    if (user.role === 'admin') return callback(null, 'admin');
+    if (event.created_by === user.id) return callback(null, 'owner');
+    
+    db.get(
+        'SELECT role FROM event_members WHERE event_id = ? AND user_id = ?',
+        [event.id, user.id],
+        (err, member) => callback(err, err || !member ? null : member.role)
+    );
+}
+
+/**
+ * Load an event and check the user has a permission on it
+ * options: { permission, action (for the error message), columns, trashed }
+ * columns must include id and created_by. Events in the trash are only found
+ * when options.trashed is set
+ * Sends the error response itself and calls back with (event, role) only on success
+ */
+function withEventPermission(db, eventId, user, res, options, callback) {
+    db.get(
+        `SELECT ${options.columns || '*'} FROM events
+         WHERE id = ? AND deleted_at IS ${options.trashed ? 'NOT NULL' : 'NULL'}`,
+        [eventId],
+        (err, event) => {
+            if (err) {
+                db.close();
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            
+            if (!event) {
+                db.close();
+                return res.status(404).json({ error: options.trashed ? 'Event not found in trash' : 'Event not found' });
+            }
+            
+            eventRole(db, event, user, (err, role) => {
+                if (err) {
+                    db.close();
+                    console.error('Database error:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                
+                // Check permissions
+                if (!can(role, options.permission)) {
+                    db.close();
+                    return res.status(403).json({ error: `Access denied. You do not have permission to ${options.action} this event.` });
+                }
+                
+                callback(event, role);
+            });
+        }
+    );
+}
+
+/**
+ * SQL condition (events table, unaliased) for an event and the other
+ * occurrences of its series, which share their owner and members
+ */
+function sharedScope(event) {
+    return event.series_id
+        ? { clause: 'series_id = ?', params: [event.series_id] }
+        : { clause: 'id = ?', params: [event.id] };
+}
+
+/**
+ * An event's members with their user details, co-organizers first
+ */
+function listMembers(db, eventId, callback) {
+    db.all(`
+        SELECT m.user_id, m.role, m.created_at, m.updated_at, m.added_by,
+               u.username, u.email, u.first_name, u.last_name
+        FROM event_members m
+        JOIN users u ON m.user_id = u.id
+        WHERE m.event_id = ?
+        ORDER BY CASE m.role WHEN 'co_organizer' THEN 0 ELSE 1 END, u.username
+    `, [eventId], callback);
+}
+
+/**
+ * Give a user a role on an event (and every occurrence of its series),
+ * replacing any role they had
+ */
+function setMember(db, event, userId, role, addedBy, callback) {
+    const scope = sharedScope(event);
+    
+    db.run(
+        `INSERT INTO event_members (event_id, user_id, role, added_by)
+         SELECT id, ?, ?, ? FROM events WHERE ${scope.clause}
+         ON CONFLICT (event_id, user_id) DO UPDATE SET role = excluded.role, updated_at = CURRENT_TIMESTAMP`,
+        [userId, role, addedBy, ...scope.params],
+        callback
+    );
+}
+
+/**
+ * Take a user's role on an event (and its series) away
+ * Calls back with true if they had one
+ */
+function removeMember(db, event, userId, callback) {
+    const scope = sharedScope(event);
+    
+    db.run(
+        `DELETE FROM event_members WHERE user_id = ? AND event_id IN (SELECT id FROM events WHERE ${scope.clause})`,
+        [userId, ...scope.params],
+        function(err) {
+            callback(err, !err && this.changes > 0);
+        }
+    );
+}
+
+/**
+ * Hand an event, or its whole series, to a new owner
+ * Occurrences of a series always share an owner. The new owner stops being a
+ * member, and previousOwnerRole (if given) keeps the old owner on as a member
+ * Calls back with the number of events transferred
+ */
+function transferOwnership(db, event, newOwnerId, previousOwnerRole, callback) {
+    const scope = sharedScope(event);
+    let transferred = 0;
+    
+    const tasks = [
+        (done) => db.run(
+            `UPDATE events SET created_by = ?, updated_at = CURRENT_TIMESTAMP WHERE ${scope.clause}`,
+            [newOwnerId, ...scope.params],
+            function(err) {
+                if (!err) transferred = this.changes;
+                done(err);
+            }
+        ),
+        (done) => removeMember(db, event, newOwnerId, done)
+    ];
+    
+    if (event.series_id) {
+        tasks.push((done) => db.run(
+            'UPDATE event_series SET created_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [newOwnerId, event.series_id],
+            done
+        ));
+    }
+    
+    if (previousOwnerRole && event.created_by !== newOwnerId) {
+        tasks.push((done) => setMember(db, event, event.created_by, previousOwnerRole, event.created_by, done));
+    }
+    
+    runInSequence(tasks, (err) => callback(err, err ? null : transferred));
+}
+
+module.exports = {
+    MEMBER_ROLES,
+    PERMISSIONS,
+    can,
+    eventRole,
+    withEventPermission,
+    listMembers,
+    setMember,
+    removeMember,
+    transferOwnership
+};
@@ -0,0 +1,230 @@
+/**
+ * RSVP questionnaire helpers
+ * Organizers define questions per event (identified by a short key such as
+ * "meal"), and RSVPs answer them as { key: value }
+ */
+
+const { runInSequence } = require('./async');
+
+const QUESTION_TYPES = ['short_text', 'single_choice', 'multiple_choice', 'number', 'yes_no'];
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+const MAX_TEXT_ANSWER = 500;
+
+/**
+ * Convert a question row from the database for API responses
+ */
+function formatQuestion(row) {
+    return {
+        id: row.id,
+        key: row.key,
+        type: row.type,
+        label: row.label,
+        options: row.options ? JSON.parse(row.options) : null,
+        required: !!row.required,
+        position: row.position
+    };
+}
+
+/**
+ * Get an event's questions in display order
+ */
+function getQuestions(db, eventId, callback) {
+    db.all(
+        'SELECT * FROM event_questions WHERE event_id = ? ORDER BY position ASC',
+        [eventId],
+        (err, rows) => callback(err, rows ? rows.map(formatQuestion) : [])
+    );
+}
+
+/**
+ * Make an event's questions match the given list
+ * Questions are matched by key: existing keys are updated in place (keeping
+ * their answers), new keys are added, and missing keys are removed along
+ * with their answers
+ */
+function syncQuestions(db, eventId, questions, callback) {
+    const keys = questions.map(q => q.key);
+    const keep = keys.length > 0 ? `AND key NOT IN (${keys.map(() => '?').join(', ')})` : '';
+    
+    const tasks = [
+        (done) => db.run(
+            `DELETE FROM rsvp_answers WHERE question_id IN (
+                SELECT id FROM event_questions WHERE event_id = ? ${keep}
+            )`,
+            [eventId, ...keys],
+            done
+        ),
+        (done) => db.run(`DELETE FROM event_questions WHERE event_id = ? ${keep}`, [eventId, ...keys], done)
+    ];
+    
+    questions.forEach((question, index) => {
+        tasks.push((done) => db.run(
+            `INSERT INTO event_questions (event_id, key, type, label, options, required, position)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (event_id, key) DO UPDATE SET
+                 type = excluded.type, label = excluded.label, options = excluded.options,
+                 required = excluded.required, position = excluded.position`,
+            [eventId, question.key, question.type, question.label,
+                CHOICE_TYPES.includes(question.type) ? JSON.stringify(question.options) : null,
+                question.required ? 1 : 0, index],
+            done
+        ));
+    });
+    
+    runInSequence(tasks, callback);
+}
+
+/**
+ * Check answers against an event's questions
+ * Required questions only apply to people who are (or may be) coming
+ * Returns a list of errors in the same shape as express-validator's
+ */
+function validateAnswers(questions, answers, status) {
+    const errors = [];
+    const byKey = new Map(questions.map(q => [q.key, q]));
+    const error = (key, msg) => errors.push({ type: 'field', path: `answers.${key}`, msg, location: 'body' });
+    
+    Object.keys(answers).forEach(key => {
+        if (!byKey.has(key)) error(key, 'Unknown question');
+    });
+    
+    questions.forEach(question => {
+        const value = answers[question.key];
+        const missing = value === undefined || value === null || value === ''
+            || (Array.isArray(value) && value.length === 0);
+        
+        if (missing) {
+            if (question.required && status !== 'not_attending') {
+                error(question.key, `${question.label} is required`);
+            }
+            return;
+        }
+        
+        switch (question.type) {
+            case 'short_text':
+                if (typeof value !== 'string' || value.length > MAX_TEXT_ANSWER) {
+                    error(question.key, `Answer must be text of at most ${MAX_TEXT_ANSWER} characters`);
+                }
+                break;
+            case 'single_choice':
+                if (!question.options.includes(value)) {
+                    error(question.key, `Answer must be one of: ${question.options.join(', ')}`);
+                }
+                break;
+            case 'multiple_choice':
+                if (!Array.isArray(value) || !value.every(choice => question.options.includes(choice))) {
+                    error(question.key, `Answers must be chosen from: ${question.options.join(', ')}`);
+                }
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    error(question.key, 'Answer must be a number');
+                }
+                break;
+            case 'yes_no':
+                if (typeof value !== 'boolean') {
+                    error(question.key, 'Answer must be true or false');
+                }
+                break;
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Replace the stored answers for an RSVP
+ */
+function saveAnswers(db, rsvpId, questions, answers, callback) {
+    const tasks = [
+        (done) => db.run('DELETE FROM rsvp_answers WHERE rsvp_id = ?', [rsvpId], done)
+    ];
+    
+    questions.forEach(question => {
+        const value = answers[question.key];
+        if (value === undefined || value === null || value === '') return;
+        
+        tasks.push((done) => db.run(
+            'INSERT INTO rsvp_answers (rsvp_id, question_id, value) VALUES (?, ?, ?)',
+            [rsvpId, question.id, JSON.stringify(value)],
+            done
+        ));
+    });
+    
+    runInSequence(tasks, callback);
+}
+
+/**
+ * Get the answers for an RSVP as { key: value }
+ */
+function getAnswers(db, rsvpId, callback) {
+    db.all(`
+        SELECT q.key, a.value
+        FROM rsvp_answers a
+        JOIN event_questions q ON a.question_id = q.id
+        WHERE a.rsvp_id = ?
+    `, [rsvpId], (err, rows) => {
+        if (err) return callback(err);
+        
+        const answers = {};
+        rows.forEach(row => {
+            answers[row.key] = JSON.parse(row.value);
+        });
+        callback(null, answers);
+    });
+}
+
+/**
+ * Aggregate answers per question for organizers
+ * Rows need question_id, value (stored JSON) and username
+ */
+function summarizeAnswers(questions, rows) {
+    return questions.map(question => {
+        const values = rows
+            .filter(row => row.question_id === question.id)
+            .map(row => ({ value: JSON.parse(row.value), username: row.username }));
+        
+        const summary = { ...question, response_count: values.length };
+        
+        if (CHOICE_TYPES.includes(question.type)) {
+            summary.counts = {};
+            question.options.forEach(option => {
+                summary.counts[option] = 0;
+            });
+            values.forEach(({ value }) => {
+                [].concat(value).forEach(choice => {
+                    summary.counts[choice] = (summary.counts[choice] || 0) + 1;
+                });
+            });
+        } else if (question.type === 'yes_no') {
+            summary.counts = {
+                yes: values.filter(({ value }) => value === true).length,
+                no: values.filter(({ value }) => value === false).length
+            };
+        } else if (question.type === 'number') {
+            const numbers = values.map(({ value }) => value);
+            const total = numbers.reduce((sum, n) => sum + n, 0);
+            summary.stats = {
+                sum: total,
+                average: numbers.length > 0 ? total / numbers.length : null,
+                min: numbers.length > 0 ? Math.min(...numbers) : null,
+                max: numbers.length > 0 ? Math.max(...numbers) : null
+            };
+        } else {
+            summary.responses = values;
+        }
+        
+        return summary;
+    });
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    CHOICE_TYPES,
+    getQuestions,
+    syncQuestions,
+    validateAnswers,
+    saveAnswers,
+    getAnswers,
+    summarizeAnswers
+};
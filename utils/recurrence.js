@@ -0,0 +1,136 @@
+/**
+ * Recurrence helpers
+ * Expands an event series rule into concrete occurrence dates
+ */
+
+const { DEFAULT_TIMEZONE, fromWallClock, toWallClock, toLocalDate } = require('./timezones');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Series without an until/count are materialized this far ahead
+const MAX_OCCURRENCES = 100;
+const DEFAULT_HORIZON_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the local YYYY-MM-DD of a date in the series timezone, used to match exclusions
+ * Plain dates are already local and are kept as they are
+ */
+function toDateKey(date, timezone = DEFAULT_TIMEZONE) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return String(date);
+    return toLocalDate(date, timezone);
+}
+
+/**
+ * Convert a series row from the database into a rule object
+ */
+function ruleFromSeries(series) {
+    return {
+        frequency: series.frequency,
+        interval: series.repeat_interval,
+        byWeekday: series.by_weekday ? series.by_weekday.split(',') : [],
+        until: series.until,
+        count: series.count,
+        exclusions: series.exclusions ? JSON.parse(series.exclusions) : []
+    };
+}
+
+/**
+ * Convert a rule object into column values for the event_series table
+ */
+function seriesColumns(rule) {
+    return {
+        frequency: rule.frequency,
+        repeat_interval: rule.interval || 1,
+        by_weekday: rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday.join(',') : null,
+        until: rule.until || null,
+        count: rule.count || null,
+        exclusions: JSON.stringify(rule.exclusions || [])
+    };
+}
+
+/**
+ * Candidate dates for one period of the rule, in chronological order
+ * Works on wall-clock times, so occurrences keep the local time of day
+ */
+function periodDates(start, rule, period) {
+    const interval = rule.interval || 1;
+    
+    if (rule.frequency === 'daily') {
+        return [new Date(start.getTime() + period * interval * DAY_MS)];
+    }
+    
+    if (rule.frequency === 'weekly') {
+        const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+            ? rule.byWeekday.map(day => WEEKDAYS.indexOf(day)).sort()
+            : [start.getUTCDay()];
+        
+        // Weeks start on Sunday; keep the time of day from the start date
+        const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY_MS + period * interval * 7 * DAY_MS);
+        return weekdays.map(day => new Date(weekStart.getTime() + day * DAY_MS));
+    }
+    
+    // Monthly on the same day of the month; months without that day are skipped
+    const date = new Date(start.getTime());
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + period * interval);
+    const month = date.getUTCMonth();
+    date.setUTCDate(start.getUTCDate());
+    return date.getUTCMonth() === month ? [date] : [];
+}
+
+/**
+ * Expand a rule from a start date into ISO occurrence dates
+ * Occurrences repeat at the start's local time in the timezone, so a weekly
+ * 18:00 event stays at 18:00 across daylight saving changes
+ * Exclusions are applied after count, matching RFC 5545 EXDATE behaviour
+ */
+function expandRecurrence(startDate, rule, timezone = DEFAULT_TIMEZONE) {
+    const start = new Date(startDate);
+    const localStart = toWallClock(start, timezone);
+    const until = rule.until
+        ? new Date(rule.until)
+        : (rule.count ? null : new Date(start.getTime() + DEFAULT_HORIZON_DAYS * DAY_MS));
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const exclusions = new Set((rule.exclusions || []).map(date => toDateKey(date, timezone)));
+    
+    const dates = [];
+    for (let period = 0; dates.length < limit; period++) {
+        const candidates = periodDates(localStart, rule, period);
+        
+        // Guard against rules that can never produce another date
+        if (period > limit * 31) break;
+        
+        let pastUntil = false;
+        for (const local of candidates) {
+            if (local < localStart) continue;
+            
+            const candidate = period === 0 && local.getTime() === localStart.getTime()
+                ? start
+                : fromWallClock(local, timezone);
+            if (until && candidate > until) {
+                pastUntil = true;
+                break;
+            }
+            dates.push(candidate);
+            if (dates.length >= limit) break;
+        }
+        if (pastUntil) break;
+    }
+    
+    return dates
+        .filter(date => !exclusions.has(toDateKey(date, timezone)))
+        .map(date => date.toISOString());
+}
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    MAX_OCCURRENCES,
+    toDateKey,
+    ruleFromSeries,
+    seriesColumns,
+    expandRecurrence
+};
@@ -0,0 +1,133 @@
+/**
+ * RSVP windows
+ * Organizers can choose when RSVPs open (rsvp_opens_at) and close
+ * (rsvp_deadline, or when the event starts if not set), lock RSVPs once they
+ * close, and require approval before anyone is let in as attending. The
+ * occurrences of a recurring event keep their window the same time before
+ * they start
+ */
+
+const { DEFAULT_TIMEZONE, parseUtc, toLocalIso, hasStarted } = require('./timezones');
+
+/**
+ * When RSVPs to an event close: its deadline, or when it starts
+ */
+function closesAt(event) {
+    return parseUtc(event.rsvp_deadline || event.event_date);
+}
+
+/**
+ * Whether an event takes RSVPs right now, for GET /api/events/:id
+ * state is not_open, open, or closed; times come in UTC and local time
+ */
+function rsvpWindow(event, now = new Date()) {
+    const timezone = event.timezone || DEFAULT_TIMEZONE;
+    const opens = event.rsvp_opens_at ? parseUtc(event.rsvp_opens_at) : null;
+    const closes = closesAt(event);
+    
+    let state = 'open';
+    if (event.status !== 'active' || closes <= now) {
+        state = 'closed';
+    } else if (opens && opens > now) {
+        state = 'not_open';
+    }
+    
+    return {
+        open: state === 'open',
+        state,
+        opens_at: opens ? opens.toISOString() : null,
+        opens_at_local: opens ? toLocalIso(opens, timezone) : null,
+        closes_at: closes.toISOString(),
+        closes_at_local: toLocalIso(closes, timezone),
+        locked_after_deadline: !!event.rsvp_locked,
+        requires_approval: !!event.rsvp_requires_approval
+    };
+}
+
+/**
+ * Whether RSVPs to an event can no longer be changed, because its RSVPs
+ * are locked and the deadline has passed
+ */
+function isLocked(event, now = new Date()) {
+    return !!event.rsvp_locked && closesAt(event) <= now;
+}
+
+/**
+ * Why a user cannot answer (or change their answer to) an event right now,
+ * as { status, code, error }, or null if they can
+ * existingRSVP is the user's current RSVP to the event, if any
+ */
+function rsvpBlock(event, existingRSVP, now = new Date()) {
+    if (existingRSVP && existingRSVP.status === 'declined') {
+        return { status: 409, code: 'RSVP_DECLINED', error: 'The organizer declined your RSVP to this event' };
+    }
+    
+    if (hasStarted(event, now)) {
+        return { status: 400, code: 'EVENT_STARTED', error: 'Cannot RSVP to past events' };
+    }
+    
+    const window = rsvpWindow(event, now);
+    
+    if (window.state === 'not_open') {
+        return { status: 409, code: 'RSVP_NOT_OPEN', error: `RSVPs to this event open at ${window.opens_at_local}` };
+    }
+    
+    // After the deadline, people who already answered can still change their mind unless RSVPs are locked
+    if (window.state === 'closed' && !existingRSVP) {
+        return { status: 409, code: 'RSVP_CLOSED', error: `RSVPs to this event closed at ${window.closes_at_local}` };
+    }
+    
+    if (isLocked(event, now)) {
+        return { status: 409, code: 'RSVP_LOCKED', error: 'RSVPs to this event are locked, so they can no longer be changed' };
+    }
+    
+    return null;
+}
+
+/**
+ * How long before an event starts its RSVPs open and close, in milliseconds
+ * (null if not set), from the rsvpOpensAt and rsvpDeadline request fields
+ * A field left out keeps the event row's current offset; null clears it
+ */
+function windowOffsets(start, fields, event = {}) {
+    const offset = (value, current) => {
+        if (value === undefined) {
+            return current ? parseUtc(event.event_date).getTime() - parseUtc(current).getTime() : null;
+        }
+        return value ? parseUtc(start).getTime() - parseUtc(value).getTime() : null;
+    };
+    
+    return {
+        opensBefore: offset(fields.rsvpOpensAt, event.rsvp_opens_at),
+        closesBefore: offset(fields.rsvpDeadline, event.rsvp_deadline)
+    };
+}
+
+/**
+ * The RSVP open and close times for an event starting at start, from windowOffsets
+ */
+function windowTimes(start, offsets) {
+    const before = (ms) => ms === null ? null : new Date(parseUtc(start).getTime() - ms).toISOString();
+    
+    return {
+        opensAt: before(offsets.opensBefore),
+        deadline: before(offsets.closesBefore)
+    };
+}
+
+/**
+ * Column value for the lock and approval settings on an update, where
+ * leaving a setting out (undefined) keeps the current value
+ */
+function settingColumn(value) {
+    return value === undefined ? null : (value ? 1 : 0);
+}
+
+module.exports = {
+    rsvpWindow,
+    isLocked,
+    rsvpBlock,
+    windowOffsets,
+    windowTimes,
+    settingColumn
+};
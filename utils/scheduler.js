@@ -0,0 +1,135 @@
+/**
+ * In-process job scheduler
+ * Job schedules live in the scheduled_jobs table, so a restart picks up
+ * where the last process left off and overdue jobs run straight away
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { runInSequence } = require('./async');
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+function getDb() {
+    return new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+}
+
+/**
+ * Make sure every job has a row, keeping the next run time of existing ones
+ */
+function registerJobs(db, jobs, callback) {
+    runInSequence(jobs.map(job => (done) => db.run(
+        `INSERT INTO scheduled_jobs (name, interval_seconds, next_run_at)
+         VALUES (?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (name) DO UPDATE SET interval_seconds = excluded.interval_seconds`,
+        [job.name, job.intervalSeconds],
+        done
+    )), callback);
+}
+
+/**
+ * Run one job and record the outcome
+ * The next run is booked before the job starts, so a job that crashes the
+ * process is not retried in a tight loop
+ */
+function runJob(db, job, callback) {
+    db.run(
+        `UPDATE scheduled_jobs SET next_run_at = datetime('now', ?) WHERE name = ?`,
+        [`+${job.intervalSeconds} seconds`, job.name],
+        (err) => {
+            if (err) return callback(err);
+            
+            const finish = (jobErr, result) => {
+                if (jobErr) {
+                    console.error(`Job ${job.name} failed:`, jobErr);
+                }
+                
+                db.run(
+                    `UPDATE scheduled_jobs
+                     SET last_run_at = CURRENT_TIMESTAMP, last_status = ?, last_error = ?, last_result = ?
+                     WHERE name = ?`,
+                    [jobErr ? 'error' : 'success', jobErr ? String(jobErr.message || jobErr) : null,
+                        result ? JSON.stringify(result) : null, job.name],
+                    callback
+                );
+            };
+            
+            try {
+                job.run(db, finish);
+            } catch (error) {
+                finish(error);
+            }
+        }
+    );
+}
+
+/**
+ * Run every job that is due
+ */
+function runDueJobs(db, jobs, callback) {
+    db.all(
+        'SELECT name FROM scheduled_jobs WHERE next_run_at <= CURRENT_TIMESTAMP',
+        [],
+        (err, rows) => {
+            if (err) return callback(err);
+            
+            const due = new Set(rows.map(row => row.name));
+            runInSequence(
+                jobs.filter(job => due.has(job.name)).map(job => (done) => runJob(db, job, done)),
+                callback
+            );
+        }
+    );
+}
+
+/**
+ * Start checking for due jobs every tickMs (default one minute)
+ */
+function startScheduler(jobs, options = {}) {
+    const tickMs = options.tickMs || 60 * 1000;
+    let running = false;
+    let timer = null;
+    
+    const tick = () => {
+        if (running) return;
+        running = true;
+        
+        const db = getDb();
+        runDueJobs(db, jobs, (err) => {
+            db.close();
+            running = false;
+            
+            if (err) {
+                console.error('Scheduler error:', err);
+            }
+        });
+    };
+    
+    const db = getDb();
+    registerJobs(db, jobs, (err) => {
+        db.close();
+        
+        if (err) {
+            return console.error('Scheduler error:', err);
+        }
+        
+        timer = setInterval(tick, tickMs);
+        timer.unref();
+        tick();
+    });
+    
+    return {
+        stop() {
+            if (timer) clearInterval(timer);
+        }
+    };
+}
+
+module.exports = {
+    runDueJobs,
+    startScheduler
+};
@@ -0,0 +1,158 @@
+/**
+ * Full-text event search
+ * Events are indexed in the events_fts table (FTS5 over title, description,
+ * and location), which triggers in schema.sql keep in sync with events.
+ * User queries are turned into FTS5 syntax here so that stray punctuation
+ * never reaches the parser as an error
+ */
+
+// Column weights for ranking, in events_fts column order: a match in the
+// title counts most, then location, then description
+const RANK = 'bm25(events_fts, 10.0, 1.0, 5.0)';
+
+// Highlighted matches are wrapped in these markers by SQLite, then escaped
+// and turned into <mark> tags by formatSearchResult
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const SEARCH_COLUMNS = `
+    highlight(events_fts, 0, '${MARK_START}', '${MARK_END}') as title_highlight,
+    snippet(events_fts, -1, '${MARK_START}', '${MARK_END}', '…', 16) as search_snippet
+`;
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Quoted phrases (optionally followed by * for a prefix), parentheses, and words
+const TOKEN_PATTERN = /"([^"]*)"(\*?)|([()])|([^\s()"]+)/g;
+
+// Words need a letter or digit; anything else is dropped by the tokenizer anyway
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+function phrase(text, prefix) {
+    return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+}
+
+/**
+ * Turn a search box query into an FTS5 MATCH expression
+ * Supports "quoted phrases", word* prefixes, AND / OR / NOT, and parentheses;
+ * words next to each other must all match. Anything FTS5 would reject, such as
+ * a dangling operator or an unbalanced parenthesis, is dropped
+ * Returns null if the query has nothing to search for
+ */
+function toMatchQuery(input) {
+    const tokens = [];
+    let match;
+    
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(String(input))) !== null) {
+        const [, quoted, quotedPrefix, paren, word] = match;
+        
+        if (quoted !== undefined) {
+            if (WORD_PATTERN.test(quoted)) tokens.push({ type: 'term', value: phrase(quoted.trim(), quotedPrefix) });
+        } else if (paren) {
+            tokens.push({ type: paren });
+        } else if (OPERATORS.includes(word)) {
+            tokens.push({ type: 'operator', value: word });
+        } else if (WORD_PATTERN.test(word)) {
+            const prefix = word.endsWith('*');
+            tokens.push({ type: 'term', value: phrase(prefix ? word.replace(/\*+$/, '') : word, prefix) });
+        }
+    }
+    
+    // Rebuild the expression, keeping operators only between two operands and
+    // parentheses only when they are balanced and not empty
+    const output = [];
+    const open = [];
+    const last = () => output[output.length - 1];
+    const endsOperand = () => !!last() && (last().type === 'term' || last().type === ')');
+    let skipTerm = false;
+    
+    tokens.forEach(token => {
+        if (token.type === 'operator') {
+            if (endsOperand()) {
+                output.push(token);
+            } else if (token.value === 'NOT') {
+                // FTS5 has no leading NOT, so leave out what it would exclude
+                skipTerm = true;
+            }
+            return;
+        }
+        
+        if (token.type === 'term' && skipTerm) {
+            skipTerm = false;
+            return;
+        }
+        skipTerm = false;
+        
+        // FTS5 only joins bare phrases implicitly, so spell out AND next to parentheses
+        if ((token.type === 'term' || token.type === '(') && endsOperand()) {
+            output.push({ type: 'operator', value: 'AND' });
+        }
+        
+        if (token.type === '(') {
+            open.push(output.length);
+            output.push(token);
+        } else if (token.type === ')') {
+            if (open.length === 0) return;
+            const start = open.pop();
+            
+            if (last().type === 'operator') output.pop();
+            if (output.length - 1 === start) {
+                output.pop();
+            } else {
+                output.push(token);
+            }
+        } else {
+            output.push(token);
+        }
+    });
+    
+    // Close what was left open, then drop a trailing operator
+    while (open.length > 0) {
+        const start = open.pop();
+        if (last().type === 'operator') output.pop();
+        if (output.length - 1 === start) {
+            output.pop();
+        } else {
+            output.push({ type: ')' });
+        }
+    }
+    while (last() && last().type === 'operator') output.pop();
+    
+    if (!output.some(token => token.type === 'term')) return null;
+    
+    return output.map(token => token.value || token.type).join(' ');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn the highlight markers in a search result into escaped HTML with <mark> tags
+ * Rows listed without a search are returned unchanged
+ */
+function formatSearchResult(row) {
+    if (!('search_snippet' in row)) return row;
+    
+    const marked = (text) => text === null || text === undefined
+        ? text
+        : escapeHtml(text).split(MARK_START).join('<mark>').split(MARK_END).join('</mark>');
+    
+    return {
+        ...row,
+        title_highlight: marked(row.title_highlight),
+        search_snippet: marked(row.search_snippet)
+    };
+}
+
+module.exports = {
+    RANK,
+    SEARCH_COLUMNS,
+    toMatchQuery,
+    formatSearchResult
+};
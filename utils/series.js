@@ -0,0 +1,462 @@
+/**
+ * Event series helpers
+ * Recurring events are stored as an event_series row plus one events row per
+ * occurrence, so RSVPs always attach to a concrete occurrence
+ */
+
+const { expandRecurrence, ruleFromSeries, seriesColumns, toDateKey } = require('./recurrence');
+const { promoteWaitlist } = require('./waitlist');
+const { runInSequence, runInTransaction } = require('./async');
+const { getQuestions, syncQuestions } = require('./questions');
+const { getTags, setTags } = require('./tags');
+const { DEFAULT_TIMEZONE, endTime, eventDuration } = require('./timezones');
+const { windowOffsets, windowTimes, settingColumn } = require('./rsvpWindow');
+
+// Recorded on occurrences with RSVPs that a shorter or moved rule leaves out
+const DROPPED_OCCURRENCE_REASON = 'This date is no longer part of the event series';
+
+/**
+ * Build a "?, ?, ?" placeholder list for an IN clause
+ */
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Insert an event_series row for a recurrence rule, repeating in the given timezone
+ */
+function insertSeries(db, rule, startDate, timezone, userId, callback) {
+    const columns = seriesColumns(rule);
+    
+    db.run(
+        `INSERT INTO event_series (frequency, repeat_interval, by_weekday, until, count, exclusions, start_date, timezone, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [columns.frequency, columns.repeat_interval, columns.by_weekday, columns.until,
+            columns.count, columns.exclusions, startDate, timezone, userId],
+        function(err) {
+            callback(err, err ? null : this.lastID);
+        }
+    );
+}
+
+/**
+ * Overwrite the rule of an existing series
+ */
+function updateSeriesRule(db, seriesId, rule, startDate, timezone, callback) {
+    const columns = seriesColumns(rule);
+    
+    db.run(
+        `UPDATE event_series
+         SET frequency = ?, repeat_interval = ?, by_weekday = ?, until = ?, count = ?, exclusions = ?,
+             start_date = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [columns.frequency, columns.repeat_interval, columns.by_weekday, columns.until,
+            columns.count, columns.exclusions, startDate, timezone, seriesId],
+        callback
+    );
+}
+
+/**
+ * End a series just before the given occurrence date
+ */
+function truncateSeries(db, seriesId, beforeDate, callback) {
+    const until = new Date(new Date(beforeDate).getTime() - 1).toISOString();
+    
+    db.run(
+        'UPDATE event_series SET until = ?, count = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [until, seriesId],
+        callback
+    );
+}
+
+/**
+ * Add a date to a series' exclusions so it is not generated again
+ */
+function addExclusion(db, seriesId, date, callback) {
+    db.get('SELECT exclusions, timezone FROM event_series WHERE id = ?', [seriesId], (err, series) => {
+        if (err || !series) return callback(err || null);
+        
+        const exclusions = series.exclusions ? JSON.parse(series.exclusions) : [];
+        const key = toDateKey(date, series.timezone);
+        if (exclusions.includes(key)) return callback(null);
+        
+        exclusions.push(key);
+        db.run(
+            'UPDATE event_series SET exclusions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [JSON.stringify(exclusions), seriesId],
+            callback
+        );
+    });
+}
+
+/**
+ * Remove a date from a series' exclusions, e.g. when an occurrence is reinstated
+ */
+function removeExclusion(db, seriesId, date, callback) {
+    db.get('SELECT exclusions, timezone FROM event_series WHERE id = ?', [seriesId], (err, series) => {
+        if (err || !series || !series.exclusions) return callback(err || null);
+        
+        const key = toDateKey(date, series.timezone);
+        const exclusions = JSON.parse(series.exclusions).filter(excluded => excluded !== key);
+        
+        db.run(
+            'UPDATE event_series SET exclusions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [JSON.stringify(exclusions), seriesId],
+            callback
+        );
+    });
+}
+
+/**
+ * Insert one events row per occurrence date, each with its own questions and tags
+ * Each occurrence lasts details.duration (milliseconds; the default if missing)
+ * and takes RSVPs in details.rsvpWindow, offsets from windowOffsets
+ * details.membersFrom copies that event's members (co-organizers and staff)
+ * Calls back with the new event IDs in date order
+ */
+function insertOccurrences(db, details, dates, callback) {
+    const ids = [];
+    
+    runInSequence(dates.map(date => (done) => {
+        const rsvpTimes = windowTimes(date, details.rsvpWindow || { opensBefore: null, closesBefore: null });
+        
+        db.run(
+            `INSERT INTO events (title, description, event_date, end_date, timezone, location, max_attendees,
+                                 max_guests_per_rsvp, rsvp_opens_at, rsvp_deadline, rsvp_locked, rsvp_requires_approval,
+                                 visibility, category_id, created_by, series_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [details.title, details.description, date, endTime(date, null, details.duration),
+                details.timezone || DEFAULT_TIMEZONE, details.location, details.maxAttendees || null,
+                details.maxGuestsPerRsvp || 0, rsvpTimes.opensAt, rsvpTimes.deadline,
+                details.rsvpLocked ? 1 : 0, details.rsvpRequiresApproval ? 1 : 0,
+                details.visibility || 'public', details.categoryId || null,
+                details.createdBy, details.seriesId || null],
+            function(err) {
+                if (err) return done(err);
+                
+                const eventId = this.lastID;
+                ids.push(eventId);
+                
+                runInSequence([
+                    (next) => details.questions ? syncQuestions(db, eventId, details.questions, next) : next(null),
+                    (next) => details.tags ? setTags(db, [eventId], details.tags, next) : next(null),
+                    (next) => details.membersFrom ? db.run(
+                        `INSERT INTO event_members (event_id, user_id, role, added_by)
+                         SELECT ?, user_id, role, added_by FROM event_members WHERE event_id = ?`,
+                        [eventId, details.membersFrom],
+                        next
+                    ) : next(null)
+                ], done);
+            }
+        );
+    }), (err) => callback(err, ids));
+}
+
+/**
+ * Find the active occurrences an edit or cancellation applies to
+ * "this" is just the event, "following" is the event and everything after
+ * it, "series" is every occurrence that has not happened yet
+ */
+function findTargets(db, event, scope, callback) {
+    if (!event.series_id || scope === 'this') {
+        return callback(null, [{ id: event.id, event_date: event.event_date }]);
+    }
+    
+    const from = scope === 'following' ? event.event_date : new Date().toISOString();
+    
+    db.all(
+        `SELECT id, event_date FROM events
+         WHERE series_id = ? AND status = 'active' AND datetime(event_date) >= datetime(?)
+         ORDER BY event_date ASC`,
+        [event.series_id, from],
+        callback
+    );
+}
+
+/**
+ * Apply an edit to "this and following" occurrences or the whole series
+ *
+ * Field changes are copied to every targeted occurrence. When the date or the
+ * recurrence rule changes, the rule is re-expanded and existing occurrences
+ * are moved onto the new dates in order, so their RSVPs are kept. Leftover
+ * occurrences are removed (or cancelled if they have RSVPs) and missing ones
+ * are created. If earlier occurrences exist they keep the old rule, and the
+ * targeted ones are split off into a new series.
+ *
+ * A one-off event given a recurrence rule becomes the first occurrence of a
+ * new series. Calls back with null when there is nothing left to update,
+ * otherwise with the counts, the IDs of the updated and cancelled
+ * occurrences, and the users promoted off each occurrence's waitlist.
+ * The changes are made in one transaction, so a failed edit changes nothing.
+ */
+function updateSeries(db, event, changes, scope, callback) {
+    const { title, description, eventDate, endDate, timezone, location, maxAttendees, maxGuestsPerRsvp, lockRsvpsAfterDeadline, requireRsvpApproval, visibility, categoryId, tags, recurrence, questions } = changes;
+    
+    // The category is kept unless categoryId is sent (null clears it)
+    const category = categoryId !== undefined ? categoryId : event.category_id;
+    
+    // So are the timezone and, when no end is sent, how long the event lasts
+    const zone = timezone || event.timezone;
+    const duration = endDate
+        ? new Date(endDate).getTime() - new Date(eventDate).getTime()
+        : eventDuration(event);
+    const rsvpWindow = windowOffsets(eventDate, changes, event);
+    
+    // RSVP times are kept the same time before each occurrence; the column
+    // is cleared when there is no offset
+    const windowColumn = (offset) => [offset !== null ? 1 : 0, `-${(offset || 0) / 1000} seconds`];
+    
+    const loadSeries = (done) => {
+        if (!event.series_id) return done(null, null);
+        db.get('SELECT * FROM event_series WHERE id = ?', [event.series_id], done);
+    };
+    
+    loadSeries((err, series) => {
+        if (err) return callback(err);
+        
+        findTargets(db, event, series ? scope : 'this', (err, targets) => {
+            if (err) return callback(err);
+            if (targets.length === 0) return callback(null, null);
+            
+            const anchor = targets[0];
+            
+            db.get(
+                'SELECT COUNT(*) as count FROM events WHERE series_id = ? AND datetime(event_date) < datetime(?)',
+                [series ? series.id : null, anchor.event_date],
+                (err, earlier) => {
+                    if (err) return callback(err);
+                    
+                    // Shift the whole run by however far the edited occurrence moved
+                    const shift = new Date(eventDate).getTime() - new Date(event.event_date).getTime();
+                    const newStart = new Date(new Date(anchor.event_date).getTime() + shift).toISOString();
+                    const timingChanged = shift !== 0 || !!recurrence || zone !== event.timezone;
+                    
+                    let rule = recurrence;
+                    if (!rule) {
+                        // Keep the old rule, but only count what is left of it
+                        rule = ruleFromSeries(series);
+                        if (rule.count) {
+                            const remainingExclusions = rule.exclusions
+                                .filter(date => date >= toDateKey(anchor.event_date, series.timezone));
+                            rule.count = targets.length + remainingExclusions.length;
+                        }
+                    }
+                    
+                    const split = series && earlier.count > 0;
+                    
+                    const saveRule = (done) => {
+                        if (!series || split) {
+                            return insertSeries(db, rule, newStart, zone, series ? series.created_by : event.created_by, (err, seriesId) => {
+                                if (err || !split) return done(err, seriesId);
+                                truncateSeries(db, series.id, anchor.event_date, (err) => done(err, seriesId));
+                            });
+                        }
+                        updateSeriesRule(db, series.id, rule, newStart, zone, (err) => done(err, series.id));
+                    };
+                    
+                    const targetIds = targets.map(t => t.id);
+                    const result = {
+                        seriesId: null,
+                        updated: targets.length,
+                        added: 0,
+                        removed: 0,
+                        eventIds: targetIds,
+                        cancelledIds: [],
+                        promoted: []
+                    };
+                    const tasks = [];
+                    
+                    tasks.push((done) => saveRule((err, seriesId) => {
+                        result.seriesId = seriesId;
+                        done(err);
+                    }));
+                    
+                    tasks.push((done) => db.run(
+                        `UPDATE events
+                         SET title = ?, description = ?, location = ?, max_attendees = ?,
+                             max_guests_per_rsvp = COALESCE(?, max_guests_per_rsvp),
+                             visibility = COALESCE(?, visibility), category_id = ?, series_id = ?,
+                             timezone = ?, end_date = strftime('%Y-%m-%dT%H:%M:%fZ', event_date, ?),
+                             rsvp_opens_at = CASE WHEN ? THEN strftime('%Y-%m-%dT%H:%M:%fZ', event_date, ?) END,
+                             rsvp_deadline = CASE WHEN ? THEN strftime('%Y-%m-%dT%H:%M:%fZ', event_date, ?) END,
+                             rsvp_locked = COALESCE(?, rsvp_locked),
+                             rsvp_requires_approval = COALESCE(?, rsvp_requires_approval),
+                             updated_at = CURRENT_TIMESTAMP
+                         WHERE id IN (${placeholders(targetIds)})`,
+                        [title, description, location, maxAttendees || null, maxGuestsPerRsvp,
+                            visibility || null, category || null, result.seriesId, zone,
+                            `+${duration / 1000} seconds`,
+                            ...windowColumn(rsvpWindow.opensBefore), ...windowColumn(rsvpWindow.closesBefore),
+                            settingColumn(lockRsvpsAfterDeadline), settingColumn(requireRsvpApproval), ...targetIds],
+                        done
+                    ));
+                    
+                    if (timingChanged) {
+                        const dates = expandRecurrence(newStart, rule, zone);
+                        const kept = targets.slice(0, dates.length);
+                        const leftover = targets.slice(dates.length).map(t => t.id);
+                        
+                        kept.forEach((target, index) => {
+                            const rsvpTimes = windowTimes(dates[index], rsvpWindow);
+                            
+                            tasks.push((done) => db.run(
+                                `UPDATE events SET event_date = ?, end_date = ?, rsvp_opens_at = ?, rsvp_deadline = ?
+                                 WHERE id = ?`,
+                                [dates[index], endTime(dates[index], null, duration),
+                                    rsvpTimes.opensAt, rsvpTimes.deadline, target.id],
+                                done
+                            ));
+                        });
+                        
+                        if (leftover.length > 0) {
+                            result.updated = kept.length;
+                            result.removed = leftover.length;
+                            result.eventIds = kept.map(t => t.id);
+                            
+                            // Occurrences nobody has answered can go, taking their questions,
+                            // tags, members and the rest with them; the rest are cancelled
+                            tasks.push((done) => db.run(
+                                `DELETE FROM events WHERE id IN (${placeholders(leftover)})
+                                 AND NOT EXISTS (SELECT 1 FROM rsvps WHERE event_id = events.id)`,
+                                leftover,
+                                done
+                            ));
+                            tasks.push((done) => db.run(
+                                `UPDATE events
+                                 SET status = 'cancelled', cancellation_reason = ?, cancelled_at = CURRENT_TIMESTAMP
+                                 WHERE id IN (${placeholders(leftover)})`,
+                                [DROPPED_OCCURRENCE_REASON, ...leftover],
+                                done
+                            ));
+                            tasks.push((done) => db.all(
+                                `SELECT id FROM events WHERE id IN (${placeholders(leftover)})`,
+                                leftover,
+                                (err, rows) => {
+                                    if (!err) result.cancelledIds = rows.map(row => row.id);
+                                    done(err);
+                                }
+                            ));
+                        }
+                        
+                        if (dates.length > targets.length) {
+                            const newDates = dates.slice(targets.length);
+                            result.added = newDates.length;
+                            
+                            // New occurrences copy the edited event's questions and tags unless new ones were sent
+                            tasks.push((done) => {
+                                const loadQuestions = (next) => {
+                                    if (questions) return next(null, questions);
+                                    getQuestions(db, event.id, next);
+                                };
+                                const loadTags = (next) => {
+                                    if (tags) return next(null, tags);
+                                    getTags(db, event.id, next);
+                                };
+                                
+                                loadQuestions((err, occurrenceQuestions) => {
+                                    if (err) return done(err);
+                                    
+                                    loadTags((err, occurrenceTags) => {
+                                        if (err) return done(err);
+                                        
+                                        insertOccurrences(db, {
+                                            title,
+                                            description,
+                                            location,
+                                            maxAttendees,
+                                            maxGuestsPerRsvp,
+                                            visibility,
+                                            categoryId: category,
+                                            timezone: zone,
+                                            duration,
+                                            rsvpWindow,
+                                            rsvpLocked: lockRsvpsAfterDeadline !== undefined ? lockRsvpsAfterDeadline : event.rsvp_locked,
+                                            rsvpRequiresApproval: requireRsvpApproval !== undefined ? requireRsvpApproval : event.rsvp_requires_approval,
+                                            tags: occurrenceTags,
+                                            questions: occurrenceQuestions,
+                                            createdBy: event.created_by,
+                                            membersFrom: event.id,
+                                            seriesId: result.seriesId
+                                        }, newDates, done);
+                                    });
+                                });
+                            });
+                        }
+                    }
+                    
+                    if (questions) {
+                        targetIds.forEach((id) => {
+                            tasks.push((done) => syncQuestions(db, id, questions, done));
+                        });
+                    }
+                    
+                    if (tags) {
+                        tasks.push((done) => setTags(db, targetIds, tags, done));
+                    }
+                    
+                    // Capacity may have gone up for every occurrence
+                    targetIds.forEach((id) => {
+                        tasks.push((done) => promoteWaitlist(db, id, (err, userIds) => {
+                            if (!err && userIds.length > 0) result.promoted.push({ eventId: id, userIds });
+                            done(err);
+                        }));
+                    });
+                    
+                    // Leftover occurrences are deleted through the schema's ON DELETE
+                    // rules, which SQLite only enforces when asked to; that cannot be
+                    // switched on inside a transaction, so it is done first
+                    db.run('PRAGMA foreign_keys = ON', (err) => {
+                        if (err) return callback(err);
+                        runInTransaction(db, tasks, (err) => callback(err, err ? null : result));
+                    });
+                }
+            );
+        });
+    });
+}
+
+/**
+ * Cancel "this", "this and following" or the whole series
+ * Cancelled occurrences keep their RSVPs and are not generated again
+ * cancellation is { reason, userId }, recorded on every occurrence
+ * Runs in one transaction, so a failed cancellation changes nothing
+ * Calls back with the IDs of the cancelled occurrences
+ */
+function cancelOccurrences(db, event, scope, cancellation, callback) {
+    findTargets(db, event, scope, (err, targets) => {
+        if (err) return callback(err);
+        if (targets.length === 0) return callback(null, []);
+        
+        const targetIds = targets.map(t => t.id);
+        const tasks = [];
+        
+        tasks.push((done) => db.run(
+            `UPDATE events
+             SET status = 'cancelled', cancellation_reason = ?, cancelled_at = CURRENT_TIMESTAMP,
+                 cancelled_by = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id IN (${placeholders(targetIds)})`,
+            [cancellation.reason || null, cancellation.userId, ...targetIds],
+            done
+        ));
+        
+        if (event.series_id) {
+            if (scope === 'this') {
+                tasks.push((done) => addExclusion(db, event.series_id, event.event_date, done));
+            } else {
+                tasks.push((done) => truncateSeries(db, event.series_id, targets[0].event_date, done));
+            }
+        }
+        
+        runInTransaction(db, tasks, (err) => callback(err, err ? [] : targetIds));
+    });
+}
+
+module.exports = {
+    DROPPED_OCCURRENCE_REASON,
+    insertSeries,
+    insertOccurrences,
+    addExclusion,
+    removeExclusion,
+    updateSeries,
+    cancelOccurrences
+};
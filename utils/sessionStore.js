@@ -0,0 +1,220 @@
+/**
+ * Session store
+ * Keeps express-session sessions in the sessions table of events.db, so
+ * they survive restarts, and lets users see and sign out their sessions
+ */
+
+const session = require('express-session');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'events.db');
+
+// Sessions without a cookie expiry are kept this long after last use
+const DEFAULT_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// Recognised clients, checked in order; the first match names the device
+const BROWSERS = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//]
+];
+const SYSTEMS = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+];
+
+function getDb() {
+    const db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        }
+    });
+    
+    // Sessions are saved as a request ends, often while its route is still writing
+    db.configure('busyTimeout', 5000);
+    return db;
+}
+
+/**
+ * SQLite datetime for a session's expiry
+ */
+function expiresAt(sess) {
+    const expires = sess.cookie && sess.cookie.expires
+        ? new Date(sess.cookie.expires)
+        : new Date(Date.now() + DEFAULT_LIFETIME_MS);
+    
+    return expires.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Short description of a user agent, e.g. "Firefox on Windows"
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+    
+    if (browser && system) return `${browser[0]} on ${system[0]}`;
+    if (browser || system) return (browser || system)[0];
+    return 'Unknown device';
+}
+
+/**
+ * Remember the IP and user agent a signed-in session is used from
+ * Only changes the session when they differ, so unchanged sessions are just touched
+ */
+function recordClient(req) {
+    const client = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+    const current = req.session.client;
+    
+    if (!current || current.ip !== client.ip || current.userAgent !== client.userAgent) {
+        req.session.client = client;
+    }
+}
+
+/**
+ * express-session store backed by the sessions table
+ */
+class SQLiteStore extends session.Store {
+    get(sid, callback) {
+        const db = getDb();
+        
+        db.get(
+            "SELECT data FROM sessions WHERE sid = ? AND datetime(expires_at) > datetime('now')",
+            [sid],
+            (err, row) => {
+                db.close();
+                
+                if (err) return callback(err);
+                if (!row) return callback(null, null);
+                
+                try {
+                    callback(null, JSON.parse(row.data));
+                } catch (parseError) {
+                    callback(parseError);
+                }
+            }
+        );
+    }
+    
+    set(sid, sess, callback = () => {}) {
+        const db = getDb();
+        const client = sess.client || {};
+        
+        db.run(
+            `INSERT INTO sessions (sid, user_id, data, ip_address, user_agent, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (sid) DO UPDATE SET
+                 user_id = excluded.user_id,
+                 data = excluded.data,
+                 ip_address = excluded.ip_address,
+                 user_agent = excluded.user_agent,
+                 expires_at = excluded.expires_at,
+                 last_seen_at = CURRENT_TIMESTAMP`,
+            [sid, sess.user ? sess.user.id : null, JSON.stringify(sess), client.ip || null, client.userAgent || null, expiresAt(sess)],
+            (err) => {
+                db.close();
+                callback(err || null);
+            }
+        );
+    }
+    
+    touch(sid, sess, callback = () => {}) {
+        const db = getDb();
+        
+        db.run(
+            'UPDATE sessions SET expires_at = ?, last_seen_at = CURRENT_TIMESTAMP WHERE sid = ?',
+            [expiresAt(sess), sid],
+            (err) => {
+                db.close();
+                callback(err || null);
+            }
+        );
+    }
+    
+    destroy(sid, callback = () => {}) {
+        const db = getDb();
+        
+        db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => {
+            db.close();
+            callback(err || null);
+        });
+    }
+}
+
+/**
+ * A user's unexpired sessions, most recently used first
+ * currentSid marks the session making the request
+ */
+function listUserSessions(db, userId, currentSid, callback) {
+    db.all(`
+        SELECT id, sid, ip_address, user_agent, created_at, last_seen_at, expires_at
+        FROM sessions
+        WHERE user_id = ? AND datetime(expires_at) > datetime('now')
+        ORDER BY last_seen_at DESC, id DESC
+    `, [userId], (err, rows) => {
+        if (err) return callback(err);
+        
+        callback(null, rows.map(row => ({
+            id: row.id,
+            device: describeDevice(row.user_agent),
+            user_agent: row.user_agent,
+            ip_address: row.ip_address,
+            created_at: row.created_at,
+            last_seen_at: row.last_seen_at,
+            expires_at: row.expires_at,
+            current: row.sid === currentSid
+        })));
+    });
+}
+
+/**
+ * Sign out one of a user's sessions by its ID
+ * Calls back with true if there was such a session
+ */
+function destroyUserSession(db, userId, sessionId, callback) {
+    db.run('DELETE FROM sessions WHERE id = ? AND user_id = ?', [sessionId, userId], function(err) {
+        callback(err, !err && this.changes > 0);
+    });
+}
+
+/**
+ * Sign out all of a user's sessions, except exceptSid if given
+ * Calls back with the number signed out
+ */
+function destroyUserSessions(db, userId, exceptSid, callback) {
+    db.run(
+        'DELETE FROM sessions WHERE user_id = ? AND sid != ?',
+        [userId, exceptSid || ''],
+        function(err) {
+            callback(err, err ? null : this.changes);
+        }
+    );
+}
+
+/**
+ * Delete expired sessions
+ */
+function pruneSessions(db, callback) {
+    db.run("DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')", [], function(err) {
+        callback(err, err ? null : { pruned: this.changes });
+    });
+}
+
+module.exports = {
+    SQLiteStore,
+    describeDevice,
+    recordClient,
+    listUserSessions,
+    destroyUserSession,
+    destroyUserSessions,
+    pruneSessions
+};
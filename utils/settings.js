@@ -0,0 +1,51 @@
+/**
+ * Application settings that admins can change at runtime
+ * Stored as JSON in the settings table; settings without a row use their default
+ */
+
+const DEFAULTS = {
+    require_admin_2fa: false
+};
+
+const SETTING_KEYS = Object.keys(DEFAULTS);
+
+/**
+ * Get all settings as { key: value }
+ */
+function getSettings(db, callback) {
+    db.all('SELECT key, value FROM settings', [], (err, rows) => {
+        if (err) return callback(err);
+        
+        const settings = { ...DEFAULTS };
+        rows.forEach(row => {
+            if (row.key in DEFAULTS) settings[row.key] = JSON.parse(row.value);
+        });
+        callback(null, settings);
+    });
+}
+
+/**
+ * Get one setting
+ */
+function getSetting(db, key, callback) {
+    getSettings(db, (err, settings) => callback(err, err ? null : settings[key]));
+}
+
+/**
+ * Save one setting, recording which admin changed it
+ */
+function saveSetting(db, key, value, userId, callback) {
+    db.run(
+        `INSERT INTO settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+        [key, JSON.stringify(value), userId],
+        callback
+    );
+}
+
+module.exports = {
+    SETTING_KEYS,
+    getSettings,
+    getSetting,
+    saveSetting
+};
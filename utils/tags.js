@@ -0,0 +1,155 @@
+/**
+ * Event tags and followed tags
+ * Tags are free-form labels organizers put on events, stored normalized
+ * (lowercase, words joined by hyphens) so "Board Games" and "board-games"
+ * are the same tag. Users can follow tags to get recommended events
+ */
+
+const { runInSequence } = require('./async');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_FOLLOWED_TAGS = 50;
+
+// Letters, digits, and single hyphens between them
+const TAG_PATTERN = /^[\p{L}\p{N}]+(-[\p{L}\p{N}]+)*$/u;
+
+// Listing column with an event's (aliased e) tags, comma-separated; see formatTags
+const TAGS_COLUMN = `(
+    SELECT group_concat(tag, ',') FROM (SELECT tag FROM event_tags WHERE event_id = e.id ORDER BY tag)
+) as tags`;
+
+/**
+ * Normalize a tag, e.g. " #Board Games " becomes "board-games"
+ */
+function normalizeTag(tag) {
+    return String(tag)
+        .trim()
+        .replace(/^#/, '')
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Whether a normalized tag is usable
+ */
+function isValidTag(tag) {
+    return tag.length > 0 && tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag);
+}
+
+/**
+ * Normalize a list of tags, dropping duplicates
+ */
+function normalizeTags(tags) {
+    return [...new Set(tags.map(normalizeTag))];
+}
+
+/**
+ * Turn the comma-separated tags column of a listing row into a list
+ */
+function formatTags(row) {
+    if (!row || !('tags' in row)) return row;
+    return { ...row, tags: row.tags ? row.tags.split(',') : [] };
+}
+
+/**
+ * An event's tags, alphabetically
+ */
+function getTags(db, eventId, callback) {
+    db.all(
+        'SELECT tag FROM event_tags WHERE event_id = ? ORDER BY tag',
+        [eventId],
+        (err, rows) => callback(err, rows ? rows.map(row => row.tag) : [])
+    );
+}
+
+/**
+ * Replace the tags on one or more events (e.g. every updated occurrence of a series)
+ */
+function setTags(db, eventIds, tags, callback) {
+    const tasks = [];
+    
+    eventIds.forEach(eventId => {
+        tasks.push((done) => db.run('DELETE FROM event_tags WHERE event_id = ?', [eventId], done));
+        tags.forEach(tag => {
+            tasks.push((done) => db.run('INSERT INTO event_tags (event_id, tag) VALUES (?, ?)', [eventId, tag], done));
+        });
+    });
+    
+    runInSequence(tasks, callback);
+}
+
+/**
+ * Tags on the events a user can see, with how many events use each, most used first
+ * visibility is a visibilityClause; options: { upcoming, limit }
+ */
+function tagCloud(db, visibility, options, callback) {
+    db.all(`
+        SELECT t.tag, COUNT(*) as event_count
+        FROM event_tags t
+        JOIN events e ON t.event_id = e.id
+        WHERE e.status = 'active' AND ${visibility.clause}
+        ${options.upcoming ? "AND datetime(e.event_date) > datetime('now')" : ''}
+        GROUP BY t.tag
+        ORDER BY event_count DESC, t.tag ASC
+        LIMIT ?
+    `, [...visibility.params, options.limit], callback);
+}
+
+/**
+ * The tags a user follows, alphabetically
+ */
+function listFollowedTags(db, userId, callback) {
+    db.all(
+        'SELECT tag, created_at FROM tag_follows WHERE user_id = ? ORDER BY tag',
+        [userId],
+        callback
+    );
+}
+
+/**
+ * Follow a tag; following it again is a no-op
+ * Calls back with false if the user already follows as many tags as allowed
+ */
+function followTag(db, userId, tag, callback) {
+    db.get(
+        `SELECT COUNT(*) as count, SUM(tag = ?) as following FROM tag_follows WHERE user_id = ?`,
+        [tag, userId],
+        (err, row) => {
+            if (err) return callback(err);
+            if (row.following) return callback(null, true);
+            if (row.count >= MAX_FOLLOWED_TAGS) return callback(null, false);
+            
+            db.run('INSERT INTO tag_follows (user_id, tag) VALUES (?, ?)', [userId, tag], (err) => {
+                callback(err, !err);
+            });
+        }
+    );
+}
+
+/**
+ * Stop following a tag
+ * Calls back with true if the user was following it
+ */
+function unfollowTag(db, userId, tag, callback) {
+    db.run('DELETE FROM tag_follows WHERE user_id = ? AND tag = ?', [userId, tag], function(err) {
+        callback(err, !err && this.changes > 0);
+    });
+}
+
+module.exports = {
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    MAX_FOLLOWED_TAGS,
+    TAGS_COLUMN,
+    normalizeTag,
+    isValidTag,
+    normalizeTags,
+    formatTags,
+    getTags,
+    setTags,
+    tagCloud,
+    listFollowedTags,
+    followTag,
+    unfollowTag
+};
@@ -0,0 +1,206 @@
+/**
+ * Notification message templates
+ * Each template turns notification data into { subject, text } for one user
+ */
+
+const { DEFAULT_TIMEZONE, parseUtc } = require('./timezones');
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const STATUS_LABELS = {
+    attending: 'attending',
+    maybe: 'maybe attending',
+    not_attending: 'not attending',
+    pending: 'waiting for approval'
+};
+
+const ROLE_LABELS = {
+    owner: 'the owner',
+    co_organizer: 'a co-organizer',
+    check_in_staff: 'check-in staff'
+};
+
+/**
+ * Format an event date for people rather than machines, in the event's timezone
+ */
+function formatWhen(date, timezone = DEFAULT_TIMEZONE) {
+    const zone = timezone || DEFAULT_TIMEZONE;
+    const when = parseUtc(date).toLocaleString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: zone,
+        timeZoneName: 'short'
+    });
+    
+    // Short names like "GMT+2" don't say where, so name the zone too
+    return zone === DEFAULT_TIMEZONE ? when : `${when} (${zone})`;
+}
+
+/**
+ * Format a number of hours as "1 hour" / "24 hours"
+ */
+function formatHours(hours) {
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Opening line addressed to the recipient
+ */
+function greeting(user) {
+    return `Hi ${user.first_name || user.username},`;
+}
+
+/**
+ * Indented summary block with a link to the event page
+ */
+function eventDetails(event) {
+    return [
+        `  ${event.title}`,
+        `  When: ${formatWhen(event.event_date, event.timezone)}`,
+        `  Where: ${event.location}`,
+        `  Details: ${APP_URL}/events/${event.id}`
+    ].join('\n');
+}
+
+/**
+ * Note for changes that cover several occurrences of a series
+ */
+function seriesNote(data) {
+    const others = (data.occurrenceCount || 1) - 1;
+    return others > 0 ? `\nThis also applies to ${others} other occurrence${others === 1 ? '' : 's'} of the series.\n` : '';
+}
+
+const TEMPLATES = {
+    event_created: (data, user) => ({
+        subject: `Your event "${data.event.title}" is live`,
+        text: `${greeting(user)}\n\nYour event has been created:\n\n${eventDetails(data.event)}\n${seriesNote(data)}`
+    }),
+    
+    event_updated: (data, user) => ({
+        subject: `Event updated: ${data.event.title}`,
+        text: `${greeting(user)}\n\nAn event you responded to has changed. The latest details are:\n\n${eventDetails(data.event)}\n${seriesNote(data)}`
+    }),
+    
+    event_cancelled: (data, user) => ({
+        subject: `Event cancelled: ${data.event.title}`,
+        text: `${greeting(user)}\n\nThe following event has been cancelled:\n\n${eventDetails(data.event)}\n`
+            + (data.reason ? `\nReason: ${data.reason}\n` : '')
+            + seriesNote(data)
+    }),
+    
+    event_reinstated: (data, user) => ({
+        subject: `Back on: ${data.event.title}`,
+        text: `${greeting(user)}\n\nGood news! An event you responded to was cancelled but is going ahead after all. `
+            + `Your RSVP still stands.\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    rsvp_confirmation: (data, user) => ({
+        subject: `RSVP confirmed: ${data.event.title}`,
+        text: `${greeting(user)}\n\nWe have you down as ${STATUS_LABELS[data.status] || data.status} for:\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    rsvp_pending: (data, user) => ({
+        subject: `RSVP received: ${data.event.title}`,
+        text: `${greeting(user)}\n\nThe organizer approves RSVPs to this event, so yours is waiting for them to look at it. `
+            + `We'll let you know when they do.\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    rsvp_approved: (data, user) => ({
+        subject: `RSVP approved: ${data.event.title}`,
+        text: `${greeting(user)}\n\nThe organizer approved your RSVP. `
+            + (data.position
+                ? `The event is at full capacity, so you are #${data.position} on the waitlist.`
+                : 'You are down as attending.')
+            + `\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    rsvp_declined: (data, user) => ({
+        subject: `RSVP declined: ${data.event.title}`,
+        text: `${greeting(user)}\n\nSorry, the organizer declined your RSVP to this event.\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    waitlist_joined: (data, user) => ({
+        subject: `You're on the waitlist: ${data.event.title}`,
+        text: `${greeting(user)}\n\nThis event is at full capacity, so you are #${data.position} on the waitlist. `
+            + `We'll let you know if a spot opens up.\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    waitlist_promoted: (data, user) => ({
+        subject: `A spot opened up: ${data.event.title}`,
+        text: `${greeting(user)}\n\nGood news! A spot opened up and you have been moved from the waitlist to attending.\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    event_reminder: (data, user) => ({
+        subject: `Reminder: ${data.event.title} starts in about ${formatHours(data.hoursBefore)}`,
+        text: `${greeting(user)}\n\nThis is a reminder that an event you responded to is coming up:\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    event_role_assigned: (data, user) => ({
+        subject: `Your role on "${data.event.title}"`,
+        text: `${greeting(user)}\n\n${data.assignedBy} made you ${ROLE_LABELS[data.role] || data.role} of this event:\n\n${eventDetails(data.event)}\n`
+    }),
+    
+    rsvp_nudge: (data, user) => ({
+        subject: `Please RSVP: ${data.event.title}`,
+        text: `${greeting(user)}\n\nYou're invited, but we haven't heard from you yet. `
+            + `RSVPs close ${formatWhen(data.deadline, data.event.timezone)}.\n\n${eventDetails(data.event)}\n`
+    })
+};
+
+// Account security messages; always sent, so they have no preference
+const ACCOUNT_TEMPLATES = {
+    verify_email: (data, user) => ({
+        subject: 'Confirm your email address',
+        text: `${greeting(user)}\n\nPlease confirm this is your email address by opening the link below. `
+            + `It expires in ${formatHours(data.expiresInHours)}.\n\n  ${APP_URL}/verify-email?token=${data.token}\n\n`
+            + `If you didn't sign up or change your email, you can ignore this message.\n`
+    }),
+    
+    reset_password: (data, user) => ({
+        subject: 'Reset your password',
+        text: `${greeting(user)}\n\nSomeone asked to reset the password for your account. `
+            + `To choose a new one, open the link below. It can be used once and expires in ${formatHours(data.expiresInHours)}.\n\n`
+            + `  ${APP_URL}/reset-password?token=${data.token}\n\n`
+            + `If you didn't ask for this, you can ignore this message; your password has not changed.\n`
+    }),
+    
+    password_changed: (data, user) => ({
+        subject: 'Your password was changed',
+        text: `${greeting(user)}\n\nThe password for your account was just changed. `
+            + `If this wasn't you, reset your password straight away at ${APP_URL}/login.\n`
+    }),
+    
+    two_factor_disabled: (data, user) => ({
+        subject: 'Two-factor authentication was turned off',
+        text: `${greeting(user)}\n\nTwo-factor authentication was just turned off for your account, so signing in only needs your password. `
+            + `If this wasn't you, reset your password straight away at ${APP_URL}/login and turn it back on.\n`
+    }),
+    
+    account_deleted: (data, user) => ({
+        subject: 'Your account has been deleted',
+        text: `${greeting(user)}\n\nYour account and the events you organized have been deleted, `
+            + `and your RSVPs have been withdrawn. Sorry to see you go!\n`
+    })
+};
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+/**
+ * Render a notification for a user (needs username and optionally first_name)
+ */
+function renderTemplate(type, data, user) {
+    const template = TEMPLATES[type] || ACCOUNT_TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+    return template(data, user);
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    renderTemplate
+};
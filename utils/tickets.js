@@ -0,0 +1,67 @@
+/**
+ * Ticket helpers
+ * A ticket code is the RSVP ID plus an HMAC signature, so codes cannot be
+ * guessed and nothing extra needs to be stored to check them
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const SIGNATURE_LENGTH = 22;
+
+/**
+ * Sign the parts of an RSVP that identify the ticket holder
+ */
+function sign(rsvp) {
+    const secret = process.env.TICKET_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+    
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${rsvp.id}:${rsvp.event_id}:${rsvp.user_id}`)
+        .digest('base64url')
+        .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Get the ticket code for an RSVP row (needs id, event_id and user_id)
+ */
+function ticketCode(rsvp) {
+    return `${rsvp.id}.${sign(rsvp)}`;
+}
+
+/**
+ * Get the RSVP ID from a ticket code, or null if it is malformed
+ * The code still has to be checked with verifyTicketCode
+ */
+function parseTicketCode(code) {
+    const match = new RegExp(`^(\\d+)\\.[A-Za-z0-9_-]{${SIGNATURE_LENGTH}}$`).exec(String(code).trim());
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Check a ticket code against the RSVP it claims to be for
+ */
+function verifyTicketCode(rsvp, code) {
+    const expected = Buffer.from(ticketCode(rsvp));
+    const given = Buffer.from(String(code).trim());
+    
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Render a ticket code as a QR code image ('png' or 'svg')
+ * Calls back with a Buffer for PNG and a string for SVG
+ */
+function renderTicketQR(code, format, callback) {
+    if (format === 'svg') {
+        return QRCode.toString(code, { type: 'svg', margin: 2 }, callback);
+    }
+    QRCode.toBuffer(code, { type: 'png', width: 300, margin: 2 }, callback);
+}
+
+module.exports = {
+    ticketCode,
+    parseTicketCode,
+    verifyTicketCode,
+    renderTicketQR
+};
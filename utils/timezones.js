@@ -0,0 +1,232 @@
+/**
+ * Event times and timezones
+ * Event start and end times are stored as UTC ISO strings, together with the
+ * IANA timezone the event takes place in (e.g. "Europe/Berlin"). Times sent
+ * without an offset are wall-clock times in that timezone; responses carry
+ * both the UTC instant and the local time with its offset
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Events created without an end time last this long
+const DEFAULT_DURATION_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// An explicit zone at the end of an ISO 8601 date-time: Z, +02:00, -0500, +02
+const OFFSET_PATTERN = /([zZ]|[+-]\d\d(:?\d\d)?)$/;
+
+const LOCAL_PATTERN = /^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d)(?:\.(\d+))?)?)?$/;
+
+const formatters = new Map();
+
+function hasOffset(text) {
+    // A date on its own (2025-03-30) ends in something that looks like an offset
+    return text.length > 10 && OFFSET_PATTERN.test(text);
+}
+
+function formatterFor(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Whether a timezone is a known IANA name
+ */
+function isValidTimeZone(timezone) {
+    if (typeof timezone !== 'string' || timezone === '') return false;
+    
+    try {
+        formatterFor(timezone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+function zonedParts(date, timezone) {
+    const parts = {};
+    formatterFor(timezone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. 120 for UTC+2)
+ */
+function offsetMinutes(date, timezone) {
+    const parts = zonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * The instant a wall-clock time (given as the UTC fields of a Date) happens in a timezone
+ * Times repeated by a daylight saving change resolve to the first of the two;
+ * times skipped by one move forward by the size of the gap
+ */
+function fromWallClock(wallClock, timezone) {
+    const time = wallClock.getTime();
+    
+    // The offsets either side of any change around this time, earlier first
+    const offsets = [...new Set([
+        offsetMinutes(new Date(time - DAY_MS), timezone),
+        offsetMinutes(new Date(time + DAY_MS), timezone)
+    ])];
+    
+    const matches = offsets
+        .map(offset => time - offset * MINUTE_MS)
+        .filter(instant => instant + offsetMinutes(new Date(instant), timezone) * MINUTE_MS === time)
+        .sort((a, b) => a - b);
+    
+    return new Date(matches.length > 0 ? matches[0] : time - offsets[0] * MINUTE_MS);
+}
+
+/**
+ * The wall-clock time of an instant in a timezone, as the UTC fields of a Date
+ * Lets calendar arithmetic (adding days, months) happen in local time
+ */
+function toWallClock(date, timezone) {
+    const instant = new Date(date);
+    return new Date(instant.getTime() + offsetMinutes(instant, timezone) * MINUTE_MS);
+}
+
+/**
+ * Convert an ISO 8601 date-time to a UTC ISO string, or null if it cannot be read
+ * Values with Z or an offset are exact; values without one are read as
+ * wall-clock time in the timezone
+ */
+function toUtc(value, timezone = DEFAULT_TIMEZONE) {
+    const text = String(value).trim();
+    const match = LOCAL_PATTERN.exec(text);
+    
+    if (hasOffset(text) || !match) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+    const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second, Math.round(Number(`0.${fraction}`) * 1000)));
+    return fromWallClock(wallClock, timezone).toISOString();
+}
+
+/**
+ * Parse a stored timestamp; SQLite CURRENT_TIMESTAMP values and older rows
+ * without a zone marker are UTC
+ */
+function parseUtc(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    
+    const text = String(value);
+    return new Date(hasOffset(text) ? text : text.replace(' ', 'T') + 'Z');
+}
+
+function pad(number, length = 2) {
+    return String(number).padStart(length, '0');
+}
+
+/**
+ * Local ISO 8601 representation of an instant, e.g. 2025-03-30T18:00:00+02:00
+ */
+function toLocalIso(date, timezone = DEFAULT_TIMEZONE) {
+    const instant = parseUtc(date);
+    const wallClock = toWallClock(instant, timezone);
+    const offset = offsetMinutes(instant, timezone);
+    const sign = offset < 0 ? '-' : '+';
+    
+    return wallClock.toISOString().slice(0, 19)
+        + `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function toLocalDate(date, timezone = DEFAULT_TIMEZONE) {
+    return toWallClock(parseUtc(date), timezone).toISOString().slice(0, 10);
+}
+
+/**
+ * End time for an event starting at start: end when given, otherwise start
+ * plus durationMs (the default duration if that is missing too)
+ */
+function endTime(start, end, durationMs) {
+    if (end) return end;
+    return new Date(parseUtc(start).getTime() + (durationMs || DEFAULT_DURATION_MINUTES * MINUTE_MS)).toISOString();
+}
+
+/**
+ * How long an event row lasts, in milliseconds
+ */
+function eventDuration(event) {
+    if (!event.end_date) return DEFAULT_DURATION_MINUTES * MINUTE_MS;
+    return parseUtc(event.end_date).getTime() - parseUtc(event.event_date).getTime();
+}
+
+/**
+ * Whether an event row has started
+ */
+function hasStarted(event, now = new Date()) {
+    return parseUtc(event.event_date) <= now;
+}
+
+/**
+ * Whether an event row has ended
+ */
+function hasEnded(event, now = new Date()) {
+    return parseUtc(endTime(event.event_date, event.end_date)) <= now;
+}
+
+/**
+ * Give an event row unambiguous times: event_date and end_date in UTC, plus
+ * start_local and end_local in the event's timezone
+ * Rows without an event_date are returned unchanged
+ */
+function formatEventTimes(row) {
+    if (!row || !row.event_date) return row;
+    
+    const timezone = row.timezone || DEFAULT_TIMEZONE;
+    const start = parseUtc(row.event_date).toISOString();
+    const end = parseUtc(endTime(start, row.end_date)).toISOString();
+    
+    return {
+        ...row,
+        event_date: start,
+        end_date: end,
+        timezone,
+        start_local: toLocalIso(start, timezone),
+        end_local: toLocalIso(end, timezone)
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DEFAULT_DURATION_MINUTES,
+    isValidTimeZone,
+    fromWallClock,
+    toWallClock,
+    toUtc,
+    parseUtc,
+    toLocalIso,
+    toLocalDate,
+    endTime,
+    eventDuration,
+    hasStarted,
+    hasEnded,
+    formatEventTimes
+};
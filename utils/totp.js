@@ -0,0 +1,231 @@
+/**
+ * Two-factor authentication helpers
+ * Time-based one-time passwords (RFC 6238, as used by authenticator apps)
+ * and single-use recovery codes. Secrets are encrypted at rest and recovery
+ * codes are stored hashed
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { runInSequence } = require('./async');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Codes from one step either side are accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+function issuer() {
+    return process.env.TOTP_ISSUER || 'Event Planner';
+}
+
+/**
+ * Key for encrypting secrets, derived from TOTP_ENCRYPTION_KEY (falling back to SESSION_SECRET)
+ */
+function encryptionKey() {
+    const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    
+    return (bits.match(/.{1,5}/g) || [])
+        .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+        .join('');
+}
+
+function base32Decode(text) {
+    const bits = text.toUpperCase().replace(/=+$/, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM, "iv.tag.ciphertext" in base64url)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * The code for a secret at a given time step
+ */
+function codeAt(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against a secret
+ * Steps at or before lastCounter are refused so a code cannot be replayed.
+ * Returns the matching time step, to be stored as the new lastCounter, or null
+ */
+function verifyCode(secret, code, lastCounter) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+    
+    const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    
+    for (let counter = current - DRIFT_STEPS; counter <= current + DRIFT_STEPS; counter++) {
+        if (lastCounter !== null && lastCounter !== undefined && counter <= lastCounter) continue;
+        
+        const expected = Buffer.from(codeAt(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(given))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps, and the same as a QR code data URL
+ * Calls back with { secret, uri, qrCode }
+ */
+function provisioning(secret, accountName, callback) {
+    const label = encodeURIComponent(`${issuer()}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: issuer(),
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    const uri = `otpauth://totp/${label}?${params}`;
+    
+    QRCode.toDataURL(uri, { margin: 2, width: 240 }, (err, qrCode) => {
+        callback(err, err ? null : { secret, uri, qrCode });
+    });
+}
+
+/**
+ * Recovery codes are compared without case, spaces, or dashes
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a new set
+ * Calls back with the codes, which are only shown this once
+ */
+function replaceRecoveryCodes(db, userId, callback) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    
+    runInSequence([
+        (done) => db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], done),
+        ...codes.map(code => (done) => db.run(
+            'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            [userId, hashRecoveryCode(code)],
+            done
+        ))
+    ], (err) => callback(err, err ? null : codes));
+}
+
+/**
+ * Use up one of a user's recovery codes
+ * Calls back with true if the code was valid and unused
+ */
+function useRecoveryCode(db, userId, code, callback) {
+    db.run(
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, hashRecoveryCode(code)],
+        function(err) {
+            callback(err, !err && this.changes > 0);
+        }
+    );
+}
+
+/**
+ * Check a second factor for a user row (needs id, totp_secret, totp_last_counter)
+ * Takes { code } from the authenticator app or { recoveryCode }, and records
+ * what was used so it cannot be used again
+ * Calls back with the method that worked ('totp' or 'recovery_code'), or null
+ */
+function verifySecondFactor(db, user, { code, recoveryCode }, callback) {
+    if (!user.totp_secret) return callback(null, null);
+    
+    if (recoveryCode) {
+        return useRecoveryCode(db, user.id, recoveryCode, (err, used) => {
+            callback(err, used ? 'recovery_code' : null);
+        });
+    }
+    
+    const counter = verifyCode(decryptSecret(user.totp_secret), code, user.totp_last_counter);
+    if (counter === null) return callback(null, null);
+    
+    // Only move forward; a concurrent request with the same code gets nothing
+    db.run(
+        'UPDATE users SET totp_last_counter = ? WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)',
+        [counter, user.id, counter],
+        function(err) {
+            callback(err, !err && this.changes > 0 ? 'totp' : null);
+        }
+    );
+}
+
+/**
+ * Turn off two-factor authentication for a user and delete their recovery codes
+ */
+function disableTwoFactor(db, userId, callback) {
+    runInSequence([
+        (done) => db.run(
+            `UPDATE users
+             SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL
+             WHERE id = ?`,
+            [userId],
+            done
+        ),
+        (done) => db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], done)
+    ], callback);
+}
+
+module.exports = {
+    STEP_SECONDS,
+    generateSecret,
+    encryptSecret,
+    decryptSecret,
+    codeAt,
+    verifyCode,
+    provisioning,
+    replaceRecoveryCodes,
+    verifySecondFactor,
+    disableTwoFactor
+};
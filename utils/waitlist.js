@@ -0,0 +1,104 @@
+/**
+ * Waitlist helpers
+ * Shared by the event and RSVP routes to keep an event's waitlist in order
+ */
+
+const { HEADCOUNT, headcount } = require('./guests');
+
+/**
+ * Get the next free waitlist position for an event
+ */
+function nextWaitlistPosition(db, eventId, callback) {
+    db.get(
+        'SELECT COALESCE(MAX(waitlist_position), 0) + 1 as position FROM rsvps WHERE event_id = ? AND status = "waitlisted"',
+        [eventId],
+        (err, row) => {
+            if (err) return callback(err);
+            callback(null, row.position);
+        }
+    );
+}
+
+/**
+ * Renumber waitlisted RSVPs so positions run 1..n without gaps
+ * Relative order is preserved, so earlier rows only ever move forward
+ */
+function compactWaitlist(db, eventId, callback) {
+    db.run(`
+        UPDATE rsvps
+        SET waitlist_position = (
+            SELECT COUNT(*) FROM rsvps w
+            WHERE w.event_id = rsvps.event_id
+              AND w.status = 'waitlisted'
+              AND w.waitlist_position <= rsvps.waitlist_position
+        )
+        WHERE event_id = ? AND status = 'waitlisted'
+    `, [eventId], callback);
+}
+
+/**
+ * Promote the earliest waitlisted RSVPs into any free spots
+ * Capacity is counted in headcount, and the queue is strictly first come,
+ * first served: a party too big for the free spots holds back those behind it
+ * Calls back with the user IDs that were promoted
+ */
+function promoteWaitlist(db, eventId, callback) {
+    db.get(`
+        SELECT e.max_attendees,
+               (SELECT COALESCE(SUM(${HEADCOUNT}), 0) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status = 'attending') as attending_count
+        FROM events e
+        WHERE e.id = ?
+    `, [eventId], (err, event) => {
+        if (err) return callback(err);
+        if (!event) return callback(null, []);
+        
+        if (event.max_attendees && event.attending_count >= event.max_attendees) {
+            return compactWaitlist(db, eventId, (err) => callback(err, []));
+        }
+        
+        db.all(
+            'SELECT id, user_id, guest_count FROM rsvps WHERE event_id = ? AND status = "waitlisted" ORDER BY waitlist_position ASC',
+            [eventId],
+            (err, waitlisted) => {
+                if (err) return callback(err);
+                
+                // No limit means everyone on the waitlist gets in
+                let freeSpots = event.max_attendees
+                    ? event.max_attendees - event.attending_count
+                    : Infinity;
+                
+                const promoted = [];
+                for (const rsvp of waitlisted) {
+                    if (headcount(rsvp) > freeSpots) break;
+                    freeSpots -= headcount(rsvp);
+                    promoted.push(rsvp);
+                }
+                
+                if (promoted.length === 0) {
+                    return callback(null, []);
+                }
+                
+                const ids = promoted.map(r => r.id);
+                db.run(
+                    `UPDATE rsvps SET status = 'attending', waitlist_position = NULL
+                     WHERE id IN (${ids.map(() => '?').join(', ')})`,
+                    ids,
+                    (err) => {
+                        if (err) return callback(err);
+                        
+                        compactWaitlist(db, eventId, (err) => {
+                            callback(err, promoted.map(r => r.user_id));
+                        });
+                    }
+                );
+            }
+        );
+    });
+}
+
+module.exports = {
+    nextWaitlistPosition,
+    compactWaitlist,
+    promoteWaitlist
+};